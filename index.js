@@ -0,0 +1,76 @@
+/**
+ * GitRepublic CLI - Programmatic API
+ *
+ * Library entry point for Node tooling. Everything exported here returns data
+ * (or throws) instead of printing to the console or calling process.exit.
+ *
+ * Usage:
+ *   import { buildIssueEvent, publishToRelays, getPrivateKeyBytes } from 'gitrepublic-cli';
+ *   import { finalizeEvent } from 'nostr-tools';
+ *
+ *   const keyBytes = getPrivateKeyBytes(process.env.NOSTRGIT_SECRET_KEY);
+ *   const event = finalizeEvent(buildIssueEvent({ owner: 'npub1...', repoName: 'myrepo', title: 'Bug' }), keyBytes);
+ *   const { success, failed } = await publishToRelays(event, DEFAULT_NOSTR_RELAYS, keyBytes);
+ */
+
+// Configuration
+export {
+  KIND_NIP98_AUTH,
+  DEFAULT_SERVER,
+  DEFAULT_NOSTR_RELAYS,
+  DEFAULT_NOSTR_SEARCH_RELAYS,
+  CONFIG_KEYS,
+  loadConfig,
+  getConfigValue,
+  setConfigOverrides
+} from './scripts/config.js';
+
+// API access and authentication
+export { apiRequest } from './scripts/utils/api.js';
+export {
+  createNIP98Auth,
+  createNIP98AuthEvent,
+  encodeNIP98Event,
+  normalizeNIP98Url,
+  hashNIP98Payload
+} from './scripts/utils/auth.js';
+export {
+  getPrivateKeyBytes,
+  getPublicKeyFromSecret,
+  getPrivateKeyFromEnv,
+  normalizePubkey,
+  encryptSecretKey,
+  decryptSecretKey,
+  resolveSecretKey
+} from './scripts/utils/keys.js';
+export { createLocalSigner, createBunkerSigner, getSigner } from './scripts/utils/signer.js';
+export { sanitizeErrorMessage } from './scripts/utils/error-sanitizer.js';
+export { storeEventInJsonl } from './scripts/utils/event-storage.js';
+
+// Relays
+export { publishToRelays, fetchRelayLists, enhanceRelayList } from './scripts/relay/index.js';
+export { fetchEvents, fetchEventById, fetchLatestAddressableEvent } from './scripts/relay/event-fetcher.js';
+export { fetchProfileFromRelays } from './scripts/relay/profile-fetcher.js';
+
+// Event builders (return unsigned event templates)
+export { buildRepoAnnouncementEvent, getAnnouncementMaintainers } from './scripts/commands/publish/repo-announcement.js';
+export { buildOwnershipTransferEvent } from './scripts/commands/publish/ownership-transfer.js';
+export { buildPullRequestEvent } from './scripts/commands/publish/pr.js';
+export { buildPullRequestUpdateEvent } from './scripts/commands/publish/pr-update.js';
+export { buildIssueEvent } from './scripts/commands/publish/issue.js';
+export { buildCommentEvent } from './scripts/commands/publish/comment.js';
+export { buildStatusEvent, STATUS_KINDS } from './scripts/commands/publish/status.js';
+export { buildPatchEvent, buildPatchSeries } from './scripts/commands/publish/patch.js';
+export { buildRepoStateEvent, buildRepoStateFromGit } from './scripts/commands/publish/repo-state.js';
+export { buildEvent } from './scripts/commands/publish/event.js';
+export { buildCommitAttestationEvent, buildTagSignatureEvent } from './scripts/utils/commit-signatures.js';
+
+// Verification
+export {
+  verifyNostrEvent as verify,
+  loadEventFromInput,
+  verifyCommitSignature,
+  verifyTagSignature,
+  collectCommitSignatureEvents
+} from './scripts/commands/verify.js';
+export { parseSignatureTrailers } from './scripts/utils/commit-signatures.js';
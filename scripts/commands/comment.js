@@ -0,0 +1,33 @@
+import { publish } from './publish/index.js';
+
+function showCommentHelp() {
+  console.log(`Comments
+
+Comment on an issue, pull request, patch or another comment with a NIP-22
+comment (kind 1111). The root (E, K, P) and parent (e, k, p) tags are filled in
+from the event being replied to.
+
+Usage: gitrep comment <event-id|nevent> <text> [options]
+
+Options:
+  --content <text>     Comment text (instead of the argument)
+  --relay <url>        Also look for the event on this relay
+  --no-client-tag      Don't add the client tag
+  --json               Output JSON format
+
+Examples:
+  gitrep comment nevent1... "Reproduced on main, see the log below"
+  gitrep thread nevent1...     # show the discussion
+`);
+}
+
+/**
+ * Comment command (shortcut for: publish comment)
+ */
+export async function comment(args, server, json) {
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    showCommentHelp();
+    process.exit(0);
+  }
+  await publish(['comment', ...args.filter(arg => arg !== '--json')], server, json);
+}
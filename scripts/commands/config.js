@@ -0,0 +1,177 @@
+import {
+  CONFIG_KEYS,
+  loadConfig,
+  setConfigValue,
+  unsetConfigValue,
+  useProfile,
+  listProfiles,
+  getCliProfile
+} from '../config.js';
+
+function formatValue(value) {
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+function showConfigHelp() {
+  console.log(`Configuration
+
+Usage: gitrep config [subcommand] [options]
+
+Subcommands:
+  server                        Show the server configuration (default)
+  list                          Show all settings with their source
+  get <key>                     Show a single setting
+  set <key> <value>             Set a value in the user config file
+  unset <key>                   Remove a value from the user config file
+  profile use <name>            Make <name> the active profile
+  profile clear                 Clear the active profile selection
+  profile list                  List profiles defined in config files
+
+Options:
+  --repo                        Write to the repository config file (.gitrepublic.json) instead of the user file
+  --profile <name>              Use this profile; with set/unset, write into this profile
+  --json                        Output JSON format
+
+Keys:
+${Object.entries(CONFIG_KEYS).map(([key, def]) => `  ${key.padEnd(28)}${def.description}${def.env ? ` (env: ${def.env})` : ''}${def.userOnly ? ' [user file only]' : ''}`).join('\n')}
+
+Precedence (lowest to highest):
+  defaults < user file < repository file < environment variables < command-line flags
+  Within a file, settings of the active profile override top-level settings.
+  Keys marked [user file only] are never read from the repository file, which
+  comes with the clone: a repository cannot choose your signing key, turn off checks
+  or make the hooks publish events.
+
+Examples:
+  gitrep config set server https://gitrepublic.example.com
+  gitrep config set relays wss://relay1.com,wss://relay2.com --profile work
+  gitrep config set topics nostr,git --repo
+  gitrep config profile use work
+  gitrep --profile personal config list
+`);
+}
+
+/**
+ * Configuration command
+ */
+export async function config(args, server, json) {
+  const subcommand = args.find(arg => !arg.startsWith('--')) || 'server';
+  const rest = args.slice(args.indexOf(subcommand) + 1).filter(arg => !arg.startsWith('--'));
+  const scope = args.includes('--repo') ? 'repo' : 'user';
+  const profile = getCliProfile();
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showConfigHelp();
+    process.exit(0);
+  }
+
+  const resolved = loadConfig();
+
+  if (subcommand === 'server') {
+    const fromEnv = !!process.env.GITREPUBLIC_SERVER;
+    if (json) {
+      console.log(JSON.stringify({ server, default: CONFIG_KEYS.server.default, source: resolved.sources.server, fromEnv }, null, 2));
+    } else {
+      console.log('GitRepublic Server Configuration:');
+      console.log(`  Current: ${server}`);
+      console.log(`  Source: ${resolved.sources.server}`);
+      console.log(`  Default: ${CONFIG_KEYS.server.default}`);
+      if (fromEnv) {
+        console.log(`  From environment: ${process.env.GITREPUBLIC_SERVER}`);
+      } else {
+        console.log('  From environment: (not set)');
+      }
+      if (resolved.sources.server === 'default') {
+        console.log('  ⚠️  Note: Default is for development only (localhost:5173)');
+        console.log('  ⚠️  Set a server for production use');
+      }
+      console.log('');
+      console.log('To change the server:');
+      console.log('  gitrep config set server <url> (or gitrepublic)');
+      console.log('  gitrep --server <url> <command>');
+      console.log('  export GITREPUBLIC_SERVER=<url>');
+    }
+  } else if (subcommand === 'list') {
+    if (json) {
+      console.log(JSON.stringify(resolved, null, 2));
+    } else {
+      console.log(`Profile: ${resolved.profile.name || '(none)'}${resolved.profile.name ? ` (from ${resolved.profile.source})` : ''}`);
+      console.log(`User config: ${resolved.files.user}`);
+      console.log(`Repository config: ${resolved.files.repo || '(not in a git repository)'}`);
+      console.log('');
+      for (const key of Object.keys(CONFIG_KEYS)) {
+        console.log(`  ${key.padEnd(24)}${formatValue(resolved.values[key])}  [${resolved.sources[key]}]`);
+      }
+    }
+  } else if (subcommand === 'get') {
+    const key = rest[0];
+    if (!key || !CONFIG_KEYS[key]) {
+      console.error(`Error: ${key ? `Unknown config key: ${key}` : 'Config key required'}`);
+      console.error(`Keys: ${Object.keys(CONFIG_KEYS).join(', ')}`);
+      process.exit(1);
+    }
+    if (json) {
+      console.log(JSON.stringify({ key, value: resolved.values[key], source: resolved.sources[key] }, null, 2));
+    } else {
+      console.log(formatValue(resolved.values[key]));
+    }
+  } else if (subcommand === 'set') {
+    const [key, value] = rest;
+    if (!key || value === undefined) {
+      console.error('Error: key and value required');
+      console.error('Use: config set <key> <value> [--repo] [--profile <name>]');
+      process.exit(1);
+    }
+    const path = setConfigValue(key, value, { scope, profile });
+    if (json) {
+      console.log(JSON.stringify({ key, value, profile, file: path }, null, 2));
+    } else {
+      console.log(`Set ${key}${profile ? ` (profile ${profile})` : ''} in ${path}`);
+      const envName = CONFIG_KEYS[key].env;
+      if (process.env[envName]) {
+        console.log(`⚠️  ${envName} is set in the environment and takes precedence over config files`);
+      }
+    }
+  } else if (subcommand === 'unset') {
+    const key = rest[0];
+    if (!key) {
+      console.error('Error: key required');
+      console.error('Use: config unset <key> [--repo] [--profile <name>]');
+      process.exit(1);
+    }
+    const removed = unsetConfigValue(key, { scope, profile });
+    if (json) {
+      console.log(JSON.stringify({ key, profile, removed }, null, 2));
+    } else {
+      console.log(removed ? `Unset ${key}${profile ? ` (profile ${profile})` : ''}` : `${key} was not set`);
+    }
+  } else if (subcommand === 'profile') {
+    const action = rest[0];
+    if (action === 'use' && rest[1]) {
+      const path = useProfile(rest[1], { scope });
+      console.log(json ? JSON.stringify({ profile: rest[1], file: path }, null, 2) : `Active profile set to ${rest[1]} in ${path}`);
+    } else if (action === 'clear') {
+      const path = useProfile(null, { scope });
+      console.log(json ? JSON.stringify({ profile: null, file: path }, null, 2) : `Active profile cleared in ${path}`);
+    } else if (action === 'list' || !action) {
+      const profiles = listProfiles();
+      if (json) {
+        console.log(JSON.stringify({ active: resolved.profile, profiles }, null, 2));
+      } else if (profiles.length === 0) {
+        console.log('No profiles defined. Create one with: gitrep config set <key> <value> --profile <name>');
+      } else {
+        console.log('Profiles:');
+        profiles.forEach(p => {
+          const marker = p.name === resolved.profile.name ? '*' : ' ';
+          console.log(`  ${marker} ${p.name} (${p.scope})`);
+        });
+      }
+    } else {
+      console.error('Invalid profile command. Use: profile use <name>, profile clear, profile list');
+      process.exit(1);
+    }
+  } else {
+    console.error('Invalid config command. Use: config [server|list|get|set|unset|profile]');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,204 @@
+import {
+  getIdentities,
+  setIdentity,
+  removeIdentity,
+  setConfigValue,
+  getCliProfile,
+  loadConfig
+} from '../config.js';
+import { normalizePubkey } from '../utils/keys.js';
+import { selectIdentity, getIdentityKeyfile } from '../utils/identities.js';
+import { getRemoteUrls } from '../utils/git.js';
+
+function showIdentityHelp() {
+  console.log(`Identities
+
+Use different keys for different repositories, e.g. personal repos and company
+repos under different npubs. The credential helper picks the identity matching
+the URL git is authenticating for; the commit hook and publish commands use the
+identity configured for the repository, else the one matching its remotes.
+
+Usage: gitrep identity <subcommand> [options]
+
+Subcommands:
+  list                          List identities and their rules
+  add <name> [options]          Create an identity, or add rules/change the key source of an existing one
+  remove <name>                 Remove an identity
+  use <name>                    Set the identity for all repositories, or a profile (--profile)
+  which [url]                   Show which identity would sign (for a URL, or for this repository)
+
+Key source (one of, default: keyfile ~/.config/gitrepublic/keys/<name>.ncryptsec):
+  --keyfile <path>              NIP-49 encrypted keyfile (create with: gitrep key import --identity <name>)
+  --key-env <VAR>               Environment variable holding the key (nsec, hex, or ncryptsec)
+  --bunker <bunker-uri>         NIP-46 remote signer
+
+Rules (repeatable):
+  --npub <npub>                 Repository owner: matches remote URLs with /<npub>/ in the path
+                                (your own npub, and owners of repositories you maintain)
+  --url <pattern>               Remote URL pattern, * matches anything
+  --host <host>                 Remote host, *.example.com matches subdomains
+
+Options:
+  --profile <name>              With use: write into this profile
+  --json                        Output JSON format
+
+Selection order:
+  Credential helper:            owner npub > URL pattern > host > "identity" setting > default key
+  Commit hook and publish:      "identity" setting > remotes (owner npub > URL pattern > host) > default key
+  The "identity" setting can also come from NOSTRGIT_IDENTITY or --identity <name>. It is
+  never read from the repository file (.gitrepublic.json): pick the identity of a repository
+  with rules instead.
+
+Examples:
+  gitrep identity add work --npub npub1company... --host git.company.com
+  gitrep key import --identity work
+  gitrep identity add personal --key-env NOSTRGIT_PERSONAL_KEY --npub npub1me...
+  gitrep identity use work --profile company
+  gitrep identity which https://git.company.com/api/git/npub1company.../repo.git
+`);
+}
+
+function getOptionValues(args, name) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === name && args[i + 1] !== undefined) {
+      values.push(args[i + 1]);
+    }
+  });
+  return values;
+}
+
+function describeKeySource(name, identity) {
+  if (identity.bunker) {
+    return `bunker ${identity.bunker.split('?')[0]}`;
+  }
+  if (identity['key-env']) {
+    return `env ${identity['key-env']}`;
+  }
+  return `keyfile ${getIdentityKeyfile(name, identity)}`;
+}
+
+/**
+ * Identity command
+ */
+export async function identity(args, server, json) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showIdentityHelp();
+    process.exit(0);
+  }
+
+  const valueOptions = ['--keyfile', '--key-env', '--bunker', '--npub', '--url', '--host'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const subcommand = positional[0] || 'list';
+  const name = positional[1];
+
+  if (subcommand === 'list') {
+    const identities = getIdentities();
+    const configured = loadConfig().values.identity;
+    if (json) {
+      console.log(JSON.stringify({ active: configured || null, identities }, null, 2));
+    } else if (Object.keys(identities).length === 0) {
+      console.log('No identities defined. Create one with: gitrep identity add <name> --npub <owner-npub>');
+    } else {
+      for (const [idName, def] of Object.entries(identities)) {
+        console.log(`${idName === configured ? '*' : ' '} ${idName}`);
+        console.log(`    Key: ${describeKeySource(idName, def)}`);
+        (def.npubs || []).forEach(npub => console.log(`    Owner: ${npub}`));
+        (def.urls || []).forEach(url => console.log(`    URL: ${url}`));
+        (def.hosts || []).forEach(host => console.log(`    Host: ${host}`));
+      }
+    }
+  } else if (subcommand === 'add') {
+    if (!name) {
+      console.error('Error: identity name required');
+      console.error('Use: identity add <name> [--keyfile <path>|--key-env <VAR>|--bunker <uri>] [--npub <npub>] [--url <pattern>] [--host <host>]');
+      process.exit(1);
+    }
+    const sources = ['--keyfile', '--key-env', '--bunker'].filter(opt => args.includes(opt));
+    if (sources.length > 1) {
+      console.error('Error: use only one of --keyfile, --key-env, --bunker');
+      process.exit(1);
+    }
+    const npubs = getOptionValues(args, '--npub');
+    for (const npub of npubs) {
+      try {
+        normalizePubkey(npub);
+      } catch {
+        console.error(`Error: Invalid npub: ${npub}`);
+        process.exit(1);
+      }
+    }
+
+    const existing = getIdentities()[name];
+    const def = { ...(existing || {}) };
+    if (sources.length === 1) {
+      delete def.keyfile;
+      delete def['key-env'];
+      delete def.bunker;
+      def[sources[0].slice(2)] = getOptionValues(args, sources[0])[0];
+    }
+    const merge = (field, values) => {
+      if (values.length > 0) {
+        def[field] = [...new Set([...(def[field] || []), ...values])];
+      }
+    };
+    merge('npubs', npubs);
+    merge('urls', getOptionValues(args, '--url'));
+    merge('hosts', getOptionValues(args, '--host'));
+
+    const path = setIdentity(name, def);
+    if (json) {
+      console.log(JSON.stringify({ name, identity: def, file: path }, null, 2));
+    } else {
+      console.log(`${existing ? 'Updated' : 'Added'} identity ${name} in ${path}`);
+      console.log(`  Key: ${describeKeySource(name, def)}`);
+      if (!def.npubs && !def.urls && !def.hosts) {
+        console.log('  No rules yet: select it with "gitrep identity use" or add --npub/--url/--host');
+      }
+    }
+  } else if (subcommand === 'remove') {
+    if (!name) {
+      console.error('Error: identity name required');
+      process.exit(1);
+    }
+    const removed = removeIdentity(name);
+    if (json) {
+      console.log(JSON.stringify({ name, removed }, null, 2));
+    } else {
+      console.log(removed ? `Removed identity ${name}` : `Identity ${name} does not exist`);
+    }
+  } else if (subcommand === 'use') {
+    if (!name) {
+      console.error('Error: identity name required');
+      console.error('Use: identity use <name> [--profile <name>] (clear with: gitrep config unset identity)');
+      process.exit(1);
+    }
+    if (args.includes('--repo')) {
+      console.error('Error: The identity can only be set in the user config file (per repository, add a rule: identity add <name> --url <pattern>)');
+      process.exit(1);
+    }
+    if (!getIdentities()[name]) {
+      console.error(`Error: Unknown identity: ${name}`);
+      process.exit(1);
+    }
+    const profile = getCliProfile();
+    const path = setConfigValue('identity', name, { profile });
+    console.log(json ? JSON.stringify({ identity: name, profile, file: path }, null, 2) : `Identity ${name} selected in ${path}${profile ? ` (profile ${profile})` : ''}`);
+  } else if (subcommand === 'which') {
+    const url = positional[1];
+    const selected = url
+      ? selectIdentity({ urls: [url], preferConfigured: false })
+      : selectIdentity({ urls: getRemoteUrls() });
+    if (json) {
+      console.log(JSON.stringify(selected ? { identity: selected.name, reason: selected.reason } : { identity: null }, null, 2));
+    } else if (selected) {
+      console.log(`${selected.name} (${selected.reason})`);
+      console.log(`  Key: ${describeKeySource(selected.name, selected.identity)}`);
+    } else {
+      console.log('No identity matches: the default key is used (NOSTRGIT_SECRET_KEY, keyfile, or bunker)');
+    }
+  } else {
+    console.error('Invalid identity command. Use: identity [list|add|remove|use|which]');
+    process.exit(1);
+  }
+}
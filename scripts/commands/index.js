@@ -4,5 +4,14 @@ export { file } from './file.js';
 export { search } from './search.js';
 export { publish } from './publish/index.js';
 export { verify } from './verify.js';
+export { tag } from './tag.js';
 export { pushAll } from './pushAll.js';
-export { pullAll } from './pullAll.js';
\ No newline at end of file
+export { pullAll } from './pullAll.js';
+export { config } from './config.js';
+export { key } from './key.js';
+export { identity } from './identity.js';
+export { patch } from './patch.js';
+export { pr, pr as prs } from './pr.js';
+export { issues } from './issues.js';
+export { comment } from './comment.js';
+export { thread } from './thread.js';
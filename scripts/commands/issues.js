@@ -0,0 +1,51 @@
+import { ITEM_TYPES, listRepoItems, showRepoItem } from './repo-items.js';
+
+function showIssuesHelp() {
+  console.log(`Issues
+
+List and show the issues (kind 1621) of a repository. The state of an issue is
+the newest status event (kinds 1630-1633) by the repository owner, a
+maintainer or the issue author.
+
+Usage: gitrep issues list [<naddr>|<owner-npub> <repo>] [options]
+       gitrep issues show <event-id|nevent|abbreviated-id>
+
+Without a repository, the GitRepublic remote of the current repository is used.
+
+Options:
+  --state <state>      open, resolved, closed, draft or all (default: open)
+  --label <label>      Only issues with this label (can be specified multiple times)
+  --author <npub>      Only issues by this author (can be specified multiple times)
+  --since <date>       Only issues created on or after this date (YYYY-MM-DD)
+  --until <date>       Only issues created on or before this date (YYYY-MM-DD)
+  --limit <n>          Show at most n issues
+  --relay <url>        Also query this relay (can be specified multiple times)
+  --json               Output JSON format
+
+Examples:
+  gitrep issues list
+  gitrep issues list npub1... myrepo --state all --label bug
+  gitrep issues show 3f2a1b9c
+`);
+}
+
+/**
+ * Issues command
+ */
+export async function issues(args, server, json) {
+  const subcommand = args[0];
+  if (!subcommand || subcommand === '--help' || subcommand === '-h' || args.includes('--help')) {
+    showIssuesHelp();
+    process.exit(0);
+  }
+
+  const rest = args.slice(1).filter(arg => arg !== '--json');
+  if (subcommand === 'list') {
+    await listRepoItems(ITEM_TYPES.issue, rest, json);
+  } else if (subcommand === 'show') {
+    await showRepoItem(ITEM_TYPES.issue, rest, json);
+  } else {
+    console.error('Invalid issues command. Use: issues list|show');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,287 @@
+import { existsSync, mkdirSync, writeFileSync, chmodSync } from 'fs';
+import { dirname } from 'path';
+import { nip19, getPublicKey } from 'nostr-tools';
+import { getConfigValue, setConfigValue, getCliProfile, loadConfig, getIdentities, setIdentity } from '../config.js';
+import {
+  getPrivateKeyBytes,
+  encryptSecretKey,
+  readKeyfile,
+  unlockSecretKey
+} from '../utils/keys.js';
+import { agentRequest, lockAgent } from '../utils/agent.js';
+import { promptSecret } from '../utils/prompt.js';
+import { getSigner, createBunkerSigner } from '../utils/signer.js';
+import { getIdentityKeyfile } from '../utils/identities.js';
+import { getRemoteUrls } from '../utils/git.js';
+
+function showKeyHelp() {
+  console.log(`Signing Key Management
+
+Usage: gitrep key <subcommand> [options]
+
+Subcommands:
+  import [nsec|hex|ncryptsec]   Encrypt the key with a passphrase (NIP-49) and store it in the keyfile
+  export [--nsec]               Print the stored ncryptsec (--nsec: decrypt and print the raw nsec)
+  encrypt [nsec|hex]            Print the key encrypted as ncryptsec without storing it
+  show-pubkey                   Show the public key (npub and hex) of the signing key
+  bunker <bunker-uri>           Connect to a NIP-46 remote signer and use it for all signing
+  unlock                        Unlock the key once and keep it in the key agent
+  lock                          Forget unlocked keys and stop the key agent
+  status                        Show whether the key agent holds an unlocked key
+
+Options:
+  --force                       Overwrite an existing keyfile (import)
+  --profile <name>              Store the bunker setting in this profile (bunker)
+  --logn <n>                    scrypt work factor for encryption (default: 16)
+  --identity <name>             Use the keyfile of a named identity (import, export, unlock; see: gitrep identity --help)
+  --json                        Output JSON format
+
+If no key is given, import/encrypt use NOSTRGIT_SECRET_KEY or prompt for it.
+Passing the key as an argument leaves it in your shell history.
+
+The signer is resolved in this order:
+  1. The NIP-46 bunker (config key "bunker" / NOSTRGIT_BUNKER), if set
+  2. NOSTRGIT_SECRET_KEY (nsec, hex, or ncryptsec)
+  3. The keyfile (config key "keyfile", default: ${getConfigValue('keyfile')})
+
+With a bunker, no private key is stored on this machine. The credential helper,
+commit hook and publish commands send signing requests to the bunker instead.
+This machine authenticates to the bunker with a client key stored in the config
+directory, so the bunker only has to approve it once.
+
+An ncryptsec is unlocked with the key agent cache, NOSTRGIT_KEY_PASSPHRASE, or a
+passphrase prompt on the terminal. After unlocking, the key is kept in memory by
+the key agent for "agent-timeout" seconds (default: 1800) since last use, so the
+credential helper and commit hook don't prompt on every git request.
+Disable with: gitrep config set agent false
+
+Examples:
+  gitrep key import
+  gitrep key show-pubkey
+  gitrep key unlock
+  gitrep key export
+  gitrep key bunker "bunker://<pubkey>?relay=wss://relay.example.com&secret=..."
+`);
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : null;
+}
+
+async function readSecretKeyInput(positional) {
+  if (positional) {
+    return positional;
+  }
+  const envKey = process.env.NOSTRGIT_SECRET_KEY || process.env.NOSTR_PRIVATE_KEY || process.env.NSEC;
+  if (envKey && !envKey.startsWith('ncryptsec1')) {
+    return envKey;
+  }
+  return promptSecret('Nostr private key (nsec or hex): ');
+}
+
+async function readNewPassphrase() {
+  if (process.env.NOSTRGIT_KEY_PASSPHRASE) {
+    return process.env.NOSTRGIT_KEY_PASSPHRASE;
+  }
+  const passphrase = await promptSecret('New passphrase: ');
+  const confirmation = await promptSecret('Repeat passphrase: ');
+  if (passphrase !== confirmation) {
+    throw new Error('Passphrases do not match');
+  }
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  return passphrase;
+}
+
+function parseLogn(args) {
+  const raw = getOption(args, '--logn');
+  if (raw === null) {
+    return 16;
+  }
+  const logn = Number(raw);
+  if (!Number.isInteger(logn) || logn < 1 || logn > 22) {
+    console.error('Error: --logn must be an integer between 1 and 22');
+    process.exit(1);
+  }
+  return logn;
+}
+
+/**
+ * Signing key command
+ */
+export async function key(args, server, json) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showKeyHelp();
+    process.exit(0);
+  }
+
+  const valueOptions = ['--logn'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const subcommand = positional[0];
+
+  // With --identity <name>, import/export/unlock work on that identity's keyfile
+  const resolved = loadConfig();
+  const identityName = resolved.sources.identity === 'flag' ? resolved.values.identity : null;
+  const identityDef = identityName ? getIdentities()[identityName] : null;
+  if (identityDef && (identityDef.bunker || identityDef['key-env']) && ['import', 'export', 'unlock'].includes(subcommand)) {
+    console.error(`Error: Identity ${identityName} does not use a keyfile (${identityDef.bunker ? 'bunker' : 'key-env'})`);
+    process.exit(1);
+  }
+  const keyfile = identityName ? getIdentityKeyfile(identityName, identityDef || {}) : getConfigValue('keyfile');
+
+  if (subcommand === 'import') {
+    if (existsSync(keyfile) && !args.includes('--force')) {
+      console.error(`Error: Keyfile already exists: ${keyfile}`);
+      console.error('Use --force to overwrite it');
+      process.exit(1);
+    }
+
+    const input = (await readSecretKeyInput(positional[1])).trim();
+    let ncryptsec;
+    let pubkey = null;
+    if (input.startsWith('ncryptsec1')) {
+      ncryptsec = input;
+    } else {
+      pubkey = getPublicKey(getPrivateKeyBytes(input));
+      ncryptsec = encryptSecretKey(input, await readNewPassphrase(), parseLogn(args));
+    }
+
+    mkdirSync(dirname(keyfile), { recursive: true, mode: 0o700 });
+    writeFileSync(keyfile, ncryptsec + '\n', { encoding: 'utf-8', mode: 0o600 });
+    chmodSync(keyfile, 0o600);
+    if (identityName && !identityDef) {
+      setIdentity(identityName, {});
+    }
+
+    if (json) {
+      console.log(JSON.stringify({ keyfile, pubkey, npub: pubkey ? nip19.npubEncode(pubkey) : null }, null, 2));
+    } else {
+      console.log(`✅ Encrypted key stored in ${keyfile}${identityName ? ` (identity ${identityName})` : ''}`);
+      if (pubkey) {
+        console.log(`   Public key: ${nip19.npubEncode(pubkey)}`);
+      }
+      if (identityName && !identityDef) {
+        console.log(`   Created identity ${identityName}; add rules with: gitrep identity add ${identityName} --npub <owner-npub>`);
+      }
+      if (process.env.NOSTRGIT_SECRET_KEY && !identityName) {
+        console.log('⚠️  NOSTRGIT_SECRET_KEY is still set and takes precedence over the keyfile');
+        console.log('   Remove it from your environment (e.g. ~/.bashrc) to use the encrypted key');
+      }
+    }
+  } else if (subcommand === 'export') {
+    const ncryptsec = readKeyfile(keyfile);
+    if (!ncryptsec) {
+      console.error(`Error: No keyfile found at ${keyfile}`);
+      process.exit(1);
+    }
+    if (args.includes('--nsec')) {
+      const hexKey = await unlockSecretKey(ncryptsec);
+      const nsec = nip19.nsecEncode(getPrivateKeyBytes(hexKey));
+      console.log(json ? JSON.stringify({ nsec }, null, 2) : nsec);
+      if (!json) {
+        console.error('⚠️  This is your unencrypted private key. Never share it.');
+      }
+    } else {
+      console.log(json ? JSON.stringify({ ncryptsec }, null, 2) : ncryptsec);
+    }
+  } else if (subcommand === 'encrypt') {
+    const input = (await readSecretKeyInput(positional[1])).trim();
+    getPrivateKeyBytes(input); // validate before asking for a passphrase
+    const ncryptsec = encryptSecretKey(input, await readNewPassphrase(), parseLogn(args));
+    console.log(json ? JSON.stringify({ ncryptsec }, null, 2) : ncryptsec);
+  } else if (subcommand === 'show-pubkey') {
+    const signer = await getSigner({ urls: getRemoteUrls() });
+    const pubkey = await signer.getPublicKey();
+    await signer.close();
+    const npub = nip19.npubEncode(pubkey);
+    if (json) {
+      console.log(JSON.stringify({ npub, pubkey, signer: signer.type, identity: signer.identity }, null, 2));
+    } else {
+      console.log(`npub: ${npub}`);
+      console.log(`hex:  ${pubkey}`);
+      if (signer.identity) {
+        console.log(`(identity ${signer.identity})`);
+      }
+      if (signer.type === 'bunker') {
+        console.log('(signing via NIP-46 bunker)');
+      }
+    }
+  } else if (subcommand === 'bunker') {
+    const uri = positional[1];
+    if (!uri) {
+      console.error('Error: bunker URI required');
+      console.error('Use: key bunker <bunker://...> [--profile <name>]');
+      process.exit(1);
+    }
+    if (args.includes('--repo')) {
+      console.error('Error: The bunker can only be set in the user config file (per repository, use an identity with rules, see: gitrep identity --help)');
+      process.exit(1);
+    }
+    // Connect once so the bunker can approve this client before the setting is saved
+    const signer = await createBunkerSigner(uri, { timeout: getConfigValue('bunker-timeout') * 1000 });
+    const pubkey = await signer.getPublicKey();
+    await signer.close();
+    const profile = getCliProfile();
+    const path = setConfigValue('bunker', uri, { profile });
+    if (json) {
+      console.log(JSON.stringify({ pubkey, npub: nip19.npubEncode(pubkey), file: path, profile }, null, 2));
+    } else {
+      console.log(`✅ Connected to bunker, signing as ${nip19.npubEncode(pubkey)}`);
+      console.log(`   Saved bunker${profile ? ` (profile ${profile})` : ''} in ${path}`);
+    }
+  } else if (subcommand === 'unlock') {
+    if (!getConfigValue('agent') || getConfigValue('agent-timeout') <= 0) {
+      console.error('Error: The key agent is disabled (config keys "agent" and "agent-timeout")');
+      process.exit(1);
+    }
+    const envKey = process.env.NOSTRGIT_SECRET_KEY || process.env.NOSTR_PRIVATE_KEY || process.env.NSEC;
+    let ncryptsec;
+    if (identityName) {
+      ncryptsec = readKeyfile(keyfile);
+    } else {
+      ncryptsec = envKey ? (envKey.startsWith('ncryptsec1') ? envKey : null) : readKeyfile();
+    }
+    if (!ncryptsec) {
+      console.error('Error: No encrypted key to unlock (NOSTRGIT_SECRET_KEY is not an ncryptsec and no keyfile found)');
+      process.exit(1);
+    }
+    await unlockSecretKey(ncryptsec);
+    const status = await agentRequest({ op: 'status' });
+    if (!status || !status.keys) {
+      console.error('Error: Could not start the key agent');
+      process.exit(1);
+    }
+    if (json) {
+      console.log(JSON.stringify({ unlocked: true, expiresAt: status.expiresAt }, null, 2));
+    } else {
+      console.log(`🔓 Key unlocked until ${new Date(status.expiresAt).toLocaleString()} (extended on each use)`);
+    }
+  } else if (subcommand === 'lock') {
+    const wasRunning = await lockAgent();
+    if (json) {
+      console.log(JSON.stringify({ locked: true, agentWasRunning: wasRunning }, null, 2));
+    } else {
+      console.log(wasRunning ? '🔒 Key agent stopped, unlocked keys forgotten' : 'Key agent is not running');
+    }
+  } else if (subcommand === 'status') {
+    const status = await agentRequest({ op: 'status' });
+    const hasKeyfile = existsSync(keyfile);
+    if (json) {
+      console.log(JSON.stringify({ keyfile, hasKeyfile, agentRunning: !!status, unlocked: !!(status && status.keys), expiresAt: status ? status.expiresAt : null }, null, 2));
+    } else {
+      console.log(`Keyfile: ${keyfile}${hasKeyfile ? '' : ' (not found)'}`);
+      if (!status) {
+        console.log('Key agent: not running');
+      } else if (status.keys) {
+        console.log(`Key agent: unlocked until ${new Date(status.expiresAt).toLocaleString()}`);
+      } else {
+        console.log('Key agent: running, no unlocked keys');
+      }
+    }
+  } else {
+    console.error('Invalid key command. Use: key [import|export|encrypt|show-pubkey|bunker|unlock|lock|status]');
+    process.exit(1);
+  }
+}
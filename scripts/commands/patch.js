@@ -0,0 +1,583 @@
+import { spawnSync } from 'child_process';
+import { nip19 } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { getPatchSubject, getRemoteUrls } from '../utils/git.js';
+import { getDiffLineAnchors, findAnchoredLine } from '../utils/diff.js';
+import { editText, stripCommentLines } from '../utils/editor.js';
+import { getSigner } from '../utils/signer.js';
+import { readStoredEvents, storeEventInJsonl } from '../utils/event-storage.js';
+import { parseEventReference, parseRepoAddress } from '../utils/nostr-refs.js';
+import { fetchEvents, fetchEventById } from '../relay/event-fetcher.js';
+import { publishToRelays } from '../relay/publisher.js';
+import { enhanceRelayList } from '../relay/relay-fetcher.js';
+import { verifyNostrEvent } from './verify.js';
+import { ITEM_TYPES, fetchRepoItems, listRepoItems, showRepoItem } from './repo-items.js';
+import { buildCommentEvent } from './publish/comment.js';
+
+const KIND_PATCH = 1617;
+
+function showPatchHelp() {
+  console.log(`Patches
+
+List, show, apply and review patch series published as NIP-34 patch events
+(kind 1617).
+
+Usage: gitrep patch apply <event-id|note|nevent> [options]
+       gitrep patch apply <naddr|owner-npub repo> [options]
+       gitrep patch list [<naddr>|<owner-npub> <repo>] [list options]
+       gitrep patch show <event-id|nevent|abbreviated-id>
+       gitrep patch review <event-id|nevent> [review options]
+
+Given any patch of a series, the whole series is fetched through its NIP-10
+threading, signatures are verified, the patches are ordered and applied with
+"git am --3way" on a new branch. With a repository address, the patch series
+of that repository are listed (or the latest one applied with --latest).
+
+list shows the series of a repository (the GitRepublic remote of the current
+repository if none is given) with their state: the newest status event
+(kinds 1630-1633) by the owner, a maintainer or the series author.
+
+review publishes code review comments on one patch as NIP-22 comments
+(kind 1111) anchored to lines of its diff with ["file", <path>] and
+["line", <number>, "new"|"old"] tags. Without --comment or --message the
+patch opens in $EDITOR (like git commit): write comments below the quoted
+lines they refer to, like replying by email. gitrep thread shows them inline
+next to the diff.
+
+List options:
+  --state <state>      open, applied, closed, draft or all (default: open)
+  --label <label>      Only series with this label (can be specified multiple times)
+  --author <npub>      Only series by this author (can be specified multiple times)
+  --since <date>       Only series created on or after this date (YYYY-MM-DD)
+  --until <date>       Only series created on or before this date (YYYY-MM-DD)
+  --limit <n>          Show at most n series
+
+Apply options:
+  --branch <name>      Branch to create (default: patch/<subject>[-v<n>])
+  --base <rev>         Start the branch here (default: the parent commit of the
+                       first patch if it exists locally, else HEAD)
+  --latest             Apply the latest revision of the series (v2, v3, ...)
+  --dry-run            Show the series without applying it
+
+Review options:
+  --comment <path>:<line> <text>  Comment on a line of the new file (<path>:<line>:old
+                       for a removed line; can be specified multiple times)
+  --message <text>     General comment on the patch
+  --dry-run            Show the comments without publishing them
+
+Common options:
+  --relay <url>        Also query this relay (can be specified multiple times)
+  --json               Output JSON format
+
+Examples:
+  gitrep patch list --state all
+  gitrep patch apply nevent1...
+  gitrep patch apply nevent1... --latest --branch review/fix-parser
+  gitrep patch apply npub1... myrepo --latest
+  gitrep patch review nevent1...
+  gitrep patch review nevent1... --comment src/parser.js:42 "Off by one?" --message "Looks good otherwise"
+`);
+}
+
+function hasTopic(event, topic) {
+  return event.tags.some(t => t[0] === 't' && t[1] === topic);
+}
+
+function getMarkedEventId(event, marker) {
+  return event.tags.find(t => t[0] === 'e' && t[3] === marker)?.[1] || null;
+}
+
+function isSeriesRoot(event) {
+  return hasTopic(event, 'root') || hasTopic(event, 'root-revision');
+}
+
+function hasDiff(event) {
+  return /^diff --git /m.test(event.content);
+}
+
+/**
+ * Get the ID of the first event of the series (revision) a patch belongs to
+ */
+function getSeriesRootId(event) {
+  if (isSeriesRoot(event)) {
+    return event.id;
+  }
+  // Unmarked (deprecated NIP-10) threading: the first e tag is the root
+  return getMarkedEventId(event, 'root') || event.tags.find(t => t[0] === 'e')?.[1] || event.id;
+}
+
+/**
+ * Keep valid events by the given author, deduplicated
+ */
+function filterTrusted(events, author, warnings) {
+  const seen = new Set();
+  return events.filter(event => {
+    if (seen.has(event.id) || event.kind !== KIND_PATCH || event.pubkey !== author) {
+      return false;
+    }
+    seen.add(event.id);
+    if (!verifyNostrEvent(event).valid) {
+      warnings.push(`Ignoring patch ${event.id} with an invalid signature`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Fetch patches tagging an event (from relays and nostr/patches.jsonl)
+ */
+async function fetchPatchesReferencing(id, relays) {
+  const fromRelays = await fetchEvents({ kinds: [KIND_PATCH], '#e': [id] }, relays);
+  const stored = readStoredEvents(KIND_PATCH).filter(e => e.tags.some(t => t[0] === 'e' && t[1] === id));
+  return [...fromRelays, ...stored];
+}
+
+/**
+ * Order a series by following the reply chain from the root; patches outside the chain go last by time
+ */
+function orderSeries(root, members) {
+  const ordered = [root];
+  const remaining = members.filter(e => e.id !== root.id);
+  while (remaining.length > 0) {
+    const current = ordered[ordered.length - 1];
+    const index = remaining.findIndex(e => {
+      const reply = getMarkedEventId(e, 'reply');
+      return reply ? reply === current.id : current === root;
+    });
+    if (index === -1) break;
+    ordered.push(...remaining.splice(index, 1));
+  }
+  remaining.sort((a, b) => a.created_at - b.created_at);
+  return [...ordered, ...remaining];
+}
+
+async function fetchPatch(id, relays) {
+  const event = await fetchEventById(id, { kinds: [KIND_PATCH], relays });
+  if (!event) {
+    throw new Error(`Patch ${id} not found on relays or in nostr/patches.jsonl`);
+  }
+  if (event.kind !== KIND_PATCH) {
+    throw new Error(`Event ${id} is not a patch (kind ${event.kind})`);
+  }
+  if (!verifyNostrEvent(event).valid) {
+    throw new Error(`Patch ${id} has an invalid signature`);
+  }
+  return event;
+}
+
+/**
+ * Resolve the series and revisions a patch belongs to
+ * @returns {Promise<{root: Object, patches: Object[], revision: number, revisions: Object[], warnings: string[]}>}
+ */
+async function resolveSeries(target, relays, latest) {
+  const warnings = [];
+  let root = target;
+  const rootId = getSeriesRootId(target);
+  if (rootId !== target.id) {
+    root = await fetchPatch(rootId, relays);
+  }
+
+  // All revisions of the series: the original root and the root-revision events replying to it
+  const original = hasTopic(root, 'root-revision') && getMarkedEventId(root, 'reply')
+    ? await fetchPatch(getMarkedEventId(root, 'reply'), relays).catch(() => null)
+    : root;
+  let revisions = [root];
+  if (original) {
+    const rerolls = filterTrusted(
+      (await fetchPatchesReferencing(original.id, relays)).filter(e => hasTopic(e, 'root-revision')),
+      original.pubkey,
+      warnings
+    ).sort((a, b) => a.created_at - b.created_at);
+    revisions = [original, ...rerolls];
+  }
+
+  if (latest) {
+    root = revisions[revisions.length - 1];
+  }
+  const revision = revisions.findIndex(r => r.id === root.id) + 1 || 1;
+
+  const members = filterTrusted(
+    [root, ...(await fetchPatchesReferencing(root.id, relays))].filter(e => e.id === root.id || !isSeriesRoot(e)),
+    root.pubkey,
+    warnings
+  );
+  return { root, patches: orderSeries(root, members), revision, revisions, warnings };
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '') || 'series';
+}
+
+function git(args, options = {}) {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  return spawnSync('git', args, { encoding: 'utf-8', ...options });
+}
+
+/**
+ * Apply a patch series with git am on a new branch
+ */
+async function applyPatch(args, json) {
+  const valueOptions = ['--branch', '--base', '--relay'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const getOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : null;
+  };
+  const relays = [...getConfigValue('relays')];
+  args.forEach((arg, i) => {
+    if (arg === '--relay' && args[i + 1]) relays.push(args[i + 1]);
+  });
+  const latest = args.includes('--latest');
+
+  if (positional.length === 0) {
+    console.error('Error: Patch event ID, nevent, or repository address required');
+    console.error('Use: patch apply <event-id|nevent> [--branch <name>] or patch apply <naddr|owner-npub repo> [--latest]');
+    process.exit(1);
+  }
+
+  // Find the target patch: an event reference, or the series of a repository
+  let target;
+  let reference = null;
+  try {
+    reference = parseEventReference(positional[0]);
+  } catch {
+    // Not an event reference: try a repository address
+  }
+  if (reference) {
+    relays.push(...reference.relays);
+    target = await fetchPatch(reference.id, relays);
+  } else {
+    let address;
+    try {
+      address = parseRepoAddress(positional[0], positional[1]);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    relays.push(...address.relays);
+    const series = await fetchRepoItems(KIND_PATCH, address, relays);
+    if (series.length === 0) {
+      console.error(`No patch series found for ${nip19.npubEncode(address.pubkey)}/${address.identifier}`);
+      process.exit(1);
+    }
+    if (series.length > 1 && !latest) {
+      if (json) {
+        console.log(JSON.stringify({ series: series.map(e => ({ id: e.id, subject: getPatchSubject(e.content), created_at: e.created_at })) }, null, 2));
+      } else {
+        console.log(`Patch series for ${nip19.npubEncode(address.pubkey)}/${address.identifier}:`);
+        series.forEach(e => console.log(`  ${e.id}  ${new Date(e.created_at * 1000).toISOString().slice(0, 10)}  ${getPatchSubject(e.content)}`));
+        console.log('\nApply one with: gitrep patch apply <event-id>, or the newest with --latest');
+      }
+      process.exit(0);
+    }
+    target = series[0];
+  }
+
+  const { root, patches, revision, revisions, warnings } = await resolveSeries(target, relays, latest || !reference);
+  warnings.forEach(w => console.error(`⚠️  ${w}`));
+
+  const cover = patches[0] && !hasDiff(patches[0]) ? patches[0] : null;
+  const toApply = patches.filter(hasDiff);
+  const subject = getPatchSubject((cover || toApply[0] || root).content);
+  if (toApply.length === 0) {
+    console.error('Error: The series contains no patches with changes');
+    process.exit(1);
+  }
+
+  const firstParent = toApply[0].tags.find(t => t[0] === 'parent-commit')?.[1] || null;
+  const parentExists = firstParent && git(['cat-file', '-e', `${firstParent}^{commit}`]).status === 0;
+  const base = getOption('--base') || (parentExists ? firstParent : 'HEAD');
+  const branch = getOption('--branch') || `patch/${slugify(subject)}${revision > 1 ? `-v${revision}` : ''}`;
+
+  const summary = {
+    root: root.id,
+    author: nip19.npubEncode(root.pubkey),
+    subject,
+    revision,
+    revisions: revisions.length,
+    patches: toApply.map(e => ({ id: e.id, commit: e.tags.find(t => t[0] === 'commit')?.[1] || null, subject: getPatchSubject(e.content) })),
+    branch,
+    base
+  };
+
+  if (!json) {
+    console.log(`Series: ${subject}`);
+    console.log(`Author: ${summary.author}`);
+    console.log(`Revision: ${revision} of ${revisions.length}${revision < revisions.length ? ' (a newer revision exists, use --latest)' : ''}`);
+    console.log(`Patches (signatures verified):${cover ? ' cover letter +' : ''} ${toApply.length}`);
+    summary.patches.forEach((p, i) => console.log(`  ${i + 1}. ${p.subject}`));
+    if (firstParent && !parentExists && !getOption('--base')) {
+      console.log(`⚠️  Parent commit ${firstParent.slice(0, 7)} is not in this repository; applying on HEAD`);
+    }
+  }
+
+  if (args.includes('--dry-run')) {
+    if (json) {
+      console.log(JSON.stringify({ ...summary, applied: false }, null, 2));
+    }
+    return;
+  }
+
+  if (git(['rev-parse', '--is-inside-work-tree']).status !== 0) {
+    console.error('Error: Not in a git repository');
+    process.exit(1);
+  }
+  if (git(['status', '--porcelain', '--untracked-files=no']).stdout.trim()) {
+    console.error('Error: You have uncommitted changes; commit or stash them first');
+    process.exit(1);
+  }
+  if (git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]).status === 0) {
+    console.error(`Error: Branch ${branch} already exists (use --branch <name>)`);
+    process.exit(1);
+  }
+
+  const checkout = git(['checkout', '-b', branch, base]);
+  if (checkout.status !== 0) {
+    console.error(`Error: Could not create branch ${branch}: ${checkout.stderr.trim()}`);
+    process.exit(1);
+  }
+
+  // git am reads the patches as one mbox (each format-patch message starts with a "From <sha>" line)
+  const mbox = toApply.map(e => (e.content.endsWith('\n') ? e.content : `${e.content}\n`)).join('');
+  const am = git(['am', '--3way'], { input: mbox, stdio: ['pipe', json ? 'ignore' : 'inherit', 'inherit'] });
+  const applied = am.status === 0;
+
+  if (json) {
+    console.log(JSON.stringify({ ...summary, applied }, null, 2));
+  } else if (applied) {
+    console.log(`\n✅ Applied revision ${revision} (${toApply.length} patch(es)) on branch ${branch}`);
+  }
+  if (!applied) {
+    console.error(`\n❌ git am stopped on branch ${branch}: resolve the conflict and run "git am --continue", or "git am --abort"`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Build the review file: the patch quoted email-style, comments go below the lines they refer to
+ * @param {Object} event - Patch event
+ * @returns {string}
+ */
+export function buildReviewFile(event) {
+  const quoted = event.content.replace(/\n$/, '').split('\n').map(line => (line ? `> ${line}` : '>'));
+  return [
+    `# Review of: ${getPatchSubject(event.content)}`,
+    `# Patch ${event.id}`,
+    '#',
+    '# Write your comments below the quoted lines they refer to, like replying to',
+    '# a patch by email. Delete quoted parts you do not comment on if you like.',
+    '# Text above the first line of the diff becomes a general comment.',
+    '# Lines starting with "#" are ignored; an unchanged or empty review is aborted.',
+    '',
+    ...quoted,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parse an edited review file into a general comment and comments anchored to diff lines
+ * Quoted lines are matched against the patch in order, so deleted quotes do not shift the anchors.
+ * Trailing whitespace is ignored (editors trim it, turning the quote of a blank context line
+ * into ">"), and an empty quote never skips over non-empty lines of the patch.
+ * @param {string} text - Edited review file (see buildReviewFile)
+ * @param {Object} event - Patch event
+ * @returns {{general: string, comments: Array<{file: string, line: number|null, side: string, text: string}>}}
+ */
+export function parseReviewFile(text, event) {
+  const patchLines = event.content.split('\n').map(line => line.trimEnd());
+  const anchors = getDiffLineAnchors(event.content);
+  const general = [];
+  const comments = [];
+  let cursor = 0;
+  let anchor = null;
+  let block = [];
+
+  const flush = () => {
+    const comment = block.join('\n').trim();
+    block = [];
+    if (!comment) return;
+    if (anchor && anchor.file) {
+      comments.push({ file: anchor.file, line: anchor.line, side: anchor.side || 'new', text: comment });
+    } else {
+      general.push(comment);
+    }
+  };
+
+  for (const line of stripCommentLines(text).split('\n')) {
+    if (line.startsWith('>')) {
+      flush();
+      const quoted = line.replace(/^> ?/, '').trimEnd();
+      let index = patchLines.indexOf(quoted, cursor);
+      if (quoted === '' && patchLines.slice(cursor, index).some(Boolean)) {
+        index = -1;
+      }
+      if (index !== -1) {
+        cursor = index + 1;
+        anchor = anchors[index];
+      }
+    } else {
+      block.push(line);
+    }
+  }
+  flush();
+  return { general: general.join('\n\n'), comments };
+}
+
+/**
+ * Parse a --comment location: <path>:<line>[:old]
+ */
+function parseCommentLocation(location, anchors) {
+  const match = location.match(/^(.+):(\d+)(?::(old|new))?$/);
+  if (!match) {
+    throw new Error(`Invalid comment location: ${location} (use <path>:<line>, or <path>:<line>:old for a removed line)`);
+  }
+  const [, file, line, side = 'new'] = match;
+  if (findAnchoredLine(anchors, file, parseInt(line, 10), side) === -1) {
+    throw new Error(`${location} is not a line of the diff${side === 'new' ? ' (use :old for a removed line)' : ''}`);
+  }
+  return { file, line: parseInt(line, 10), side };
+}
+
+/**
+ * Review a patch: publish a general comment and comments anchored to lines of its diff (NIP-22, kind 1111)
+ */
+async function reviewPatch(args, json) {
+  const relays = [...getConfigValue('relays')];
+  const flagComments = [];
+  let message = null;
+  let reference = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--comment' && args[i + 1] && args[i + 2] !== undefined) {
+      flagComments.push({ location: args[i + 1], text: args[i + 2] });
+      i += 2;
+    } else if (args[i] === '--message' && args[i + 1] !== undefined) {
+      message = args[++i];
+    } else if (args[i] === '--relay' && args[i + 1]) {
+      relays.push(args[++i]);
+    } else if (!args[i].startsWith('--') && !reference) {
+      reference = args[i];
+    }
+  }
+
+  if (!reference) {
+    console.error('Error: Patch event ID or nevent required');
+    console.error('Use: patch review <event-id|nevent> [--comment <path>:<line> <text>] [--message <text>]');
+    process.exit(1);
+  }
+
+  let parsed;
+  try {
+    parsed = parseEventReference(reference);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  relays.push(...parsed.relays);
+  const event = await fetchPatch(parsed.id, relays);
+  if (!hasDiff(event)) {
+    console.error('Error: This patch has no diff (a cover letter); review the patches of the series (see: gitrep thread <id>)');
+    process.exit(1);
+  }
+
+  // Comments from the flags, or from a review file edited in $EDITOR
+  let review;
+  if (flagComments.length > 0 || message !== null) {
+    const anchors = getDiffLineAnchors(event.content);
+    try {
+      review = {
+        general: (message || '').trim(),
+        comments: flagComments.map(c => ({ ...parseCommentLocation(c.location, anchors), text: c.text }))
+      };
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  } else {
+    const template = buildReviewFile(event);
+    const edited = editText(template, 'REVIEW.patch');
+    review = edited === template ? { general: '', comments: [] } : parseReviewFile(edited, event);
+  }
+  if (!review.general && review.comments.length === 0) {
+    console.error('Review aborted: no comments');
+    process.exit(1);
+  }
+
+  const location = c => `${c.file}${c.line ? `:${c.line}${c.side === 'old' ? ' (removed line)' : ''}` : ''}`;
+  if (args.includes('--dry-run')) {
+    if (json) {
+      console.log(JSON.stringify({ patch: event.id, ...review, published: false }, null, 2));
+    } else {
+      console.log(`Review of: ${getPatchSubject(event.content)}`);
+      if (review.general) console.log(`\n${review.general}`);
+      review.comments.forEach(c => console.log(`\n💬 ${location(c)}\n${c.text}`));
+    }
+    return;
+  }
+
+  const signer = await getSigner({ urls: getRemoteUrls() });
+  try {
+    const pubkey = await signer.getPublicKey();
+    const baseRelays = getConfigValue('relays');
+    const publishRelays = await enhanceRelayList(baseRelays, pubkey, baseRelays);
+    const relayHint = parsed.relays[0] || '';
+    const drafts = [
+      ...(review.general ? [{ text: review.general, anchor: null }] : []),
+      ...review.comments.map(c => ({ text: c.text, anchor: c }))
+    ];
+
+    const published = [];
+    for (const draft of drafts) {
+      const comment = await signer.signEvent(buildCommentEvent({
+        target: event,
+        content: draft.text,
+        relayHint,
+        anchor: draft.anchor,
+        clientTag: !args.includes('--no-client-tag')
+      }));
+      storeEventInJsonl(comment);
+      const result = await publishToRelays(comment, publishRelays, signer, pubkey);
+      published.push({ id: comment.id, location: draft.anchor ? location(draft.anchor) : null, relays: result.success.length });
+      if (!json) {
+        console.log(`💬 ${draft.anchor ? location(draft.anchor) : 'General comment'}: ${comment.id} (${result.success.length} relay(s))`);
+      }
+    }
+
+    if (json) {
+      console.log(JSON.stringify({ patch: event.id, comments: published }, null, 2));
+    } else {
+      console.log(`\n✅ Published ${published.length} review comment(s), stored in nostr/comments.jsonl`);
+      console.log(`View with: gitrep thread ${event.id}`);
+    }
+  } finally {
+    await signer.close();
+  }
+}
+
+/**
+ * Patch command
+ */
+export async function patch(args, server, json) {
+  const subcommand = args[0];
+  if (!subcommand || subcommand === '--help' || subcommand === '-h' || args.includes('--help')) {
+    showPatchHelp();
+    process.exit(0);
+  }
+
+  const rest = args.slice(1).filter(arg => arg !== '--json');
+  if (subcommand === 'apply') {
+    await applyPatch(rest, json);
+  } else if (subcommand === 'review') {
+    await reviewPatch(rest, json);
+  } else if (subcommand === 'list') {
+    await listRepoItems(ITEM_TYPES.patch, rest, json);
+  } else if (subcommand === 'show') {
+    await showRepoItem(ITEM_TYPES.patch, rest, json, async event => [
+      ['Commit', event.tags.find(t => t[0] === 'commit')?.[1]],
+      ['Apply', `gitrep patch apply ${event.id}`]
+    ].filter(([, value]) => value));
+  } else {
+    console.error('Invalid patch command. Use: patch list|show|apply|review');
+    process.exit(1);
+  }
+}
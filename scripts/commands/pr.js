@@ -0,0 +1,315 @@
+import { spawnSync } from 'child_process';
+import { nip19 } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { readStoredEvents } from '../utils/event-storage.js';
+import { parseEventReference } from '../utils/nostr-refs.js';
+import { checkUrlReachability } from '../utils/git-urls.js';
+import { fetchEvents, fetchEventById } from '../relay/event-fetcher.js';
+import { verifyNostrEvent } from './verify.js';
+import { ITEM_TYPES, listRepoItems, showRepoItem } from './repo-items.js';
+
+const KIND_PULL_REQUEST = 1618;
+const KIND_PULL_REQUEST_UPDATE = 1619;
+
+function showPrHelp() {
+  console.log(`Pull Requests
+
+List, show and check out pull requests published as NIP-34 events (kind 1618)
+and their updates (kind 1619).
+
+Usage: gitrep prs list [<naddr>|<owner-npub> <repo>] [options]
+       gitrep prs show <event-id|nevent|abbreviated-id>
+       gitrep pr checkout <event-id|note|nevent> [options]
+
+"pr" and "prs" are the same command. Without a repository, list uses the
+GitRepublic remote of the current repository. The state of a pull request is
+the newest status event (kinds 1630-1633) by the repository owner, a
+maintainer or the PR author.
+
+checkout takes the tip commit from the latest PR update signed by the PR
+author (or from the PR itself), fetches it from the first reachable clone URL
+and checks it out on a local branch that tracks the PR. Running it again
+moves the branch to the newest tip.
+
+List options:
+  --state <state>      open, merged, closed, draft or all (default: open)
+  --label <label>      Only PRs with this label (can be specified multiple times)
+  --author <npub>      Only PRs by this author (can be specified multiple times)
+  --since <date>       Only PRs created on or after this date (YYYY-MM-DD)
+  --until <date>       Only PRs created on or before this date (YYYY-MM-DD)
+  --limit <n>          Show at most n PRs
+
+Checkout options:
+  --branch <name>      Branch to check out (default: pr/<subject>)
+  --force              Reset the branch even if the new tip does not contain it
+  --dry-run            Show the PR tip and clone URLs without fetching
+
+Common options:
+  --relay <url>        Also query this relay (can be specified multiple times)
+  --json               Output JSON format
+
+Examples:
+  gitrep prs list --state all
+  gitrep prs show 3f2a1b9c
+  gitrep pr checkout nevent1...
+  gitrep pr checkout <pr-event-id> --branch review/parser-fix
+`);
+}
+
+function git(args, options = {}) {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  return spawnSync('git', args, { encoding: 'utf-8', ...options });
+}
+
+function getTag(event, name) {
+  return event.tags.find(t => t[0] === name)?.[1] || null;
+}
+
+function getTagValues(event, name) {
+  return event.tags.filter(t => t[0] === name && t[1]).map(t => t[1]);
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '') || 'pull-request';
+}
+
+function commitExists(commit) {
+  return git(['cat-file', '-e', `${commit}^{commit}`]).status === 0;
+}
+
+/**
+ * Fetch an event and check its kind and signature
+ */
+async function fetchVerified(id, kinds, relays) {
+  const event = await fetchEventById(id, { kinds, relays });
+  if (!event) {
+    throw new Error(`Event ${id} not found on relays or in nostr/pull-requests.jsonl`);
+  }
+  if (!kinds.includes(event.kind)) {
+    throw new Error(`Event ${id} is not a pull request (kind ${event.kind})`);
+  }
+  if (!verifyNostrEvent(event).valid) {
+    throw new Error(`Event ${id} has an invalid signature`);
+  }
+  return event;
+}
+
+/**
+ * Find the latest PR update (kind 1619) signed by the PR author
+ */
+async function findLatestUpdate(pr, relays) {
+  const fromRelays = await fetchEvents({ kinds: [KIND_PULL_REQUEST_UPDATE], '#E': [pr.id] }, relays);
+  const stored = readStoredEvents(KIND_PULL_REQUEST_UPDATE).filter(e => e.tags.some(t => t[0] === 'E' && t[1] === pr.id));
+  const updates = [...fromRelays, ...stored]
+    .filter(e => e.kind === KIND_PULL_REQUEST_UPDATE && e.pubkey === pr.pubkey && getTag(e, 'c') && verifyNostrEvent(e).valid)
+    .sort((a, b) => b.created_at - a.created_at);
+  return updates[0] || null;
+}
+
+/**
+ * Fetch a commit from the first reachable clone URL
+ * @returns {Promise<{url: string|null, errors: string[]}>}
+ */
+async function fetchCommit(commit, cloneUrls, quiet) {
+  const errors = [];
+  for (const url of cloneUrls) {
+    const reachability = await checkUrlReachability(url);
+    if (!reachability.reachable) {
+      errors.push(`${url}: ${reachability.error || 'unreachable'}`);
+      continue;
+    }
+    if (!quiet) {
+      console.log(`Fetching ${commit.slice(0, 7)} from ${url}...`);
+    }
+    // Servers that refuse to serve a commit by ID still serve their branches
+    for (const refspec of [commit, 'refs/heads/*']) {
+      // Security: Clone URLs come from the event, so "--" keeps them from being read as options
+      const result = git(['fetch', '--no-tags', '--', url, refspec]);
+      if (result.status === 0 && commitExists(commit)) {
+        return { url, errors };
+      }
+      errors.push(`${url}: ${result.status !== 0 ? result.stderr.trim().split('\n').pop() : `${commit.slice(0, 7)} not found`}`);
+    }
+  }
+  return { url: null, errors };
+}
+
+/**
+ * Check out the tip of a pull request on a local branch
+ */
+async function checkoutPr(args, json) {
+  const valueOptions = ['--branch', '--relay'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const branchIndex = args.indexOf('--branch');
+  const branchOption = branchIndex !== -1 && args[branchIndex + 1] ? args[branchIndex + 1] : null;
+  const relays = [...getConfigValue('relays')];
+  args.forEach((arg, i) => {
+    if (arg === '--relay' && args[i + 1]) relays.push(args[i + 1]);
+  });
+
+  if (positional.length === 0) {
+    console.error('Error: Pull request event ID or nevent required');
+    console.error('Use: pr checkout <event-id|nevent> [--branch <name>]');
+    process.exit(1);
+  }
+
+  let reference;
+  try {
+    reference = parseEventReference(positional[0]);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  relays.push(...reference.relays);
+
+  // A PR update given instead of the PR leads back to the PR through its E tag
+  let pr = await fetchVerified(reference.id, [KIND_PULL_REQUEST, KIND_PULL_REQUEST_UPDATE], relays);
+  if (pr.kind === KIND_PULL_REQUEST_UPDATE) {
+    const prId = getTag(pr, 'E');
+    if (!prId) {
+      throw new Error(`PR update ${pr.id} does not reference a pull request`);
+    }
+    pr = await fetchVerified(prId, [KIND_PULL_REQUEST], relays);
+  }
+
+  const update = await findLatestUpdate(pr, relays);
+  const tip = getTag(update || pr, 'c');
+  const cloneUrls = [...new Set([...(update ? getTagValues(update, 'clone') : []), ...getTagValues(pr, 'clone')])];
+  const subject = getTag(pr, 'subject') || pr.content.split('\n')[0] || pr.id.slice(0, 8);
+  const headBranch = getTag(pr, 'branch-name') || getTag(pr, 'head');
+  const branch = branchOption || `pr/${slugify(subject)}`;
+
+  if (!tip) {
+    console.error('Error: The pull request has no tip commit (c tag) and no updates from its author');
+    process.exit(1);
+  }
+
+  const summary = {
+    pr: pr.id,
+    author: nip19.npubEncode(pr.pubkey),
+    subject,
+    tip,
+    update: update ? update.id : null,
+    cloneUrls,
+    branch
+  };
+
+  if (!json) {
+    console.log(`Pull request: ${subject}`);
+    console.log(`Author: ${summary.author}`);
+    console.log(`Tip: ${tip}${update ? ` (update ${update.id.slice(0, 8)}, ${new Date(update.created_at * 1000).toISOString().slice(0, 10)})` : ''}`);
+  }
+
+  if (args.includes('--dry-run')) {
+    if (json) {
+      console.log(JSON.stringify({ ...summary, checkedOut: false }, null, 2));
+    } else {
+      console.log('Clone URLs:');
+      cloneUrls.forEach(url => console.log(`  ${url}`));
+    }
+    return;
+  }
+
+  if (git(['rev-parse', '--is-inside-work-tree']).status !== 0) {
+    console.error('Error: Not in a git repository');
+    process.exit(1);
+  }
+  if (git(['status', '--porcelain', '--untracked-files=no']).stdout.trim()) {
+    console.error('Error: You have uncommitted changes; commit or stash them first');
+    process.exit(1);
+  }
+
+  // An existing branch is only moved when it already tracks this PR
+  const branchExists = git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]).status === 0;
+  if (branchExists) {
+    const trackedPr = git(['config', '--get', `branch.${branch}.gitrepublic-pr`]).stdout.trim();
+    if (trackedPr !== pr.id) {
+      console.error(`Error: Branch ${branch} already exists and does not track this pull request (use --branch <name>)`);
+      process.exit(1);
+    }
+  }
+
+  let fetchedFrom = null;
+  if (!commitExists(tip)) {
+    if (cloneUrls.length === 0) {
+      console.error(`Error: Commit ${tip} is not in this repository and the pull request has no clone URLs`);
+      process.exit(1);
+    }
+    const { url, errors } = await fetchCommit(tip, cloneUrls, json);
+    if (!url) {
+      console.error(`Error: Could not fetch ${tip} from any clone URL`);
+      errors.forEach(e => console.error(`  ${e}`));
+      process.exit(1);
+    }
+    fetchedFrom = url;
+  }
+
+  let result;
+  if (!branchExists) {
+    result = git(['checkout', '-b', branch, tip]);
+  } else {
+    const current = git(['rev-parse', `refs/heads/${branch}`]).stdout.trim();
+    const fastForward = git(['merge-base', '--is-ancestor', current, tip]).status === 0;
+    if (!fastForward && !args.includes('--force')) {
+      console.error(`Error: The new tip of the pull request does not contain all commits of ${branch}; use --force to reset the branch`);
+      process.exit(1);
+    }
+    result = git(['checkout', '-B', branch, tip]);
+  }
+  if (result.status !== 0) {
+    console.error(`Error: Could not check out ${branch}: ${result.stderr.trim()}`);
+    process.exit(1);
+  }
+
+  // Remember the PR so the branch can be updated later; with a known head branch "git pull" follows the PR too
+  git(['config', `branch.${branch}.gitrepublic-pr`, pr.id]);
+  let trackingUrl = fetchedFrom;
+  for (const url of cloneUrls) {
+    if (trackingUrl) break;
+    if ((await checkUrlReachability(url)).reachable) trackingUrl = url;
+  }
+  if (trackingUrl && headBranch) {
+    git(['config', `branch.${branch}.remote`, trackingUrl]);
+    git(['config', `branch.${branch}.merge`, `refs/heads/${headBranch}`]);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ ...summary, fetchedFrom, updated: branchExists, checkedOut: true }, null, 2));
+  } else {
+    console.log(`\n✅ ${branchExists ? 'Updated' : 'Checked out'} pull request on branch ${branch} at ${tip.slice(0, 7)}`);
+  }
+}
+
+/**
+ * Pull request command
+ */
+export async function pr(args, server, json) {
+  const subcommand = args[0];
+  if (!subcommand || subcommand === '--help' || subcommand === '-h' || args.includes('--help')) {
+    showPrHelp();
+    process.exit(0);
+  }
+
+  const rest = args.slice(1).filter(arg => arg !== '--json');
+  if (subcommand === 'list') {
+    await listRepoItems(ITEM_TYPES.pr, rest, json);
+  } else if (subcommand === 'show') {
+    await showRepoItem(ITEM_TYPES.pr, rest, json, async (event, relays) => {
+      const update = await findLatestUpdate(event, relays);
+      const cloneUrls = [...new Set([...(update ? getTagValues(update, 'clone') : []), ...getTagValues(event, 'clone')])];
+      return [
+        ['Base', getTag(event, 'base')],
+        ['Head', getTag(event, 'branch-name') || getTag(event, 'head')],
+        ['Tip', getTag(update || event, 'c')],
+        ['Latest update', update ? update.id : null],
+        ['Clone URLs', cloneUrls.join(', ')],
+        ['Check out', `gitrep pr checkout ${event.id}`]
+      ].filter(([, value]) => value);
+    });
+  } else if (subcommand === 'checkout') {
+    await checkoutPr(rest, json);
+  } else {
+    console.error('Invalid pr command. Use: pr list|show|checkout');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,81 @@
+import { nip19 } from 'nostr-tools';
+import { getConfigValue } from '../../config.js';
+import { getRemoteUrls } from '../../utils/git.js';
+import { getRepoAddressFromUrls } from '../../utils/nostr-refs.js';
+import { fetchLatestAddressableEvent } from '../../relay/event-fetcher.js';
+import { getAnnouncementMaintainers } from './repo-announcement.js';
+import { fetchOwnershipTransfers, validateOwnershipChain } from './ownership-transfer.js';
+
+/**
+ * Determine who has authority over a repository: the current owner (following the ownership
+ * transfers from the owner it is addressed by) and the maintainers listed in the current
+ * owner's announcement
+ * @param {{pubkey: string, identifier: string}} address - Repository address
+ * @param {string[]} relays - Relays to query
+ * @returns {Promise<{owner: string, maintainers: Set<string>, announcement: Object|null, transfers: Object[]}>}
+ *   maintainers includes the owner; transfers are the hops from the addressed owner to the current one
+ */
+export async function resolveRepoAuthority(address, relays) {
+  const transfers = await fetchOwnershipTransfers(address.identifier, relays);
+  const { owner, hops } = validateOwnershipChain(address.pubkey, address.identifier, transfers);
+  const announcement = await fetchLatestAddressableEvent(30617, owner, address.identifier, relays);
+  return {
+    owner,
+    maintainers: new Set([owner, ...getAnnouncementMaintainers(announcement)]),
+    announcement,
+    transfers: hops.filter(hop => !hop.selfTransfer).map(hop => hop.event)
+  };
+}
+
+/**
+ * Get the repository a maintainer-only event is about: the GitRepublic repository of the
+ * remotes if it has this name, else the signer's own repository
+ * @param {string} repoName - Repository name
+ * @param {string} pubkey - Signer pubkey (hex)
+ * @returns {{pubkey: string, identifier: string}}
+ */
+export function getTargetRepoAddress(repoName, pubkey) {
+  const remote = getRepoAddressFromUrls(getRemoteUrls());
+  return remote && remote.identifier === repoName ? remote : { pubkey, identifier: repoName };
+}
+
+/**
+ * Whether publishing without authority is refused (--strict or the "publish-strict" config)
+ * @param {string[]} args - Subcommand arguments
+ */
+export function isStrictPublish(args) {
+  return args.includes('--strict') || getConfigValue('publish-strict');
+}
+
+/**
+ * Check that the signer may publish a maintainer-only event for a repository
+ * Warns on stderr when they may not, so the event can still be published on purpose;
+ * in strict mode it throws instead.
+ * @param {Object} options
+ * @param {{pubkey: string, identifier: string}} options.address - Repository address
+ * @param {string} options.pubkey - Signer pubkey (hex)
+ * @param {string[]} options.relays - Relays to query
+ * @param {string} options.action - What is being published, for the messages ("repository state")
+ * @param {boolean} [options.ownerOnly] - Only the current owner has authority (not the maintainers)
+ * @param {boolean} [options.strict] - Throw instead of warning
+ * @returns {Promise<Object>} - Result of resolveRepoAuthority
+ * @throws {Error} - In strict mode, if the signer has no authority
+ */
+export async function checkPublishAuthority({ address, pubkey, relays, action, ownerOnly = false, strict = false }) {
+  const authority = await resolveRepoAuthority(address, relays);
+  if (ownerOnly ? authority.owner === pubkey : authority.maintainers.has(pubkey)) {
+    return authority;
+  }
+
+  const repo = `${nip19.npubEncode(address.pubkey)}/${address.identifier}`;
+  let message = `${nip19.npubEncode(pubkey)} is not the owner${ownerOnly ? '' : ' or a maintainer'} of ${repo}`;
+  if (authority.owner !== address.pubkey) {
+    message += ` (ownership was transferred to ${nip19.npubEncode(authority.owner)})`;
+  }
+  if (strict) {
+    throw new Error(`${message}; not publishing the ${action}`);
+  }
+  console.error(`Warning: ${message}`);
+  console.error(`Clients will ignore this ${action}. Use --strict to refuse publishing it.`);
+  return authority;
+}
@@ -0,0 +1,122 @@
+import { parseEventReference } from '../../utils/nostr-refs.js';
+import { fetchEventById } from '../../relay/event-fetcher.js';
+import { publishEventCommon, addClientTag } from './index.js';
+import { verifyNostrEvent } from '../verify.js';
+
+const KIND_COMMENT = 1111;
+
+/**
+ * Event kinds that can be commented on from the CLI (looked up in nostr/ before relays)
+ */
+const COMMENTABLE_KINDS = [1621, 1618, 1619, 1617, 1630, 1631, 1632, 1633, KIND_COMMENT];
+
+/**
+ * Build an unsigned NIP-22 comment (kind 1111)
+ * Commenting on an issue, PR or patch makes it the root; replying to a comment keeps that
+ * comment's root (E/A, K, P tags) and makes the comment the parent (e, k, p tags).
+ * @param {Object} options
+ * @param {Object} options.target - Event being commented on (issue, PR, patch or comment)
+ * @param {string} options.content - Comment text
+ * @param {string} [options.relayHint] - Relay where the target can be found
+ * @param {Object} [options.anchor] - Code review anchor in a patch: { file, line, side } (side "new" or "old"),
+ *   added as ["file", path] and ["line", number, side] tags
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
+ * @throws {Error} - If the target is not a validly signed event or a comment target has no root
+ */
+export function buildCommentEvent({ target, content, relayHint = '', anchor = null, clientTag = true }) {
+  if (!target || !target.id || !target.pubkey || !Number.isInteger(target.kind)) {
+    throw new Error('target event (id, pubkey, kind) is required');
+  }
+  // The root tags, ID and author are copied from the target, so it must be the event its author signed
+  const verification = verifyNostrEvent(target);
+  if (!verification.valid) {
+    throw new Error(`Event ${target.id} has ${verification.idMatches ? 'an invalid signature' : 'an ID that does not match its content'}, not commenting on it`);
+  }
+  if (!content || !content.trim()) {
+    throw new Error('Comment content is required');
+  }
+
+  let rootTags;
+  if (target.kind === KIND_COMMENT) {
+    rootTags = target.tags.filter(t => ['E', 'A', 'I', 'K', 'P'].includes(t[0])).map(t => [...t]);
+    if (!rootTags.some(t => t[0] === 'K')) {
+      throw new Error(`Comment ${target.id} has no root (K tag)`);
+    }
+  } else {
+    rootTags = [
+      ['E', target.id, relayHint, target.pubkey],
+      ['K', String(target.kind)],
+      ['P', target.pubkey]
+    ];
+  }
+
+  const tags = [
+    ...rootTags,
+    ['e', target.id, relayHint, target.pubkey],
+    ['k', String(target.kind)],
+    ['p', target.pubkey]
+  ];
+
+  if (anchor && anchor.file) {
+    tags.push(['file', anchor.file]);
+    if (anchor.line) {
+      tags.push(['line', String(anchor.line), anchor.side || 'new']);
+    }
+  }
+
+  addClientTag(tags, clientTag);
+
+  return {
+    kind: KIND_COMMENT,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content
+  };
+}
+
+/**
+ * Publish a comment on an issue, PR, patch or another comment
+ */
+export async function publishComment(args, relays, signer, pubkey, json) {
+  const valueOptions = ['--content', '--relay'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const [reference, positionalContent] = positional;
+  if (!reference) {
+    console.error('Error: event ID or nevent to comment on required');
+    console.error('Use: publish comment <event-id|nevent> <text> (or --content <text>)');
+    process.exit(1);
+  }
+
+  let content = positionalContent || '';
+  const queryRelays = [...relays];
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--content' && args[i + 1]) {
+      content = args[++i];
+    } else if (args[i] === '--relay' && args[i + 1]) {
+      queryRelays.push(args[++i]);
+    }
+  }
+  if (!content.trim()) {
+    console.error('Error: Comment text required (as argument or with --content)');
+    process.exit(1);
+  }
+
+  const { id, relays: hints } = parseEventReference(reference);
+  const target = await fetchEventById(id, { kinds: COMMENTABLE_KINDS, relays: [...queryRelays, ...hints] });
+  if (!target || target.id !== id) {
+    throw new Error(`Event ${id} not found on relays or in nostr/`);
+  }
+
+  const event = await signer.signEvent(buildCommentEvent({
+    target,
+    content,
+    relayHint: hints[0] || '',
+    clientTag: !args.includes('--no-client-tag')
+  }));
+
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Comment');
+  if (!json) {
+    console.log(`In reply to: ${target.id} (kind ${target.kind})`);
+  }
+}
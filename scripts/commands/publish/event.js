@@ -1,10 +1,34 @@
-import { finalizeEvent } from 'nostr-tools';
 import { publishEventCommon, addClientTag } from './index.js';
 
+/**
+ * Build an unsigned generic event
+ * @param {Object} options
+ * @param {number} [options.kind] - Event kind (default: 1)
+ * @param {string} [options.content] - Event content
+ * @param {Array} [options.tags] - Tags to include
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
+ */
+export function buildEvent({ kind = 1, content = '', tags = [], clientTag = true } = {}) {
+  if (!Number.isInteger(kind)) {
+    throw new Error('kind must be a number');
+  }
+
+  const eventTags = tags.map(tag => [...tag]);
+  addClientTag(eventTags, clientTag);
+
+  return {
+    kind,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: eventTags,
+    content
+  };
+}
+
 /**
  * Publish generic event
  */
-export async function publishEvent(args, relays, privateKeyBytes, pubkey, json) {
+export async function publishEvent(args, relays, signer, pubkey, json) {
   // Check for help
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`
@@ -90,22 +114,19 @@ Notes:
     content = positionalContent;
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
-
   // Use custom relays if provided, otherwise use defaults
   const eventRelays = customRelays.length > 0 ? customRelays : relays;
 
-  const event = finalizeEvent({
+  const event = await signer.signEvent(buildEvent({
     kind,
-    created_at: Math.floor(Date.now() / 1000),
+    content,
     tags,
-    content
-  }, privateKeyBytes);
+    clientTag: !args.includes('--no-client-tag')
+  }));
 
   let result;
   try {
-    result = await publishEventCommon(event, eventRelays, privateKeyBytes, pubkey, json, 'Event');
+    result = await publishEventCommon(event, eventRelays, signer, pubkey, json, 'Event');
   } catch (error) {
     // Handle relay errors gracefully - don't crash
     const { sanitizeErrorMessage } = await import('../../utils/error-sanitizer.js');
@@ -120,7 +141,7 @@ Notes:
   if (!json) {
     console.log(`Kind: ${kind}`);
     console.log(`Content: ${content || '(empty)'}`);
-    console.log(`Tags: ${tags.length}`);
+    console.log(`Tags: ${event.tags.length}`);
     // Exit with error code only if all relays failed
     if (result.success.length === 0 && result.failed.length > 0) {
       process.exit(1);
@@ -1,9 +1,9 @@
-import { getPrivateKeyFromEnv, getPrivateKeyBytes } from '../../utils/keys.js';
-import { getPublicKey } from 'nostr-tools';
-import { DEFAULT_NOSTR_RELAYS } from '../../config.js';
+import { getSigner } from '../../utils/signer.js';
+import { getRemoteUrls } from '../../utils/git.js';
+import { getConfigValue } from '../../config.js';
 import { publishToRelays } from '../../relay/publisher.js';
 import { enhanceRelayList } from '../../relay/relay-fetcher.js';
-import { storeEventInJsonl } from '../../utils/event-storage.js';
+import { storeEventInJsonl, getEventStorageFile } from '../../utils/event-storage.js';
 import { addClientTag } from '../../utils/tags.js';
 
 // Import publish subcommands
@@ -16,6 +16,7 @@ import { publishPatch } from './patch.js';
 import { publishRepoState } from './repo-state.js';
 import { publishPRUpdate } from './pr-update.js';
 import { publishEvent } from './event.js';
+import { publishComment } from './comment.js';
 
 /**
  * Main publish command handler
@@ -28,14 +29,12 @@ export async function publish(args, server, json) {
     process.exit(0);
   }
 
-  // Get private key
-  const secretKey = getPrivateKeyFromEnv();
-  const privateKeyBytes = getPrivateKeyBytes(secretKey);
-  const pubkey = getPublicKey(privateKeyBytes);
+  // Get signer (identity for this repository, local key, encrypted keyfile, or NIP-46 bunker)
+  const signer = await getSigner({ urls: getRemoteUrls() });
+  const pubkey = await signer.getPublicKey();
 
-  // Get relays from environment or use defaults
-  const relaysEnv = process.env.NOSTR_RELAYS;
-  const baseRelays = relaysEnv ? relaysEnv.split(',').map(r => r.trim()).filter(r => r.length > 0) : DEFAULT_NOSTR_RELAYS;
+  // Get relays from configuration (NOSTR_RELAYS, config files, or defaults)
+  const baseRelays = getConfigValue('relays');
   
   // Enhance relay list with user's relay preferences (outboxes, local relays, blocked relays)
   const relays = await enhanceRelayList(baseRelays, pubkey, baseRelays);
@@ -44,37 +43,40 @@ export async function publish(args, server, json) {
   try {
     switch (subcommand) {
       case 'repo-announcement':
-        await publishRepoAnnouncement(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishRepoAnnouncement(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'ownership-transfer':
-        await publishOwnershipTransfer(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishOwnershipTransfer(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'pr':
       case 'pull-request':
-        await publishPR(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishPR(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'issue':
-        await publishIssue(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishIssue(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'status':
-        await publishStatus(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishStatus(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'patch':
-        await publishPatch(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishPatch(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'repo-state':
-        await publishRepoState(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishRepoState(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'pr-update':
       case 'pull-request-update':
-        await publishPRUpdate(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishPRUpdate(args.slice(1), relays, signer, pubkey, json);
+        break;
+      case 'comment':
+        await publishComment(args.slice(1), relays, signer, pubkey, json);
         break;
       case 'event':
-        await publishEvent(args.slice(1), relays, privateKeyBytes, pubkey, json);
+        await publishEvent(args.slice(1), relays, signer, pubkey, json);
         break;
       default:
         console.error(`Error: Unknown publish subcommand: ${subcommand}`);
-        console.error('Use: publish repo-announcement|ownership-transfer|pr|pr-update|issue|status|patch|repo-state|event');
+        console.error('Use: publish repo-announcement|ownership-transfer|pr|pr-update|issue|status|comment|patch|repo-state|event');
         console.error('Run: publish --help for detailed usage');
         process.exit(1);
     }
@@ -83,18 +85,20 @@ export async function publish(args, server, json) {
     const errorMessage = error instanceof Error ? error.message : String(error);
     const sanitized = sanitizeErrorMessage(errorMessage);
     console.error('Error:', sanitized);
+    await signer.close();
     process.exit(1);
   }
+  await signer.close();
 }
 
 /**
  * Common publish function that handles event creation, storage, and publishing
  */
-export async function publishEventCommon(event, relays, privateKeyBytes, pubkey, json, eventType = 'Event') {
+export async function publishEventCommon(event, relays, signer, pubkey, json, eventType = 'Event') {
   // Store event in JSONL file
   storeEventInJsonl(event);
   
-  const result = await publishToRelays(event, relays, privateKeyBytes, pubkey);
+  const result = await publishToRelays(event, relays, signer, pubkey);
   
   if (json) {
     console.log(JSON.stringify({ event, published: result }, null, 2));
@@ -112,26 +116,6 @@ export async function publishEventCommon(event, relays, privateKeyBytes, pubkey,
   return result;
 }
 
-/**
- * Get storage file name for event kind
- */
-function getEventStorageFile(kind) {
-  switch (kind) {
-    case 30617: return 'repo-announcements.jsonl';
-    case 1641: return 'ownership-transfers.jsonl';
-    case 1617: return 'patches.jsonl';
-    case 1618: return 'pull-requests.jsonl';
-    case 1619: return 'pull-request-updates.jsonl';
-    case 1621: return 'issues.jsonl';
-    case 1630:
-    case 1631:
-    case 1632:
-    case 1633: return 'status-events.jsonl';
-    case 30618: return 'repo-states.jsonl';
-    default: return `events-kind-${kind}.jsonl`;
-  }
-}
-
 function showPublishHelp() {
   console.log(`
 Publish Nostr Git Events
@@ -143,51 +127,109 @@ Subcommands:
     Publish a repository announcement (kind 30617)
     Options:
       --description <text>        Repository description
+      --description-file <path>  Read the description from a file ("-" for stdin)
+      --edit                     Write the name, topics and description in $EDITOR
       --clone-url <url>          Clone URL (can be specified multiple times)
       --web-url <url>            Web URL (can be specified multiple times)
       --maintainer <npub>        Maintainer pubkey (can be specified multiple times)
       --relay <url>              Custom relay URL (can be specified multiple times)
+      --from-git                 Build the announcement from the local repository:
+                                 clone URLs from remotes, earliest unique commit (euc),
+                                 name, relays, description and topics (config keys
+                                 "description" and "topics", or .git/description);
+                                 maintainers and web URLs of the published announcement are kept.
+                                 Shows the changes and asks before replacing it.
+                                 <repo-name> defaults to the repository directory name.
+      --topic <topic>            Topic tag (can be specified multiple times)
+      --dry-run                  With --from-git: only show the changes
+      --yes                      With --from-git: replace without asking
+      --strict                   Refuse to publish if the ownership was transferred away
     
-    Example:
+    Examples:
       gitrep publish repo-announcement myrepo \\
         --description "My awesome repo" \\
         --clone-url "https://gitrepublic.com/api/git/npub1.../myrepo.git" \\
         --maintainer "npub1..."
+      gitrep publish repo-announcement --from-git --topic nostr
 
-  ownership-transfer <repo> <new-owner-npub> [--self-transfer]
+  ownership-transfer <repo> <new-owner-npub> [--self-transfer] [--strict]
     Transfer repository ownership (kind 1641)
-    Note: You must be the current owner (signing with NOSTRGIT_SECRET_KEY)
+    Note: You must be the current owner (signing with NOSTRGIT_SECRET_KEY); the owner is
+    found by following the earlier transfers, and --strict refuses to publish otherwise
     
     Example:
       gitrep publish ownership-transfer myrepo npub1... --self-transfer
 
-  pr <owner-npub> <repo> <title> [options]
+  pr [<owner-npub> <repo>] [<title>] [options]
     Create a pull request (kind 1618)
+    In a clone, the repository defaults to the GitRepublic remote and the rest is detected:
+    the head branch (current branch), base branch (the branch it tracks, else the default
+    branch of its remote), tip commit, merge base, earliest unique commit (euc) and the clone
+    URL of the remote the branch is pushed to (SSH remotes as HTTPS). Options override them.
+    Without --content or --content-file, $EDITOR opens (in a terminal) with the title on the
+    first line, a header with the labels and the base and head branches, and the description below
     Options:
       --content <text>           PR description/content
-      --base <branch>           Base branch (default: main)
-      --head <branch>           Head branch (default: main)
+      --content-file <path>     Read the description from a file ("-" for stdin)
+      --edit                    Open $EDITOR even with a title and description (to review them)
+      --no-edit                 Don't open $EDITOR; publish without a description
+      --label <label>           Label (can be specified multiple times)
+      --base <branch>           Base branch (default: detected, else main)
+      --head <branch>           Head branch (default: current branch, else main)
+      --commit <commit-id>      Tip commit of the proposed changes (default: tip of the head branch)
+      --clone-url <url>         Clone URL the tip can be fetched from (can be specified multiple times)
+      --merge-base <commit-id>  Most recent common ancestor with the base branch
+      --earliest-commit <id>    Earliest unique commit ID
+      --push                    Push the head branch to its push remote first
+      --no-detect               Don't detect anything from the local repository
     
-    Example:
+    Examples:
+      gitrep publish pr "Fix bug" --push          # in a feature branch
       gitrep publish pr npub1... myrepo "Fix bug" \\
         --content "This PR fixes a critical bug" \\
-        --base main --head feature-branch
+        --base main --head feature-branch \\
+        --commit $(git rev-parse feature-branch) \\
+        --clone-url "https://github.com/me/myrepo.git"
 
-  issue <owner-npub> <repo> <title> [options]
+  issue <owner-npub> <repo> [<title>] [options]
     Create an issue (kind 1621)
+    Without --content or --content-file, $EDITOR opens (in a terminal) with the title on the
+    first line, a header with the labels, and the description below
     Options:
       --content <text>           Issue description
+      --content-file <path>      Read the description from a file ("-" for stdin)
+      --edit                     Open $EDITOR even with a title and description (to review them)
+      --no-edit                  Don't open $EDITOR; publish without a description
       --label <label>            Label (can be specified multiple times)
     
     Example:
       gitrep publish issue npub1... myrepo "Bug report" \\
         --content "Found a bug" --label bug --label critical
+      gitrep publish issue npub1... myrepo --label bug     # write it in $EDITOR
+      gitrep publish issue npub1... myrepo "Crash log" --content-file - < crash.md
 
-  status <event-id> <open|applied|closed|draft> [--content <text>]
-    Update PR/issue status (kinds 1630-1633)
+  status <event-id> <open|applied|closed|draft> [options]
+    Update PR/issue/patch status (kinds 1630-1633). The target is looked up to add the
+    NIP-34 root 'e', repository 'a', owner and author 'p' and euc 'r' tags; only the
+    repository owner, a maintainer or the author may publish a status
+    Options:
+      --content <text>           Status comment
+      --merge-commit <id>        Applied: the merge commit (merged PRs and patches)
+      --applied-commits <id...>  Applied: the commits a patch was applied as
     
-    Example:
+    Examples:
       gitrep publish status abc123... closed --content "Fixed in v1.0"
+      gitrep publish status abc123... applied --merge-commit $(git rev-parse HEAD)
+
+  comment <event-id|nevent> <text> [options]
+    Comment on an issue, PR, patch or comment (kind 1111, NIP-22)
+    Options:
+      --content <text>           Comment text (instead of the argument)
+      --relay <url>              Also look for the event on this relay
+    Also available as: gitrep comment <event-id|nevent> <text>
+    
+    Example:
+      gitrep publish comment nevent1... "Looks good, but please add a test"
 
   patch <owner-npub> <repo> <patch-file> [options]
     Publish a git patch (kind 1617)
@@ -204,17 +246,48 @@ Subcommands:
       gitrep publish patch npub1... myrepo patch-0001.patch \\
         --earliest-commit abc123 --commit def456 --root
 
+  patch <owner-npub> <repo> <rev-range> [options]
+    Publish a patch series (kind 1617) generated with git format-patch:
+    a cover letter plus one event per commit, threaded with NIP-10 tags,
+    with commit, parent-commit and euc tags filled in
+    Options:
+      --cover-letter            Add a cover letter to a single patch (default: only for series)
+      --no-cover-letter         No cover letter
+      --subject <text>          Cover letter subject (default: branch description, else branch name)
+      --description <text>      Cover letter text (default: branch description)
+      --reroll, -v <n>          Publish revision n (v2, v3, ...) of a series: tagged root-revision,
+                                replying to the root patch of the original series
+      --revision-of <event-id>  With -v: root patch of the original series (default: found by
+                                subject in nostr/patches.jsonl)
+      --mention <npub>          Mention user (can be specified multiple times)
+      --dry-run                 Show the series without publishing
+    
+    Examples:
+      gitrep publish patch npub1... myrepo main..my-feature
+      gitrep publish patch npub1... myrepo main..my-feature -v 2
+
   repo-state <repo> [options]
     Publish repository state (kind 30618)
     Options:
       --ref <ref-path> <commit-id> [parent-commits...]  Add ref (can be specified multiple times)
       --head <branch>                                   Set HEAD branch
+      --from-git                Snapshot all local branches and tags (git for-each-ref) and HEAD;
+                                <repo> defaults to the GitRepublic remote's repository,
+                                else the repository directory name
+      --include <pattern>       With --from-git: only refs matching (refs/heads/release-*, main, v*),
+                                can be specified multiple times (default: "state-include" config)
+      --exclude <pattern>       With --from-git: skip matching refs (default: "state-exclude" config)
+      --dry-run                 With --from-git: show the state without publishing
+      --strict                  Refuse to publish if the signer is not the owner or a maintainer
     
-    Example:
+    Examples:
       gitrep publish repo-state myrepo \\
         --ref refs/heads/main abc123 def456 \\
         --ref refs/tags/v1.0.0 xyz789 \\
         --head main
+      gitrep publish repo-state --from-git --exclude "wip/*"
+    To publish the state after every push: gitrep config set publish-state true
+    (then: gitrep push-all)
 
   pr-update <owner-npub> <repo> <pr-event-id> <commit-id> [options]
     Update pull request tip commit (kind 1619)
@@ -247,8 +320,16 @@ Subcommands:
       gitrep publish event --kind 1 --content "Test" --no-client-tag
 
 Event Structure:
-  All events are automatically signed with NOSTRGIT_SECRET_KEY and published to relays.
+  All events are automatically signed (NOSTRGIT_SECRET_KEY, the encrypted keyfile, or the
+  configured NIP-46 bunker) and published to relays.
   Events are stored locally in nostr/ directory (JSONL format) for reference.
+
+Authority:
+  Repository states, announcements and ownership transfers are checked against the
+  repository's current owner (following ownership transfers, kind 1641) and the maintainers
+  of their announcement. The repository is the one of the GitRepublic remote with the same
+  name, else the signer's own. Without authority a warning is printed; with --strict (or
+  "gitrep config set publish-strict true") nothing is published.
   
   For detailed event structure documentation, see:
   - https://github.com/silberengel/gitrepublic-web/tree/main/docs
@@ -256,8 +337,10 @@ Event Structure:
   - docs/CustomKinds.md - Custom event kinds (1640, 1641, 30620)
 
 Environment Variables:
-  NOSTRGIT_SECRET_KEY           Required: Nostr private key (nsec or hex)
+  NOSTRGIT_SECRET_KEY           Nostr private key (nsec, hex, or ncryptsec); not needed with a keyfile or bunker
+  NOSTRGIT_BUNKER               Optional: NIP-46 remote signer (bunker://...), see: gitrep key --help
   NOSTR_RELAYS                  Optional: Comma-separated relay URLs (default: wss://theforest.nostr1.com,wss://relay.damus.io,wss://nostr.land)
+                                Can also be set with: gitrep config set relays <url,url,...>
 
 For more information, see: https://github.com/silberengel/gitrepublic-cli
 `);
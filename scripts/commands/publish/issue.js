@@ -1,58 +1,113 @@
-import { finalizeEvent } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
+import { normalizePubkey } from '../../utils/keys.js';
+import { composeInEditor, readTextInput, splitList } from '../../utils/editor.js';
 import { publishEventCommon, addClientTag } from './index.js';
 
 /**
- * Publish issue
+ * Build an unsigned issue event (kind 1621)
+ * @param {Object} options
+ * @param {string} options.owner - Repository owner (npub or hex)
+ * @param {string} options.repoName - Repository name (d-tag of the announcement)
+ * @param {string} options.title - Issue subject
+ * @param {string} [options.content] - Issue body
+ * @param {string[]} [options.labels] - Labels, added as 't' tags
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
  */
-export async function publishIssue(args, relays, privateKeyBytes, pubkey, json) {
-  const [ownerNpub, repoName, title] = args;
-  if (!ownerNpub || !repoName || !title) {
-    console.error('Error: owner npub, repo name, and title required');
-    console.error('Use: publish issue <owner-npub> <repo> <title> [options]');
-    process.exit(1);
+export function buildIssueEvent({ owner, repoName, title, content = '', labels = [], clientTag = true }) {
+  if (!owner || !repoName || !title) {
+    throw new Error('owner, repoName and title are required');
   }
 
   let ownerPubkey;
   try {
-    ownerPubkey = ownerNpub.startsWith('npub') ? decode(ownerNpub).data : ownerNpub;
+    ownerPubkey = normalizePubkey(owner);
   } catch (err) {
     throw new Error(`Invalid npub format: ${err.message}`);
   }
 
-  const repoAddress = `30617:${ownerPubkey}:${repoName}`;
   const tags = [
-    ['a', repoAddress],
+    ['a', `30617:${ownerPubkey}:${repoName}`],
     ['p', ownerPubkey],
     ['subject', title]
   ];
 
-  let content = '';
-  const labels = [];
+  for (const label of labels) {
+    tags.push(['t', label]);
+  }
+
+  addClientTag(tags, clientTag);
+
+  return {
+    kind: 1621, // ISSUE
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content
+  };
+}
+
+/**
+ * Publish issue
+ * Without --content or --content-file the issue is written in $EDITOR (when run in a terminal, or with --edit)
+ */
+export async function publishIssue(args, relays, signer, pubkey, json) {
+  const valueOptions = ['--content', '--content-file', '--label'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  const [ownerNpub, repoName] = positional;
+  let title = positional[2] || '';
+  if (!ownerNpub || !repoName) {
+    console.error('Error: owner npub and repo name required');
+    console.error('Use: publish issue <owner-npub> <repo> [<title>] [options]');
+    process.exit(1);
+  }
+
+  let content = null;
+  let labels = [];
 
-  for (let i = 3; i < args.length; i++) {
-    if (args[i] === '--content' && args[i + 1]) {
+  for (let i = 2; i < args.length; i++) {
+    if (args[i] === '--content' && args[i + 1] !== undefined) {
       content = args[++i];
+    } else if (args[i] === '--content-file' && args[i + 1]) {
+      content = readTextInput(args[++i]).trimEnd();
     } else if (args[i] === '--label' && args[i + 1]) {
       labels.push(args[++i]);
     }
   }
 
-  for (const label of labels) {
-    tags.push(['t', label]);
+  const interactive = process.stdin.isTTY && process.stdout.isTTY && !args.includes('--no-edit');
+  if (args.includes('--edit') || (content === null && interactive)) {
+    const composed = composeInEditor({
+      title,
+      fields: { labels: labels.join(', ') },
+      body: content || '',
+      help: [
+        'Write the issue title on the first line, the labels (comma-separated) in the',
+        'header and the description (Markdown) below it. An empty title aborts.'
+      ]
+    }, 'ISSUE_EDITMSG.md');
+    if (!composed) {
+      console.error('Aborting issue due to empty title');
+      process.exit(1);
+    }
+    ({ title, body: content } = composed);
+    labels = splitList(composed.fields.labels);
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  if (!title) {
+    console.error('Error: Issue title required');
+    console.error('Use: publish issue <owner-npub> <repo> <title> [options] (or --edit to write it in $EDITOR)');
+    process.exit(1);
+  }
 
-  const event = finalizeEvent({
-    kind: 1621, // ISSUE
-    created_at: Math.floor(Date.now() / 1000),
-    tags,
-    content
-  }, privateKeyBytes);
+  const event = await signer.signEvent(buildIssueEvent({
+    owner: ownerNpub,
+    repoName,
+    title,
+    content: content || '',
+    labels,
+    clientTag: !args.includes('--no-client-tag')
+  }));
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Issue');
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Issue');
   if (!json) {
     console.log(`Repository: ${ownerNpub}/${repoName}`);
     console.log(`Title: ${title}`);
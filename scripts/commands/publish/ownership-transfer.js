@@ -1,39 +1,35 @@
-import { finalizeEvent } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
 import { nip19 } from 'nostr-tools';
+import { normalizePubkey } from '../../utils/keys.js';
+import { readStoredEvents } from '../../utils/event-storage.js';
+import { fetchEvents } from '../../relay/event-fetcher.js';
+import { verifyNostrEvent } from '../verify.js';
 import { publishEventCommon, addClientTag } from './index.js';
+import { checkPublishAuthority, getTargetRepoAddress, isStrictPublish } from './authority.js';
 
 /**
- * Publish ownership transfer
+ * Build an unsigned ownership transfer event (kind 1641)
+ * @param {Object} options
+ * @param {string} options.repoName - Repository name
+ * @param {string} options.currentOwner - Current owner pubkey (npub or hex) - must be the signer
+ * @param {string} options.newOwner - New owner pubkey (npub or hex)
+ * @param {boolean} [options.selfTransfer] - Mark as self-transfer
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
  */
-export async function publishOwnershipTransfer(args, relays, privateKeyBytes, pubkey, json) {
-  const [repoName, newOwnerNpub] = args;
-  if (!repoName || !newOwnerNpub) {
-    console.error('Error: repo name and new owner npub required');
-    console.error('Use: publish ownership-transfer <repo> <new-owner-npub> [--self-transfer]');
-    console.error('Note: You must be the current owner (signing with NOSTRGIT_SECRET_KEY)');
-    process.exit(1);
+export function buildOwnershipTransferEvent({ repoName, currentOwner, newOwner, selfTransfer = false, clientTag = true }) {
+  if (!repoName || !currentOwner || !newOwner) {
+    throw new Error('repoName, currentOwner and newOwner are required');
   }
 
-  const selfTransfer = args.includes('--self-transfer');
-  
-  // Decode new owner npub to hex
   let newOwnerPubkey;
   try {
-    newOwnerPubkey = newOwnerNpub.startsWith('npub') ? decode(newOwnerNpub).data : newOwnerNpub;
-    // Convert to hex string if it's a Uint8Array
-    if (newOwnerPubkey instanceof Uint8Array) {
-      newOwnerPubkey = Array.from(newOwnerPubkey).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
+    newOwnerPubkey = normalizePubkey(newOwner);
   } catch (err) {
     throw new Error(`Invalid npub format: ${err.message}`);
   }
 
-  // Current owner is the pubkey from the signing key
-  const currentOwnerPubkey = pubkey;
-  const repoAddress = `30617:${currentOwnerPubkey}:${repoName}`;
   const tags = [
-    ['a', repoAddress],
+    ['a', `30617:${normalizePubkey(currentOwner)}:${repoName}`],
     ['p', newOwnerPubkey],
     ['d', repoName]
   ];
@@ -42,17 +38,177 @@ export async function publishOwnershipTransfer(args, relays, privateKeyBytes, pu
     tags.push(['t', 'self-transfer']);
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  addClientTag(tags, clientTag);
 
-  const event = finalizeEvent({
+  return {
     kind: 1641, // OWNERSHIP_TRANSFER
     created_at: Math.floor(Date.now() / 1000),
     tags,
     content: ''
-  }, privateKeyBytes);
+  };
+}
+
+/**
+ * Fetch the ownership transfers (kind 1641) of a repository name from relays and nostr/
+ * Signatures are not checked here: validateOwnershipChain reports invalid ones
+ * @param {string} repoName - Repository name (d-tag)
+ * @param {string[]} relays - Relays to query
+ * @returns {Promise<Object[]>} - Transfers, oldest first
+ */
+export async function fetchOwnershipTransfers(repoName, relays) {
+  const fromRelays = await fetchEvents({ kinds: [1641], '#d': [repoName] }, relays);
+  const seen = new Set();
+  return [...fromRelays, ...readStoredEvents(1641)]
+    .filter(e => e.tags.some(t => t[0] === 'd' && t[1] === repoName))
+    .filter(e => !seen.has(e.id) && seen.add(e.id))
+    .sort((a, b) => a.created_at - b.created_at);
+}
+
+/**
+ * Follow and validate the ownership transfers of a repository from the owner it is addressed by
+ *
+ * A transfer is a hop of the chain when it has a valid signature by the owner at that time
+ * (not before they received the repository, not after they handed it on) and names the
+ * repository under the original or a later owner ('a' tag 30617:<owner>:<repo>).
+ * A self-transfer (the 'p' tag names the signer) confirms the ownership without changing it.
+ * An owner's period ends with their first transfer to someone else; their later transfers only
+ * count if the repository comes back to them (A→B, B→A, A→C ends with C). When an owner hands
+ * the repository to someone else again before it came back to them (A→B, then A→C), or to two
+ * different pubkeys at the same time, the chain forks: the earlier transfer is followed, and
+ * the chain is broken. Other transfers naming the repository are reported and ignored.
+ *
+ * @param {string} originalOwner - Owner pubkey (hex) the repository is addressed by
+ * @param {string} repoName - Repository name
+ * @param {Object[]} transfers - Result of fetchOwnershipTransfers
+ * @returns {{owner: string, hops: Array<{event: Object, from: string, to: string, selfTransfer: boolean}>,
+ *   problems: Array<{event: Object, reason: string, fatal: boolean}>, broken: boolean}}
+ *   - Current owner, the hops leading to them (self-transfers included), and what is wrong with the chain
+ */
+export function validateOwnershipChain(originalOwner, repoName, transfers) {
+  const newOwnerOf = event => {
+    const p = event.tags.find(t => t[0] === 'p')?.[1];
+    return /^[0-9a-f]{64}$/.test(p || '') ? p : null;
+  };
+  const sorted = [...transfers].sort((a, b) => a.created_at - b.created_at);
+  const owners = [originalOwner];
+  const namesRepo = event => event.tags.some(t =>
+    t[0] === 'a' && owners.some(owner => t[1] === `30617:${owner}:${repoName}`)
+  );
+  const valid = new Set(sorted.filter(e => verifyNostrEvent(e).valid).map(e => e.id));
+
+  let owner = originalOwner;
+  let since = 0;
+  const hops = [];
+  const problems = [];
+  const used = new Set();
+
+  for (;;) {
+    const related = sorted.filter(e =>
+      !used.has(e.id) && valid.has(e.id) && e.pubkey === owner && e.created_at >= since && namesRepo(e) && newOwnerOf(e)
+    );
+    const candidates = related.filter(e => newOwnerOf(e) !== owner);
+    const next = candidates[0];
+
+    // Self-transfers up to the next transfer confirm the current owner
+    for (const event of related.filter(e => newOwnerOf(e) === owner && (!next || e.created_at <= next.created_at))) {
+      hops.push({ event, from: owner, to: owner, selfTransfer: true });
+      used.add(event.id);
+    }
+    if (!next) {
+      break;
+    }
+
+    const to = newOwnerOf(next);
+    // Later transfers of this owner were signed after they handed the repository on
+    for (const event of candidates.filter(e => e.created_at === next.created_at)) {
+      used.add(event.id);
+      if (newOwnerOf(event) !== to) {
+        problems.push({
+          event,
+          reason: `fork: ${nip19.npubEncode(owner)} also transferred the repository to ${nip19.npubEncode(newOwnerOf(event))}`,
+          fatal: true
+        });
+      }
+    }
+    if (next.tags.some(t => t[0] === 't' && t[1] === 'self-transfer')) {
+      problems.push({ event: next, reason: 'marked as self-transfer, but names another owner', fatal: false });
+    }
+    hops.push({ event: next, from: owner, to, selfTransfer: false });
+    owner = to;
+    since = next.created_at;
+    owners.push(owner);
+  }
+
+  // The hop by which the signer of a transfer handed the repository on, if it had not come back to them when they signed it
+  const getHandover = event => {
+    const handover = hops.filter(h => !h.selfTransfer && h.from === event.pubkey && h.event.created_at <= event.created_at).pop();
+    const cameBack = handover && hops.some(h => !h.selfTransfer && h.to === event.pubkey &&
+      h.event.created_at > handover.event.created_at && h.event.created_at <= event.created_at);
+    return cameBack ? null : handover;
+  };
+
+  // Everything else that names the repository under one of its owners
+  for (const event of sorted.filter(e => !used.has(e.id) && namesRepo(e))) {
+    let reason;
+    if (!valid.has(event.id)) {
+      reason = 'invalid signature';
+    } else if (!newOwnerOf(event)) {
+      reason = 'no new owner (p tag)';
+    } else if (!owners.includes(event.pubkey)) {
+      reason = `signed by ${nip19.npubEncode(event.pubkey)}, who never owned the repository`;
+    } else {
+      const handover = getHandover(event);
+      const to = newOwnerOf(event);
+      if (handover && to !== event.pubkey && to !== handover.to) {
+        problems.push({
+          event,
+          reason: `fork: ${nip19.npubEncode(event.pubkey)} also transferred the repository to ${nip19.npubEncode(to)} after handing it to ${nip19.npubEncode(handover.to)}`,
+          fatal: true
+        });
+        continue;
+      }
+      reason = `signed by ${nip19.npubEncode(event.pubkey)} when they were not the owner`;
+    }
+    problems.push({ event, reason, fatal: false });
+  }
+
+  return { owner, hops, problems, broken: problems.some(p => p.fatal) };
+}
+
+/**
+ * Publish ownership transfer
+ */
+export async function publishOwnershipTransfer(args, relays, signer, pubkey, json) {
+  const [repoName, newOwnerNpub] = args;
+  if (!repoName || !newOwnerNpub) {
+    console.error('Error: repo name and new owner npub required');
+    console.error('Use: publish ownership-transfer <repo> <new-owner-npub> [--self-transfer] [--strict]');
+    console.error('Note: You must be the current owner (signing with NOSTRGIT_SECRET_KEY)');
+    process.exit(1);
+  }
+
+  // Current owner is the pubkey from the signing key
+  const currentOwnerPubkey = pubkey;
+
+  // Only the current owner can hand the repository on
+  await checkPublishAuthority({
+    address: getTargetRepoAddress(repoName, pubkey),
+    pubkey,
+    relays,
+    action: 'ownership transfer',
+    ownerOnly: true,
+    strict: isStrictPublish(args)
+  });
+
+  const event = await signer.signEvent(buildOwnershipTransferEvent({
+    repoName,
+    currentOwner: currentOwnerPubkey,
+    newOwner: newOwnerNpub,
+    selfTransfer: args.includes('--self-transfer'),
+    clientTag: !args.includes('--no-client-tag')
+  }));
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Ownership transfer');
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Ownership transfer');
   if (!json) {
     const currentOwnerNpub = nip19.npubEncode(currentOwnerPubkey);
     console.log(`Repository: ${currentOwnerNpub}/${repoName}`);
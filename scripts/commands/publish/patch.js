@@ -1,75 +1,81 @@
-import { readFileSync } from 'fs';
-import { finalizeEvent } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { normalizePubkey } from '../../utils/keys.js';
+import { formatPatchSeries, getEarliestCommit, getPatchSubject } from '../../utils/git.js';
+import { storeEventInJsonl, readStoredEvents } from '../../utils/event-storage.js';
+import { publishToRelays } from '../../relay/publisher.js';
 import { publishEventCommon, addClientTag } from './index.js';
 
 /**
- * Publish patch
+ * Build an unsigned patch event (kind 1617)
+ * @param {Object} options
+ * @param {string} options.owner - Repository owner (npub or hex)
+ * @param {string} options.repoName - Repository name
+ * @param {string} options.patchContent - Patch text (git format-patch output)
+ * @param {string} [options.earliestCommit] - Earliest unique commit ID (euc)
+ * @param {string} [options.commitId] - Current commit ID
+ * @param {string} [options.parentCommit] - Parent commit ID
+ * @param {boolean} [options.root] - Mark as root patch
+ * @param {boolean} [options.rootRevision] - Mark as root revision
+ * @param {string} [options.replyTo] - Previous patch event ID (NIP-10 reply)
+ * @param {string} [options.threadRoot] - First event of the series (NIP-10 root)
+ * @param {string[]} [options.mentions] - Pubkeys to mention (npub or hex)
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
  */
-export async function publishPatch(args, relays, privateKeyBytes, pubkey, json) {
-  const [ownerNpub, repoName, patchFile] = args;
-  if (!ownerNpub || !repoName || !patchFile) {
-    console.error('Error: owner npub, repo name, and patch file required');
-    console.error('Use: publish patch <owner-npub> <repo> <patch-file> [options]');
-    console.error('Note: Patch file should be generated with: git format-patch');
-    process.exit(1);
+export function buildPatchEvent({
+  owner,
+  repoName,
+  patchContent,
+  earliestCommit = null,
+  commitId = null,
+  parentCommit = null,
+  root = false,
+  rootRevision = false,
+  replyTo = null,
+  threadRoot = null,
+  mentions = [],
+  clientTag = true
+}) {
+  if (!owner || !repoName || typeof patchContent !== 'string') {
+    throw new Error('owner, repoName and patchContent are required');
   }
 
   let ownerPubkey;
   try {
-    ownerPubkey = ownerNpub.startsWith('npub') ? decode(ownerNpub).data : ownerNpub;
-    if (ownerPubkey instanceof Uint8Array) {
-      ownerPubkey = Array.from(ownerPubkey).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
+    ownerPubkey = normalizePubkey(owner);
   } catch (err) {
     throw new Error(`Invalid npub format: ${err.message}`);
   }
 
-  // Read patch file
-  let patchContent;
-  try {
-    patchContent = readFileSync(patchFile, 'utf-8');
-  } catch (err) {
-    throw new Error(`Failed to read patch file: ${err.message}`);
-  }
-
-  const repoAddress = `30617:${ownerPubkey}:${repoName}`;
   const tags = [
-    ['a', repoAddress],
+    ['a', `30617:${ownerPubkey}:${repoName}`],
     ['p', ownerPubkey]
   ];
 
-  // Parse options
-  let earliestCommit = null;
-  let commitId = null;
-  let parentCommit = null;
-  let isRoot = false;
-  let isRootRevision = false;
-  const mentions = [];
-
-  for (let i = 3; i < args.length; i++) {
-    if (args[i] === '--earliest-commit' && args[i + 1]) {
-      earliestCommit = args[++i];
-      tags.push(['r', earliestCommit]);
-    } else if (args[i] === '--commit' && args[i + 1]) {
-      commitId = args[++i];
-      tags.push(['commit', commitId]);
-      tags.push(['r', commitId]);
-    } else if (args[i] === '--parent-commit' && args[i + 1]) {
-      parentCommit = args[++i];
-      tags.push(['parent-commit', parentCommit]);
-    } else if (args[i] === '--root') {
-      isRoot = true;
-      tags.push(['t', 'root']);
-    } else if (args[i] === '--root-revision') {
-      isRootRevision = true;
-      tags.push(['t', 'root-revision']);
-    } else if (args[i] === '--mention' && args[i + 1]) {
-      mentions.push(args[++i]);
-    } else if (args[i] === '--reply-to' && args[i + 1]) {
-      // NIP-10 reply tag
-      tags.push(['e', args[++i], '', 'reply']);
-    }
+  if (earliestCommit) {
+    tags.push(['r', earliestCommit]);
+  }
+  if (commitId) {
+    tags.push(['commit', commitId]);
+    tags.push(['r', commitId]);
+  }
+  if (parentCommit) {
+    tags.push(['parent-commit', parentCommit]);
+  }
+  if (root) {
+    tags.push(['t', 'root']);
+  }
+  if (rootRevision) {
+    tags.push(['t', 'root-revision']);
+  }
+  if (threadRoot) {
+    // NIP-10 root tag
+    tags.push(['e', threadRoot, '', 'root']);
+  }
+  if (replyTo && replyTo !== threadRoot) {
+    // NIP-10 reply tag
+    tags.push(['e', replyTo, '', 'reply']);
   }
 
   // Add earliest commit if provided
@@ -81,29 +87,276 @@ export async function publishPatch(args, relays, privateKeyBytes, pubkey, json)
   for (const mention of mentions) {
     let mentionPubkey = mention;
     try {
-      if (mention.startsWith('npub')) {
-        mentionPubkey = decode(mention).data;
-        if (mentionPubkey instanceof Uint8Array) {
-          mentionPubkey = Array.from(mentionPubkey).map(b => b.toString(16).padStart(2, '0')).join('');
-        }
-      }
+      mentionPubkey = normalizePubkey(mention);
     } catch {
       // Keep original if decode fails
     }
     tags.push(['p', mentionPubkey]);
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  addClientTag(tags, clientTag);
 
-  const event = finalizeEvent({
+  return {
     kind: 1617, // PATCH
     created_at: Math.floor(Date.now() / 1000),
     tags,
     content: patchContent
-  }, privateKeyBytes);
+  };
+}
+
+/**
+ * Find the root patch of the first revision of a series in nostr/patches.jsonl:
+ * the latest root patch of ours for this repository with the same subject
+ * @returns {Object|null} - Root patch event
+ */
+function findOriginalRootPatch(pubkey, ownerPubkey, repoName, subject) {
+  const address = `30617:${ownerPubkey}:${repoName}`;
+  return readStoredEvents(1617)
+    .filter(e => e.pubkey === pubkey)
+    .filter(e => e.tags.some(t => t[0] === 'a' && t[1] === address))
+    .filter(e => e.tags.some(t => t[0] === 't' && t[1] === 'root'))
+    .filter(e => getPatchSubject(e.content) === subject)
+    .sort((a, b) => b.created_at - a.created_at)[0] || null;
+}
+
+function getGitOutput(args) {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', args, { encoding: 'utf-8' });
+  return result.status === 0 ? result.stdout.trim() : '';
+}
+
+/**
+ * Build the unsigned events of a patch series from a revision range
+ *
+ * The first event (cover letter, or the first patch) is the thread root and is
+ * tagged "root"; for re-rolls (v2, v3, ...) it is tagged "root-revision" and
+ * replies to the root patch of the original series. Every following patch
+ * carries a NIP-10 root tag and a reply tag to the previous patch.
+ *
+ * @param {Object} options
+ * @param {string} options.owner - Repository owner (npub or hex)
+ * @param {string} options.repoName - Repository name
+ * @param {string} options.range - Revision range for git format-patch
+ * @param {boolean|null} [options.coverLetter] - Cover letter (default: for series of more than one patch)
+ * @param {string} [options.subject] - Cover letter subject
+ * @param {string} [options.description] - Cover letter text
+ * @param {number} [options.reroll] - Revision number (2 for v2, ...)
+ * @param {string} [options.revisionOf] - Root patch event ID of the original series (for re-rolls)
+ * @param {string[]} [options.mentions] - Pubkeys to mention
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {{subject: string, entries: Array<{label: string, content: string}>, revisionOf: string|null, link: function}} -
+ *   link(index, ids) returns the template of entry index, threaded to the IDs of the events signed before it
+ * @throws {Error} - If revisionOf is given without a reroll of 2 or more, or the range is invalid or empty
+ */
+export function buildPatchSeries({
+  owner,
+  repoName,
+  range,
+  coverLetter = null,
+  subject = null,
+  description = null,
+  reroll = null,
+  revisionOf = null,
+  mentions = [],
+  clientTag = true
+}) {
+  // A root patch replying to another root patch would start two threads at once
+  if (revisionOf && !(reroll > 1)) {
+    throw new Error('revisionOf is only for re-rolls (reroll 2 or more)');
+  }
+  const series = formatPatchSeries(range, { coverLetter: coverLetter !== false, reroll });
+  const useCover = series.cover && (coverLetter === true || series.patches.length > 1);
+
+  const branch = getGitOutput(['symbolic-ref', '--quiet', '--short', 'HEAD']);
+  const seriesSubject = subject ||
+    (useCover ? (branch && getGitOutput(['config', '--get', `branch.${branch}.description`]).split('\n')[0]) || branch : '') ||
+    series.patches[0].subject;
+  const blurb = description ?? (branch ? getGitOutput(['config', '--get', `branch.${branch}.description`]) : '');
+  const earliestCommit = getEarliestCommit(series.patches[series.patches.length - 1].commit);
+
+  const entries = [];
+  if (useCover) {
+    entries.push({
+      label: `cover letter: ${seriesSubject}`,
+      content: series.cover.replace('*** SUBJECT HERE ***', seriesSubject).replace('*** BLURB HERE ***', blurb)
+    });
+  }
+  for (const patch of series.patches) {
+    entries.push({ label: `${patch.commit.slice(0, 7)} ${patch.subject}`, content: patch.content, patch });
+  }
+
+  const isRevision = reroll && reroll > 1;
+  const result = { subject: seriesSubject, entries, revisionOf };
+  result.link = (index, ids = []) => {
+    const entry = entries[index];
+    return buildPatchEvent({
+      owner,
+      repoName,
+      patchContent: entry.content,
+      earliestCommit,
+      commitId: entry.patch ? entry.patch.commit : null,
+      parentCommit: entry.patch ? entry.patch.parent : null,
+      root: index === 0 && !isRevision,
+      rootRevision: index === 0 && isRevision,
+      threadRoot: index > 0 ? ids[0] : null,
+      replyTo: index > 0 ? ids[index - 1] : result.revisionOf,
+      mentions,
+      clientTag
+    });
+  };
+
+  return result;
+}
+
+/**
+ * Publish a patch series from a revision range
+ */
+async function publishPatchSeries(args, relays, signer, pubkey, json) {
+  const [ownerNpub, repoName, range] = args;
+  const options = { owner: ownerNpub, repoName, range, mentions: [] };
+
+  for (let i = 3; i < args.length; i++) {
+    if (args[i] === '--cover-letter') {
+      options.coverLetter = true;
+    } else if (args[i] === '--no-cover-letter') {
+      options.coverLetter = false;
+    } else if (args[i] === '--subject' && args[i + 1]) {
+      options.subject = args[++i];
+    } else if (args[i] === '--description' && args[i + 1]) {
+      options.description = args[++i];
+    } else if ((args[i] === '--reroll' || args[i] === '-v') && args[i + 1]) {
+      options.reroll = parseInt(args[++i], 10);
+      if (!Number.isInteger(options.reroll) || options.reroll < 1) {
+        console.error(`Error: Invalid revision number: ${args[i]}`);
+        process.exit(1);
+      }
+    } else if (args[i] === '--revision-of' && args[i + 1]) {
+      options.revisionOf = args[++i];
+    } else if (args[i] === '--mention' && args[i + 1]) {
+      options.mentions.push(args[++i]);
+    } else if (args[i] === '--relay' && args[i + 1]) {
+      relays.push(args[++i]);
+    }
+  }
+  options.clientTag = !args.includes('--no-client-tag');
+  if (options.revisionOf && !(options.reroll > 1)) {
+    console.error('Error: --revision-of is for re-rolls: also give the revision number (-v 2, -v 3, ...)');
+    process.exit(1);
+  }
+
+  let ownerPubkey;
+  try {
+    ownerPubkey = normalizePubkey(ownerNpub);
+  } catch (err) {
+    throw new Error(`Invalid npub format: ${err.message}`);
+  }
+
+  const series = buildPatchSeries(options);
+
+  if (options.reroll > 1 && !options.revisionOf) {
+    const original = findOriginalRootPatch(pubkey, ownerPubkey, repoName, series.subject);
+    if (!original) {
+      console.error(`Error: Could not find the original series "${series.subject}" in nostr/patches.jsonl`);
+      console.error('Use --revision-of <root-patch-event-id> to name the root patch of the first revision');
+      process.exit(1);
+    }
+    options.revisionOf = original.id;
+    series.revisionOf = original.id;
+  }
+
+  if (args.includes('--dry-run')) {
+    const templates = series.entries.map((_, index) => series.link(index, series.entries.map((__, i) => `<event ${i + 1}>`)));
+    if (json) {
+      console.log(JSON.stringify({ events: templates, published: null }, null, 2));
+    } else {
+      console.log(`Patch series "${series.subject}" (not published):`);
+      series.entries.forEach((entry, index) => console.log(`  ${index + 1}. ${entry.label}`));
+      if (options.revisionOf) {
+        console.log(`Revision ${options.reroll} of root patch ${options.revisionOf}`);
+      }
+    }
+    return;
+  }
+
+  const ids = [];
+  const events = [];
+  for (let index = 0; index < series.entries.length; index++) {
+    const event = await signer.signEvent(series.link(index, ids));
+    storeEventInJsonl(event);
+    const result = await publishToRelays(event, relays, signer, pubkey);
+    ids.push(event.id);
+    events.push({ event, published: result });
+    if (!json) {
+      const status = result.success.length > 0 ? '✅' : '⚠️ ';
+      console.log(`${status} [${index + 1}/${series.entries.length}] ${series.entries[index].label}`);
+      console.log(`   Event ID: ${event.id} (${result.success.length} relay(s))`);
+      result.failed.forEach(f => console.log(`   Failed on ${f.relay}: ${f.error}`));
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ root: ids[0], revisionOf: options.revisionOf || null, events }, null, 2));
+  } else {
+    console.log('');
+    console.log(`Patch series published: ${events.length} event(s), root ${ids[0]}`);
+    if (options.revisionOf) {
+      console.log(`Revision ${options.reroll} of root patch ${options.revisionOf}`);
+    }
+    console.log(`Repository: ${ownerNpub}/${repoName}`);
+    console.log('Events stored in nostr/patches.jsonl');
+  }
+}
+
+/**
+ * Publish patch
+ */
+export async function publishPatch(args, relays, signer, pubkey, json) {
+  const [ownerNpub, repoName, patchFile] = args;
+  if (ownerNpub && repoName && patchFile && !(existsSync(patchFile) && statSync(patchFile).isFile())) {
+    // Not a patch file: treat it as a revision range
+    return publishPatchSeries(args, relays, signer, pubkey, json);
+  }
+  if (!ownerNpub || !repoName || !patchFile) {
+    console.error('Error: owner npub, repo name, and patch file required');
+    console.error('Use: publish patch <owner-npub> <repo> <patch-file|rev-range> [options]');
+    console.error('Note: Patch file should be generated with: git format-patch');
+    process.exit(1);
+  }
+
+  // Read patch file
+  let patchContent;
+  try {
+    patchContent = readFileSync(patchFile, 'utf-8');
+  } catch (err) {
+    throw new Error(`Failed to read patch file: ${err.message}`);
+  }
+
+  // Parse options
+  const options = { owner: ownerNpub, repoName, patchContent, mentions: [] };
+
+  for (let i = 3; i < args.length; i++) {
+    if (args[i] === '--earliest-commit' && args[i + 1]) {
+      options.earliestCommit = args[++i];
+    } else if (args[i] === '--commit' && args[i + 1]) {
+      options.commitId = args[++i];
+    } else if (args[i] === '--parent-commit' && args[i + 1]) {
+      options.parentCommit = args[++i];
+    } else if (args[i] === '--root') {
+      options.root = true;
+    } else if (args[i] === '--root-revision') {
+      options.rootRevision = true;
+    } else if (args[i] === '--mention' && args[i + 1]) {
+      options.mentions.push(args[++i]);
+    } else if (args[i] === '--reply-to' && args[i + 1]) {
+      options.replyTo = args[++i];
+    }
+  }
+
+  options.clientTag = !args.includes('--no-client-tag');
+
+  const event = await signer.signEvent(buildPatchEvent(options));
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Patch');
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Patch');
   if (!json) {
     console.log(`Repository: ${ownerNpub}/${repoName}`);
     console.log(`Patch file: ${patchFile}`);
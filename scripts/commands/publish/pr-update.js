@@ -1,60 +1,58 @@
-import { finalizeEvent } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
+import { normalizePubkey } from '../../utils/keys.js';
 import { publishEventCommon, addClientTag } from './index.js';
 
 /**
- * Publish pull request update
+ * Build an unsigned pull request update event (kind 1619)
+ * @param {Object} options
+ * @param {string} options.owner - Repository owner (npub or hex)
+ * @param {string} options.repoName - Repository name
+ * @param {string} options.prEventId - Pull request event ID
+ * @param {string} options.commitId - New tip commit ID
+ * @param {string[]} options.cloneUrls - Clone URLs the tip can be fetched from (at least one)
+ * @param {string} [options.prAuthor] - PR author pubkey (npub or hex, for NIP-22 tags)
+ * @param {string} [options.mergeBase] - Most recent common ancestor
+ * @param {string} [options.earliestCommit] - Earliest unique commit ID
+ * @param {string[]} [options.mentions] - Pubkeys to mention (npub or hex)
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
  */
-export async function publishPRUpdate(args, relays, privateKeyBytes, pubkey, json) {
-  const [ownerNpub, repoName, prEventId, commitId] = args;
-  if (!ownerNpub || !repoName || !prEventId || !commitId) {
-    console.error('Error: owner npub, repo name, PR event ID, and commit ID required');
-    console.error('Use: publish pr-update <owner-npub> <repo> <pr-event-id> <commit-id> [options]');
-    process.exit(1);
+export function buildPullRequestUpdateEvent({
+  owner,
+  repoName,
+  prEventId,
+  commitId,
+  cloneUrls = [],
+  prAuthor = null,
+  mergeBase = null,
+  earliestCommit = null,
+  mentions = [],
+  clientTag = true
+}) {
+  if (!owner || !repoName || !prEventId || !commitId) {
+    throw new Error('owner, repoName, prEventId and commitId are required');
+  }
+  if (cloneUrls.length === 0) {
+    throw new Error('At least one clone URL is required');
   }
 
   let ownerPubkey;
   try {
-    ownerPubkey = ownerNpub.startsWith('npub') ? decode(ownerNpub).data : ownerNpub;
-    if (ownerPubkey instanceof Uint8Array) {
-      ownerPubkey = Array.from(ownerPubkey).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
+    ownerPubkey = normalizePubkey(owner);
   } catch (err) {
     throw new Error(`Invalid npub format: ${err.message}`);
   }
 
-  // Get PR author pubkey (needed for NIP-22 tags)
   let prAuthorPubkey = null;
-  const cloneUrls = [];
-  let mergeBase = null;
-  let earliestCommit = null;
-  const mentions = [];
-
-  for (let i = 4; i < args.length; i++) {
-    if (args[i] === '--pr-author' && args[i + 1]) {
-      let authorNpub = args[++i];
-      try {
-        prAuthorPubkey = authorNpub.startsWith('npub') ? decode(authorNpub).data : authorNpub;
-        if (prAuthorPubkey instanceof Uint8Array) {
-          prAuthorPubkey = Array.from(prAuthorPubkey).map(b => b.toString(16).padStart(2, '0')).join('');
-        }
-      } catch (err) {
-        throw new Error(`Invalid pr-author npub format: ${err.message}`);
-      }
-    } else if (args[i] === '--clone-url' && args[i + 1]) {
-      cloneUrls.push(args[++i]);
-    } else if (args[i] === '--merge-base' && args[i + 1]) {
-      mergeBase = args[++i];
-    } else if (args[i] === '--earliest-commit' && args[i + 1]) {
-      earliestCommit = args[++i];
-    } else if (args[i] === '--mention' && args[i + 1]) {
-      mentions.push(args[++i]);
+  if (prAuthor) {
+    try {
+      prAuthorPubkey = normalizePubkey(prAuthor);
+    } catch (err) {
+      throw new Error(`Invalid pr-author npub format: ${err.message}`);
     }
   }
 
-  const repoAddress = `30617:${ownerPubkey}:${repoName}`;
   const tags = [
-    ['a', repoAddress],
+    ['a', `30617:${ownerPubkey}:${repoName}`],
     ['p', ownerPubkey],
     ['E', prEventId], // NIP-22 root event reference
     ['c', commitId]
@@ -69,12 +67,7 @@ export async function publishPRUpdate(args, relays, privateKeyBytes, pubkey, jso
   for (const mention of mentions) {
     let mentionPubkey = mention;
     try {
-      if (mention.startsWith('npub')) {
-        mentionPubkey = decode(mention).data;
-        if (mentionPubkey instanceof Uint8Array) {
-          mentionPubkey = Array.from(mentionPubkey).map(b => b.toString(16).padStart(2, '0')).join('');
-        }
-      }
+      mentionPubkey = normalizePubkey(mention);
     } catch {
       // Keep original if decode fails
     }
@@ -86,11 +79,6 @@ export async function publishPRUpdate(args, relays, privateKeyBytes, pubkey, jso
     tags.push(['P', prAuthorPubkey]);
   }
 
-  // Add clone URLs (required)
-  if (cloneUrls.length === 0) {
-    console.error('Error: At least one --clone-url is required');
-    process.exit(1);
-  }
   for (const url of cloneUrls) {
     tags.push(['clone', url]);
   }
@@ -100,17 +88,53 @@ export async function publishPRUpdate(args, relays, privateKeyBytes, pubkey, jso
     tags.push(['merge-base', mergeBase]);
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  addClientTag(tags, clientTag);
 
-  const event = finalizeEvent({
+  return {
     kind: 1619, // PULL_REQUEST_UPDATE
     created_at: Math.floor(Date.now() / 1000),
     tags,
     content: ''
-  }, privateKeyBytes);
+  };
+}
+
+/**
+ * Publish pull request update
+ */
+export async function publishPRUpdate(args, relays, signer, pubkey, json) {
+  const [ownerNpub, repoName, prEventId, commitId] = args;
+  if (!ownerNpub || !repoName || !prEventId || !commitId) {
+    console.error('Error: owner npub, repo name, PR event ID, and commit ID required');
+    console.error('Use: publish pr-update <owner-npub> <repo> <pr-event-id> <commit-id> [options]');
+    process.exit(1);
+  }
+
+  const options = { owner: ownerNpub, repoName, prEventId, commitId, cloneUrls: [], mentions: [] };
+
+  for (let i = 4; i < args.length; i++) {
+    if (args[i] === '--pr-author' && args[i + 1]) {
+      options.prAuthor = args[++i];
+    } else if (args[i] === '--clone-url' && args[i + 1]) {
+      options.cloneUrls.push(args[++i]);
+    } else if (args[i] === '--merge-base' && args[i + 1]) {
+      options.mergeBase = args[++i];
+    } else if (args[i] === '--earliest-commit' && args[i + 1]) {
+      options.earliestCommit = args[++i];
+    } else if (args[i] === '--mention' && args[i + 1]) {
+      options.mentions.push(args[++i]);
+    }
+  }
+
+  if (options.cloneUrls.length === 0) {
+    console.error('Error: At least one --clone-url is required');
+    process.exit(1);
+  }
+
+  options.clientTag = !args.includes('--no-client-tag');
+
+  const event = await signer.signEvent(buildPullRequestUpdateEvent(options));
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Pull request update');
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Pull request update');
   if (!json) {
     console.log(`Repository: ${ownerNpub}/${repoName}`);
     console.log(`PR Event ID: ${prEventId}`);
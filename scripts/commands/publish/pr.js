@@ -1,64 +1,357 @@
-import { finalizeEvent } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
+import { spawnSync } from 'child_process';
+import { nip19 } from 'nostr-tools';
+import { normalizePubkey } from '../../utils/keys.js';
+import { composeInEditor, readTextInput, splitList } from '../../utils/editor.js';
+import {
+  findRepoRoot,
+  getRemoteUrls,
+  getEarliestCommit,
+  getCurrentBranch,
+  getBranchUpstream,
+  getPushRemote,
+  getRemoteDefaultBranch,
+  resolveCommit,
+  getMergeBase
+} from '../../utils/git.js';
+import { toPublicCloneUrl, sshToHttps, isSshUrl } from '../../utils/git-urls.js';
+import { getRepoAddressFromUrls } from '../../utils/nostr-refs.js';
 import { publishEventCommon, addClientTag } from './index.js';
 
 /**
- * Publish pull request
+ * Build an unsigned pull request event (kind 1618)
+ * @param {Object} options
+ * @param {string} options.owner - Repository owner (npub or hex)
+ * @param {string} options.repoName - Repository name
+ * @param {string} options.title - PR subject
+ * @param {string} [options.content] - PR description
+ * @param {string} [options.base] - Base branch (default: main)
+ * @param {string} [options.head] - Head branch (default: main)
+ * @param {string} [options.commitId] - Tip commit ID of the proposed changes
+ * @param {string[]} [options.cloneUrls] - Clone URLs the tip can be fetched from
+ * @param {string[]} [options.labels] - Labels, added as 't' tags
+ * @param {string} [options.mergeBase] - Most recent common ancestor of the tip and the base branch
+ * @param {string} [options.earliestCommit] - Earliest unique commit ID of the repository
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
  */
-export async function publishPR(args, relays, privateKeyBytes, pubkey, json) {
-  const [ownerNpub, repoName, title] = args;
-  if (!ownerNpub || !repoName || !title) {
-    console.error('Error: owner npub, repo name, and title required');
-    console.error('Use: publish pr <owner-npub> <repo> <title> [options]');
-    process.exit(1);
+export function buildPullRequestEvent({
+  owner,
+  repoName,
+  title,
+  content = '',
+  base = 'main',
+  head = 'main',
+  commitId = null,
+  cloneUrls = [],
+  labels = [],
+  mergeBase = null,
+  earliestCommit = null,
+  clientTag = true
+}) {
+  if (!owner || !repoName || !title) {
+    throw new Error('owner, repoName and title are required');
   }
 
   let ownerPubkey;
   try {
-    ownerPubkey = ownerNpub.startsWith('npub') ? decode(ownerNpub).data : ownerNpub;
+    ownerPubkey = normalizePubkey(owner);
   } catch (err) {
     throw new Error(`Invalid npub format: ${err.message}`);
   }
 
-  const repoAddress = `30617:${ownerPubkey}:${repoName}`;
   const tags = [
-    ['a', repoAddress],
+    ['a', `30617:${ownerPubkey}:${repoName}`],
     ['p', ownerPubkey],
     ['subject', title]
   ];
 
-  let content = '';
-  let baseBranch = 'main';
-  let headBranch = 'main';
+  if (base !== head) {
+    tags.push(['base', base]);
+    tags.push(['head', head]);
+  }
+
+  if (commitId) {
+    tags.push(['c', commitId]);
+  }
+  for (const url of cloneUrls) {
+    tags.push(['clone', url]);
+  }
+  if (mergeBase) {
+    tags.push(['merge-base', mergeBase]);
+  }
+  if (earliestCommit) {
+    tags.push(['r', earliestCommit, 'euc']);
+  }
+  for (const label of labels) {
+    tags.push(['t', label]);
+  }
+
+  addClientTag(tags, clientTag);
+
+  return {
+    kind: 1618, // PULL_REQUEST
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content
+  };
+}
+
+/**
+ * Fill in what a pull request is about from the local repository
+ *
+ * The head branch is the current branch, the base branch the branch it tracks (when that has
+ * another name) or the default branch of its remote; the tip, merge base and earliest unique
+ * commit come from the history, the clone URL from the remote the head branch is pushed to.
+ * Values given explicitly are kept.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.head] - Head branch
+ * @param {string} [options.base] - Base branch
+ * @param {string} [options.commitId] - Tip commit ID
+ * @returns {{head: string|null, base: string|null, commitId: string|null, mergeBase: string|null,
+ *   earliestCommit: string|null, pushRemote: string|null, cloneUrl: string|null, pushed: boolean}}
+ */
+export function detectPullRequestFromGit({ head = null, base = null, commitId = null } = {}) {
+  const headBranch = head || getCurrentBranch();
+  const upstream = headBranch ? getBranchUpstream(headBranch) : null;
 
-  for (let i = 3; i < args.length; i++) {
-    if (args[i] === '--content' && args[i + 1]) {
+  let baseBranch = base;
+  let baseRemote = upstream?.remote || null;
+  if (!baseBranch && upstream && upstream.branch !== headBranch) {
+    baseBranch = upstream.branch;
+  }
+  if (!baseBranch) {
+    for (const remote of [...new Set([upstream?.remote, 'origin'].filter(Boolean))]) {
+      const defaultBranch = getRemoteDefaultBranch(remote);
+      if (defaultBranch) {
+        baseBranch = defaultBranch;
+        baseRemote = remote;
+        break;
+      }
+    }
+  }
+  if (!baseBranch) {
+    baseBranch = ['main', 'master'].find(name => resolveCommit(`refs/heads/${name}`)) || null;
+  }
+
+  const tip = commitId || (headBranch ? resolveCommit(`refs/heads/${headBranch}`) : null);
+  const baseCommit = baseBranch
+    ? (baseRemote && resolveCommit(`refs/remotes/${baseRemote}/${baseBranch}`)) || resolveCommit(`refs/heads/${baseBranch}`)
+    : null;
+
+  const pushRemote = headBranch ? getPushRemote(headBranch) : null;
+  let cloneUrl = null;
+  if (pushRemote) {
+    // Security: Using spawnSync with argument array (not shell) prevents command injection
+    const result = spawnSync('git', ['remote', 'get-url', pushRemote], { encoding: 'utf-8' });
+    const url = result.status === 0 ? result.stdout.trim() : '';
+    // Reviewers fetch anonymously: SSH remotes are offered as their HTTPS URL
+    cloneUrl = toPublicCloneUrl(isSshUrl(url) ? sshToHttps(url) : url);
+  }
+
+  return {
+    head: headBranch,
+    base: baseBranch,
+    commitId: tip,
+    mergeBase: tip && baseCommit ? getMergeBase(tip, baseCommit) : null,
+    earliestCommit: tip ? getEarliestCommit(tip) : null,
+    pushRemote,
+    cloneUrl,
+    pushed: Boolean(tip && pushRemote && resolveCommit(`refs/remotes/${pushRemote}/${headBranch}`) === tip)
+  };
+}
+
+/**
+ * Push the head branch to its push remote (--push), setting the upstream if it has none
+ * Git's output goes to stderr so --json output stays parseable
+ */
+function pushBranch(remote, branch) {
+  const args = ['push'];
+  if (!getBranchUpstream(branch)) {
+    args.push('--set-upstream');
+  }
+  args.push(remote, `refs/heads/${branch}:refs/heads/${branch}`);
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', args, { stdio: ['ignore', 2, 2] });
+  if (result.status !== 0) {
+    throw new Error(`git push ${remote} ${branch} failed`);
+  }
+}
+
+/**
+ * Publish pull request
+ * In a git repository the head and base branches, tip, merge base, earliest unique commit and clone
+ * URL are detected (see detectPullRequestFromGit), and the repository defaults to the GitRepublic remote.
+ * Without --content or --content-file the PR is written in $EDITOR (when run in a terminal, or with --edit)
+ */
+export async function publishPR(args, relays, signer, pubkey, json) {
+  const valueOptions = ['--content', '--content-file', '--base', '--head', '--commit', '--clone-url', '--label', '--merge-base', '--earliest-commit'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+
+  // <owner-npub> <repo> [<title>], or [<title>] for the repository of the GitRepublic remote
+  let ownerNpub;
+  let repoName;
+  let title;
+  if (positional[0] && /^(npub1[02-9ac-hj-np-z]+|[0-9a-f]{64})$/i.test(positional[0])) {
+    [ownerNpub, repoName, title = ''] = positional;
+  } else {
+    const address = getRepoAddressFromUrls(getRemoteUrls());
+    if (address) {
+      ownerNpub = nip19.npubEncode(address.pubkey);
+      repoName = address.identifier;
+    }
+    title = positional[0] || '';
+  }
+  if (!ownerNpub || !repoName) {
+    console.error('Error: owner npub and repo name required (no GitRepublic remote found)');
+    console.error('Use: publish pr <owner-npub> <repo> [<title>] [options] (or: publish pr [<title>] in a clone)');
+    process.exit(1);
+  }
+
+  let content = null;
+  let baseBranch = null;
+  let headBranch = null;
+  let commitId = null;
+  let mergeBase = null;
+  let earliestCommit = null;
+  const cloneUrls = [];
+  let labels = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--content' && args[i + 1] !== undefined) {
       content = args[++i];
+    } else if (args[i] === '--content-file' && args[i + 1]) {
+      content = readTextInput(args[++i]).trimEnd();
     } else if (args[i] === '--base' && args[i + 1]) {
       baseBranch = args[++i];
     } else if (args[i] === '--head' && args[i + 1]) {
       headBranch = args[++i];
+    } else if (args[i] === '--commit' && args[i + 1]) {
+      commitId = args[++i];
+    } else if (args[i] === '--clone-url' && args[i + 1]) {
+      cloneUrls.push(args[++i]);
+    } else if (args[i] === '--merge-base' && args[i + 1]) {
+      mergeBase = args[++i];
+    } else if (args[i] === '--earliest-commit' && args[i + 1]) {
+      earliestCommit = args[++i];
+    } else if (args[i] === '--label' && args[i + 1]) {
+      labels.push(args[++i]);
     }
   }
 
-  if (baseBranch !== headBranch) {
-    tags.push(['base', baseBranch]);
-    tags.push(['head', headBranch]);
+  // Fill in what was not given from the repository (again when the editor changes the branches)
+  const given = { commitId, mergeBase, earliestCommit, cloneUrls: [...cloneUrls] };
+  const detect = !args.includes('--no-detect') && findRepoRoot();
+  let push = null;
+  const applyDetection = (head, base) => {
+    const detected = detectPullRequestFromGit({ head, base, commitId: given.commitId });
+    if (args.includes('--push')) {
+      if (!detected.head || !detected.pushRemote) {
+        console.error('Error: --push needs a branch and a remote to push it to');
+        process.exit(1);
+      }
+      // Pushed once the title and description are final, so aborting in the editor pushes nothing
+      push = { remote: detected.pushRemote, branch: detected.head };
+    }
+
+    headBranch = detected.head;
+    baseBranch = detected.base;
+    commitId = detected.commitId;
+    mergeBase = given.mergeBase || detected.mergeBase;
+    earliestCommit = given.earliestCommit || detected.earliestCommit;
+    cloneUrls.splice(0, cloneUrls.length, ...given.cloneUrls);
+    if (cloneUrls.length === 0 && detected.cloneUrl) {
+      cloneUrls.push(detected.cloneUrl);
+    }
+    return detected;
+  };
+
+  let detected = null;
+  if (detect) {
+    const explicit = headBranch || baseBranch;
+    detected = applyDetection(headBranch, baseBranch);
+    if (!explicit && detected.head && detected.head === detected.base) {
+      console.error(`Error: ${detected.head} is the base branch; check out the branch with your changes (or use --head/--base)`);
+      process.exit(1);
+    }
   }
+  baseBranch = baseBranch || 'main';
+  headBranch = headBranch || 'main';
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  const interactive = process.stdin.isTTY && process.stdout.isTTY && !args.includes('--no-edit');
+  if (args.includes('--edit') || (content === null && interactive)) {
+    const composed = composeInEditor({
+      title,
+      fields: { labels: labels.join(', '), base: baseBranch, head: headBranch },
+      body: content || '',
+      help: [
+        'Write the pull request title on the first line, the labels (comma-separated)',
+        'and the base and head branches in the header and the description (Markdown)',
+        'below it. An empty title aborts.'
+      ]
+    }, 'PULLREQ_EDITMSG.md');
+    if (!composed) {
+      console.error('Aborting pull request due to empty title');
+      process.exit(1);
+    }
+    ({ title, body: content } = composed);
+    labels = splitList(composed.fields.labels);
+    const head = composed.fields.head || headBranch;
+    const base = composed.fields.base || baseBranch;
+    if (head === base) {
+      console.error(`Error: ${head} is both the head and the base branch`);
+      process.exit(1);
+    }
+    if (detect && (head !== headBranch || base !== baseBranch)) {
+      // The tip, merge base, clone URL and pushed branch must be those of the branches the PR names
+      detected = applyDetection(head, base);
+    }
+    headBranch = head;
+    baseBranch = base;
+  }
 
-  const event = finalizeEvent({
-    kind: 1618, // PULL_REQUEST
-    created_at: Math.floor(Date.now() / 1000),
-    tags,
-    content
-  }, privateKeyBytes);
+  if (detected && cloneUrls.length === 0) {
+    console.error('Warning: No clone URL (the head branch has no http(s), git:// or SSH push remote); reviewers cannot fetch the changes. Use --clone-url');
+  } else if (detected && detected.cloneUrl && cloneUrls.includes(detected.cloneUrl) && !detected.pushed && !push) {
+    console.error(`Warning: ${detected.head} is not pushed to ${detected.pushRemote} (or not fetched since); reviewers cannot fetch ${commitId ? commitId.slice(0, 7) : 'the tip'} yet. Use --push`);
+  }
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Pull request');
+  if (!title) {
+    console.error('Error: Pull request title required');
+    console.error('Use: publish pr [<owner-npub> <repo>] <title> [options] (or --edit to write it in $EDITOR)');
+    process.exit(1);
+  }
+
+  if (push) {
+    if (!json) {
+      console.log(`Pushing ${push.branch} to ${push.remote}...`);
+    }
+    pushBranch(push.remote, push.branch);
+  }
+
+  const event = await signer.signEvent(buildPullRequestEvent({
+    owner: ownerNpub,
+    repoName,
+    title,
+    content: content || '',
+    base: baseBranch,
+    head: headBranch,
+    commitId,
+    cloneUrls,
+    labels,
+    mergeBase,
+    earliestCommit,
+    clientTag: !args.includes('--no-client-tag')
+  }));
+
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Pull request');
   if (!json) {
     console.log(`Repository: ${ownerNpub}/${repoName}`);
     console.log(`Title: ${title}`);
+    console.log(`Branches: ${headBranch} → ${baseBranch}`);
+    if (commitId) {
+      console.log(`Tip: ${commitId}`);
+    }
+    cloneUrls.forEach(url => console.log(`Clone URL: ${url}`));
   }
 }
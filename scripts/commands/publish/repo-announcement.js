@@ -1,19 +1,328 @@
-import { finalizeEvent } from 'nostr-tools';
+import { basename } from 'path';
 import { publishEventCommon, addClientTag } from './index.js';
+import { getConfigValue } from '../../config.js';
+import { normalizePubkey } from '../../utils/keys.js';
+import { findRepoRoot, getRemoteUrls, getEarliestCommit, getGitDescription } from '../../utils/git.js';
+import { toPublicCloneUrl } from '../../utils/git-urls.js';
+import { promptConfirm } from '../../utils/prompt.js';
+import { composeInEditor, readTextInput, splitList } from '../../utils/editor.js';
+import { fetchLatestAddressableEvent } from '../../relay/event-fetcher.js';
+import { checkPublishAuthority, isStrictPublish } from './authority.js';
+
+/**
+ * Build an unsigned repository announcement event (kind 30617)
+ * @param {Object} options
+ * @param {string} options.repoName - Repository name (d-tag)
+ * @param {string} [options.description] - Repository description
+ * @param {string[]} [options.cloneUrls] - Clone URLs
+ * @param {string[]} [options.webUrls] - Web URLs
+ * @param {string[]} [options.maintainers] - Maintainer pubkeys
+ * @param {string} [options.name] - Human-readable name ('name' tag)
+ * @param {string} [options.earliestCommit] - Earliest unique commit ('r <euc> euc' tag)
+ * @param {string[]} [options.relays] - Relays the repository's events are published to ('relays' tag)
+ * @param {string[]} [options.topics] - Topics ('t' tags)
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
+ */
+export function buildRepoAnnouncementEvent({
+  repoName,
+  description = '',
+  cloneUrls = [],
+  webUrls = [],
+  maintainers = [],
+  name = null,
+  earliestCommit = null,
+  relays = [],
+  topics = [],
+  clientTag = true
+}) {
+  if (!repoName) {
+    throw new Error('repoName is required');
+  }
+
+  const tags = [['d', repoName]];
+
+  if (name) {
+    tags.push(['name', name]);
+  }
+  if (description) {
+    tags.push(['description', description]);
+  }
+
+  // Add clone URLs
+  for (const url of cloneUrls) {
+    tags.push(['r', url]);
+  }
+
+  // Add web URLs
+  for (const url of webUrls) {
+    tags.push(['web', url]);
+  }
+
+  // Earliest unique commit, so clients can group forks and mirrors of the same history
+  if (earliestCommit) {
+    tags.push(['r', earliestCommit, 'euc']);
+  }
+
+  if (relays.length > 0) {
+    tags.push(['relays', ...relays]);
+  }
+
+  for (const topic of topics) {
+    tags.push(['t', topic]);
+  }
+
+  // Add maintainers
+  for (const maintainer of maintainers) {
+    tags.push(['p', normalizePubkey(maintainer)]);
+  }
+
+  addClientTag(tags, clientTag);
+
+  return {
+    kind: 30617, // REPO_ANNOUNCEMENT
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: description
+  };
+}
+
+/**
+ * Read the maintainers of an announcement ('p' tags and the NIP-34 'maintainers' tag)
+ * @param {Object} event - Repository announcement
+ * @returns {string[]} - Maintainer pubkeys (hex)
+ */
+export function getAnnouncementMaintainers(event) {
+  const maintainers = [];
+  for (const tag of event?.tags || []) {
+    const values = tag[0] === 'p' ? [tag[1]] : tag[0] === 'maintainers' ? tag.slice(1) : [];
+    for (const value of values) {
+      try {
+        maintainers.push(normalizePubkey(value));
+      } catch {
+        // Skip invalid pubkeys
+      }
+    }
+  }
+  return [...new Set(maintainers)];
+}
+
+/**
+ * Compare the tags and description of two announcements (the client tag is ignored)
+ * @returns {{added: string[][], removed: string[][], descriptionChanged: boolean}}
+ */
+function diffAnnouncements(previous, next) {
+  const key = tag => JSON.stringify(tag);
+  const relevant = tags => tags.filter(t => t[0] !== 'client');
+  const previousKeys = new Set(relevant(previous.tags).map(key));
+  const nextKeys = new Set(relevant(next.tags).map(key));
+  return {
+    added: relevant(next.tags).filter(t => !previousKeys.has(key(t))),
+    removed: relevant(previous.tags).filter(t => !nextKeys.has(key(t))),
+    descriptionChanged: previous.content !== next.content
+  };
+}
+
+/**
+ * Let the user edit the name, topics and description of an announcement in $EDITOR (--edit)
+ * @returns {{name: string, topics: string[], description: string}}
+ */
+function editAnnouncement({ name, topics, description }) {
+  const composed = composeInEditor({
+    title: name,
+    fields: { topics: topics.join(', ') },
+    body: description,
+    help: [
+      'Write the repository name on the first line, the topics (comma-separated) in the',
+      'header and the description below it. An empty name aborts.'
+    ]
+  }, 'ANNOUNCEMENT_EDITMSG.md');
+  if (!composed) {
+    console.error('Aborting announcement due to empty name');
+    process.exit(1);
+  }
+  return { name: composed.title, topics: splitList(composed.fields.topics), description: composed.body };
+}
+
+/**
+ * Convert a GitRepublic clone URL (/api/git/<npub>/<repo>.git) to its web URL (/repos/<npub>/<repo>)
+ */
+function toGitRepublicWebUrl(cloneUrl) {
+  const match = cloneUrl.match(/^(https?:\/\/[^/]+)\/api\/git\/(npub1[^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? `${match[1]}/repos/${match[2]}/${match[3]}` : null;
+}
+
+/**
+ * Publish a repository announcement built from the local repository (--from-git)
+ *
+ * Clone URLs come from the remotes, the earliest unique commit from the history,
+ * the relays from the config ("relays") and --relay, the description and topics from
+ * the config ("description", "topics") or .git/description; maintainers and web URLs
+ * of the published announcement are kept.
+ * Shows what changes against the published announcement and asks before replacing it.
+ */
+async function publishRepoAnnouncementFromGit(args, relays, signer, pubkey, json) {
+  const repoRoot = findRepoRoot();
+  if (!repoRoot) {
+    console.error('Error: --from-git must be run inside a git repository');
+    process.exit(1);
+  }
+
+  const repoName = args[0] && !args[0].startsWith('--') ? args[0] : basename(repoRoot);
+  let description = null;
+  const extraCloneUrls = [];
+  const extraWebUrls = [];
+  const extraMaintainers = [];
+  const extraTopics = [];
+  const extraRelays = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--description' && args[i + 1]) {
+      description = args[++i];
+    } else if (args[i] === '--description-file' && args[i + 1]) {
+      description = readTextInput(args[++i]).trim();
+    } else if (args[i] === '--clone-url' && args[i + 1]) {
+      extraCloneUrls.push(args[++i]);
+    } else if (args[i] === '--web-url' && args[i + 1]) {
+      extraWebUrls.push(args[++i]);
+    } else if (args[i] === '--maintainer' && args[i + 1]) {
+      extraMaintainers.push(args[++i]);
+    } else if (args[i] === '--topic' && args[i + 1]) {
+      extraTopics.push(args[++i]);
+    } else if (args[i] === '--relay' && args[i + 1]) {
+      extraRelays.push(args[++i]);
+    }
+  }
+  relays.push(...extraRelays);
+
+  const earliestCommit = getEarliestCommit();
+  if (!earliestCommit) {
+    console.error('Error: The repository has no commits yet');
+    process.exit(1);
+  }
+
+  const existing = await fetchLatestAddressableEvent(30617, pubkey, repoName, relays);
+
+  const cloneUrls = [...new Set([
+    ...getRemoteUrls().map(toPublicCloneUrl).filter(Boolean),
+    ...extraCloneUrls
+  ])];
+  if (cloneUrls.length === 0) {
+    console.error('Warning: No http(s) or git:// remotes found; the announcement will have no clone URL');
+  }
+  const webUrls = [...new Set([
+    ...cloneUrls.map(toGitRepublicWebUrl).filter(Boolean),
+    ...(existing?.tags || []).filter(t => t[0] === 'web' && t[1]).map(t => t[1]),
+    ...extraWebUrls
+  ])];
+
+  let maintainers;
+  try {
+    maintainers = [...new Set([
+      ...getAnnouncementMaintainers(existing),
+      ...extraMaintainers.map(normalizePubkey)
+    ])].filter(m => m !== pubkey);
+  } catch (err) {
+    console.error(`Error: Invalid maintainer: ${err.message}`);
+    process.exit(1);
+  }
+
+  const configTopics = [...getConfigValue('topics'), ...extraTopics];
+  let topics = configTopics.length > 0
+    ? [...new Set(configTopics)]
+    : (existing?.tags || []).filter(t => t[0] === 't' && t[1]).map(t => t[1]);
+
+  if (description === null) {
+    description = getConfigValue('description') || getGitDescription() || existing?.content || '';
+  }
+
+  let name = existing?.tags.find(t => t[0] === 'name')?.[1] || repoName;
+  if (args.includes('--edit')) {
+    ({ name, topics, description } = editAnnouncement({ name, topics, description }));
+  }
+
+  const template = buildRepoAnnouncementEvent({
+    repoName,
+    name,
+    description,
+    cloneUrls,
+    webUrls,
+    maintainers,
+    earliestCommit,
+    relays: [...new Set([...getConfigValue('relays'), ...extraRelays])],
+    topics,
+    clientTag: !args.includes('--no-client-tag')
+  });
+
+  const diff = existing ? diffAnnouncements(existing, template) : null;
+  const unchanged = diff && diff.added.length === 0 && diff.removed.length === 0 && !diff.descriptionChanged;
+
+  if (!json) {
+    if (!existing) {
+      console.log(`No published announcement found for ${repoName}; publishing a new one:`);
+      template.tags.forEach(tag => console.log(`  + ${tag.join(' ')}`));
+    } else if (unchanged) {
+      console.log(`Published announcement for ${repoName} is up to date (event ${existing.id})`);
+    } else {
+      console.log(`Changes to the published announcement for ${repoName} (event ${existing.id}):`);
+      diff.removed.forEach(tag => console.log(`  - ${tag.join(' ')}`));
+      diff.added.forEach(tag => console.log(`  + ${tag.join(' ')}`));
+      if (diff.descriptionChanged) {
+        console.log(`  - description: ${existing.content}`);
+        console.log(`  + description: ${template.content}`);
+      }
+    }
+    console.log('');
+  }
+
+  if (args.includes('--dry-run') || unchanged) {
+    if (json) {
+      console.log(JSON.stringify({ event: template, previous: existing, diff, published: null }, null, 2));
+    }
+    return;
+  }
+
+  // An announcement of a repository whose ownership was transferred away is ignored
+  await checkPublishAuthority({
+    address: { pubkey, identifier: repoName },
+    pubkey,
+    relays,
+    action: 'repository announcement',
+    strict: isStrictPublish(args)
+  });
+
+  if (existing && !args.includes('--yes')) {
+    if (!(await promptConfirm('Replace the published announcement?'))) {
+      console.error('Aborted');
+      process.exit(1);
+    }
+  }
+
+  const event = await signer.signEvent(template);
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Repository announcement');
+  if (!json) {
+    console.log(`Repository: ${repoName}`);
+  }
+}
 
 /**
  * Publish repository announcement
  */
-export async function publishRepoAnnouncement(args, relays, privateKeyBytes, pubkey, json) {
+export async function publishRepoAnnouncement(args, relays, signer, pubkey, json) {
+  if (args.includes('--from-git')) {
+    return publishRepoAnnouncementFromGit(args.filter(arg => arg !== '--from-git'), relays, signer, pubkey, json);
+  }
+
   const repoName = args[0];
   if (!repoName) {
     console.error('Error: Repository name required');
-    console.error('Use: publish repo-announcement <repo-name> [options]');
+    console.error('Use: publish repo-announcement <repo-name> [options] (or: publish repo-announcement --from-git)');
     process.exit(1);
   }
 
-  const tags = [['d', repoName]];
   let description = '';
+  let name = null;
+  let topics = [];
   const cloneUrls = [];
   const webUrls = [];
   const maintainers = [];
@@ -22,6 +331,10 @@ export async function publishRepoAnnouncement(args, relays, privateKeyBytes, pub
   for (let i = 1; i < args.length; i++) {
     if (args[i] === '--description' && args[i + 1]) {
       description = args[++i];
+    } else if (args[i] === '--description-file' && args[i + 1]) {
+      description = readTextInput(args[++i]).trim();
+    } else if (args[i] === '--topic' && args[i + 1]) {
+      topics.push(args[++i]);
     } else if (args[i] === '--clone-url' && args[i + 1]) {
       cloneUrls.push(args[++i]);
     } else if (args[i] === '--web-url' && args[i + 1]) {
@@ -33,32 +346,30 @@ export async function publishRepoAnnouncement(args, relays, privateKeyBytes, pub
     }
   }
 
-  // Add clone URLs
-  for (const url of cloneUrls) {
-    tags.push(['r', url]);
-  }
+  await checkPublishAuthority({
+    address: { pubkey, identifier: repoName },
+    pubkey,
+    relays,
+    action: 'repository announcement',
+    strict: isStrictPublish(args)
+  });
 
-  // Add web URLs
-  for (const url of webUrls) {
-    tags.push(['web', url]);
+  if (args.includes('--edit')) {
+    ({ name, topics, description } = editAnnouncement({ name: repoName, topics, description }));
   }
 
-  // Add maintainers
-  for (const maintainer of maintainers) {
-    tags.push(['p', maintainer]);
-  }
-
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
-
-  const event = finalizeEvent({
-    kind: 30617, // REPO_ANNOUNCEMENT
-    created_at: Math.floor(Date.now() / 1000),
-    tags,
-    content: description
-  }, privateKeyBytes);
+  const event = await signer.signEvent(buildRepoAnnouncementEvent({
+    repoName,
+    name,
+    description,
+    topics,
+    cloneUrls,
+    webUrls,
+    maintainers,
+    clientTag: !args.includes('--no-client-tag')
+  }));
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Repository announcement');
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Repository announcement');
   if (!json) {
     console.log(`Repository: ${repoName}`);
   }
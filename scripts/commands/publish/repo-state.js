@@ -1,59 +1,202 @@
-import { finalizeEvent } from 'nostr-tools';
+import { basename } from 'path';
 import { nip19 } from 'nostr-tools';
 import { publishEventCommon, addClientTag } from './index.js';
+import { getConfigValue } from '../../config.js';
+import { findRepoRoot, getRefSnapshot, getRemoteRefSnapshot, getRemoteUrls } from '../../utils/git.js';
+import { getRepoAddressFromUrls } from '../../utils/nostr-refs.js';
+import { checkPublishAuthority, getTargetRepoAddress, isStrictPublish } from './authority.js';
+
+/**
+ * Build an unsigned repository state event (kind 30618)
+ * @param {Object} options
+ * @param {string} options.repoName - Repository name (d-tag)
+ * @param {Array<{ref: string, commit: string, parents?: string[]}>} [options.refs] - Refs to announce
+ * @param {string} [options.head] - HEAD branch name
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
+ */
+export function buildRepoStateEvent({ repoName, refs = [], head = null, clientTag = true }) {
+  if (!repoName) {
+    throw new Error('repoName is required');
+  }
+
+  const tags = [['d', repoName]];
+
+  for (const { ref, commit, parents = [] } of refs) {
+    tags.push([ref, commit, ...parents]);
+  }
+
+  if (head) {
+    tags.push(['HEAD', `ref: refs/heads/${head}`]);
+  }
+
+  addClientTag(tags, clientTag);
+
+  return {
+    kind: 30618, // REPO_STATE
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: ''
+  };
+}
+
+/**
+ * Build a repository state event from the refs of the local repository (or of one of its remotes)
+ * @param {Object} options
+ * @param {string} [options.repoName] - Repository name (default: the repository of the GitRepublic
+ *   remote, else the repository directory name)
+ * @param {string} [options.remote] - Take the refs the remote has (git ls-remote) instead of the local ones
+ * @param {string[]} [options.include] - Ref patterns to include (default: "state-include" config, else all)
+ * @param {string[]} [options.exclude] - Ref patterns to exclude (default: "state-exclude" config)
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {{template: Object, repoName: string, refs: Array, head: string|null}}
+ * @throws {Error} - If not in a git repository, or if the remote refs cannot be listed
+ */
+export function buildRepoStateFromGit({ repoName = null, remote = null, include = null, exclude = null, clientTag = true } = {}) {
+  const repoRoot = findRepoRoot();
+  if (!repoRoot) {
+    throw new Error('Not in a git repository');
+  }
+  // The state must have the d-tag of the announced repository, which need not be the directory name
+  const address = repoName ? null : getRepoAddressFromUrls(getRemoteUrls());
+  const name = repoName || (address ? address.identifier : basename(repoRoot));
+  const patterns = {
+    include: include && include.length > 0 ? include : getConfigValue('state-include'),
+    exclude: exclude && exclude.length > 0 ? exclude : getConfigValue('state-exclude')
+  };
+  const { refs, head } = remote ? getRemoteRefSnapshot(remote, patterns) : getRefSnapshot(patterns);
+  // Only announce HEAD when the branch it points to is part of the state
+  const announcedHead = head && refs.some(r => r.ref === `refs/heads/${head}`) ? head : null;
+  return {
+    template: buildRepoStateEvent({ repoName: name, refs, head: announcedHead, clientTag }),
+    repoName: name,
+    refs,
+    head: announcedHead
+  };
+}
+
+/**
+ * Publish repository state built from the local refs (--from-git)
+ */
+async function publishRepoStateFromGit(args, relays, signer, pubkey, json) {
+  const include = [];
+  const exclude = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--include' && args[i + 1]) {
+      include.push(args[++i]);
+    } else if (args[i] === '--exclude' && args[i + 1]) {
+      exclude.push(args[++i]);
+    } else if (args[i] === '--relay' && args[i + 1]) {
+      relays.push(args[++i]);
+    }
+  }
+
+  let state;
+  try {
+    state = buildRepoStateFromGit({
+      repoName: args[0] && !args[0].startsWith('--') ? args[0] : null,
+      include,
+      exclude,
+      clientTag: !args.includes('--no-client-tag')
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (state.refs.length === 0) {
+    console.error('Error: No refs match (check --include/--exclude or the state-include/state-exclude config)');
+    process.exit(1);
+  }
+
+  if (args.includes('--dry-run')) {
+    if (json) {
+      console.log(JSON.stringify({ event: state.template, published: null }, null, 2));
+    } else {
+      console.log(`Repository state for ${state.repoName} (not published):`);
+      state.template.tags.forEach(tag => console.log(`  ${tag.join(' ')}`));
+    }
+    return;
+  }
+
+  await checkPublishAuthority({
+    address: getTargetRepoAddress(state.repoName, pubkey),
+    pubkey,
+    relays,
+    action: 'repository state',
+    strict: isStrictPublish(args)
+  });
+
+  const event = await signer.signEvent(state.template);
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Repository state');
+  if (!json) {
+    console.log(`Repository: ${nip19.npubEncode(pubkey)}/${state.repoName}`);
+    if (state.head) {
+      console.log(`HEAD: ${state.head}`);
+    }
+    console.log(`Refs: ${state.refs.length}`);
+  }
+}
 
 /**
  * Publish repository state
  */
-export async function publishRepoState(args, relays, privateKeyBytes, pubkey, json) {
+export async function publishRepoState(args, relays, signer, pubkey, json) {
+  if (args.includes('--from-git')) {
+    return publishRepoStateFromGit(args.filter(arg => arg !== '--from-git'), relays, signer, pubkey, json);
+  }
+
   const repoName = args[0];
   if (!repoName) {
     console.error('Error: Repository name required');
-    console.error('Use: publish repo-state <repo> [options]');
+    console.error('Use: publish repo-state <repo> [options] (or: publish repo-state --from-git)');
     process.exit(1);
   }
 
   // Current owner is the pubkey from the signing key
   const currentOwnerPubkey = pubkey;
-  const tags = [['d', repoName]];
+  const refs = [];
   let headBranch = null;
 
   // Parse options
   for (let i = 1; i < args.length; i++) {
     if (args[i] === '--ref' && args[i + 2]) {
-      const refPath = args[++i];
-      const commitId = args[++i];
-      const refTag = [refPath, commitId];
+      const ref = args[++i];
+      const commit = args[++i];
+      const parents = [];
       
       // Check for parent commits
-      while (i + 1 < args.length && args[i + 1] !== '--ref' && args[i + 1] !== '--head') {
-        refTag.push(args[++i]);
+      while (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        parents.push(args[++i]);
       }
       
-      tags.push(refTag);
+      refs.push({ ref, commit, parents });
     } else if (args[i] === '--head' && args[i + 1]) {
       headBranch = args[++i];
-      tags.push(['HEAD', `ref: refs/heads/${headBranch}`]);
     }
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  await checkPublishAuthority({
+    address: getTargetRepoAddress(repoName, pubkey),
+    pubkey,
+    relays,
+    action: 'repository state',
+    strict: isStrictPublish(args)
+  });
 
-  const event = finalizeEvent({
-    kind: 30618, // REPO_STATE
-    created_at: Math.floor(Date.now() / 1000),
-    tags,
-    content: ''
-  }, privateKeyBytes);
+  const event = await signer.signEvent(buildRepoStateEvent({
+    repoName,
+    refs,
+    head: headBranch,
+    clientTag: !args.includes('--no-client-tag')
+  }));
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Repository state');
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Repository state');
   if (!json) {
     const currentOwnerNpub = nip19.npubEncode(currentOwnerPubkey);
     console.log(`Repository: ${currentOwnerNpub}/${repoName}`);
     if (headBranch) {
       console.log(`HEAD: ${headBranch}`);
     }
-    console.log(`Refs: ${tags.filter(t => t[0].startsWith('refs/')).length}`);
+    console.log(`Refs: ${refs.length}`);
   }
 }
@@ -1,10 +1,146 @@
-import { finalizeEvent } from 'nostr-tools';
+import { nip19 } from 'nostr-tools';
+import { fetchEventById } from '../../relay/event-fetcher.js';
+import { resolveRepoAuthority } from './authority.js';
 import { publishEventCommon, addClientTag } from './index.js';
 
+/**
+ * Status names mapped to their event kinds
+ */
+export const STATUS_KINDS = {
+  'open': 1630,
+  'applied': 1631,
+  'closed': 1632,
+  'draft': 1633
+};
+
+/**
+ * Kinds a status can be about: issues, pull requests and patches
+ */
+const STATUS_TARGET_KINDS = [1621, 1618, 1617];
+
+/**
+ * Build an unsigned status event (kinds 1630-1633) tagged as NIP-34 describes
+ * @param {Object} options
+ * @param {string} options.eventId - Target issue/PR/patch event ID (for a patch revision: the original root patch)
+ * @param {string} options.status - open, applied, closed or draft
+ * @param {string} [options.content] - Status comment
+ * @param {string} [options.revisionId] - Root patch of the revision the status refers to ('e' reply marker)
+ * @param {string} [options.repoOwner] - Repository owner pubkey (hex), for the 'a' and 'p' tags
+ * @param {string} [options.repoName] - Repository name, for the 'a' tag
+ * @param {string[]} [options.authors] - Authors of the target and the revision (hex), tagged with 'p'
+ * @param {string} [options.earliestCommit] - Earliest unique commit of the repository ('r' tag)
+ * @param {string} [options.mergeCommit] - Merge commit of an applied (merged) PR or patch
+ * @param {string[]} [options.appliedCommits] - Commits a patch was applied as
+ * @param {boolean} [options.clientTag] - Add the client tag (default: true)
+ * @returns {Object} - Event template ready to be signed
+ */
+export function buildStatusEvent({
+  eventId,
+  status,
+  content = '',
+  revisionId = null,
+  repoOwner = null,
+  repoName = null,
+  authors = [],
+  earliestCommit = null,
+  mergeCommit = null,
+  appliedCommits = [],
+  clientTag = true
+}) {
+  if (!eventId || !status) {
+    throw new Error('eventId and status are required');
+  }
+
+  const kind = STATUS_KINDS[status.toLowerCase()];
+  if (!kind) {
+    throw new Error('Invalid status. Use: open, applied, closed, or draft');
+  }
+  if ((mergeCommit || appliedCommits.length > 0) && kind !== STATUS_KINDS.applied) {
+    throw new Error('Merge and applied commits can only be given for the applied status');
+  }
+
+  const tags = [['e', eventId, '', 'root']];
+  if (revisionId && revisionId !== eventId) {
+    tags.push(['e', revisionId, '', 'reply']);
+  }
+
+  // Owner and authors are notified; the repository tags let clients filter statuses by repository
+  for (const pubkey of new Set([repoOwner, ...authors].filter(Boolean))) {
+    tags.push(['p', pubkey]);
+  }
+  if (repoOwner && repoName) {
+    tags.push(['a', `30617:${repoOwner}:${repoName}`]);
+  }
+  if (earliestCommit) {
+    tags.push(['r', earliestCommit]);
+  }
+
+  if (mergeCommit) {
+    tags.push(['merge-commit', mergeCommit]);
+    tags.push(['r', mergeCommit]);
+  }
+  if (appliedCommits.length > 0) {
+    tags.push(['applied-as-commits', ...appliedCommits]);
+    for (const commit of appliedCommits) {
+      tags.push(['r', commit]);
+    }
+  }
+
+  addClientTag(tags, clientTag);
+
+  return {
+    kind,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content
+  };
+}
+
+/**
+ * Find the event a status is about, its repository and the revision it refers to
+ * A status on a patch goes to the first patch of its series; a status on a patch revision (root-revision)
+ * is rooted at the original series with the revision as reply.
+ * @returns {Promise<{target: Object, rootId: string, revisionId: string|null, authors: string[], owner: string|null, repoName: string|null}>}
+ */
+async function resolveStatusTarget(eventId, relays) {
+  let target = await fetchEventById(eventId, { kinds: STATUS_TARGET_KINDS, relays });
+  // The status of a patch series is set on its first patch
+  const seriesRootId = target?.kind === 1617 && !target.tags.some(t => t[0] === 't' && ['root', 'root-revision'].includes(t[1]))
+    ? target.tags.find(t => t[0] === 'e' && t[3] === 'root')?.[1]
+    : null;
+  if (seriesRootId) {
+    target = await fetchEventById(seriesRootId, { kinds: [1617], relays });
+  }
+  if (!target) {
+    throw new Error(`Event ${eventId} not found on relays or in nostr/ (needed for the repository and author tags)`);
+  }
+  if (!STATUS_TARGET_KINDS.includes(target.kind)) {
+    throw new Error(`Event ${eventId} is not an issue, pull request or patch (kind ${target.kind})`);
+  }
+
+  let rootId = target.id;
+  let revisionId = null;
+  const authors = [target.pubkey];
+  const isRevision = target.kind === 1617 && target.tags.some(t => t[0] === 't' && t[1] === 'root-revision');
+  const originalId = isRevision ? target.tags.find(t => t[0] === 'e' && t[3] === 'reply')?.[1] : null;
+  if (originalId) {
+    const original = await fetchEventById(originalId, { kinds: [1617], relays });
+    rootId = originalId;
+    revisionId = target.id;
+    if (original) {
+      authors.unshift(original.pubkey);
+    }
+  }
+
+  const address = target.tags.find(t => t[0] === 'a' && t[1]?.startsWith('30617:'))?.[1];
+  const [, owner = null, repoName = null] = address ? address.match(/^30617:([0-9a-f]{64}):(.+)$/) || [] : [];
+  return { target, rootId, revisionId, authors, owner, repoName };
+}
+
 /**
  * Publish status event
  */
-export async function publishStatus(args, relays, privateKeyBytes, pubkey, json) {
+export async function publishStatus(args, relays, signer, pubkey, json) {
   const [eventId, status] = args;
   if (!eventId || !status) {
     console.error('Error: event ID and status required');
@@ -12,41 +148,77 @@ export async function publishStatus(args, relays, privateKeyBytes, pubkey, json)
     process.exit(1);
   }
 
-  const statusKinds = {
-    'open': 1630,
-    'applied': 1631,
-    'closed': 1632,
-    'draft': 1633
-  };
-
-  const kind = statusKinds[status.toLowerCase()];
-  if (!kind) {
+  if (!STATUS_KINDS[status.toLowerCase()]) {
     console.error(`Error: Invalid status. Use: open, applied, closed, or draft`);
     process.exit(1);
   }
 
-  const tags = [['e', eventId]];
   let content = '';
+  let mergeCommit = null;
+  const appliedCommits = [];
 
   for (let i = 2; i < args.length; i++) {
     if (args[i] === '--content' && args[i + 1]) {
       content = args[++i];
+    } else if (args[i] === '--merge-commit' && args[i + 1]) {
+      mergeCommit = args[++i];
+    } else if (args[i] === '--applied-commits') {
+      // Commit IDs follow until the next option (comma-separated lists work too)
+      while (args[i + 1] && !args[i + 1].startsWith('--')) {
+        appliedCommits.push(...args[++i].split(',').filter(Boolean));
+      }
     }
   }
 
-  // Add client tag unless --no-client-tag is specified
-  addClientTag(tags, args);
+  const commitIds = [mergeCommit, ...appliedCommits].filter(Boolean);
+  const invalid = commitIds.find(id => !/^[0-9a-f]{40}([0-9a-f]{24})?$/i.test(id));
+  if (invalid) {
+    console.error(`Error: Invalid commit ID: ${invalid} (use the full 40 or 64 character hash)`);
+    process.exit(1);
+  }
+  if (commitIds.length > 0 && status.toLowerCase() !== 'applied') {
+    console.error('Error: --merge-commit and --applied-commits can only be used with the applied status');
+    process.exit(1);
+  }
 
-  const event = finalizeEvent({
-    kind,
-    created_at: Math.floor(Date.now() / 1000),
-    tags,
-    content
-  }, privateKeyBytes);
+  const { target, rootId, revisionId, authors, owner, repoName } = await resolveStatusTarget(eventId, relays);
 
-  await publishEventCommon(event, relays, privateKeyBytes, pubkey, json, 'Status event');
+  // Only the repository owner (after ownership transfers), its maintainers and the author
+  // may change the status (NIP-34)
+  let earliestCommit = null;
+  if (owner && repoName) {
+    const { maintainers, announcement } = await resolveRepoAuthority({ pubkey: owner, identifier: repoName }, relays);
+    if (!maintainers.has(pubkey) && !authors.includes(pubkey)) {
+      console.error(`Error: ${nip19.npubEncode(pubkey)} is not the owner or a maintainer of ${nip19.npubEncode(owner)}/${repoName}, nor the author of the ${target.kind === 1621 ? 'issue' : target.kind === 1618 ? 'pull request' : 'patch'}`);
+      console.error('Clients ignore status events from anyone else');
+      process.exit(1);
+    }
+    earliestCommit = announcement?.tags.find(t => t[0] === 'r' && t[2] === 'euc')?.[1] || null;
+  } else if (!authors.includes(pubkey)) {
+    console.error('Error: The event has no repository (a tag), so only its author can change its status');
+    process.exit(1);
+  }
+
+  const event = await signer.signEvent(buildStatusEvent({
+    eventId: rootId,
+    status,
+    content,
+    revisionId,
+    repoOwner: owner,
+    repoName,
+    authors,
+    earliestCommit,
+    mergeCommit,
+    appliedCommits,
+    clientTag: !args.includes('--no-client-tag')
+  }));
+
+  await publishEventCommon(event, relays, signer, pubkey, json, 'Status event');
   if (!json) {
     console.log(`Status: ${status}`);
-    console.log(`Target event: ${eventId}`);
+    console.log(`Target event: ${rootId}${revisionId ? ` (revision ${revisionId})` : ''}`);
+    if (owner && repoName) {
+      console.log(`Repository: ${nip19.npubEncode(owner)}/${repoName}`);
+    }
   }
 }
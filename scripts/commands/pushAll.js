@@ -1,125 +1,115 @@
 // Note: Using spawn instead of execSync for security (prevents command injection)
 
+import { getConfigValue } from '../config.js';
+import { getSigner } from '../utils/signer.js';
+import { getRemoteUrls, getRefSnapshot, listUnpushedCommits } from '../utils/git.js';
+import { getRepoAddressFromUrls } from '../utils/nostr-refs.js';
+import { getAllowedSignersPath } from '../utils/allowed-signers.js';
+import { checkUrlReachability } from '../utils/git-urls.js';
+import { storeEventInJsonl } from '../utils/event-storage.js';
+import { publishToRelays } from '../relay/publisher.js';
+import { enhanceRelayList } from '../relay/relay-fetcher.js';
+import { buildRepoStateFromGit } from './publish/repo-state.js';
+import { checkPublishAuthority, getTargetRepoAddress } from './publish/authority.js';
+import { verifyCommitList, printCommitResults } from './verify.js';
+
 /**
- * Check if a URL is an SSH URL (git@host:path or ssh://)
+ * Get the URL for a git remote
  */
-function isSshUrl(url) {
-  return url.startsWith('git@') || url.startsWith('ssh://') || /^[a-zA-Z0-9_]+@/.test(url);
+async function getRemoteUrl(remote) {
+  const { spawn } = await import('child_process');
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', ['remote', 'get-url', remote], { encoding: 'utf-8' });
+    let output = '';
+    proc.stdout.on('data', (chunk) => { output += chunk.toString(); });
+    proc.on('close', (code) => {
+      if (code === 0) resolve(output.trim());
+      else reject(new Error(`git remote get-url exited with code ${code}`));
+    });
+    proc.on('error', reject);
+  });
 }
 
 /**
- * Convert SSH URL to HTTPS URL for reachability testing
- * Examples:
- *   git@github.com:user/repo.git -> https://github.com/user/repo.git
- *   git@git.imwald.eu:2222/user/repo.git -> https://git.imwald.eu/user/repo.git
- *   ssh://git@host:port/path -> https://host/path
+ * Publish the repository state (kind 30618) after a successful push
+ * The refs are those the remote has after the push, so local branches and tags
+ * that were not pushed are not announced.
+ * @param {Array<{remote: string, url: string}>} pushed - Remotes pushed to; the state is taken
+ *   from the GitRepublic one (else the first) and named after its repository
+ * @returns {Promise<Object>} - { eventId, remote, refs, success, failed } or { error }
  */
-function sshToHttps(url) {
-  // Handle ssh:// URLs
-  if (url.startsWith('ssh://')) {
-    const match = url.match(/^ssh:\/\/(?:[^@]+@)?([^:\/]+)(?::(\d+))?(?:\/(.+))?$/);
-    if (match) {
-      const [, host, port, path] = match;
-      const cleanPath = path || '';
-      // Remove port from HTTPS URL (ports are usually SSH-specific)
-      return `https://${host}${cleanPath.startsWith('/') ? cleanPath : '/' + cleanPath}`;
-    }
-  }
-  
-  // Handle git@host:path format
-  if (url.startsWith('git@') || /^[a-zA-Z0-9_]+@/.test(url)) {
-    const match = url.match(/^(?:[^@]+@)?([^:]+):(.+)$/);
-    if (match) {
-      const [, host, path] = match;
-      // Remove port if present (e.g., git.imwald.eu:2222 -> git.imwald.eu)
-      const hostWithoutPort = host.split(':')[0];
-      const cleanPath = path.startsWith('/') ? path : '/' + path;
-      return `https://${hostWithoutPort}${cleanPath}`;
+async function publishStateAfterPush(pushed) {
+  let signer = null;
+  try {
+    const target = pushed.find(info => getRepoAddressFromUrls([info.url])) || pushed[0];
+    const address = getRepoAddressFromUrls([target.url]);
+    signer = await getSigner({ urls: getRemoteUrls() });
+    const pubkey = await signer.getPublicKey();
+    const { template, refs, repoName } = buildRepoStateFromGit({
+      remote: target.remote,
+      repoName: address ? address.identifier : null
+    });
+    const baseRelays = getConfigValue('relays');
+    const relays = await enhanceRelayList(baseRelays, pubkey, baseRelays);
+    await checkPublishAuthority({
+      address: getTargetRepoAddress(repoName, pubkey),
+      pubkey,
+      relays,
+      action: 'repository state',
+      strict: getConfigValue('publish-strict')
+    });
+    const event = await signer.signEvent(template);
+    storeEventInJsonl(event);
+    const result = await publishToRelays(event, relays, signer, pubkey);
+    return { eventId: event.id, remote: target.remote, refs: refs.length, success: result.success, failed: result.failed };
+  } catch (err) {
+    const { sanitizeErrorMessage } = await import('../utils/error-sanitizer.js');
+    return { error: sanitizeErrorMessage(err instanceof Error ? err.message : String(err)) };
+  } finally {
+    if (signer) {
+      await signer.close();
     }
   }
-  
-  return null;
 }
 
 /**
- * Check if a git URL is reachable
- * Tests the info/refs endpoint to see if the server responds
- * Converts SSH URLs to HTTPS for testing
+ * Check the commits a push would send against the allowed signers policy
+ * (commits of the pushed branches that the remote-tracking branches of the remotes don't contain,
+ * each checked against the policy committed in its parent, see verifyCommitList)
+ * @param {string[]} remotes - Remotes pushed to
+ * @param {string|null} branch - Pushed branch (null: all branches)
+ * @returns {Promise<Object|null>} - { policy, checked, failed: [{branch, commit, result}] }, or null without a policy
+ * @throws {Error} - If a policy file is invalid
  */
-async function checkUrlReachability(url, timeout = 5000) {
-  let testUrl = url;
-  
-  // Convert SSH URLs to HTTPS for testing
-  if (isSshUrl(url)) {
-    const httpsUrl = sshToHttps(url);
-    if (httpsUrl) {
-      testUrl = httpsUrl;
-    } else {
-      // If we can't convert, assume reachable (will fail on actual push if not)
-      return { reachable: true, error: undefined };
-    }
+async function checkCommitSigners(remotes, branch) {
+  if (!getAllowedSignersPath()) {
+    return null;
   }
-  
-  try {
-    // Parse URL and construct test endpoint
-    const urlObj = new URL(testUrl);
-    
-    // Only test HTTP/HTTPS URLs
-    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
-      // For other protocols (like git://), assume reachable
-      return { reachable: true, error: undefined };
-    }
-    
-    const infoRefsUrl = `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}/info/refs?service=git-upload-pack`;
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
-    try {
-      const response = await fetch(infoRefsUrl, {
-        method: 'GET',
-        signal: controller.signal,
-        redirect: 'manual',
-        headers: {
-          'User-Agent': 'GitRepublic-CLI/1.0'
-        }
-      });
-      
-      clearTimeout(timeoutId);
-      // Any HTTP status < 600 means server is reachable
-      return { reachable: response.status < 600, error: response.status >= 600 ? `HTTP ${response.status}` : undefined };
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      if (fetchError instanceof Error && fetchError.name === 'AbortError') {
-        return { reachable: false, error: 'Timeout' };
+
+  const branches = branch
+    ? [branch]
+    : getRefSnapshot().refs.filter(r => r.ref.startsWith('refs/heads/')).map(r => r.ref.slice('refs/heads/'.length));
+  const checked = new Set();
+  const failed = [];
+  let policy = null;
+  for (const name of branches) {
+    const commits = new Map();
+    for (const remote of remotes) {
+      for (const commit of listUnpushedCommits(`refs/heads/${name}`, remote) || []) {
+        commits.set(commit.sha, commit);
       }
-      return { reachable: false, error: fetchError instanceof Error ? fetchError.message : 'Network error' };
     }
-  } catch (urlError) {
-    // If URL parsing fails, it might be a malformed URL
-    // For SSH URLs that we couldn't convert, assume reachable (will fail on actual push if not)
-    if (isSshUrl(url)) {
-      return { reachable: true, error: undefined };
+    if (commits.size === 0) continue;
+    const verified = await verifyCommitList([...commits.values()], { relays: getConfigValue('relays'), branch: name });
+    policy = policy || verified.policy;
+    for (const { commit, result } of verified.results) {
+      checked.add(commit.sha);
+      if (result.status !== 'signed') {
+        failed.push({ branch: name, commit, result });
+      }
     }
-    return { reachable: false, error: urlError instanceof Error ? urlError.message : 'Invalid URL' };
   }
-}
-
-/**
- * Get the URL for a git remote
- */
-async function getRemoteUrl(remote) {
-  const { spawn } = await import('child_process');
-  return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['remote', 'get-url', remote], { encoding: 'utf-8' });
-    let output = '';
-    proc.stdout.on('data', (chunk) => { output += chunk.toString(); });
-    proc.on('close', (code) => {
-      if (code === 0) resolve(output.trim());
-      else reject(new Error(`git remote get-url exited with code ${code}`));
-    });
-    proc.on('error', reject);
-  });
+  return policy ? { policy, checked: checked.size, failed } : null;
 }
 
 /**
@@ -149,6 +139,10 @@ Options:
   --tags                    Also push tags
   --dry-run, -n             Show what would be pushed without actually pushing
   --skip-reachability        Skip reachability check (push to all remotes regardless)
+  --publish-state            After a successful push, publish the repository state (kind 30618)
+                             of the branches and tags on the GitRepublic remote after the push
+                             (default: "publish-state" config)
+  --no-publish-state         Do not publish the repository state
   --help, -h                Show this help message
 
 Examples:
@@ -157,6 +151,7 @@ Examples:
   gitrep push-all main --force       Force push main branch to all remotes
   gitrep push-all --tags             Push all branches and tags to all remotes
   gitrep push-all main --dry-run     Show what would be pushed without pushing
+  gitrep push-all --tags --publish-state  Push, then announce the new state on Nostr
 
 Notes:
   - This command requires you to be in a git repository
@@ -164,6 +159,10 @@ Notes:
   - Checks reachability of each remote before pushing (skips unreachable ones)
   - If any reachable remote fails, the command will exit with an error code
   - Use --dry-run to test before actually pushing
+  - The published state uses the state-include/state-exclude ref patterns from the config
+    (same as: gitrep publish repo-state --from-git)
+  - With an allowed signers policy (nostr/allowed-signers.json, see: gitrep verify commits),
+    the commits to push that are not signed by an allowed signer are reported before pushing
 `);
     return;
   }
@@ -174,6 +173,8 @@ Notes:
   const tags = args.includes('--tags');
   const dryRun = args.includes('--dry-run') || args.includes('-n');
   const skipReachabilityCheck = args.includes('--skip-reachability');
+  const publishState = !args.includes('--no-publish-state') &&
+    (args.includes('--publish-state') || getConfigValue('publish-state'));
   
   // Get all remotes
   // Security: Use spawn with argument arrays to prevent command injection
@@ -254,6 +255,26 @@ Notes:
     process.exit(1);
   }
   
+  // Report commits the allowed signers policy doesn't cover (the push itself goes ahead)
+  let signers = null;
+  try {
+    signers = await checkCommitSigners(reachableRemotes.map(info => info.remote), branch);
+  } catch (err) {
+    console.error(`Warning: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  if (signers && !json) {
+    console.log(`\nChecking commit signers (${signers.policy})...`);
+    if (signers.failed.length === 0) {
+      console.log(`  ✅ ${signers.checked} commit(s) to push are signed by allowed signers`);
+    } else {
+      console.log(`  ⚠️  ${new Set(signers.failed.map(f => f.commit.sha)).size} of ${signers.checked} commit(s) to push are not signed by an allowed signer:`);
+      for (const name of new Set(signers.failed.map(f => f.branch))) {
+        console.log(`  ${name}:`);
+        printCommitResults(signers.failed.filter(f => f.branch === name), { indent: '    ' });
+      }
+    }
+  }
+  
   // Build push command
   const pushArgs = [];
   if (force) pushArgs.push('--force');
@@ -322,6 +343,12 @@ Notes:
     });
   });
   
+  // Keep the announced state in sync with what was pushed
+  let state = null;
+  if (publishState && !dryRun && failCount === 0 && successCount > 0) {
+    state = await publishStateAfterPush(reachableRemotes);
+  }
+  
   if (json) {
     console.log(JSON.stringify({
       total: remotes.length,
@@ -329,7 +356,20 @@ Notes:
       skipped: skippedCount,
       success: successCount,
       failed: failCount,
-      results
+      results,
+      ...(state ? { state } : {}),
+      ...(signers ? {
+        signers: {
+          policy: signers.policy,
+          checked: signers.checked,
+          failed: signers.failed.map(({ branch: name, commit, result }) => ({
+            branch: name,
+            commit: commit.sha,
+            status: result.status,
+            reason: result.reason
+          }))
+        }
+      } : {})
     }, null, 2));
   } else {
     console.log('\n' + '='.repeat(70));
@@ -344,6 +384,14 @@ Notes:
       });
     }
     
+    if (state && state.error) {
+      console.log(`\n⚠️  Could not publish repository state: ${state.error}`);
+      console.log('   Retry with: gitrep publish repo-state --from-git');
+    } else if (state) {
+      console.log(`\n${state.success.length > 0 ? '✅' : '⚠️ '} Repository state of ${state.remote} published (${state.refs} refs, event ${state.eventId}) to ${state.success.length} relay(s)`);
+      state.failed.forEach(f => console.log(`  Failed on ${f.relay}: ${f.error}`));
+    }
+    
     if (failCount > 0) {
       console.log('\nFailed remotes:');
       results.filter(r => r.status === 'failed').forEach(r => {
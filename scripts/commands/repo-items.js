@@ -0,0 +1,382 @@
+/**
+ * Shared listing of repository issues, pull requests and patch series (NIP-34)
+ * Used by the issues, pr and patch commands
+ */
+
+import { nip19 } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { getRemoteUrls, getPatchSubject } from '../utils/git.js';
+import { readStoredEvents } from '../utils/event-storage.js';
+import { normalizePubkey } from '../utils/keys.js';
+import { parseEventReference, parseRepoAddress, getRepoAddressFromUrls } from '../utils/nostr-refs.js';
+import { fetchEvents, fetchEventById } from '../relay/event-fetcher.js';
+import { resolveRepoAuthority } from './publish/authority.js';
+import { STATUS_KINDS } from './publish/status.js';
+import { verifyNostrEvent } from './verify.js';
+
+/**
+ * Item types: event kind, display names, the name of the "applied" state (kind 1631) and the command showing them
+ */
+export const ITEM_TYPES = {
+  issue: { kind: 1621, name: 'Issue', title: 'Issues', plural: 'issues', applied: 'resolved', command: 'issues' },
+  pr: { kind: 1618, name: 'Pull request', title: 'Pull requests', plural: 'pull requests', applied: 'merged', command: 'prs' },
+  patch: { kind: 1617, name: 'Patch series', title: 'Patch series', plural: 'patch series', applied: 'applied', command: 'patch' }
+};
+
+/**
+ * Get the item type of an event kind
+ * @param {number} kind - Event kind
+ * @returns {Object|null} - Entry of ITEM_TYPES
+ */
+export function getItemType(kind) {
+  return Object.values(ITEM_TYPES).find(t => t.kind === kind) || null;
+}
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(STATUS_KINDS).map(([name, kind]) => [kind, name]));
+
+/**
+ * Get the state name of a status kind for an item type (e.g. 1631 is "merged" for pull requests)
+ * @param {Object} type - Entry of ITEM_TYPES
+ * @param {number} statusKind - 1630-1633
+ * @returns {string}
+ */
+export function getStateName(type, statusKind) {
+  const name = STATUS_NAMES[statusKind] || 'open';
+  return name === 'applied' ? type.applied : name;
+}
+
+/**
+ * Get the title of an issue, pull request or patch
+ */
+export function getItemTitle(event) {
+  const subject = event.tags.find(t => t[0] === 'subject')?.[1];
+  if (subject) {
+    return subject;
+  }
+  if (event.kind === ITEM_TYPES.patch.kind) {
+    return getPatchSubject(event.content);
+  }
+  return event.content.split('\n')[0].trim() || '(no title)';
+}
+
+/**
+ * Get the labels (t tags) of an item; the root/root-revision markers of patch series are not labels
+ */
+export function getItemLabels(event) {
+  return event.tags
+    .filter(t => t[0] === 't' && t[1] && !(event.kind === ITEM_TYPES.patch.kind && ['root', 'root-revision'].includes(t[1])))
+    .map(t => t[1]);
+}
+
+/**
+ * Get the pubkeys allowed to change the status of the repository's items: the current owner
+ * (after ownership transfers) and the maintainers listed in their latest announcement
+ * @param {{pubkey: string, identifier: string}} address - Repository address
+ * @param {string[]} relays - Relays to query
+ * @returns {Promise<Set<string>>} - Hex pubkeys
+ */
+export async function fetchRepoMaintainers(address, relays) {
+  return (await resolveRepoAuthority(address, relays)).maintainers;
+}
+
+/**
+ * Fetch the issues, pull requests or patch series of a repository (from relays and nostr/)
+ * Only events with a valid signature are returned; for patches only the first event of each series
+ * @param {number} kind - 1621, 1618 or 1617
+ * @param {{pubkey: string, identifier: string}} address - Repository address
+ * @param {string[]} relays - Relays to query
+ * @returns {Promise<Object[]>} - Events, newest first
+ */
+export async function fetchRepoItems(kind, address, relays) {
+  const a = `30617:${address.pubkey}:${address.identifier}`;
+  const filter = { kinds: [kind], '#a': [a] };
+  if (kind === ITEM_TYPES.patch.kind) {
+    filter['#t'] = ['root'];
+  }
+  const fromRelays = await fetchEvents(filter, relays);
+  const seen = new Set();
+  return [...fromRelays, ...readStoredEvents(kind)]
+    .filter(e => e.kind === kind && e.tags.some(t => t[0] === 'a' && t[1] === a))
+    .filter(e => kind !== ITEM_TYPES.patch.kind || e.tags.some(t => t[0] === 't' && t[1] === 'root'))
+    .filter(e => !seen.has(e.id) && seen.add(e.id) && verifyNostrEvent(e).valid)
+    .sort((x, y) => y.created_at - x.created_at);
+}
+
+/**
+ * Fetch the status events (kinds 1630-1633) referencing any of the given events
+ * @param {string[]} ids - Event IDs
+ * @param {string[]} relays - Relays to query
+ * @returns {Promise<Object[]>} - Status events with a valid signature, newest first
+ */
+export async function fetchStatusEvents(ids, relays) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const kinds = Object.values(STATUS_KINDS);
+  const wanted = new Set(ids);
+  const fromRelays = await fetchEvents({ kinds, '#e': ids }, relays);
+  const seen = new Set();
+  return [...fromRelays, ...kinds.flatMap(kind => readStoredEvents(kind))]
+    .filter(e => kinds.includes(e.kind) && e.tags.some(t => t[0] === 'e' && wanted.has(t[1])))
+    .filter(e => !seen.has(e.id) && seen.add(e.id) && verifyNostrEvent(e).valid)
+    .sort((x, y) => y.created_at - x.created_at);
+}
+
+/**
+ * Resolve the current state of an item: the newest status event by the repository owner, a maintainer,
+ * or (as NIP-34 allows) the item's author. Items without such a status are open.
+ * @param {Object} item - Issue, pull request or patch event
+ * @param {Object[]} statuses - Status events (any order)
+ * @param {Set<string>} maintainers - Owner and maintainer pubkeys
+ * @returns {{state: string, status: Object|null}}
+ */
+export function resolveItemState(item, statuses, maintainers) {
+  const type = getItemType(item.kind) || ITEM_TYPES.issue;
+  const status = statuses
+    .filter(e => e.tags.some(t => t[0] === 'e' && t[1] === item.id))
+    .filter(e => maintainers.has(e.pubkey) || e.pubkey === item.pubkey)
+    .sort((x, y) => y.created_at - x.created_at)[0] || null;
+  return { state: status ? getStateName(type, status.kind) : 'open', status };
+}
+
+function parseValueOptions(args, valueOptions) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (valueOptions.includes(args[i]) && args[i + 1] !== undefined) {
+      const name = args[i].slice(2);
+      options[name] = [...(options[name] || []), args[++i]];
+    } else if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+    }
+  }
+  return { options, positional };
+}
+
+function parseDate(value, option) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    console.error(`Error: Invalid date for ${option}: ${value} (use YYYY-MM-DD)`);
+    process.exit(1);
+  }
+  return Math.floor(time / 1000);
+}
+
+export function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+export function shortNpub(pubkey) {
+  const npub = nip19.npubEncode(pubkey);
+  return `${npub.slice(0, 10)}…${npub.slice(-4)}`;
+}
+
+/**
+ * Get the repository to list: naddr, 30617:<pubkey>:<repo>, <owner-npub> <repo>, or the GitRepublic remote of the current repository
+ */
+function resolveRepoAddress(positional) {
+  if (positional.length > 0) {
+    return parseRepoAddress(positional[0], positional[1]);
+  }
+  const address = getRepoAddressFromUrls(getRemoteUrls());
+  if (!address) {
+    throw new Error('No repository given and no GitRepublic remote found (use <naddr> or <owner-npub> <repo>)');
+  }
+  return address;
+}
+
+/**
+ * Describe an item for JSON output
+ */
+function describeItem(item, state, status) {
+  return {
+    id: item.id,
+    nevent: nip19.neventEncode({ id: item.id, author: item.pubkey, kind: item.kind }),
+    title: getItemTitle(item),
+    state,
+    statusEvent: status ? status.id : null,
+    author: nip19.npubEncode(item.pubkey),
+    labels: getItemLabels(item),
+    created_at: item.created_at
+  };
+}
+
+/**
+ * List the issues, pull requests or patch series of a repository
+ * @param {Object} type - Entry of ITEM_TYPES
+ * @param {string[]} args - Command arguments (after "list")
+ * @param {boolean} json - Output JSON
+ */
+export async function listRepoItems(type, args, json) {
+  const { options, positional } = parseValueOptions(args, ['--state', '--label', '--author', '--since', '--until', '--limit', '--relay']);
+  const relays = [...getConfigValue('relays'), ...(options.relay || [])];
+
+  const state = (options.state?.[0] || 'open').toLowerCase();
+  const states = ['open', type.applied, 'closed', 'draft', 'all'];
+  if (!states.includes(state)) {
+    console.error(`Error: Invalid state: ${state} (use: ${states.join(', ')})`);
+    process.exit(1);
+  }
+  let authors = null;
+  try {
+    authors = options.author ? options.author.map(a => normalizePubkey(a)) : null;
+  } catch (err) {
+    console.error(`Error: Invalid --author: ${err.message}`);
+    process.exit(1);
+  }
+  const since = options.since ? parseDate(options.since[0], '--since') : null;
+  const until = options.until ? parseDate(options.until[0], '--until') : null;
+  const limit = options.limit ? parseInt(options.limit[0], 10) : null;
+  if (limit !== null && !(limit > 0)) {
+    console.error('Error: --limit must be a positive number');
+    process.exit(1);
+  }
+
+  let address;
+  try {
+    address = resolveRepoAddress(positional);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  relays.push(...address.relays);
+
+  const [items, maintainers] = await Promise.all([
+    fetchRepoItems(type.kind, address, relays),
+    fetchRepoMaintainers(address, relays)
+  ]);
+  const statuses = await fetchStatusEvents(items.map(e => e.id), relays);
+
+  let rows = items
+    .filter(e => !authors || authors.includes(e.pubkey))
+    .filter(e => since === null || e.created_at >= since)
+    .filter(e => until === null || e.created_at < until + 86400)
+    .filter(e => !options.label || options.label.every(label => getItemLabels(e).includes(label)))
+    .map(e => ({ item: e, ...resolveItemState(e, statuses, maintainers) }))
+    .filter(row => state === 'all' || row.state === state);
+  if (limit) {
+    rows = rows.slice(0, limit);
+  }
+
+  const repo = `${nip19.npubEncode(address.pubkey)}/${address.identifier}`;
+  if (json) {
+    console.log(JSON.stringify({ repository: repo, state, items: rows.map(r => describeItem(r.item, r.state, r.status)) }, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log(`No ${state === 'all' ? '' : `${state} `}${type.plural} found for ${repo}`);
+    return;
+  }
+  console.log(`${type.title} for ${repo} (${state}):\n`);
+  console.log(`${'ID'.padEnd(10)}${'STATE'.padEnd(10)}${'DATE'.padEnd(12)}${'AUTHOR'.padEnd(17)}TITLE`);
+  for (const { item, state: itemState } of rows) {
+    const labels = getItemLabels(item);
+    console.log(`${item.id.slice(0, 8).padEnd(10)}${itemState.padEnd(10)}${formatDate(item.created_at).padEnd(12)}${shortNpub(item.pubkey).padEnd(17)}${getItemTitle(item)}${labels.length ? `  [${labels.join(', ')}]` : ''}`);
+  }
+  console.log(`\n${rows.length} ${rows.length === 1 ? type.name.toLowerCase() : type.plural}. Show one with: gitrep ${type.command} show <id>`);
+}
+
+/**
+ * Find an item of a repository by the abbreviated ID printed by list
+ */
+async function findItemByPrefix(type, prefix, address, relays) {
+  const matches = (await fetchRepoItems(type.kind, address, relays)).filter(e => e.id.startsWith(prefix));
+  if (matches.length === 0) {
+    throw new Error(`No ${type.name.toLowerCase()} with ID ${prefix} found for ${nip19.npubEncode(address.pubkey)}/${address.identifier}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`ID ${prefix} is ambiguous (${matches.length} ${type.plural}); use more characters`);
+  }
+  return { id: matches[0].id, relays: address.relays, author: null, kind: null };
+}
+
+/**
+ * Show an issue, pull request or patch series with its state and status history
+ * @param {Object} type - Entry of ITEM_TYPES
+ * @param {string[]} args - Command arguments (after "show")
+ * @param {boolean} json - Output JSON
+ * @param {function(Object, string[]): Promise<Array<[string, string]>>} [details] - Extra fields to print for the item
+ */
+export async function showRepoItem(type, args, json, details = async () => []) {
+  const { options, positional } = parseValueOptions(args, ['--relay']);
+  const relays = [...getConfigValue('relays'), ...(options.relay || [])];
+  if (positional.length === 0) {
+    console.error(`Error: ${type.name} event ID or nevent required`);
+    console.error(`Use: ${type.command} show <event-id|nevent> (or an abbreviated ID of the current repository)`);
+    process.exit(1);
+  }
+
+  let reference;
+  try {
+    reference = /^[0-9a-f]{8,63}$/i.test(positional[0])
+      ? await findItemByPrefix(type, positional[0].toLowerCase(), resolveRepoAddress(positional.slice(1)), relays)
+      : parseEventReference(positional[0]);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  relays.push(...reference.relays);
+
+  const item = await fetchEventById(reference.id, { kinds: [type.kind], relays });
+  if (!item) {
+    throw new Error(`${type.name} ${reference.id} not found on relays or in nostr/`);
+  }
+  if (item.kind !== type.kind) {
+    throw new Error(`Event ${reference.id} is not a ${type.name.toLowerCase()} (kind ${item.kind})`);
+  }
+  if (!verifyNostrEvent(item).valid) {
+    throw new Error(`${type.name} ${reference.id} has an invalid signature`);
+  }
+
+  const a = item.tags.find(t => t[0] === 'a' && t[1]?.startsWith('30617:'))?.[1];
+  const address = a ? parseRepoAddress(a) : null;
+  const maintainers = address ? await fetchRepoMaintainers(address, relays) : new Set();
+  const statuses = await fetchStatusEvents([item.id], relays);
+  const { state, status } = resolveItemState(item, statuses, maintainers);
+  const extra = await details(item, relays);
+
+  if (json) {
+    console.log(JSON.stringify({
+      ...describeItem(item, state, status),
+      repository: address ? `${nip19.npubEncode(address.pubkey)}/${address.identifier}` : null,
+      details: Object.fromEntries(extra),
+      content: item.content,
+      statuses: statuses.map(e => ({
+        id: e.id,
+        state: getStateName(type, e.kind),
+        author: nip19.npubEncode(e.pubkey),
+        authorized: maintainers.has(e.pubkey) || e.pubkey === item.pubkey,
+        created_at: e.created_at,
+        content: e.content
+      }))
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${type.name}: ${getItemTitle(item)}`);
+  console.log(`ID: ${item.id}`);
+  if (address) {
+    console.log(`Repository: ${nip19.npubEncode(address.pubkey)}/${address.identifier}`);
+  }
+  console.log(`Author: ${nip19.npubEncode(item.pubkey)}`);
+  console.log(`Created: ${formatDate(item.created_at)}`);
+  console.log(`State: ${state}${status ? ` (by ${shortNpub(status.pubkey)} on ${formatDate(status.created_at)})` : ''}`);
+  const labels = getItemLabels(item);
+  if (labels.length > 0) {
+    console.log(`Labels: ${labels.join(', ')}`);
+  }
+  for (const [label, value] of extra) {
+    console.log(`${label}: ${value}`);
+  }
+  if (item.content.trim() && item.kind !== ITEM_TYPES.patch.kind) {
+    console.log(`\n${item.content.trim()}`);
+  }
+  if (statuses.length > 0) {
+    console.log('\nStatus history:');
+    for (const e of [...statuses].reverse()) {
+      const authorized = maintainers.has(e.pubkey) || e.pubkey === item.pubkey;
+      console.log(`  ${formatDate(e.created_at)}  ${getStateName(type, e.kind).padEnd(9)} by ${shortNpub(e.pubkey)}${authorized ? '' : '  (ignored: not a maintainer)'}${e.content ? `  ${e.content.split('\n')[0]}` : ''}`);
+    }
+  }
+}
@@ -1,6 +1,355 @@
 import { decode } from 'nostr-tools/nip19';
 import { nip19 } from 'nostr-tools';
+import { spawnSync } from 'child_process';
 import { apiRequest } from '../utils/api.js';
+import { getSigner } from '../utils/signer.js';
+import { getRemoteUrls, getEarliestCommit } from '../utils/git.js';
+import { storeEventInJsonl, readStoredEvents } from '../utils/event-storage.js';
+import { parseRepoAddress, getRepoAddressFromUrls } from '../utils/nostr-refs.js';
+import { getConfigValue } from '../config.js';
+import { publishToRelays } from '../relay/publisher.js';
+import { enhanceRelayList } from '../relay/relay-fetcher.js';
+import { buildRepoAnnouncementEvent } from './publish/repo-announcement.js';
+import { fetchOwnershipTransfers, validateOwnershipChain } from './publish/ownership-transfer.js';
+import { formatDate } from './repo-items.js';
+
+const DEFAULT_REMOTE = 'gitrepublic-web';
+
+/**
+ * Run git with an argument array
+ * Security: Using spawnSync with argument array (not shell) prevents command injection
+ */
+function git(args, options = {}) {
+  return spawnSync('git', args, { encoding: 'utf-8', ...options });
+}
+
+/**
+ * Derive the clone and web URLs of a repository on a GitRepublic server
+ * @param {string} server - Server URL
+ * @param {string} npub - Owner npub
+ * @param {string} repoName - Repository name
+ * @returns {{cloneUrl: string, webUrl: string}}
+ */
+export function getServerRepoUrls(server, npub, repoName) {
+  const base = server.replace(/\/$/, '');
+  return {
+    cloneUrl: `${base}/api/git/${npub}/${repoName}.git`,
+    webUrl: `${base}/repos/${npub}/${repoName}`
+  };
+}
+
+function showCreateHelp() {
+  console.log(`Create a repository
+
+Announces the repository (kind 30617) with clone/web URLs for the current server,
+provisions it on the server, and adds a "${DEFAULT_REMOTE}" remote to the local repository.
+
+Usage: gitrep repos create <name> [options]
+
+Options:
+  --description <text>     Repository description
+  --clone-url <url>        Additional clone URL, e.g. a mirror (can be specified multiple times)
+  --web-url <url>          Additional web URL (can be specified multiple times)
+  --maintainer <npub>      Maintainer pubkey (can be specified multiple times)
+  --relay <url>            Additional relay to publish to (can be specified multiple times)
+  --remote <name>          Name of the remote to add (default: ${DEFAULT_REMOTE})
+  --no-remote              Do not add a remote
+  --push [branch]          Push the current branch (or <branch>) after creating
+  --no-client-tag          Do not add the client tag to the announcement
+
+Examples:
+  gitrep repos create myrepo --description "My awesome repo"
+  gitrep repos create myrepo --clone-url https://github.com/me/myrepo.git --push
+  gitrep --server https://git.example.com repos create myrepo --remote example
+`);
+}
+
+/**
+ * Create a repository: announce it, provision it on the server, add the remote, optionally push
+ */
+async function createRepo(args, server, json) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showCreateHelp();
+    process.exit(0);
+  }
+
+  const repoName = args[0];
+  if (!repoName || repoName.startsWith('--')) {
+    console.error('Error: Repository name required');
+    console.error('Use: repos create <name> [--description <text>] [--push [branch]]');
+    process.exit(1);
+  }
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(repoName) || repoName.endsWith('.git')) {
+    console.error(`Error: Invalid repository name: ${repoName}`);
+    console.error('Use letters, digits, ".", "_" and "-" (without a .git suffix)');
+    process.exit(1);
+  }
+
+  let description = '';
+  let remoteName = DEFAULT_REMOTE;
+  let pushBranch = null;
+  let push = false;
+  const extraCloneUrls = [];
+  const extraWebUrls = [];
+  const maintainers = [];
+  const extraRelays = [];
+
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--description' && args[i + 1]) {
+      description = args[++i];
+    } else if (args[i] === '--clone-url' && args[i + 1]) {
+      extraCloneUrls.push(args[++i]);
+    } else if (args[i] === '--web-url' && args[i + 1]) {
+      extraWebUrls.push(args[++i]);
+    } else if (args[i] === '--maintainer' && args[i + 1]) {
+      maintainers.push(args[++i]);
+    } else if (args[i] === '--relay' && args[i + 1]) {
+      extraRelays.push(args[++i]);
+    } else if (args[i] === '--remote' && args[i + 1]) {
+      remoteName = args[++i];
+    } else if (args[i] === '--push') {
+      push = true;
+      if (args[i + 1] && !args[i + 1].startsWith('--')) {
+        pushBranch = args[++i];
+      }
+    }
+  }
+  const addRemote = !args.includes('--no-remote');
+
+  // Check the local repository before anything is published
+  const inRepo = git(['rev-parse', '--is-inside-work-tree']).status === 0;
+  if ((addRemote || push) && !inRepo) {
+    console.error('Error: Not inside a git repository (run "git init" first, or use --no-remote)');
+    process.exit(1);
+  }
+  if (push && !addRemote) {
+    console.error('Error: --push requires the remote (remove --no-remote)');
+    process.exit(1);
+  }
+  if (push && !pushBranch) {
+    const head = git(['symbolic-ref', '--short', 'HEAD']);
+    if (head.status !== 0) {
+      console.error('Error: Could not determine the current branch (use --push <branch>)');
+      process.exit(1);
+    }
+    pushBranch = head.stdout.trim();
+  }
+
+  // The server URL selects the identity by host (the new remote's owner npub is not known yet)
+  const signer = await getSigner({ urls: [server, ...getRemoteUrls()] });
+  try {
+    const pubkey = await signer.getPublicKey();
+    const npub = nip19.npubEncode(pubkey);
+    const { cloneUrl, webUrl } = getServerRepoUrls(server, npub, repoName);
+
+    let existingRemoteUrl = null;
+    if (addRemote) {
+      const existing = git(['config', '--get', `remote.${remoteName}.url`]);
+      existingRemoteUrl = existing.status === 0 ? existing.stdout.trim() : null;
+      if (existingRemoteUrl && existingRemoteUrl !== cloneUrl) {
+        throw new Error(`Remote "${remoteName}" already exists (${existingRemoteUrl}); use --remote <name> or --no-remote`);
+      }
+    }
+
+    // 1. Announce the repository: the server accepts pushes for announced repositories
+    const baseRelays = getConfigValue('relays');
+    const relays = [...await enhanceRelayList(baseRelays, pubkey, baseRelays), ...extraRelays];
+    const event = await signer.signEvent(buildRepoAnnouncementEvent({
+      repoName,
+      description,
+      cloneUrls: [cloneUrl, ...extraCloneUrls],
+      webUrls: [webUrl, ...extraWebUrls],
+      maintainers,
+      name: repoName,
+      earliestCommit: inRepo ? getEarliestCommit() : null,
+      relays: baseRelays,
+      clientTag: !args.includes('--no-client-tag')
+    }));
+    storeEventInJsonl(event);
+    const published = await publishToRelays(event, relays, signer, pubkey);
+    if (!json) {
+      console.log(`Repository announcement published to ${published.success.length} relay(s) (event ${event.id})`);
+      published.failed.forEach(f => console.log(`  Failed on ${f.relay}: ${f.error}`));
+    }
+    if (published.success.length === 0) {
+      throw new Error('Announcement was not accepted by any relay; the server cannot provision the repository');
+    }
+
+    // 2. Provision the repository on the server from the announcement
+    // (authenticated by the key that signed it, without opening the signer again)
+    let provisioned = true;
+    let provisionError = null;
+    try {
+      await apiRequest(server, `/repos/${npub}/${repoName}/clone`, 'POST', {}, { signer });
+    } catch (err) {
+      provisioned = false;
+      provisionError = err.message;
+    }
+
+    // 3. Add the remote
+    let remoteAdded = false;
+    if (addRemote && !existingRemoteUrl) {
+      const result = git(['remote', 'add', remoteName, cloneUrl]);
+      if (result.status !== 0) {
+        throw new Error(`git remote add failed: ${(result.stderr || '').trim()}`);
+      }
+      remoteAdded = true;
+    }
+
+    if (!json) {
+      console.log('');
+      console.log(`Repository: ${npub}/${repoName}`);
+      console.log(`Clone URL: ${cloneUrl}`);
+      console.log(`Web URL: ${webUrl}`);
+      if (provisioned) {
+        console.log('✅ Repository provisioned on the server');
+      } else {
+        console.log('⚠️  Could not provision the repository on the server yet; it is created on the first push');
+        console.log(`   ${provisionError.split('\n')[0]}`);
+      }
+      if (remoteAdded) {
+        console.log(`✅ Added remote ${remoteName}`);
+      } else if (existingRemoteUrl) {
+        console.log(`Remote ${remoteName} already points to ${cloneUrl}`);
+      }
+    }
+
+    // 4. Push
+    let pushed = null;
+    if (push) {
+      if (!json) {
+        console.log(`\nPushing ${pushBranch} to ${remoteName}...`);
+      }
+      const result = git(['push', '-u', remoteName, pushBranch], { stdio: json ? ['inherit', 'ignore', 'inherit'] : 'inherit' });
+      pushed = result.status === 0;
+      if (!pushed) {
+        console.error(`⚠️  Push failed; retry with: gitrep push -u ${remoteName} ${pushBranch}`);
+      }
+    }
+
+    if (json) {
+      console.log(JSON.stringify({
+        npub,
+        repo: repoName,
+        cloneUrl,
+        webUrl,
+        event,
+        published,
+        provisioned,
+        ...(provisionError ? { provisionError } : {}),
+        remote: addRemote ? remoteName : null,
+        ...(push ? { pushed, branch: pushBranch } : {})
+      }, null, 2));
+    } else if (!push) {
+      console.log(`\nNext: gitrep push -u ${remoteName} <branch>`);
+    }
+    if (push && !pushed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await signer.close();
+  }
+}
+
+/**
+ * Get the repository whose owner is shown: naddr, 30617:<pubkey>:<repo>, <owner-npub> <repo>,
+ * or a name, looked up in the GitRepublic remote and the announcements stored in nostr/
+ */
+function resolveOwnerAddress(positional) {
+  if (positional.length > 1 || /^(naddr1|nostr:|30617:)/.test(positional[0])) {
+    return parseRepoAddress(positional[0], positional[1]);
+  }
+  const repoName = positional[0];
+  const remote = getRepoAddressFromUrls(getRemoteUrls());
+  if (remote && remote.identifier === repoName) {
+    return remote;
+  }
+  const announcers = [...new Set(readStoredEvents(30617)
+    .filter(e => e.tags.some(t => t[0] === 'd' && t[1] === repoName))
+    .map(e => e.pubkey))];
+  if (announcers.length === 1) {
+    return { pubkey: announcers[0], identifier: repoName, relays: [] };
+  }
+  throw new Error(`Cannot tell whose ${repoName} this is; use: repos owner <owner-npub> ${repoName} (or an naddr)`);
+}
+
+/**
+ * Walk the ownership transfers (kind 1641) of a repository and show its current owner and history
+ * Exits with code 1 if the chain is broken
+ */
+async function showRepoOwner(args, json) {
+  const valueOptions = ['--relay'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+  if (positional.length === 0) {
+    console.error('Error: Repository required');
+    console.error('Use: repos owner <repo> | <owner-npub> <repo> | <naddr> [--relay <url>]');
+    process.exit(1);
+  }
+
+  let address;
+  try {
+    address = resolveOwnerAddress(positional);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const relays = [...getConfigValue('relays'), ...address.relays];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--relay' && args[i + 1]) {
+      relays.push(args[++i]);
+    }
+  }
+
+  const transfers = await fetchOwnershipTransfers(address.identifier, relays);
+  const { owner, hops, problems, broken } = validateOwnershipChain(address.pubkey, address.identifier, transfers);
+  const npub = pubkey => nip19.npubEncode(pubkey);
+
+  if (json) {
+    console.log(JSON.stringify({
+      repository: `${npub(address.pubkey)}/${address.identifier}`,
+      owner: npub(owner),
+      broken,
+      history: hops.map(hop => ({
+        id: hop.event.id,
+        from: npub(hop.from),
+        to: npub(hop.to),
+        selfTransfer: hop.selfTransfer,
+        created_at: hop.event.created_at
+      })),
+      problems: problems.map(problem => ({ id: problem.event.id, reason: problem.reason, fatal: problem.fatal }))
+    }, null, 2));
+  } else {
+    console.log(`Repository: ${npub(address.pubkey)}/${address.identifier}`);
+    console.log(`Current owner: ${npub(owner)}${hops.some(hop => !hop.selfTransfer) ? '' : ' (never transferred)'}`);
+    if (hops.length > 0) {
+      console.log('');
+      console.log('Ownership history:');
+      for (const hop of hops) {
+        const change = hop.selfTransfer
+          ? `self-transfer by ${npub(hop.from)} (ownership confirmed)`
+          : `${npub(hop.from)} → ${npub(hop.to)}`;
+        console.log(`  ✅ ${formatDate(hop.event.created_at)}  ${change}  (event ${hop.event.id.slice(0, 8)})`);
+      }
+    }
+    if (problems.length > 0) {
+      console.log('');
+      console.log('Problems:');
+      for (const problem of problems) {
+        const mark = problem.fatal ? '❌' : '⚠️ ';
+        console.log(`  ${mark} ${formatDate(problem.event.created_at)}  event ${problem.event.id.slice(0, 8)}: ${problem.reason}${problem.fatal ? '' : ' (ignored)'}`);
+      }
+    }
+    if (broken) {
+      console.log('');
+      console.log('❌ The ownership chain is broken; the current owner above follows the earlier transfer of each fork');
+    }
+  }
+
+  if (broken) {
+    process.exit(1);
+  }
+}
 
 /**
  * Repository operations command
@@ -14,11 +363,15 @@ export async function repos(args, server, json) {
     console.log('');
     console.log('Commands:');
     console.log('  list                    List all repositories (registered and local)');
+    console.log('  create <name>           Create and announce a repository, add the gitrepublic-web remote');
+    console.log('                          (alias: init; use create --help for options)');
     console.log('  get <npub> <repo>       Get repository info with clone URL reachability');
     console.log('                          (or use naddr: get <naddr>)');
     console.log('  settings <npub> <repo>  Get/update repository settings');
     console.log('                          Use --help for options');
     console.log('  maintainers <npub> <repo> [add|remove <npub>]  Manage maintainers');
+    console.log('  owner <repo>            Show the current owner and the ownership transfer history');
+    console.log('                          (or: owner <npub> <repo>, owner <naddr>; exits 1 if the chain is broken)');
     console.log('  branches <npub> <repo>  List branches');
     console.log('  tags <npub> <repo>      List tags');
     console.log('  fork <npub> <repo>     Fork a repository');
@@ -26,7 +379,9 @@ export async function repos(args, server, json) {
     console.log('');
     console.log('Examples:');
     console.log('  gitrep repos list');
+    console.log('  gitrep repos create myrepo --description "My repo" --push');
     console.log('  gitrep repos get npub1abc... myrepo');
+    console.log('  gitrep repos owner myrepo');
     console.log('');
     process.exit(0);
   }
@@ -176,6 +531,8 @@ export async function repos(args, server, json) {
         console.log(`Total: ${totalRegistered} registered, ${totalLocal} local, ${totalVerified} verified`);
       }
     }
+  } else if (subcommand === 'create' || subcommand === 'init') {
+    await createRepo(args.slice(1), server, json);
   } else if (subcommand === 'get' && args[1]) {
     let npub, repo;
     
@@ -381,6 +738,8 @@ export async function repos(args, server, json) {
         }
       }
     }
+  } else if (subcommand === 'owner') {
+    await showRepoOwner(args.slice(1), json);
   } else if (subcommand === 'maintainers' && args[1] && args[2]) {
     const [npub, repo] = args.slice(1);
     const action = args[3];
@@ -445,7 +804,7 @@ export async function repos(args, server, json) {
     const data = await apiRequest(server, `/repos/${npub}/${repo}/delete`, 'DELETE');
     console.log(json ? JSON.stringify(data, null, 2) : 'Repository deleted successfully');
   } else {
-    console.error('Invalid repos command. Use: list, get, settings, maintainers, branches, tags, fork, delete');
+    console.error('Invalid repos command. Use: list, create, get, settings, owner, maintainers, branches, tags, fork, delete');
     process.exit(1);
   }
 }
@@ -0,0 +1,262 @@
+import { spawnSync } from 'child_process';
+import { nip19 } from 'nostr-tools';
+import { loadConfig } from '../config.js';
+import { getRemoteUrls, resolveObject } from '../utils/git.js';
+import { editText, stripCommentLines, readTextInput } from '../utils/editor.js';
+import { getSigner } from '../utils/signer.js';
+import { storeEventInJsonl } from '../utils/event-storage.js';
+import { publishToRelays } from '../relay/publisher.js';
+import { enhanceRelayList } from '../relay/relay-fetcher.js';
+import { buildTagSignatureEvent } from '../utils/commit-signatures.js';
+
+function showTagHelp() {
+  console.log(`Signed Tags
+
+Create an annotated tag signed with your Nostr key. git has no hook for tags,
+so this wraps git tag: the tag name, the tagged object and the message are
+signed in a kind 1640 event, and the "Nostr-Signature:" trailer (plus
+"Nostr-Event:" if include-full-event is set) is appended to the tag message,
+like the commit-msg hook does for commits.
+
+Usage: gitrep tag [-a] [-f] [-m <msg> | -F <file>] <name> [<commit>]
+
+The event is stored in nostr/commit-signatures.jsonl and published to the
+relays when publish-event is set. Without -m or -F the message is written in
+$EDITOR. Other git tag options (-s, -u <key>, --cleanup=<mode>) are passed on.
+
+Anything else (listing, deleting, lightweight tags) runs git tag unchanged.
+
+Check signed tags with: gitrep verify tag <name> (or verify tags [<pattern>])
+
+Options:
+  -m, --message <msg>  Tag message (multiple -m are joined as paragraphs)
+  -F, --file <file>    Read the message from a file ("-" for stdin)
+  -e, --edit           Edit the message given with -m or -F in $EDITOR
+  -f, --force          Replace an existing tag
+  --json               Output JSON format`);
+}
+
+/**
+ * Options that make git tag create an annotated tag (with a message to sign)
+ */
+const ANNOTATE_OPTIONS = ['-a', '--annotate', '-s', '--sign', '-u', '--local-user', '-m', '--message', '-F', '--file'];
+
+/**
+ * Options that make git tag list, delete or verify tags instead of creating one
+ */
+const OTHER_MODE_OPTIONS = ['-l', '--list', '-d', '--delete', '-v', '--verify'];
+
+/**
+ * Split bundled short options like git does ("-am" is "-a -m", "-mText" is "-m Text")
+ */
+function expandShortOptions(args) {
+  const expanded = [];
+  for (const arg of args) {
+    if (!/^-[a-zA-Z]{2,}/.test(arg)) {
+      expanded.push(arg);
+      continue;
+    }
+    for (let i = 1; i < arg.length; i++) {
+      expanded.push(`-${arg[i]}`);
+      if ('mFu'.includes(arg[i])) {
+        if (i + 1 < arg.length) expanded.push(arg.slice(i + 1));
+        break;
+      }
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Parse the arguments of an annotated tag
+ * @returns {{name: string|null, target: string, messages: string[], file: string|null, edit: boolean,
+ *   force: boolean, gitOptions: string[], positional: string[], extra: string[]}} - extra: positional arguments after <commit>
+ */
+function parseTagArgs(args) {
+  const parsed = { messages: [], file: null, edit: false, force: false, gitOptions: [], positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if ((arg === '-m' || arg === '--message') && args[i + 1] !== undefined) {
+      parsed.messages.push(args[++i]);
+    } else if (arg.startsWith('--message=')) {
+      parsed.messages.push(arg.slice('--message='.length));
+    } else if ((arg === '-F' || arg === '--file') && args[i + 1] !== undefined) {
+      parsed.file = args[++i];
+    } else if (arg.startsWith('--file=')) {
+      parsed.file = arg.slice('--file='.length);
+    } else if ((arg === '-u' || arg === '--local-user') && args[i + 1] !== undefined) {
+      parsed.gitOptions.push(arg, args[++i]);
+    } else if (arg === '-e' || arg === '--edit') {
+      parsed.edit = true;
+    } else if (arg === '-f' || arg === '--force') {
+      parsed.force = true;
+      parsed.gitOptions.push(arg);
+    } else if (arg === '-a' || arg === '--annotate' || arg === '--json') {
+      // Always annotated; --json is for this command
+    } else if (arg.startsWith('-')) {
+      parsed.gitOptions.push(arg);
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+  const [name = null, target = 'HEAD', ...extra] = parsed.positional;
+  return { ...parsed, name, target, extra };
+}
+
+/**
+ * Get the tag message from -m, -F and/or the editor, like git tag does
+ * @returns {string} - Message without "#" comment lines (from the editor) and surrounding blank lines
+ */
+function getTagMessage({ name, messages, file, edit }) {
+  let message = file !== null ? readTextInput(file) : messages.join('\n\n');
+  if (edit || (file === null && messages.length === 0)) {
+    const template = `${message.trim()}\n\n#\n# Write a message for tag:\n#   ${name}\n# Lines starting with '#' will be ignored.\n`;
+    message = stripCommentLines(editText(template, 'TAG_EDITMSG'));
+  }
+  return message.replace(/[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Get the tagger from git's committer identity ("Name <email> timestamp zone")
+ * @returns {{name: string, email: string}|null}
+ */
+function getTagger() {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['var', 'GIT_COMMITTER_IDENT'], { encoding: 'utf-8' });
+  const match = result.status === 0 ? result.stdout.match(/^(.*?) <([^>]*)>/) : null;
+  return match ? { name: match[1], email: match[2] } : null;
+}
+
+/**
+ * Run git tag unchanged, exiting with its exit code
+ */
+function runGitTag(args) {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['tag', ...args], { stdio: 'inherit' });
+  process.exit(result.status === null ? 1 : result.status);
+}
+
+/**
+ * Publish a tag signature event with the commit-msg hook's relay settings
+ * @returns {Promise<number>} - Number of relays that accepted it
+ */
+async function publishTagSignature(event, config, signer, pubkey) {
+  // Use configured relays if set, otherwise the broader search relay list
+  const baseRelays = config.sources['relays'] !== 'default'
+    ? config.values['relays']
+    : config.values['search-relays'];
+  const relays = await enhanceRelayList(baseRelays, pubkey, baseRelays);
+  const result = await publishToRelays(event, relays, signer, pubkey);
+  result.failed.forEach(f => console.error(`   ⚠️  ${f.relay}: ${f.error}`));
+  return result.success.length;
+}
+
+/**
+ * Create an annotated tag signed with the Nostr key (gitrep tag), or run git tag for anything else
+ */
+export async function tag(args, server, json) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showTagHelp();
+    process.exit(0);
+  }
+  const expanded = expandShortOptions(args);
+  if (!expanded.some(arg => ANNOTATE_OPTIONS.includes(arg) || /^--(message|file)=/.test(arg)) ||
+      expanded.some(arg => OTHER_MODE_OPTIONS.includes(arg))) {
+    return runGitTag(args.filter(arg => arg !== '--json'));
+  }
+
+  const options = parseTagArgs(expanded);
+  if (!options.name || options.extra.length > 0) {
+    console.error('Error: Tag name required (and at most one object to tag)');
+    console.error('Use: tag [-m <msg> | -F <file>] <name> [<commit>]');
+    process.exit(1);
+  }
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  if (options.name.startsWith('-') || spawnSync('git', ['check-ref-format', `refs/tags/${options.name}`]).status !== 0) {
+    console.error(`Error: '${options.name}' is not a valid tag name`);
+    process.exit(1);
+  }
+  if (!options.force && resolveObject(`refs/tags/${options.name}`)) {
+    console.error(`Error: tag '${options.name}' already exists (use -f to replace it)`);
+    process.exit(1);
+  }
+  const target = resolveObject(options.target);
+  if (!target) {
+    console.error(`Error: ${options.target} is not a valid object`);
+    process.exit(1);
+  }
+
+  let config;
+  let message;
+  try {
+    config = loadConfig();
+    message = getTagMessage(options);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (!message) {
+    console.error('Error: No tag message, not creating the tag');
+    process.exit(1);
+  }
+
+  const signer = await getSigner({ urls: getRemoteUrls() });
+  try {
+    const pubkey = await signer.getPublicKey();
+    const event = await signer.signEvent(buildTagSignatureEvent({
+      name: options.name,
+      object: target.sha,
+      type: target.type,
+      message,
+      tagger: getTagger()
+    }));
+
+    let signedMessage = `${message}\n\nNostr-Signature: ${event.id} ${event.pubkey} ${event.sig}`;
+    if (config.values['include-full-event']) {
+      signedMessage += `\nNostr-Event: ${Buffer.from(JSON.stringify(event), 'utf-8').toString('base64')}`;
+    }
+    // The message is signed as given, so git must store it verbatim (unless another cleanup mode is asked for)
+    const cleanup = options.gitOptions.some(arg => arg.startsWith('--cleanup')) ? [] : ['--cleanup=verbatim'];
+    // Security: Using spawnSync with argument array (not shell) prevents command injection
+    const result = spawnSync('git', ['tag', '-a', ...cleanup, ...options.gitOptions, '-F', '-', '--', options.name, target.sha], {
+      input: `${signedMessage}\n`,
+      stdio: ['pipe', 'inherit', 'inherit']
+    });
+    if (result.status !== 0) {
+      console.error(`Error: git tag failed${result.status !== null ? ` (exit code ${result.status})` : ''}, the tag was not created`);
+      process.exit(1);
+    }
+    storeEventInJsonl(event);
+
+    let published = null;
+    if (config.values['publish-event']) {
+      try {
+        published = await publishTagSignature(event, config, signer, pubkey);
+      } catch (publishError) {
+        console.error(`   ⚠️  Failed to publish event: ${publishError instanceof Error ? publishError.message : 'Unknown error'}`);
+        published = 0;
+      }
+    }
+
+    if (json) {
+      console.log(JSON.stringify({
+        tag: options.name,
+        object: target.sha,
+        type: target.type,
+        signatureEvent: event.id,
+        signer: pubkey,
+        publishedTo: published
+      }, null, 2));
+    } else {
+      console.log(`✅ Tag ${options.name} signed (${target.type} ${target.sha.substring(0, 7)})`);
+      console.log(`   Signature event: ${event.id.substring(0, 16)}...`);
+      console.log(`   Signer: ${nip19.npubEncode(pubkey).substring(0, 16)}...${signer.identity ? ` (identity ${signer.identity})` : ''}`);
+      if (published !== null) {
+        console.log(published > 0 ? `   Published to ${published} relay(s)` : '   ⚠️  Failed to publish to relays');
+      }
+      console.log(`   Push it with: git push <remote> refs/tags/${options.name}`);
+    }
+  } finally {
+    await signer.close();
+  }
+}
@@ -0,0 +1,330 @@
+import { nip19 } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { getPatchSubject } from '../utils/git.js';
+import { getDiffLineAnchors, findAnchoredLine } from '../utils/diff.js';
+import { readStoredEvents } from '../utils/event-storage.js';
+import { parseEventReference, parseRepoAddress } from '../utils/nostr-refs.js';
+import { fetchEvents, fetchEventById } from '../relay/event-fetcher.js';
+import { verifyNostrEvent } from './verify.js';
+import {
+  ITEM_TYPES,
+  getItemType,
+  getItemTitle,
+  getStateName,
+  fetchRepoMaintainers,
+  fetchStatusEvents,
+  resolveItemState,
+  formatDate,
+  shortNpub
+} from './repo-items.js';
+
+const KIND_COMMENT = 1111;
+const KIND_PULL_REQUEST_UPDATE = 1619;
+const STATUS_KINDS = [1630, 1631, 1632, 1633];
+
+function showThreadHelp() {
+  console.log(`Discussion Threads
+
+Show the whole discussion of an issue, pull request or patch series: NIP-22
+comments (kind 1111) as a reply tree, with status changes (kinds 1630-1633),
+PR updates (kind 1619) and the patches of a series inline, in time order.
+Code review comments on a patch (see: gitrep patch review) are shown below
+the diff lines they refer to.
+
+Usage: gitrep thread <event-id|nevent> [options]
+
+Any event of the thread can be given (the issue, PR or patch, a comment, a
+status or a PR update). Comment on it with: gitrep comment <event> <text>
+
+Options:
+  --relay <url>        Also query this relay (can be specified multiple times)
+  --json               Output JSON format (the reply tree)
+
+Examples:
+  gitrep thread nevent1...
+  gitrep thread <issue-event-id> --json
+`);
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function getTag(event, name) {
+  return event.tags.find(t => t[0] === name)?.[1] || null;
+}
+
+/**
+ * Get the ID of the issue, PR or patch an event of a thread belongs to
+ */
+function getThreadRootId(event) {
+  if (event.kind === KIND_COMMENT) {
+    const root = getTag(event, 'E');
+    if (!root) {
+      throw new Error(`Comment ${event.id} is not on an event (no E tag)`);
+    }
+    return root;
+  }
+  if (event.kind === KIND_PULL_REQUEST_UPDATE) {
+    return getTag(event, 'E') || event.id;
+  }
+  if (STATUS_KINDS.includes(event.kind)) {
+    return event.tags.find(t => t[0] === 'e' && t[3] === 'root')?.[1] || getTag(event, 'e') || event.id;
+  }
+  if (event.kind === ITEM_TYPES.patch.kind && !event.tags.some(t => t[0] === 't' && ['root', 'root-revision'].includes(t[1]))) {
+    return event.tags.find(t => t[0] === 'e' && t[3] === 'root')?.[1] || getTag(event, 'e') || event.id;
+  }
+  return event.id;
+}
+
+/**
+ * Get the event an entry of the thread hangs under (unknown parents fall back to the root)
+ */
+function getParentId(event) {
+  if (event.kind === KIND_COMMENT) {
+    return getTag(event, 'e') || getTag(event, 'E');
+  }
+  if (event.kind === KIND_PULL_REQUEST_UPDATE) {
+    return getTag(event, 'E');
+  }
+  if (STATUS_KINDS.includes(event.kind)) {
+    return event.tags.find(t => t[0] === 'e' && t[3] !== 'mention')?.[1] || null;
+  }
+  return null;
+}
+
+/**
+ * Fetch the patches of a series (the events threaded under its first patch)
+ */
+async function fetchSeriesPatches(root, relays) {
+  const fromRelays = await fetchEvents({ kinds: [ITEM_TYPES.patch.kind], '#e': [root.id] }, relays);
+  const stored = readStoredEvents(ITEM_TYPES.patch.kind).filter(e => e.tags.some(t => t[0] === 'e' && t[1] === root.id));
+  return [...fromRelays, ...stored].filter(e =>
+    e.pubkey === root.pubkey && !e.tags.some(t => t[0] === 't' && t[1] === 'root-revision')
+  );
+}
+
+/**
+ * Fetch the comments and PR updates of a thread
+ */
+async function fetchThreadReplies(ids, relays) {
+  const wanted = new Set(ids);
+  const fromRelays = await fetchEvents({ kinds: [KIND_COMMENT, KIND_PULL_REQUEST_UPDATE], '#E': ids }, relays);
+  const stored = [...readStoredEvents(KIND_COMMENT), ...readStoredEvents(KIND_PULL_REQUEST_UPDATE)]
+    .filter(e => e.tags.some(t => t[0] === 'E' && wanted.has(t[1])));
+  return [...fromRelays, ...stored];
+}
+
+/**
+ * Describe an entry of the thread: a one-line header and its text
+ */
+function describeEntry(event, type, root, maintainers) {
+  const author = shortNpub(event.pubkey);
+  if (event.kind === KIND_COMMENT) {
+    return { header: `💬 ${author} · ${formatTime(event.created_at)}`, text: event.content };
+  }
+  if (STATUS_KINDS.includes(event.kind)) {
+    const authorized = maintainers.has(event.pubkey) || event.pubkey === root.pubkey;
+    return {
+      header: `● ${getStateName(type, event.kind)} by ${author} · ${formatTime(event.created_at)}${authorized ? '' : ' (ignored: not a maintainer)'}`,
+      text: event.content
+    };
+  }
+  if (event.kind === KIND_PULL_REQUEST_UPDATE) {
+    return { header: `⬆ updated to ${(getTag(event, 'c') || '').slice(0, 7)} by ${author} · ${formatTime(event.created_at)}`, text: '' };
+  }
+  return { header: `📄 ${getPatchSubject(event.content)} · ${formatTime(event.created_at)}`, text: '' };
+}
+
+/**
+ * Build the reply tree: every entry under its parent, children in time order
+ */
+function buildTree(root, events) {
+  const nodes = new Map([[root.id, { event: root, replies: [] }]]);
+  for (const event of events) {
+    nodes.set(event.id, { event, replies: [] });
+  }
+  for (const node of nodes.values()) {
+    if (node.event.id === root.id) continue;
+    const parent = nodes.get(getParentId(node.event)) || nodes.get(root.id);
+    parent.replies.push(node);
+  }
+  for (const node of nodes.values()) {
+    node.replies.sort((a, b) => a.event.created_at - b.event.created_at);
+  }
+  return nodes.get(root.id);
+}
+
+/**
+ * Get the diff location of a code review comment (["file", path] and ["line", number, side] tags)
+ */
+function getAnchor(event) {
+  const file = getTag(event, 'file');
+  if (!file) {
+    return null;
+  }
+  const line = event.tags.find(t => t[0] === 'line');
+  return { file, line: line ? parseInt(line[1], 10) : null, side: line?.[2] || 'new' };
+}
+
+function describeAnchor(anchor) {
+  return `${anchor.file}${anchor.line ? `:${anchor.line}${anchor.side === 'old' ? ' (removed line)' : ''}` : ''}`;
+}
+
+function printNode(node, type, root, maintainers, depth) {
+  const indent = '  '.repeat(depth);
+  const { header, text } = describeEntry(node.event, type, root, maintainers);
+  console.log(`${indent}${header}`);
+  for (const line of text.trim() ? text.trim().split('\n') : []) {
+    console.log(`${indent}  ${line}`);
+  }
+  printReplies(node, type, root, maintainers, depth + 1);
+}
+
+/**
+ * Print the replies of an entry; review comments on a patch come first, in diff order,
+ * each below the diff lines it refers to
+ */
+function printReplies(node, type, root, maintainers, depth) {
+  const isPatch = node.event.kind === ITEM_TYPES.patch.kind;
+  const reviewComments = isPatch ? node.replies.filter(reply => getAnchor(reply.event)) : [];
+  if (reviewComments.length > 0) {
+    const indent = '  '.repeat(depth);
+    const lines = node.event.content.split('\n');
+    const anchors = getDiffLineAnchors(node.event.content);
+    const located = reviewComments.map(reply => {
+      const anchor = getAnchor(reply.event);
+      const index = anchor.line
+        ? findAnchoredLine(anchors, anchor.file, anchor.line, anchor.side)
+        : anchors.findIndex(a => a && a.file === anchor.file);
+      return { reply, anchor, index };
+    });
+    // Comments on lines that are not in the patch go last
+    located.sort((a, b) => (a.index === -1) - (b.index === -1) || a.index - b.index);
+
+    let shownUpTo = -1;
+    for (const { reply, anchor, index } of located) {
+      if (index === -1) {
+        console.log(`${indent}── ${describeAnchor(anchor)} (not in this patch)`);
+      } else if (index > shownUpTo) {
+        const from = Math.max(index - 2, shownUpTo + 1);
+        if (from > shownUpTo + 1 || shownUpTo === -1) {
+          console.log(`${indent}── ${describeAnchor(anchor)}`);
+        }
+        lines.slice(from, index + 1).forEach(line => console.log(`${indent}│ ${line}`));
+        shownUpTo = index;
+      }
+      printNode(reply, type, root, maintainers, depth + 1);
+    }
+  }
+  for (const reply of node.replies.filter(reply => !reviewComments.includes(reply))) {
+    printNode(reply, type, root, maintainers, depth);
+  }
+}
+
+function toJson(node, type, root, maintainers) {
+  const { event } = node;
+  return {
+    id: event.id,
+    kind: event.kind,
+    author: nip19.npubEncode(event.pubkey),
+    created_at: event.created_at,
+    content: event.content,
+    ...(STATUS_KINDS.includes(event.kind) ? {
+      state: getStateName(type, event.kind),
+      authorized: maintainers.has(event.pubkey) || event.pubkey === root.pubkey
+    } : {}),
+    ...(event.kind === KIND_PULL_REQUEST_UPDATE ? { commit: getTag(event, 'c') } : {}),
+    ...(getAnchor(event) ? { anchor: getAnchor(event) } : {}),
+    replies: node.replies.map(reply => toJson(reply, type, root, maintainers))
+  };
+}
+
+/**
+ * Thread command
+ */
+export async function thread(args, server, json) {
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    showThreadHelp();
+    process.exit(0);
+  }
+
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--relay');
+  const relays = [...getConfigValue('relays')];
+  args.forEach((arg, i) => {
+    if (arg === '--relay' && args[i + 1]) relays.push(args[i + 1]);
+  });
+
+  let reference;
+  try {
+    reference = parseEventReference(positional[0]);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  relays.push(...reference.relays);
+
+  const threadKinds = [...Object.values(ITEM_TYPES).map(t => t.kind), KIND_COMMENT, KIND_PULL_REQUEST_UPDATE, ...STATUS_KINDS];
+  const start = await fetchEventById(reference.id, { kinds: threadKinds, relays });
+  if (!start) {
+    throw new Error(`Event ${reference.id} not found on relays or in nostr/`);
+  }
+  // A comment on a patch of a series leads to that patch first, then to the first patch of the series
+  let root = start;
+  for (let rootId = getThreadRootId(start), hops = 0; rootId !== root.id && hops < 2; rootId = getThreadRootId(root), hops++) {
+    root = await fetchEventById(rootId, { kinds: threadKinds, relays });
+    if (!root) {
+      throw new Error(`Thread root ${rootId} not found on relays or in nostr/`);
+    }
+  }
+  const type = getItemType(root.kind);
+  if (!type) {
+    throw new Error(`Event ${root.id} is not an issue, pull request or patch (kind ${root.kind})`);
+  }
+  if (!verifyNostrEvent(root).valid) {
+    throw new Error(`Event ${root.id} has an invalid signature`);
+  }
+
+  const a = root.tags.find(t => t[0] === 'a' && t[1]?.startsWith('30617:'))?.[1];
+  const address = a ? parseRepoAddress(a) : null;
+  const maintainers = address ? await fetchRepoMaintainers(address, relays) : new Set();
+
+  // Comments on the individual patches of a series belong to the same discussion
+  const patches = root.kind === ITEM_TYPES.patch.kind ? await fetchSeriesPatches(root, relays) : [];
+  const ids = [root.id, ...patches.map(e => e.id)];
+  const [replies, statuses] = await Promise.all([fetchThreadReplies(ids, relays), fetchStatusEvents(ids, relays)]);
+
+  const seen = new Set([root.id]);
+  const events = [...patches, ...replies, ...statuses]
+    .filter(e => !seen.has(e.id) && seen.add(e.id) && verifyNostrEvent(e).valid)
+    // PR updates only count when signed by the PR author
+    .filter(e => e.kind !== KIND_PULL_REQUEST_UPDATE || e.pubkey === root.pubkey);
+  const tree = buildTree(root, events);
+  const { state } = resolveItemState(root, statuses, maintainers);
+  const commentCount = events.filter(e => e.kind === KIND_COMMENT).length;
+
+  if (json) {
+    console.log(JSON.stringify({
+      title: getItemTitle(root),
+      state,
+      repository: address ? `${nip19.npubEncode(address.pubkey)}/${address.identifier}` : null,
+      comments: commentCount,
+      thread: toJson(tree, type, root, maintainers)
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${type.name}: ${getItemTitle(root)} [${state}]`);
+  if (address) {
+    console.log(`Repository: ${nip19.npubEncode(address.pubkey)}/${address.identifier}`);
+  }
+  console.log(`${shortNpub(root.pubkey)} · ${formatDate(root.created_at)} · ${commentCount} comment(s)\n`);
+  if (root.kind !== ITEM_TYPES.patch.kind && root.content.trim()) {
+    root.content.trim().split('\n').forEach(line => console.log(`  ${line}`));
+    console.log('');
+  }
+  printReplies(tree, type, root, maintainers, 0);
+  if (tree.replies.length === 0) {
+    console.log('No comments yet.');
+  }
+}
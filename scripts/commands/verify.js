@@ -1,50 +1,662 @@
 import { readFileSync, existsSync } from 'fs';
-import { verifyEvent, getEventHash } from 'nostr-tools';
+import { verifyEvent, getEventHash, nip19 } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { getCommitInfo, listCommits, getChangedPaths, getCurrentBranch, getTagInfo, listTags } from '../utils/git.js';
+import { loadAllowedSigners, checkAllowedSigner, resolveCommitPolicies } from '../utils/allowed-signers.js';
+import { readStoredEvents } from '../utils/event-storage.js';
+import { fetchEvents } from '../relay/event-fetcher.js';
+import {
+  KIND_COMMIT_SIGNATURE,
+  parseSignatureTrailers,
+  isCommitAttestation,
+  getAttestedCommit,
+  getSignedTag,
+  isSignedMessage
+} from '../utils/commit-signatures.js';
+
+/**
+ * Load an event from a JSON/JSONL file path or a JSON string
+ * For JSONL files the last line (most recent event) is used
+ * @param {string} input - File path or event JSON
+ * @returns {Object} - Parsed event
+ * @throws {Error} - If the input cannot be parsed
+ */
+export function loadEventFromInput(input) {
+  if (existsSync(input)) {
+    const content = readFileSync(input, 'utf-8').trim();
+    const lines = content.split('\n').filter(l => l.trim());
+    return JSON.parse(lines[lines.length - 1]);
+  }
+  return JSON.parse(input);
+}
 
 /**
  * Verify a Nostr event signature and ID
+ * @param {Object} event - Event to verify
+ * @returns {Object} - Verification result (valid, signatureValid, idMatches, computedId, ...)
+ */
+export function verifyNostrEvent(event) {
+  const signatureValid = verifyEvent(event);
+  const computedId = getEventHash(event);
+  const idMatches = event.id === computedId;
+
+  return {
+    valid: signatureValid && idMatches,
+    signatureValid,
+    idMatches,
+    computedId,
+    eventId: event.id,
+    kind: event.kind,
+    pubkey: event.pubkey,
+    created_at: event.created_at
+  };
+}
+
+/**
+ * Find the signature event a Nostr-Signature trailer names and check it against the trailer
+ * @param {{eventId: string, pubkey: string, sig: string}} trailer - Parsed Nostr-Signature trailer
+ * @param {Object|null} embedded - Event of the Nostr-Event trailer
+ * @param {Object[]} events - Known kind 1640 events
+ * @returns {{status: string|null, reason: string|null, signature: Object|null}} - status is null if the
+ *   signature event checks out, otherwise "missing" or "invalid"
+ */
+function checkTrailerSignature(trailer, embedded, events) {
+  // Identical messages signed within the same second give events with the same ID (and different signatures)
+  const candidates = [embedded, ...events].filter(e => e && e.id === trailer.eventId && !isCommitAttestation(e));
+  const signature = candidates.find(e => e.sig === trailer.sig) || candidates[0];
+  if (!signature) {
+    return { status: 'missing', reason: `signature event ${trailer.eventId} not found`, signature: null };
+  }
+  if (!verifyNostrEvent(signature).valid) {
+    return { status: 'invalid', reason: 'invalid signature event', signature };
+  }
+  if (signature.kind !== KIND_COMMIT_SIGNATURE || signature.pubkey !== trailer.pubkey || signature.sig !== trailer.sig) {
+    return { status: 'invalid', reason: 'signature event does not match the Nostr-Signature trailer', signature };
+  }
+  return { status: null, reason: null, signature };
+}
+
+/**
+ * Verify the Nostr signature of a commit
+ * The signature is bound to the commit by an attestation naming its hash, tree and parents
+ * (see the post-commit hook). Only commits without an attestation fall back to comparing the
+ * commit message with the signed message, which cannot tell apart commits with the same message.
+ * @param {{sha: string, tree: string, parents: string[], message: string}} commit - Result of getCommitInfo
+ * @param {Object[]} events - Known kind 1640 events (signatures and attestations)
+ * @returns {{status: string, reason: string|null, binding: string|null, signature: Object|null, attestation: Object|null}}
+ *   status is "signed", "unsigned", "missing" (signature event not found), "invalid" or "mismatched";
+ *   binding is "commit" (attested) or "message" for signed commits
+ */
+export function verifyCommitSignature(commit, events) {
+  const result = (status, reason, extra = {}) => ({ status, reason, binding: null, signature: null, attestation: null, ...extra });
+  const { signature: trailer, event: embedded, message } = parseSignatureTrailers(commit.message);
+  if (!trailer) {
+    return result('unsigned', 'no Nostr-Signature trailer');
+  }
+
+  const { status, reason, signature } = checkTrailerSignature(trailer, embedded, events);
+  if (status) {
+    return result(status, reason, { signature });
+  }
+  const signedTag = getSignedTag(signature);
+  if (signedTag) {
+    return result('mismatched', `the signature is for tag ${signedTag.name}`, { signature });
+  }
+
+  const attestations = events.filter(e =>
+    isCommitAttestation(e) && e.pubkey === signature.pubkey &&
+    getAttestedCommit(e).signatureId === signature.id && verifyNostrEvent(e).valid
+  );
+  const attestation = attestations.find(e => getAttestedCommit(e).commit === commit.sha);
+  if (attestation) {
+    const attested = getAttestedCommit(attestation);
+    if (attested.tree !== commit.tree || attested.parents.join(' ') !== commit.parents.join(' ')) {
+      return result('mismatched', 'the attestation names a different tree or parents', { signature, attestation });
+    }
+    return result('signed', null, { binding: 'commit', signature, attestation });
+  }
+  if (attestations.length > 0) {
+    const other = getAttestedCommit(attestations[0]).commit;
+    return result('mismatched', `the signature is bound to commit ${other}`, { signature });
+  }
+  if (!isSignedMessage(signature, message)) {
+    return result('mismatched', 'the commit message differs from the signed message', { signature });
+  }
+  return result('signed', null, { binding: 'message', signature });
+}
+
+/**
+ * Verify the Nostr signature of an annotated tag (see gitrep tag)
+ * The signature event names the tag, the tagged object and the message, so it is checked against all three.
+ * @param {{name: string, object: string, type: string, message: string|null, lightweight: boolean}} tag - Result of getTagInfo
+ * @param {Object[]} events - Known kind 1640 events
+ * @returns {{status: string, reason: string|null, signature: Object|null}} - status is "signed", "unsigned",
+ *   "missing", "invalid" or "mismatched"
+ */
+export function verifyTagSignature(tag, events) {
+  const result = (status, reason, signature = null) => ({ status, reason, signature });
+  if (tag.lightweight) {
+    return result('unsigned', 'lightweight tag (no message to sign)');
+  }
+  const { signature: trailer, event: embedded, message } = parseSignatureTrailers(tag.message);
+  if (!trailer) {
+    return result('unsigned', 'no Nostr-Signature trailer');
+  }
+
+  const { status, reason, signature } = checkTrailerSignature(trailer, embedded, events);
+  if (status) {
+    return result(status, reason, signature);
+  }
+  const signedTag = getSignedTag(signature);
+  if (!signedTag) {
+    return result('mismatched', 'the signature is for a commit, not a tag', signature);
+  }
+  if (signedTag.name !== tag.name) {
+    return result('mismatched', `the signature is for tag ${signedTag.name}`, signature);
+  }
+  if (signedTag.object !== tag.object) {
+    return result('mismatched', `the signature is for ${signedTag.type || 'object'} ${signedTag.object}, the tag points to ${tag.object}`, signature);
+  }
+  if (!isSignedMessage(signature, message)) {
+    return result('mismatched', 'the tag message differs from the signed message', signature);
+  }
+  return result('signed', null, signature);
+}
+
+/**
+ * Relay filters list at most this many event IDs, so large ranges are queried in batches
+ */
+const RELAY_BATCH_SIZE = 100;
+
+/**
+ * Collect the events needed to verify commits: the kind 1640 events stored in nostr/, plus the
+ * signature events and attestations of these commits found on relays but not stored locally
+ * @param {Array<{sha: string, message: string}>} commits - Commits (or tags) to verify
+ * @param {string[]} relays - Relays to query (none: only nostr/)
+ * @param {Object} [options]
+ * @param {boolean} [options.attestations] - Also look up attestations (false for tags, which have none)
+ * @returns {Promise<Object[]>} - Commit signature events and attestations
+ */
+export async function collectCommitSignatureEvents(commits, relays, { attestations = true } = {}) {
+  const events = readStoredEvents(KIND_COMMIT_SIGNATURE);
+  if (relays.length === 0) {
+    return events;
+  }
+
+  const known = new Set(events.map(e => e.id));
+  const attested = new Set(events.filter(isCommitAttestation).map(e => {
+    const { signatureId, commit } = getAttestedCommit(e);
+    return `${signatureId} ${commit}`;
+  }));
+  const missingSignatures = new Set();
+  const missingAttestations = new Set();
+  for (const commit of commits) {
+    const { signature, event } = parseSignatureTrailers(commit.message);
+    if (!signature) continue;
+    if (!known.has(signature.eventId) && event?.id !== signature.eventId) {
+      missingSignatures.add(signature.eventId);
+    }
+    if (attestations && !attested.has(`${signature.eventId} ${commit.sha}`)) {
+      missingAttestations.add(signature.eventId);
+    }
+  }
+
+  const fetched = [];
+  for (const [key, ids] of [['ids', [...missingSignatures]], ['#e', [...missingAttestations]]]) {
+    for (let i = 0; i < ids.length; i += RELAY_BATCH_SIZE) {
+      fetched.push(...await fetchEvents({ kinds: [KIND_COMMIT_SIGNATURE], [key]: ids.slice(i, i + RELAY_BATCH_SIZE) }, relays));
+    }
+  }
+  return [...events, ...fetched.filter(e => !known.has(e.id) && known.add(e.id))];
+}
+
+/**
+ * Check the signer of a verified commit against the allowed signers policy
+ * A validly signed commit becomes "untrusted" when no entry of the policy allows its signer
+ * for the branch, the changed paths and the signing date.
+ * @param {Object} commit - Commit (sha, tree, parents, message)
+ * @param {Object} result - Result of verifyCommitSignature
+ * @param {Object|null} policy - Result of loadAllowedSigners (null: no policy)
+ * @param {string|null} [branch] - Branch the commit is verified for
+ * @returns {Object} - The result, with the signer's name from the policy (signerName) or status "untrusted"
+ */
+export function applySignerPolicy(commit, result, policy, branch = null) {
+  if (!policy || result.status !== 'signed') {
+    return result;
+  }
+  const { allowed, reason, name } = checkAllowedSigner(policy, {
+    pubkey: result.signature.pubkey,
+    time: result.signature.created_at,
+    branch,
+    getPaths: () => getChangedPaths(commit.sha)
+  });
+  return allowed ? { ...result, signerName: name } : { ...result, status: 'untrusted', reason };
+}
+
+/**
+ * Verify the signatures of commits, and their signers against the allowed signers policy
+ * Each commit is checked against the policy committed in its parent (see resolveCommitPolicies),
+ * so a commit cannot allow itself by adding its key to the policy file.
+ * @param {Array<{sha: string, tree: string, parents: string[], message: string}>} commits - Commits to verify
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Relays to look up events not stored in nostr/
+ * @param {Object|null} [options.policy] - Check every commit against this policy (result of loadAllowedSigners)
+ *   instead of the committed ones
+ * @param {string|null} [options.branch] - Branch the commits are verified for (branch-scoped policy entries)
+ * @returns {Promise<{results: Array<{commit: Object, result: Object}>, summary: Object, policy: string|null}>} - summary
+ *   counts the commits per status, plus total and bound (signed and bound to the commit by an attestation);
+ *   policy is the policy file if a commit was checked against one
+ * @throws {Error} - If a policy file is invalid
+ */
+export async function verifyCommitList(commits, { relays = [], policy = undefined, branch = null } = {}) {
+  const events = await collectCommitSignatureEvents(commits, relays);
+  const checked = new Map();
+  const check = (commit, commitPolicy) => {
+    const result = applySignerPolicy(commit, verifyCommitSignature(commit, events), commitPolicy, branch);
+    checked.set(commit.sha, { result, policy: commitPolicy });
+    // Without a policy to go by, the commit that adds one sets it
+    return !commitPolicy || result.status === 'signed';
+  };
+  if (policy === undefined) {
+    resolveCommitPolicies(commits, check);
+  } else {
+    commits.forEach(commit => check(commit, policy));
+  }
+
+  const results = commits.map(commit => ({ commit, result: checked.get(commit.sha).result }));
+  const summary = { total: commits.length, signed: 0, bound: 0, unsigned: 0, missing: 0, invalid: 0, mismatched: 0, untrusted: 0 };
+  for (const { result } of results) {
+    summary[result.status]++;
+    if (result.status === 'signed' && result.binding === 'commit') summary.bound++;
+  }
+  const applied = commits.map(commit => checked.get(commit.sha).policy).find(Boolean);
+  return { results, summary, policy: applied ? applied.file : null };
+}
+
+/**
+ * Verify the signatures of annotated tags, and their signers against the allowed signers policy
+ * Tags are on no branch, so only policy entries without branches allow them.
+ * @param {Object[]} tags - Results of getTagInfo
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Relays to look up events not stored in nostr/
+ * @param {Object|null} [options.policy] - Result of loadAllowedSigners
+ * @returns {Promise<{results: Array<{tag: Object, result: Object}>, summary: Object}>} - summary counts the tags per status, plus total
+ */
+export async function verifyTagList(tags, { relays = [], policy = null } = {}) {
+  const annotated = tags.filter(tag => !tag.lightweight).map(tag => ({ sha: tag.sha, message: tag.message }));
+  const events = await collectCommitSignatureEvents(annotated, relays, { attestations: false });
+  const results = tags.map(tag => {
+    const result = verifyTagSignature(tag, events);
+    if (!policy || result.status !== 'signed') {
+      return { tag, result };
+    }
+    const { allowed, reason, name } = checkAllowedSigner(policy, {
+      pubkey: result.signature.pubkey,
+      time: result.signature.created_at
+    });
+    return { tag, result: allowed ? { ...result, signerName: name } : { ...result, status: 'untrusted', reason } };
+  });
+  const summary = { total: tags.length, signed: 0, unsigned: 0, missing: 0, invalid: 0, mismatched: 0, untrusted: 0 };
+  for (const { result } of results) {
+    summary[result.status]++;
+  }
+  return { results, summary };
+}
+
+/**
+ * Count the commits (or tags) that fail verification
+ * @param {Object} summary - Summary of verifyCommitList or verifyTagList
+ * @param {boolean} [allowUnsigned] - Unsigned commits pass
+ */
+export function countFailedCommits(summary, allowUnsigned = false) {
+  return summary.missing + summary.invalid + summary.mismatched + summary.untrusted + (allowUnsigned ? 0 : summary.unsigned);
+}
+
+const COMMIT_STATUS_ICONS = { signed: '✅', unsigned: '➖', missing: '❓', invalid: '❌', mismatched: '❌', untrusted: '🚫' };
+
+/**
+ * Print one line per verified commit, with the reason below the failed ones
+ * @param {Array<{commit: Object, result: Object}>} results - Results of verifyCommitList
+ * @param {Object} [options]
+ * @param {boolean} [options.failedOnly] - Skip the signed commits
+ * @param {string} [options.indent] - Prefix of every line
+ */
+export function printCommitResults(results, { failedOnly = false, indent = '' } = {}) {
+  for (const { commit, result } of results) {
+    if (failedOnly && result.status === 'signed') continue;
+    const line = `${indent}${COMMIT_STATUS_ICONS[result.status]} ${commit.sha.substring(0, 7)} ${commit.message.split('\n')[0]}`;
+    if (result.status === 'signed') {
+      const signer = result.signerName || `${nip19.npubEncode(result.signature.pubkey).substring(0, 16)}...`;
+      console.log(`${line} (${signer}, ${result.binding === 'commit' ? 'bound to commit' : 'matched by message only'})`);
+    } else {
+      console.log(line);
+      console.log(`${indent}   ${result.status}: ${result.reason}`);
+    }
+  }
+}
+
+/**
+ * Parse the options of verify commit/commits/tag/tags
+ */
+function parseCommitVerifyArgs(args) {
+  const positional = [];
+  const relays = [...getConfigValue('relays')];
+  let branch = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--relay' && args[i + 1]) {
+      relays.push(args[++i]);
+    } else if (args[i] === '--branch' && args[i + 1]) {
+      branch = args[++i];
+    } else if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+    }
+  }
+
+  return {
+    positional,
+    relays: args.includes('--offline') ? [] : relays,
+    allowUnsigned: args.includes('--allow-unsigned'),
+    branch: branch || getCurrentBranch()
+  };
+}
+
+/**
+ * Load the allowed signers policy for tags (as committed in HEAD: tags are on no branch
+ * or range the policy could be taken from), exiting if it is invalid
+ */
+function loadTagPolicy() {
+  try {
+    return loadAllowedSigners();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Verify commits against the committed allowed signers policies, exiting if a policy file is invalid
+ */
+async function verifyCommitsOrExit(commits, options) {
+  try {
+    return await verifyCommitList(commits, options);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * JSON output of a commit verification result
+ */
+function commitResultToJson(commit, result) {
+  return {
+    commit: commit.sha,
+    subject: commit.message.split('\n')[0],
+    status: result.status,
+    reason: result.reason,
+    binding: result.binding,
+    signer: result.signature ? result.signature.pubkey : null,
+    signerName: result.signerName || null,
+    signatureEvent: result.signature ? result.signature.id : null,
+    attestationEvent: result.attestation ? result.attestation.id : null
+  };
+}
+
+/**
+ * Verify the Nostr signature of a commit (verify commit [<rev>])
+ */
+async function verifyCommit(args, json) {
+  const { positional, relays, branch } = parseCommitVerifyArgs(args);
+  const rev = positional[0] || 'HEAD';
+  const commit = getCommitInfo(rev);
+  if (!commit) {
+    console.error(`Error: ${rev} is not a commit`);
+    process.exit(1);
+  }
+
+  const { results: [{ result }], policy } = await verifyCommitsOrExit([commit], { relays, branch });
+  const { signature, attestation } = result;
+
+  if (json) {
+    console.log(JSON.stringify({ ...commitResultToJson(commit, result), policy }, null, 2));
+  } else {
+    console.log('Commit Verification:');
+    console.log(`  Commit: ${commit.sha}`);
+    if (signature) {
+      console.log(`  Signer: ${nip19.npubEncode(signature.pubkey)}${result.signerName ? ` (${result.signerName})` : ''}`);
+      console.log(`  Signed: ${new Date(signature.created_at * 1000).toLocaleString()}`);
+      console.log(`  Signature event: ${signature.id.substring(0, 16)}...`);
+    }
+    if (result.binding === 'commit') {
+      console.log(`  Bound to commit: ✅ Yes (attestation ${attestation.id.substring(0, 16)}...)`);
+    } else if (result.binding === 'message') {
+      console.log('  Bound to commit: ⚠️  No attestation, matched by commit message only');
+    }
+    if (policy && signature) {
+      console.log(`  Allowed signer: ${result.status === 'untrusted' ? '❌ No' : result.status === 'signed' ? '✅ Yes' : '-'} (${policy})`);
+    }
+    console.log('');
+    if (result.status === 'signed') {
+      console.log('✅ Commit signature is VALID');
+    } else {
+      console.log(`❌ Commit is ${result.status.toUpperCase()}: ${result.reason}`);
+    }
+  }
+  if (result.status !== 'signed') {
+    process.exit(1);
+  }
+}
+
+/**
+ * Verify the Nostr signatures of the commits of a revision range (verify commits <rev-range>)
+ * Exits with 1 if a commit is not validly signed by an allowed signer (unsigned commits pass with --allow-unsigned)
+ */
+async function verifyCommits(args, json) {
+  const { positional, relays, allowUnsigned, branch } = parseCommitVerifyArgs(args);
+  const range = positional[0];
+  if (!range) {
+    console.error('Error: Revision range required');
+    console.error('Use: verify commits <rev-range> (e.g. main..HEAD, v1.0..v1.1, or HEAD for the whole history)');
+    process.exit(1);
+  }
+  const commits = listCommits(range);
+  if (!commits) {
+    console.error(`Error: Invalid revision range: ${range}`);
+    process.exit(1);
+  }
+
+  const { results, summary, policy } = await verifyCommitsOrExit(commits, { relays, branch });
+  const failed = countFailedCommits(summary, allowUnsigned);
+
+  if (json) {
+    console.log(JSON.stringify({
+      range,
+      branch,
+      policy,
+      commits: results.map(({ commit, result }) => commitResultToJson(commit, result)),
+      summary,
+      ok: failed === 0
+    }, null, 2));
+  } else {
+    if (policy) {
+      console.log(`Allowed signers: ${policy}${branch ? ` (branch ${branch})` : ''}\n`);
+    }
+    printCommitResults(results);
+    console.log('');
+    const counts = ['unsigned', 'missing', 'invalid', 'mismatched', 'untrusted']
+      .filter(status => summary[status] > 0)
+      .map(status => `${summary[status]} ${status}`);
+    console.log(`${summary.total} commit(s): ${summary.signed} signed (${summary.bound} bound to their commit)${counts.map(c => `, ${c}`).join('')}`);
+    if (summary.total === 0) {
+      console.log(`No commits in ${range}`);
+    } else if (failed === 0) {
+      console.log('✅ All commits passed verification');
+    } else {
+      console.log(`❌ ${failed} commit(s) failed verification`);
+    }
+  }
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * JSON output of a tag verification result
+ */
+function tagResultToJson(tag, result) {
+  return {
+    tag: tag.name,
+    object: tag.object,
+    type: tag.type,
+    status: result.status,
+    reason: result.reason,
+    signer: result.signature ? result.signature.pubkey : null,
+    signerName: result.signerName || null,
+    signatureEvent: result.signature ? result.signature.id : null
+  };
+}
+
+/**
+ * Verify the Nostr signature of an annotated tag (verify tag <name>)
+ */
+async function verifyTag(args, json) {
+  const { positional, relays } = parseCommitVerifyArgs(args);
+  const policy = loadTagPolicy();
+  const name = positional[0];
+  if (!name) {
+    console.error('Error: Tag name required');
+    console.error('Use: verify tag <name>');
+    process.exit(1);
+  }
+  const tag = getTagInfo(name);
+  if (!tag) {
+    console.error(`Error: ${name} is not a tag`);
+    process.exit(1);
+  }
+
+  const { results: [{ result }] } = await verifyTagList([tag], { relays, policy });
+  const { signature } = result;
+
+  if (json) {
+    console.log(JSON.stringify({ ...tagResultToJson(tag, result), policy: policy ? policy.file : null }, null, 2));
+  } else {
+    console.log('Tag Verification:');
+    console.log(`  Tag: ${tag.name}`);
+    console.log(`  Object: ${tag.object} (${tag.type})`);
+    if (signature) {
+      console.log(`  Signer: ${nip19.npubEncode(signature.pubkey)}${result.signerName ? ` (${result.signerName})` : ''}`);
+      console.log(`  Signed: ${new Date(signature.created_at * 1000).toLocaleString()}`);
+      console.log(`  Signature event: ${signature.id.substring(0, 16)}...`);
+    }
+    if (policy && signature) {
+      console.log(`  Allowed signer: ${result.status === 'untrusted' ? '❌ No' : result.status === 'signed' ? '✅ Yes' : '-'} (${policy.file})`);
+    }
+    console.log('');
+    if (result.status === 'signed') {
+      console.log('✅ Tag signature is VALID');
+    } else {
+      console.log(`❌ Tag is ${result.status.toUpperCase()}: ${result.reason}`);
+    }
+  }
+  if (result.status !== 'signed') {
+    process.exit(1);
+  }
+}
+
+/**
+ * Verify the Nostr signatures of all tags, or those matching a pattern (verify tags [<pattern>])
+ * Exits with 1 if a tag is not validly signed by an allowed signer (unsigned tags pass with --allow-unsigned)
+ */
+async function verifyTags(args, json) {
+  const { positional, relays, allowUnsigned } = parseCommitVerifyArgs(args);
+  const policy = loadTagPolicy();
+  const pattern = positional[0] || null;
+  const names = listTags(pattern);
+  if (!names) {
+    console.error(`Error: Cannot list tags${pattern ? ` matching ${pattern}` : ''}`);
+    process.exit(1);
+  }
+
+  const tags = names.map(getTagInfo).filter(Boolean);
+  const { results, summary } = await verifyTagList(tags, { relays, policy });
+  const failed = countFailedCommits(summary, allowUnsigned);
+
+  if (json) {
+    console.log(JSON.stringify({
+      pattern,
+      policy: policy ? policy.file : null,
+      tags: results.map(({ tag, result }) => tagResultToJson(tag, result)),
+      summary,
+      ok: failed === 0
+    }, null, 2));
+  } else {
+    if (policy) {
+      console.log(`Allowed signers: ${policy.file}\n`);
+    }
+    for (const { tag, result } of results) {
+      const line = `${COMMIT_STATUS_ICONS[result.status]} ${tag.name} -> ${tag.object.substring(0, 7)}`;
+      if (result.status === 'signed') {
+        console.log(`${line} (${result.signerName || `${nip19.npubEncode(result.signature.pubkey).substring(0, 16)}...`})`);
+      } else {
+        console.log(line);
+        console.log(`   ${result.status}: ${result.reason}`);
+      }
+    }
+    console.log('');
+    const counts = ['unsigned', 'missing', 'invalid', 'mismatched', 'untrusted']
+      .filter(status => summary[status] > 0)
+      .map(status => `${summary[status]} ${status}`);
+    console.log(`${summary.total} tag(s): ${summary.signed} signed${counts.map(c => `, ${c}`).join('')}`);
+    if (summary.total === 0) {
+      console.log(pattern ? `No tags match ${pattern}` : 'No tags');
+    } else if (failed === 0) {
+      console.log('✅ All tags passed verification');
+    } else {
+      console.log(`❌ ${failed} tag(s) failed verification`);
+    }
+  }
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Verify a Nostr event signature and ID, or the signatures of commits and tags
  */
 export async function verify(args, server, json) {
+  if (args[0] === 'commit') {
+    return verifyCommit(args.slice(1), json);
+  }
+  if (args[0] === 'commits') {
+    return verifyCommits(args.slice(1), json);
+  }
+  if (args[0] === 'tag') {
+    return verifyTag(args.slice(1), json);
+  }
+  if (args[0] === 'tags') {
+    return verifyTags(args.slice(1), json);
+  }
   const input = args[0];
   if (!input) {
     console.error('Error: Event file path or JSON required');
-    console.error('Use: verify <event-file.jsonl> or verify <event-json>');
+    console.error('Use: verify <event-file.jsonl>, verify <event-json>, verify commit [<rev>], verify commits <rev-range>, verify tag <name> or verify tags [<pattern>]');
     process.exit(1);
   }
 
   let event;
   try {
-    // Try to read as file first
-    if (existsSync(input)) {
-      const content = readFileSync(input, 'utf-8').trim();
-      // If it's JSONL, get the last line (most recent event)
-      const lines = content.split('\n').filter(l => l.trim());
-      const lastLine = lines[lines.length - 1];
-      event = JSON.parse(lastLine);
-    } else {
-      // Try to parse as JSON directly
-      event = JSON.parse(input);
-    }
+    event = loadEventFromInput(input);
   } catch (err) {
     console.error(`Error: Failed to parse event: ${err instanceof Error ? err.message : 'Unknown error'}`);
     process.exit(1);
   }
 
-  // Verify event
-  const signatureValid = verifyEvent(event);
-  const computedId = getEventHash(event);
-  const idMatches = event.id === computedId;
+  const result = verifyNostrEvent(event);
+  const { signatureValid, idMatches, computedId } = result;
 
   if (json) {
     console.log(JSON.stringify({
-      valid: signatureValid && idMatches,
-      signatureValid,
-      idMatches,
-      computedId,
-      eventId: event.id,
-      kind: event.kind,
-      pubkey: event.pubkey,
-      created_at: event.created_at,
+      ...result,
       timestamp: new Date(event.created_at * 1000).toLocaleString(),
       timestamp_utc: new Date(event.created_at * 1000).toISOString()
     }, null, 2));
@@ -64,7 +676,7 @@ export async function verify(args, server, json) {
     }
     console.log('');
     
-    if (signatureValid && idMatches) {
+    if (result.valid) {
       console.log('✅ Event is VALID');
     } else {
       console.log('❌ Event is INVALID');
@@ -1,45 +1,549 @@
 /**
- * Configuration constants
+ * Configuration constants and layered configuration
+ *
+ * Settings are resolved from (lowest to highest precedence):
+ *   1. Built-in defaults
+ *   2. User config file (~/.config/gitrepublic/config.json)
+ *   3. Repository config file (<repo-root>/.gitrepublic.json)
+ *   4. Environment variables (GITREPUBLIC_SERVER, NOSTR_RELAYS, ...)
+ *   5. Command-line flags (--server, --profile)
+ *
+ * Each config file may contain top-level settings and named profiles:
+ *   {
+ *     "profile": "work",
+ *     "relays": ["wss://relay.example.com"],
+ *     "profiles": {
+ *       "work": { "server": "https://git.example.com" },
+ *       "personal": { "server": "https://gitrepublic.com" }
+ *     }
+ *   }
+ * Settings of the active profile override the top-level settings of the same file.
  */
 
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { findRepoRoot } from './utils/git.js';
+
 // NIP-98 auth event kind
 export const KIND_NIP98_AUTH = 27235;
 
-// Default server URL
-export const DEFAULT_SERVER = process.env.GITREPUBLIC_SERVER || 'http://localhost:5173';
+// Repository config file name (in the repository root)
+export const REPO_CONFIG_FILE = '.gitrepublic.json';
+
+const BUILTIN_SERVER = 'http://localhost:5173';
+
+const BUILTIN_NOSTR_RELAYS = [
+  'wss://theforest.nostr1.com',
+  'wss://nostr.land',
+];
+
+const BUILTIN_NOSTR_SEARCH_RELAYS = [
+  'wss://nostr.land',
+  'wss://relay.damus.io',
+  'wss://thecitadel.nostr1.com',
+  'wss://nostr21.com',
+  'wss://theforest.nostr1.com',
+  'wss://freelay.sovbit.host',
+  'wss://nostr.sovbit.host',
+  'wss://bevos.nostr1.com',
+  'wss://relay.primal.net',
+  'wss://nostr.mom',
+  'wss://relay.snort.social',
+  'wss://aggr.nostr.land',
+];
+
+/**
+ * Get the per-user GitRepublic directory (config file, keyfile, agent socket)
+ */
+export function getUserConfigDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'gitrepublic');
+}
+
+/**
+ * Known configuration keys
+ * type: 'string' | 'list' (comma-separated on the command line) | 'boolean' | 'number'
+ * userOnly: never read from the repository file, which comes with the clone (keys choosing
+ * the signing key, disabling signature checks or signing and publishing events without a
+ * command asking for it are up to the user)
+ */
+export const CONFIG_KEYS = {
+  'server': {
+    type: 'string',
+    env: 'GITREPUBLIC_SERVER',
+    default: BUILTIN_SERVER,
+    description: 'GitRepublic server URL'
+  },
+  'relays': {
+    type: 'list',
+    env: 'NOSTR_RELAYS',
+    default: BUILTIN_NOSTR_RELAYS,
+    description: 'Relays for publishing and fetching events'
+  },
+  'search-relays': {
+    type: 'list',
+    env: 'NOSTR_SEARCH_RELAYS',
+    default: BUILTIN_NOSTR_SEARCH_RELAYS,
+    description: 'Relays for searching repositories, profiles and other events'
+  },
+  'sign-only-gitrepublic': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_SIGN_ONLY_GITREPUBLIC',
+    default: false,
+    description: 'Commit hook: only sign commits in GitRepublic repositories'
+  },
+  'cancel-on-sign-fail': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_CANCEL_ON_SIGN_FAIL',
+    default: false,
+    description: 'Commit hook: cancel the commit if signing fails'
+  },
+  'include-full-event': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_INCLUDE_FULL_EVENT',
+    default: false,
+    description: 'Commit hook: include the full event (base64) in the commit message'
+  },
+  'publish-event': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_PUBLISH_EVENT',
+    default: false,
+    userOnly: true,
+    description: 'Commit hook: publish commit signature events to relays'
+  },
+  'keyfile': {
+    type: 'string',
+    env: 'NOSTRGIT_KEYFILE',
+    default: join(getUserConfigDir(), 'key.ncryptsec'),
+    userOnly: true,
+    description: 'Encrypted (NIP-49 ncryptsec) signing key file'
+  },
+  'agent': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_AGENT',
+    default: true,
+    userOnly: true,
+    description: 'Cache unlocked keys in the key agent so git operations do not re-prompt'
+  },
+  'agent-timeout': {
+    type: 'number',
+    env: 'GITREPUBLIC_AGENT_TIMEOUT',
+    default: 1800,
+    description: 'Seconds an unlocked key stays in the key agent after last use'
+  },
+  'bunker': {
+    type: 'string',
+    env: 'NOSTRGIT_BUNKER',
+    default: '',
+    userOnly: true,
+    description: 'NIP-46 remote signer (bunker://...) used instead of a local key'
+  },
+  'bunker-timeout': {
+    type: 'number',
+    env: 'NOSTRGIT_BUNKER_TIMEOUT',
+    default: 60,
+    description: 'Seconds to wait for the bunker to answer a request'
+  },
+  'identity': {
+    type: 'string',
+    env: 'NOSTRGIT_IDENTITY',
+    default: '',
+    userOnly: true,
+    description: 'Named identity to sign with (see: gitrep identity --help)'
+  },
+  'description': {
+    type: 'string',
+    default: '',
+    description: 'Repository description for announcements (publish repo-announcement --from-git)'
+  },
+  'topics': {
+    type: 'list',
+    default: [],
+    description: 'Repository topics ("t" tags) for announcements (publish repo-announcement --from-git)'
+  },
+  'state-include': {
+    type: 'list',
+    default: [],
+    description: 'Ref patterns included in repository state events (publish repo-state --from-git, default: all)'
+  },
+  'state-exclude': {
+    type: 'list',
+    default: [],
+    description: 'Ref patterns excluded from repository state events (publish repo-state --from-git)'
+  },
+  'publish-state': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_PUBLISH_STATE',
+    default: false,
+    userOnly: true,
+    description: 'push-all: publish the repository state (kind 30618) after a successful push'
+  },
+  'publish-strict': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_PUBLISH_STRICT',
+    default: false,
+    description: 'publish: refuse repository states, announcements and ownership transfers the signer has no authority for (like --strict)'
+  },
+  'allowed-signers': {
+    type: 'string',
+    env: 'GITREPUBLIC_ALLOWED_SIGNERS',
+    default: 'nostr/allowed-signers.json',
+    userOnly: true,
+    description: 'Commit verification: policy file listing the keys allowed to sign commits (relative to the repository root: read as committed, not from the working tree)'
+  },
+  'verify-push': {
+    type: 'boolean',
+    env: 'GITREPUBLIC_VERIFY_PUSH',
+    default: true,
+    userOnly: true,
+    description: 'Pre-push hook: block pushes of commits without a valid signature by an allowed signer (false skips the check)'
+  }
+};
+
+// Overrides from command-line flags (set by the CLI entry point)
+let cliOverrides = { profile: null, values: {} };
+
+/**
+ * Set overrides from command-line flags
+ * @param {Object} overrides
+ * @param {string} [overrides.profile] - Profile selected with --profile
+ * @param {Object} [overrides.values] - Setting values keyed by config key (e.g. { server })
+ */
+export function setConfigOverrides({ profile = null, values = {} } = {}) {
+  cliOverrides = { profile, values };
+}
+
+/**
+ * Get the profile explicitly selected on the command line (if any)
+ */
+export function getCliProfile() {
+  return cliOverrides.profile;
+}
+
+/**
+ * Get the path of the user config file
+ */
+export function getUserConfigPath() {
+  if (process.env.GITREPUBLIC_CONFIG) {
+    return process.env.GITREPUBLIC_CONFIG;
+  }
+  return join(getUserConfigDir(), 'config.json');
+}
+
+/**
+ * Get the path of the repository config file (null when not in a git repository)
+ */
+export function getRepoConfigPath() {
+  const repoRoot = findRepoRoot();
+  return repoRoot ? join(repoRoot, REPO_CONFIG_FILE) : null;
+}
+
+/**
+ * Get the config file path for a scope
+ * @param {'user'|'repo'} scope
+ */
+export function getConfigPath(scope) {
+  if (scope === 'repo') {
+    const repoPath = getRepoConfigPath();
+    if (!repoPath) {
+      throw new Error('Not in a git repository (required for --repo)');
+    }
+    return repoPath;
+  }
+  return getUserConfigPath();
+}
+
+/**
+ * Read a config file, returning an empty config if it does not exist
+ * @throws {Error} - If the file exists but is not valid JSON
+ */
+export function readConfigFile(path) {
+  if (!path || !existsSync(path)) {
+    return {};
+  }
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf-8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (err) {
+    throw new Error(`Invalid config file ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Write a config file (creating its directory if needed)
+ */
+export function writeConfigFile(path, data) {
+  const dir = dirname(path);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(path, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Parse a raw (string) value for a config key
+ * @throws {Error} - If the value is not valid for the key type
+ */
+export function parseConfigValue(key, raw) {
+  const def = CONFIG_KEYS[key];
+  if (!def) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+  if (Array.isArray(raw)) {
+    return def.type === 'list' ? raw : raw.join(',');
+  }
+  const str = String(raw);
+  switch (def.type) {
+    case 'list':
+      return str.split(',').map(r => r.trim()).filter(r => r.length > 0);
+    case 'boolean':
+      if (str === 'true' || str === 'false') {
+        return str === 'true';
+      }
+      throw new Error(`Invalid value for ${key}: expected true or false`);
+    case 'number': {
+      const num = Number(str);
+      if (str.trim() === '' || !Number.isFinite(num) || num < 0) {
+        throw new Error(`Invalid value for ${key}: expected a non-negative number`);
+      }
+      return num;
+    }
+    default:
+      return str;
+  }
+}
+
+function readLayers() {
+  const userPath = getUserConfigPath();
+  const repoPath = getRepoConfigPath();
+  return {
+    user: { path: userPath, data: readConfigFile(userPath) },
+    repo: { path: repoPath, data: readConfigFile(repoPath) }
+  };
+}
+
+/**
+ * Determine the active profile and where it was selected
+ * @returns {{ name: string|null, source: string }}
+ */
+function resolveProfile(layers) {
+  if (cliOverrides.profile) {
+    return { name: cliOverrides.profile, source: 'flag' };
+  }
+  if (process.env.GITREPUBLIC_PROFILE) {
+    return { name: process.env.GITREPUBLIC_PROFILE, source: 'env' };
+  }
+  if (layers.repo.data.profile) {
+    return { name: layers.repo.data.profile, source: 'repo' };
+  }
+  if (layers.user.data.profile) {
+    return { name: layers.user.data.profile, source: 'user' };
+  }
+  return { name: null, source: 'default' };
+}
+
+/**
+ * Load the fully resolved configuration
+ * @returns {{ profile: {name: string|null, source: string}, values: Object, sources: Object, files: Object }}
+ */
+export function loadConfig() {
+  const layers = readLayers();
+  const profile = resolveProfile(layers);
+  const values = {};
+  const sources = {};
+
+  for (const [key, def] of Object.entries(CONFIG_KEYS)) {
+    let value = def.default;
+    let source = 'default';
+
+    for (const scope of def.userOnly ? ['user'] : ['user', 'repo']) {
+      const data = layers[scope].data;
+      if (data[key] !== undefined) {
+        value = parseConfigValue(key, data[key]);
+        source = scope;
+      }
+      const profileData = profile.name && data.profiles ? data.profiles[profile.name] : null;
+      if (profileData && profileData[key] !== undefined) {
+        value = parseConfigValue(key, profileData[key]);
+        source = `${scope}:${profile.name}`;
+      }
+    }
+
+    const envValue = process.env[def.env];
+    if (envValue !== undefined && envValue !== '') {
+      // Booleans from the environment keep their historical semantics (only 'true' enables)
+      value = def.type === 'boolean' ? envValue === 'true' : parseConfigValue(key, envValue);
+      source = 'env';
+    }
+
+    if (cliOverrides.values[key] !== undefined) {
+      value = parseConfigValue(key, cliOverrides.values[key]);
+      source = 'flag';
+    }
+
+    values[key] = value;
+    sources[key] = source;
+  }
+
+  return {
+    profile,
+    values,
+    sources,
+    files: { user: layers.user.path, repo: layers.repo.path }
+  };
+}
+
+/**
+ * Get a resolved config value
+ * @param {string} key - Config key (e.g. 'server', 'relays')
+ */
+export function getConfigValue(key) {
+  if (!CONFIG_KEYS[key]) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+  return loadConfig().values[key];
+}
+
+/**
+ * Set a value in a config file
+ * @param {string} key - Config key
+ * @param {string} rawValue - Value as given on the command line
+ * @param {Object} [options]
+ * @param {'user'|'repo'} [options.scope] - Which file to write (default: user)
+ * @param {string} [options.profile] - Write into this profile instead of the top level
+ * @returns {string} - Path of the file written
+ * @throws {Error} - If the value is invalid, or the key is user-only and scope is repo
+ */
+export function setConfigValue(key, rawValue, { scope = 'user', profile = null } = {}) {
+  const value = parseConfigValue(key, rawValue);
+  if (scope === 'repo' && CONFIG_KEYS[key].userOnly) {
+    throw new Error(`${key} can only be set in the user config file: the repository file is not read for it`);
+  }
+  const path = getConfigPath(scope);
+  const data = readConfigFile(path);
+  if (profile) {
+    data.profiles = data.profiles || {};
+    data.profiles[profile] = { ...(data.profiles[profile] || {}), [key]: value };
+  } else {
+    data[key] = value;
+  }
+  writeConfigFile(path, data);
+  return path;
+}
+
+/**
+ * Remove a value from a config file
+ * @returns {boolean} - True if the value was present
+ */
+export function unsetConfigValue(key, { scope = 'user', profile = null } = {}) {
+  if (!CONFIG_KEYS[key]) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+  const path = getConfigPath(scope);
+  if (!existsSync(path)) {
+    return false;
+  }
+  const data = readConfigFile(path);
+  const target = profile ? data.profiles?.[profile] : data;
+  if (!target || target[key] === undefined) {
+    return false;
+  }
+  delete target[key];
+  writeConfigFile(path, data);
+  return true;
+}
+
+/**
+ * Select the active profile in a config file (null clears the selection)
+ * @returns {string} - Path of the file written
+ */
+export function useProfile(name, { scope = 'user' } = {}) {
+  const path = getConfigPath(scope);
+  const data = readConfigFile(path);
+  if (name) {
+    data.profile = name;
+  } else {
+    delete data.profile;
+  }
+  writeConfigFile(path, data);
+  return path;
+}
+
+/**
+ * List the profiles defined in the user and repository config files
+ * @returns {Array<{name: string, scope: string}>}
+ */
+export function listProfiles() {
+  const layers = readLayers();
+  const profiles = [];
+  for (const scope of ['user', 'repo']) {
+    for (const name of Object.keys(layers[scope].data.profiles || {})) {
+      profiles.push({ name, scope });
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Get the named identities defined in the user config file
+ * Identities hold key sources, so they are never read from the repository file.
+ * @returns {Object<string, Object>} - Identity definitions keyed by name
+ */
+export function getIdentities() {
+  const data = readConfigFile(getUserConfigPath());
+  return data.identities && typeof data.identities === 'object' ? data.identities : {};
+}
+
+/**
+ * Create or replace a named identity in the user config file
+ * @returns {string} - Path of the file written
+ */
+export function setIdentity(name, definition) {
+  const path = getUserConfigPath();
+  const data = readConfigFile(path);
+  data.identities = { ...(data.identities || {}), [name]: definition };
+  writeConfigFile(path, data);
+  return path;
+}
+
+/**
+ * Remove a named identity from the user config file
+ * @returns {boolean} - True if the identity existed
+ */
+export function removeIdentity(name) {
+  const path = getUserConfigPath();
+  const data = readConfigFile(path);
+  if (!data.identities || !data.identities[name]) {
+    return false;
+  }
+  delete data.identities[name];
+  writeConfigFile(path, data);
+  return true;
+}
+
+function resolveDefault(key) {
+  try {
+    return getConfigValue(key);
+  } catch {
+    // Broken config files are reported by 'gitrep config', not at import time
+    return CONFIG_KEYS[key].default;
+  }
+}
+
+// Default server URL (resolved when this module is loaded - use getConfigValue('server') for CLI overrides)
+export const DEFAULT_SERVER = resolveDefault('server');
 
 /**
  * Default Nostr relays to use for operations (publishing, fetching)
- * Can be overridden by NOSTR_RELAYS env var (comma-separated list)
- * 
+ * Can be overridden by NOSTR_RELAYS env var (comma-separated list) or the 'relays' config key
+ *
  */
-export const DEFAULT_NOSTR_RELAYS = 
-  typeof process !== 'undefined' && process.env?.NOSTR_RELAYS
-    ? process.env.NOSTR_RELAYS.split(',').map(r => r.trim()).filter(r => r.length > 0)
-    : [
-        'wss://theforest.nostr1.com',
-        'wss://nostr.land',
-      ];
+export const DEFAULT_NOSTR_RELAYS = resolveDefault('relays');
 
 /**
  * Nostr relays to use for searching for repositories, profiles, or other events
- * Can be overridden by NOSTR_SEARCH_RELAYS env var (comma-separated list)
- * 
- */
-export const DEFAULT_NOSTR_SEARCH_RELAYS = 
-  typeof process !== 'undefined' && process.env?.NOSTR_SEARCH_RELAYS
-    ? process.env.NOSTR_SEARCH_RELAYS.split(',').map(r => r.trim()).filter(r => r.length > 0)
-    : [
-      'wss://nostr.land',
-      'wss://relay.damus.io',
-      'wss://thecitadel.nostr1.com',
-      'wss://nostr21.com',
-      'wss://theforest.nostr1.com',
-      'wss://freelay.sovbit.host',
-      'wss://nostr.sovbit.host',
-      'wss://bevos.nostr1.com',
-      'wss://relay.primal.net',
-      'wss://nostr.mom',
-      'wss://relay.snort.social',
-      'wss://aggr.nostr.land',
-      ];
\ No newline at end of file
+ * Can be overridden by NOSTR_SEARCH_RELAYS env var (comma-separated list) or the 'search-relays' config key
+ *
+ */
+export const DEFAULT_NOSTR_SEARCH_RELAYS = resolveDefault('search-relays');
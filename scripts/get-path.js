@@ -16,6 +16,8 @@ const scriptsDir = __dirname;
 // Check if scripts exist
 const credentialScript = join(scriptsDir, 'git-credential-nostr.js');
 const commitHookScript = join(scriptsDir, 'git-commit-msg-hook.js');
+const postCommitHookScript = join(scriptsDir, 'git-post-commit-hook.js');
+const prePushHookScript = join(scriptsDir, 'git-pre-push-hook.js');
 
 if (process.argv[2] === '--credential' || process.argv[2] === '-c') {
   if (existsSync(credentialScript)) {
@@ -31,13 +33,31 @@ if (process.argv[2] === '--credential' || process.argv[2] === '-c') {
     console.error('Error: git-commit-msg-hook.js not found');
     process.exit(1);
   }
+} else if (process.argv[2] === '--post-commit-hook') {
+  if (existsSync(postCommitHookScript)) {
+    console.log(postCommitHookScript);
+  } else {
+    console.error('Error: git-post-commit-hook.js not found');
+    process.exit(1);
+  }
+} else if (process.argv[2] === '--pre-push-hook') {
+  if (existsSync(prePushHookScript)) {
+    console.log(prePushHookScript);
+  } else {
+    console.error('Error: git-pre-push-hook.js not found');
+    process.exit(1);
+  }
 } else {
-  // Default: show both paths
+  // Default: show all paths
   console.log('GitRepublic CLI Scripts:');
   console.log('Credential Helper:', credentialScript);
   console.log('Commit Hook:', commitHookScript);
+  console.log('Post-commit Hook:', postCommitHookScript);
+  console.log('Pre-push Hook:', prePushHookScript);
   console.log('');
   console.log('Usage:');
   console.log('  node get-path.js --credential  # Get credential helper path');
   console.log('  node get-path.js --hook        # Get commit hook path');
+  console.log('  node get-path.js --post-commit-hook  # Get post-commit/post-rewrite hook path');
+  console.log('  node get-path.js --pre-push-hook     # Get pre-push hook path');
 }
@@ -16,22 +16,28 @@
  *      ln -s /absolute/path/to/gitrepublic-cli/scripts/git-commit-msg-hook.js ~/.git-hooks/commit-msg
  *      git config --global core.hooksPath ~/.git-hooks
  * 
- * Environment variables:
- *   NOSTRGIT_SECRET_KEY - Your Nostr private key (nsec format or hex) for signing commits
- *   GITREPUBLIC_SIGN_ONLY_GITREPUBLIC - If true, only sign GitRepublic repos (default: false, signs all)
- *   GITREPUBLIC_CANCEL_ON_SIGN_FAIL - If true, cancel commit if signing fails (default: false, allows unsigned)
- *   GITREPUBLIC_INCLUDE_FULL_EVENT - If true, include full event JSON in commit message (default: false, stored in nostr/commit-signatures.jsonl by default)
- *   GITREPUBLIC_PUBLISH_EVENT - If true, publish commit signature event to Nostr relays (default: false)
- *   NOSTR_RELAYS - Comma-separated list of Nostr relays for publishing (default: wss://theforest.nostr1.com,wss://relay.damus.io,wss://nostr.land)
+ * Settings (config key / environment variable - see: gitrep config --help):
+ *   NOSTRGIT_SECRET_KEY - Your Nostr private key (nsec format, hex or ncryptsec) for signing commits
+ *   bunker / NOSTRGIT_BUNKER - NIP-46 remote signer (bunker://...) to sign with instead of a local key
+ *   sign-only-gitrepublic / GITREPUBLIC_SIGN_ONLY_GITREPUBLIC - If true, only sign GitRepublic repos (default: false, signs all)
+ *   cancel-on-sign-fail / GITREPUBLIC_CANCEL_ON_SIGN_FAIL - If true, cancel commit if signing fails (default: false, allows unsigned)
+ *   include-full-event / GITREPUBLIC_INCLUDE_FULL_EVENT - If true, include full event JSON in commit message (default: false, stored in nostr/commit-signatures.jsonl by default)
+ *   publish-event / GITREPUBLIC_PUBLISH_EVENT - If true, publish commit signature event to Nostr relays (default: false)
+ *   relays / NOSTR_RELAYS - Comma-separated list of Nostr relays for publishing (default: wss://theforest.nostr1.com,wss://relay.damus.io,wss://nostr.land)
  * 
  * By default, the full event JSON is stored in nostr/commit-signatures.jsonl (JSON Lines format).
+ * Install git-post-commit-hook.js as the post-commit and post-rewrite hooks to bind the
+ * signature to the commit hash (gitrep-setup installs all three).
  * Events are organized by type in the nostr/ folder for easy searching.
  * 
  * Security: Keep your NOSTRGIT_SECRET_KEY secure and never commit it to version control!
  */
 
-import { finalizeEvent, getPublicKey, nip19 } from 'nostr-tools';
+import { nip19 } from 'nostr-tools';
 import { publishToRelays } from './relay/publisher.js';
+import { loadConfig } from './config.js';
+import { getSigner } from './utils/signer.js';
+import { getRemoteUrls } from './utils/git.js';
 import { enhanceRelayList } from './relay/relay-fetcher.js';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { spawnSync } from 'child_process';
@@ -40,40 +46,6 @@ import { join, dirname, resolve } from 'path';
 // Commit signature event kind (1640)
 const KIND_COMMIT_SIGNATURE = 1640;
 
-/**
- * Decode a Nostr key from bech32 (nsec) or hex format
- * Returns the hex-encoded private key as Uint8Array
- */
-function decodeNostrKey(key) {
-  let hexKey;
-  
-  // Check if it's already hex (64 characters, hex format)
-  if (/^[0-9a-fA-F]{64}$/.test(key)) {
-    hexKey = key.toLowerCase();
-  } else {
-    // Try to decode as bech32 (nsec)
-    try {
-      const decoded = nip19.decode(key);
-      if (decoded.type === 'nsec') {
-        // decoded.data for nsec is Uint8Array, convert to hex string
-        const data = decoded.data;
-        hexKey = Array.from(data).map(b => b.toString(16).padStart(2, '0')).join('');
-      } else {
-        throw new Error('Key is not a valid nsec or hex private key');
-      }
-    } catch (error) {
-      throw new Error(`Invalid key format: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
-  }
-
-  // Convert hex string to Uint8Array
-  const keyBytes = new Uint8Array(32);
-  for (let i = 0; i < 32; i++) {
-    keyBytes[i] = parseInt(hexKey.slice(i * 2, i * 2 + 2), 16);
-  }
-  return keyBytes;
-}
-
 /**
  * Get git config value
  * Security: Validates key to prevent command injection
@@ -204,12 +176,12 @@ function getShortenedNpub(hexPubkey) {
  * Create a commit signature event and append it to the commit message
  */
 async function signCommitMessage(commitMessageFile) {
-  // Check if NOSTRGIT_SECRET_KEY is set
-  const secretKey = process.env.NOSTRGIT_SECRET_KEY;
-  if (!secretKey) {
-    // Allow unsigned commits, but inform user
-    console.error('⚠️  NOSTRGIT_SECRET_KEY not set - commit will not be signed');
-    console.error('   Set it with: export NOSTRGIT_SECRET_KEY="nsec1..."');
+  // Resolve hook settings from config files and environment
+  let config;
+  try {
+    config = loadConfig();
+  } catch (configError) {
+    console.error(`⚠️  ${configError.message} - commit will not be signed`);
     return;
   }
   
@@ -217,9 +189,9 @@ async function signCommitMessage(commitMessageFile) {
   // and doesn't interfere with git operations. It's useful to have consistent
   // signing across all repositories (GitHub, GitLab, GitRepublic, etc.)
   // 
-  // To disable signing for non-GitRepublic repos, set GITREPUBLIC_SIGN_ONLY_GITREPUBLIC=true
+  // To disable signing for non-GitRepublic repos, set sign-only-gitrepublic (GITREPUBLIC_SIGN_ONLY_GITREPUBLIC=true)
   const isGitRepublic = isGitRepublicRepo();
-  const signOnlyGitRepublic = process.env.GITREPUBLIC_SIGN_ONLY_GITREPUBLIC === 'true';
+  const signOnlyGitRepublic = config.values['sign-only-gitrepublic'];
   
   if (!isGitRepublic && signOnlyGitRepublic) {
     // User explicitly wants to only sign GitRepublic repos
@@ -231,6 +203,7 @@ async function signCommitMessage(commitMessageFile) {
     // The signature is just metadata in the commit message
   }
 
+  let signer = null;
   try {
     // Read the commit message
     const commitMessage = readFileSync(commitMessageFile, 'utf-8').trim();
@@ -241,9 +214,22 @@ async function signCommitMessage(commitMessageFile) {
       return;
     }
 
-    // Decode the private key and get pubkey
-    const keyBytes = decodeNostrKey(secretKey);
-    const pubkey = getPublicKey(keyBytes);
+    // Resolve the signer: the identity configured for (or matching the remotes of) this
+    // repository, NOSTRGIT_SECRET_KEY, the keyfile (unlocked via the key agent or a
+    // passphrase prompt), or the configured NIP-46 bunker
+    try {
+      signer = await getSigner({ urls: getRemoteUrls() });
+    } catch (keyError) {
+      if (config.values['bunker'] || config.values['identity']) {
+        // A configured bunker or identity that cannot be used is a signing failure, not a missing key
+        throw keyError;
+      }
+      // Allow unsigned commits, but inform user
+      console.error(`⚠️  ${keyError.message} - commit will not be signed`);
+      console.error('   Set it with: export NOSTRGIT_SECRET_KEY="nsec1..." or run: gitrep key import');
+      return;
+    }
+    const pubkey = await signer.getPublicKey();
     
     // Get author info from git config, then try to fetch from kind 0 event, fallback to shortened npub
     let authorName = getGitConfig('user.name');
@@ -306,8 +292,9 @@ async function signCommitMessage(commitMessageFile) {
     // - The author's identity (pubkey)
     // - The timestamp of signing
     // 
-    // Verification can match events to commits by comparing the commit message
-    // in the event's 'message' tag with the actual commit message.
+    // The post-commit hook (git-post-commit-hook.js) binds this event to the created
+    // commit with an attestation naming its hash, tree and parents. Commits without
+    // one are matched by comparing the event's 'message' tag with the commit message.
     const eventTemplate = {
       kind: KIND_COMMIT_SIGNATURE,
       pubkey,
@@ -321,7 +308,7 @@ async function signCommitMessage(commitMessageFile) {
     };
 
     // Finalize and sign the event
-    const signedEvent = finalizeEvent(eventTemplate, keyBytes);
+    const signedEvent = await signer.signEvent(eventTemplate);
     
     // Create a signature trailer that git can recognize
     // Format: Nostr-Signature: <event-id> <pubkey> <signature>
@@ -370,7 +357,7 @@ async function signCommitMessage(commitMessageFile) {
     }
     
     // Optionally include full event JSON in commit message (base64 encoded)
-    const includeFullEvent = process.env.GITREPUBLIC_INCLUDE_FULL_EVENT === 'true';
+    const includeFullEvent = config.values['include-full-event'];
     if (includeFullEvent) {
       const eventJson = JSON.stringify(signedEvent);
       const eventBase64 = Buffer.from(eventJson, 'utf-8').toString('base64');
@@ -387,29 +374,18 @@ async function signCommitMessage(commitMessageFile) {
     writeFileSync(commitMessageFile, signedMessage, 'utf-8');
     
     // Optionally publish event to Nostr relays
-    const publishEvent = process.env.GITREPUBLIC_PUBLISH_EVENT === 'true';
+    const publishEvent = config.values['publish-event'];
     if (publishEvent) {
       try {
-        const relaysEnv = process.env.NOSTR_RELAYS;
-        const baseRelays = relaysEnv ? relaysEnv.split(',').map(r => r.trim()).filter(r => r.length > 0) : [
-          'wss://nostr.land',
-          'wss://relay.damus.io',
-          'wss://thecitadel.nostr1.com',
-          'wss://nostr21.com',
-          'wss://theforest.nostr1.com',
-          'wss://freelay.sovbit.host',
-          'wss://nostr.sovbit.host',
-          'wss://bevos.nostr1.com',
-          'wss://relay.primal.net',
-          'wss://nostr.mom',
-          'wss://relay.snort.social',
-          'wss://aggr.nostr.land',
-        ];
+        // Use configured relays if set, otherwise the broader search relay list
+        const baseRelays = config.sources['relays'] !== 'default'
+          ? config.values['relays']
+          : config.values['search-relays'];
         
         // Enhance relay list with user's relay preferences (outboxes, local relays, blocked relays)
         const relays = await enhanceRelayList(baseRelays, pubkey, baseRelays);
         
-        const result = await publishToRelays(signedEvent, relays, keyBytes, pubkey);
+        const result = await publishToRelays(signedEvent, relays, signer, pubkey);
         
         if (result.success.length > 0) {
           console.log(`   Published to ${result.success.length} relay(s)`);
@@ -430,6 +406,9 @@ async function signCommitMessage(commitMessageFile) {
     const npub = getShortenedNpub(pubkey);
     console.log('✅ Commit signed with Nostr key');
     console.log(`   Pubkey: ${npub}...`);
+    if (signer.identity) {
+      console.log(`   Identity: ${signer.identity}`);
+    }
     console.log(`   Event ID: ${signedEvent.id.substring(0, 16)}...`);
     console.log(`   Event stored in nostr/commit-signatures.jsonl`);
     if (includeFullEvent) {
@@ -443,15 +422,20 @@ async function signCommitMessage(commitMessageFile) {
     }
     
     // Check if user wants to cancel on signing failure
-    const cancelOnFailure = process.env.GITREPUBLIC_CANCEL_ON_SIGN_FAIL === 'true';
+    const cancelOnFailure = config.values['cancel-on-sign-fail'];
     
     if (cancelOnFailure) {
-      console.error('   Commit cancelled due to signing failure (GITREPUBLIC_CANCEL_ON_SIGN_FAIL=true)');
-      process.exit(1);
+      console.error('   Commit cancelled due to signing failure (cancel-on-sign-fail=true)');
+      process.exitCode = 1;
     } else {
       console.error('   Commit will proceed unsigned');
       // Exit with 0 to allow the commit to proceed even if signing fails
-      process.exit(0);
+      process.exitCode = 0;
+    }
+  } finally {
+    // Runs before the hook exits, so bunker connections and the key agent are released on failure too
+    if (signer) {
+      await signer.close();
     }
   }
 }
@@ -463,7 +447,10 @@ if (!commitMessageFile) {
   process.exit(1);
 }
 
-signCommitMessage(commitMessageFile).catch((error) => {
+signCommitMessage(commitMessageFile).then(() => {
+  // Exit once the signer is closed (open relay connections would keep the process alive)
+  process.exit(process.exitCode || 0);
+}).catch((error) => {
   console.error('Fatal error in commit hook:', error);
   process.exit(1);
 });
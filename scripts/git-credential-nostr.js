@@ -13,19 +13,20 @@
  *      git config --global credential.https://your-domain.com.helper '!node /path/to/gitrepublic-cli/scripts/git-credential-nostr.js'
  * 
  * Environment variables:
- *   NOSTRGIT_SECRET_KEY - Your Nostr private key (nsec format or hex) for client-side git operations
+ *   NOSTRGIT_SECRET_KEY - Your Nostr private key (nsec format, hex or NIP-49 ncryptsec) for client-side git operations
+ *   NOSTRGIT_KEY_PASSPHRASE - Passphrase for an ncryptsec key (otherwise prompted on the terminal)
+ *
+ *   NOSTRGIT_BUNKER - NIP-46 remote signer (bunker://...) to sign with instead of a local key
+ *
+ * Without NOSTRGIT_SECRET_KEY, the encrypted keyfile written by "gitrep key import" is used.
  * 
  * Security: Keep your NOSTRGIT_SECRET_KEY secure and never commit it to version control!
  */
 
-import { createHash } from 'crypto';
-import { finalizeEvent, getPublicKey } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
 import { readFileSync, existsSync } from 'fs';
 import { join, resolve } from 'path';
-
-// NIP-98 auth event kind
-const KIND_NIP98_AUTH = 27235;
+import { getSigner } from './utils/signer.js';
+import { normalizeNIP98Url, createNIP98AuthEvent, encodeNIP98Event } from './utils/auth.js';
 
 /**
  * Read input from stdin (git credential helper protocol)
@@ -148,62 +149,6 @@ function tryGetPathFromGitRemote(host, protocol) {
   return null;
 }
 
-/**
- * Normalize URL for NIP-98 (remove trailing slashes, ensure consistent format)
- * This must match the normalization used by the server in nip98-auth.ts
- */
-function normalizeUrl(url) {
-  try {
-    const parsed = new URL(url);
-    // Remove trailing slash from pathname (must match server normalization)
-    parsed.pathname = parsed.pathname.replace(/\/$/, '');
-    return parsed.toString();
-  } catch {
-    return url;
-  }
-}
-
-/**
- * Calculate SHA256 hash of request body
- */
-function calculateBodyHash(body) {
-  if (!body) return null;
-  const buffer = Buffer.from(body, 'utf-8');
-  return createHash('sha256').update(buffer).digest('hex');
-}
-
-/**
- * Create and sign a NIP-98 authentication event
- * @param privateKeyBytes - Private key as Uint8Array (32 bytes)
- * @param url - Request URL
- * @param method - HTTP method (GET, POST, etc.)
- * @param bodyHash - Optional SHA256 hash of request body (for POST requests)
- */
-function createNIP98AuthEvent(privateKeyBytes, url, method, bodyHash = null) {
-  const pubkey = getPublicKey(privateKeyBytes);
-  const tags = [
-    ['u', normalizeUrl(url)],
-    ['method', method.toUpperCase()]
-  ];
-  
-  if (bodyHash) {
-    tags.push(['payload', bodyHash]);
-  }
-  
-  const eventTemplate = {
-    kind: KIND_NIP98_AUTH,
-    pubkey,
-    created_at: Math.floor(Date.now() / 1000),
-    content: '',
-    tags
-  };
-  
-  // Sign the event using finalizeEvent (which computes id and sig)
-  const signedEvent = finalizeEvent(eventTemplate, privateKeyBytes);
-  
-  return signedEvent;
-}
-
 /**
  * Main credential helper logic
  */
@@ -217,44 +162,6 @@ async function main() {
     
     // For 'get' command, generate credentials
     if (command === 'get') {
-      // Get private key from environment variable
-      // Support NOSTRGIT_SECRET_KEY (preferred), with fallbacks for backward compatibility
-      const nsec = process.env.NOSTRGIT_SECRET_KEY || process.env.NOSTR_PRIVATE_KEY || process.env.NSEC;
-      if (!nsec) {
-        console.error('Error: NOSTRGIT_SECRET_KEY environment variable is not set');
-        console.error('Set it with: export NOSTRGIT_SECRET_KEY="nsec1..." or NOSTRGIT_SECRET_KEY="<hex-key>"');
-        process.exit(1);
-      }
-      
-      // Parse private key (handle both nsec and hex formats)
-      // Convert to Uint8Array for nostr-tools functions
-      let privateKeyBytes;
-      if (nsec.startsWith('nsec')) {
-        try {
-          const decoded = decode(nsec);
-          if (decoded.type === 'nsec') {
-            // decoded.data is already Uint8Array for nsec
-            privateKeyBytes = decoded.data;
-          } else {
-            throw new Error('Invalid nsec format - decoded type is not nsec');
-          }
-        } catch (err) {
-          console.error('Error decoding nsec:', err.message);
-          process.exit(1);
-        }
-      } else {
-        // Assume hex format (32 bytes = 64 hex characters)
-        if (nsec.length !== 64) {
-          console.error('Error: Hex private key must be 64 characters (32 bytes)');
-          process.exit(1);
-        }
-        // Convert hex string to Uint8Array
-        privateKeyBytes = new Uint8Array(32);
-        for (let i = 0; i < 32; i++) {
-          privateKeyBytes[i] = parseInt(nsec.slice(i * 2, i * 2 + 2), 16);
-        }
-      }
-      
       // Extract URL components from input
       // Git credential helper protocol passes: protocol, host, path (and sometimes username, password)
       // Git may provide either individual attributes (protocol, host, path) or a url attribute
@@ -294,9 +201,10 @@ async function main() {
         }
         
         // Build full URL (include query string if present)
+        // Git sends the path without a leading slash
         const query = input.query || '';
         const fullPath = query ? `${path}?${query}` : path;
-        url = `${protocol}://${host}${fullPath}`;
+        url = `${protocol}://${host}${fullPath.startsWith('/') ? '' : '/'}${fullPath}`;
       }
       
       // Parse URL to extract components for method detection
@@ -359,14 +267,26 @@ async function main() {
       }
       
       // Normalize the URL before creating the event (must match server normalization)
-      const normalizedAuthUrl = normalizeUrl(authUrl);
+      const normalizedAuthUrl = normalizeNIP98Url(authUrl);
       
+      // Get the signer: the identity matching this URL (owner npub, URL pattern, host), else
+      // NOSTRGIT_SECRET_KEY (preferred, with fallbacks for backward compatibility), the encrypted
+      // keyfile (unlocked via the key agent or a terminal prompt), or the NIP-46 bunker
+      let signer;
+      try {
+        signer = await getSigner({ urls: [url], preferConfigured: false });
+      } catch (keyError) {
+        console.error(`Error: ${keyError.message}`);
+        console.error('Set it with: export NOSTRGIT_SECRET_KEY="nsec1..." or NOSTRGIT_SECRET_KEY="<hex-key>", or run: gitrep key import');
+        process.exit(1);
+      }
+
       // Create and sign NIP-98 auth event
-      const authEvent = createNIP98AuthEvent(privateKeyBytes, normalizedAuthUrl, method);
+      const authEvent = await createNIP98AuthEvent(signer, normalizedAuthUrl, method);
+      await signer.close();
       
       // Encode event as base64
-      const eventJson = JSON.stringify(authEvent);
-      const base64Event = Buffer.from(eventJson, 'utf-8').toString('base64');
+      const base64Event = encodeNIP98Event(authEvent);
       
       // Output credentials in git credential helper format
       // Username can be anything (git doesn't use it for NIP-98)
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Git post-commit and post-rewrite hook binding Nostr commit signatures to commit hashes
+ *
+ * The commit-msg hook signs the commit message before the commit exists, so its
+ * signature event (kind 1640) cannot name the commit. This hook runs once the commit
+ * is created and signs a second kind 1640 event, the attestation, naming the signature
+ * event, the commit hash, its tree and its parents. Verification uses the attestation
+ * instead of matching commit messages, which collide for identical messages.
+ *
+ * As a post-rewrite hook (git commit --amend, git rebase), it attests the rewritten
+ * commits that still carry a signature.
+ *
+ * Setup (gitrep-setup installs it along with the commit-msg hook):
+ *   ln -s /absolute/path/to/gitrepublic-cli/scripts/git-post-commit-hook.js .git/hooks/post-commit
+ *   ln -s /absolute/path/to/gitrepublic-cli/scripts/git-post-commit-hook.js .git/hooks/post-rewrite
+ *
+ * Only commits with a Nostr-Signature trailer made by the signing key are attested.
+ * Attestations are stored in nostr/commit-signatures.jsonl and published to relays
+ * with the same settings as the commit-msg hook (publish-event, relays).
+ */
+
+import { nip19 } from 'nostr-tools';
+import { readFileSync } from 'fs';
+import { publishToRelays } from './relay/publisher.js';
+import { loadConfig } from './config.js';
+import { getSigner } from './utils/signer.js';
+import { getRemoteUrls, getCommitInfo } from './utils/git.js';
+import { enhanceRelayList } from './relay/relay-fetcher.js';
+import { readStoredEvents, storeEventInJsonl } from './utils/event-storage.js';
+import {
+  KIND_COMMIT_SIGNATURE,
+  parseSignatureTrailers,
+  isCommitAttestation,
+  getAttestedCommit,
+  buildCommitAttestationEvent,
+  isSignedMessage
+} from './utils/commit-signatures.js';
+
+/**
+ * Get the commits to attest: HEAD after a commit, the new commits listed on stdin
+ * ("<old-sha> <new-sha> [<extra>]" lines) after a rewrite
+ * @param {string|undefined} rewriteCommand - "amend" or "rebase" for post-rewrite, undefined for post-commit
+ * @returns {string[]}
+ */
+function getNewCommits(rewriteCommand) {
+  if (!rewriteCommand) {
+    return ['HEAD'];
+  }
+  return readFileSync(0, 'utf-8')
+    .split('\n')
+    .map(line => line.trim().split(/\s+/)[1])
+    .filter(sha => sha && /^[0-9a-f]{40,64}$/.test(sha));
+}
+
+/**
+ * Publish an attestation with the commit-msg hook's relay settings
+ */
+async function publishAttestation(event, config, signer, pubkey) {
+  try {
+    // Use configured relays if set, otherwise the broader search relay list
+    const baseRelays = config.sources['relays'] !== 'default'
+      ? config.values['relays']
+      : config.values['search-relays'];
+    const relays = await enhanceRelayList(baseRelays, pubkey, baseRelays);
+    const result = await publishToRelays(event, relays, signer, pubkey);
+    if (result.success.length > 0) {
+      console.log(`   Published to ${result.success.length} relay(s)`);
+    } else {
+      console.log('   ⚠️  Failed to publish to relays');
+      result.failed.forEach(f => console.log(`   ⚠️  ${f.relay}: ${f.error}`));
+    }
+  } catch (publishError) {
+    console.log(`   ⚠️  Failed to publish event: ${publishError instanceof Error ? publishError.message : 'Unknown error'}`);
+  }
+}
+
+/**
+ * Sign and store an attestation for each new signed commit that has none yet
+ */
+async function attestCommits(revs) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (configError) {
+    console.error(`⚠️  ${configError.message} - commit will not be attested`);
+    return;
+  }
+
+  const stored = readStoredEvents(KIND_COMMIT_SIGNATURE);
+  const commits = [];
+  for (const rev of revs) {
+    const commit = getCommitInfo(rev);
+    const trailers = commit ? parseSignatureTrailers(commit.message) : null;
+    if (!trailers || !trailers.signature) {
+      continue;
+    }
+    // git commit --amend runs both hooks: attest each commit once
+    const attested = stored.some(e => {
+      if (!isCommitAttestation(e)) return false;
+      const binding = getAttestedCommit(e);
+      return binding.commit === commit.sha && binding.signatureId === trailers.signature.eventId;
+    });
+    if (!attested) {
+      commits.push({ commit, ...trailers });
+    }
+  }
+  if (commits.length === 0) {
+    return;
+  }
+
+  let signer = null;
+  try {
+    try {
+      signer = await getSigner({ urls: getRemoteUrls() });
+    } catch (keyError) {
+      console.error(`⚠️  ${keyError.message} - commit will not be attested`);
+      return;
+    }
+    const pubkey = await signer.getPublicKey();
+
+    for (const { commit, signature, event: embedded, message } of commits) {
+      const short = commit.sha.substring(0, 7);
+      if (signature.pubkey !== pubkey) {
+        console.log(`ℹ️  Commit ${short} was signed with another key, not attesting it`);
+        continue;
+      }
+      // Don't vouch for a signature over a message that was changed afterwards (git commit --amend -m, reword)
+      const signatureEvent = [embedded, ...stored].find(e => e && e.id === signature.eventId);
+      if (signatureEvent && !isSignedMessage(signatureEvent, message)) {
+        console.error(`⚠️  The message of commit ${short} changed since it was signed, not attesting it`);
+        continue;
+      }
+
+      const event = await signer.signEvent(buildCommitAttestationEvent({ signatureId: signature.eventId, commit }));
+      storeEventInJsonl(event);
+      console.log(`✅ Commit ${short} bound to its Nostr signature`);
+      console.log(`   Attestation ID: ${event.id.substring(0, 16)}...`);
+      if (config.values['publish-event']) {
+        await publishAttestation(event, config, signer, pubkey);
+      }
+    }
+    if (signer.identity) {
+      console.log(`   Identity: ${signer.identity} (${nip19.npubEncode(pubkey).substring(0, 16)}...)`);
+    }
+  } catch (error) {
+    // The commit exists already: report, never fail
+    console.error('❌ Failed to attest commit:', error instanceof Error ? error.message : 'Unknown error');
+    if (error instanceof Error && error.stack && process.env.DEBUG) {
+      console.error('Stack trace:', error.stack);
+    }
+  } finally {
+    if (signer) {
+      await signer.close();
+    }
+  }
+}
+
+// Main execution: post-commit has no arguments, post-rewrite gets "amend" or "rebase"
+const rewriteCommand = process.argv[2];
+
+attestCommits(getNewCommits(rewriteCommand)).catch((error) => {
+  console.error('Fatal error in post-commit hook:', error);
+}).finally(() => {
+  process.exit(0);
+});
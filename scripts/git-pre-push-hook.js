@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Git pre-push hook blocking pushes of commits without a valid Nostr signature
+ *
+ * Verifies the Nostr-Signature trailers of the commits a push sends (like
+ * gitrep verify commits) and aborts the push with a per-commit report if one of
+ * them is unsigned, invalidly signed, or signed by a key outside the allowed
+ * signers policy (nostr/allowed-signers.json, as committed in what the remote
+ * already has: a pushed commit cannot allow itself by adding its key).
+ *
+ * Setup (or: gitrep-setup --pre-push-hook):
+ *   ln -s /absolute/path/to/gitrepublic-cli/scripts/git-pre-push-hook.js .git/hooks/pre-push
+ *
+ * Settings (config key / environment variable - see: gitrep config --help):
+ *   verify-push / GITREPUBLIC_VERIFY_PUSH - false skips the check (git push --no-verify skips all pre-push hooks)
+ *   sign-only-gitrepublic / GITREPUBLIC_SIGN_ONLY_GITREPUBLIC - only check pushes to GitRepublic repositories
+ *   allowed-signers / GITREPUBLIC_ALLOWED_SIGNERS - allowed signers policy file
+ *   relays / NOSTR_RELAYS - relays to look up signature events not stored in nostr/
+ */
+
+import { readFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { loadConfig } from './config.js';
+import { resolveCommit, listCommits, listUnpushedCommits } from './utils/git.js';
+import { getRepoAddressFromUrls } from './utils/nostr-refs.js';
+import { verifyCommitList, countFailedCommits, printCommitResults } from './commands/verify.js';
+
+const ZERO_ID = /^0+$/;
+
+/**
+ * Read the ref updates git passes on stdin ("<local-ref> <local-sha> <remote-ref> <remote-sha>" lines)
+ * @returns {Array<{localRef: string, localSha: string, remoteRef: string, remoteSha: string}>}
+ */
+function readRefUpdates() {
+  return readFileSync(0, 'utf-8')
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields.length === 4)
+    .map(([localRef, localSha, remoteRef, remoteSha]) => ({ localRef, localSha, remoteRef, remoteSha }));
+}
+
+/**
+ * Get the commits a ref update sends: those since the remote's commit, or for a new ref
+ * (or a remote commit we don't have) those no remote-tracking branch of the remote contains
+ * @param {Object} update - Ref update
+ * @param {string|null} remote - Remote name (null when pushing to a URL)
+ */
+function getPushedCommits(update, remote) {
+  if (!ZERO_ID.test(update.remoteSha) && resolveCommit(update.remoteSha)) {
+    return listCommits(`${update.remoteSha}..${update.localSha}`) || [];
+  }
+  return listUnpushedCommits(update.localSha, remote) || [];
+}
+
+/**
+ * Verify the pushed commits, exiting with 1 to abort the push if one fails
+ * @param {string} remote - Remote name, or the URL when pushing to a URL
+ * @param {string} url - Push URL
+ */
+async function verifyPush(remote, url) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (configError) {
+    console.error(`❌ ${configError.message} - push not verified`);
+    process.exit(1);
+  }
+  if (!config.values['verify-push']) {
+    return;
+  }
+  if (config.values['sign-only-gitrepublic'] && !getRepoAddressFromUrls([url || ''])) {
+    return;
+  }
+
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const remotes = spawnSync('git', ['remote'], { encoding: 'utf-8' }).stdout.split('\n').filter(Boolean);
+  const remoteName = remotes.includes(remote) ? remote : null;
+
+  const updates = readRefUpdates().filter(update => !ZERO_ID.test(update.localSha));
+  if (updates.length === 0) {
+    return;
+  }
+
+  const rejected = [];
+  let total = 0;
+  let policy = null;
+  for (const update of updates) {
+    const commits = getPushedCommits(update, remoteName);
+    if (commits.length === 0) continue;
+    const branch = update.remoteRef.startsWith('refs/heads/') ? update.remoteRef : null;
+    // The policy is read from the parents of the pushed commits: what the remote already has
+    let verified;
+    try {
+      verified = await verifyCommitList(commits, { relays: config.values['relays'], branch });
+    } catch (err) {
+      console.error(`❌ ${err.message} - push blocked`);
+      process.exit(1);
+    }
+    const { results, summary } = verified;
+    policy = policy || verified.policy;
+    total += summary.total;
+    if (countFailedCommits(summary) > 0) {
+      rejected.push({ ref: update.remoteRef, results });
+    }
+  }
+  if (total === 0) {
+    return;
+  }
+
+  if (rejected.length === 0) {
+    console.log(`✅ ${total} pushed commit(s) have valid Nostr signatures${policy ? ' by allowed signers' : ''}`);
+    return;
+  }
+
+  const failed = rejected.reduce((count, { results }) => count + results.filter(r => r.result.status !== 'signed').length, 0);
+  console.error(`❌ Push to ${remote} blocked: ${failed} commit(s) without a valid Nostr signature${policy ? ' by an allowed signer' : ''}`);
+  for (const { ref, results } of rejected) {
+    console.error(`  ${ref}:`);
+    printCommitResults(results, { failedOnly: true, indent: '    ' });
+  }
+  console.error('');
+  console.error('   Check them with: gitrep verify commits <range>');
+  console.error('   Skip this check once with: git push --no-verify (or GITREPUBLIC_VERIFY_PUSH=false git push)');
+  process.exit(1);
+}
+
+// Main execution: git passes the remote name (or URL) and the URL
+const [remote, url] = process.argv.slice(2);
+
+verifyPush(remote, url).then(() => {
+  process.exit(0);
+}).catch((error) => {
+  console.error('❌ Fatal error in pre-push hook:', error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -22,20 +22,16 @@
  */
 
 import { spawn, spawnSync } from 'child_process';
-import { createHash } from 'crypto';
-import { finalizeEvent } from 'nostr-tools';
-import { decode } from 'nostr-tools/nip19';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { getSigner } from './utils/signer.js';
+import { createNIP98AuthEvent, encodeNIP98Event } from './utils/auth.js';
 
 // Import API commands handler
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const API_SCRIPT = join(__dirname, 'gitrepublic.js');
 
-// NIP-98 auth event kind
-const KIND_NIP98_AUTH = 27235;
-
 // Commands that interact with remotes (need error handling)
 const REMOTE_COMMANDS = ['clone', 'push', 'pull', 'fetch', 'ls-remote'];
 
@@ -48,7 +44,15 @@ const API_COMMANDS = [
   'search',
   'publish',
   'verify',
-  'config'
+  'tag',
+  'config',
+  'key',
+  'identity',
+  'patch',
+  'pr', 'prs',
+  'issues',
+  'comment',
+  'thread'
 ];
 
 // Get git remote URL
@@ -89,51 +93,20 @@ function isGitRepublicUrl(url) {
   return url && (url.includes('/api/git/') || url.includes('/repos/'));
 }
 
-// Get NOSTRGIT_SECRET_KEY from environment
-function getSecretKey() {
-  return process.env.NOSTRGIT_SECRET_KEY || null;
-}
-
-// Create NIP-98 authentication event
-function createNIP98Auth(url, method, body = null) {
-  const secretKey = getSecretKey();
-  if (!secretKey) {
-    return null;
-  }
-
+// Create a NIP-98 token (base64-encoded signed event) for the given request
+// Never prompts: this only runs to fetch extra error details, so it uses the environment key,
+// a keyfile key already unlocked in the key agent, or the configured bunker
+async function createNIP98Token(url, method, body = null) {
+  let signer = null;
   try {
-    // Decode secret key (handle both nsec and hex formats)
-    let hexKey;
-    if (secretKey.startsWith('nsec')) {
-      const decoded = decode(secretKey);
-      hexKey = decoded.data;
-    } else {
-      hexKey = secretKey;
-    }
-
-    // Create auth event
-    const tags = [
-      ['u', url],
-      ['method', method]
-    ];
-
-    if (body) {
-      const hash = createHash('sha256').update(body).digest('hex');
-      tags.push(['payload', hash]);
-    }
-
-    const event = finalizeEvent({
-      kind: KIND_NIP98_AUTH,
-      created_at: Math.floor(Date.now() / 1000),
-      tags,
-      content: ''
-    }, hexKey);
-
-    // Encode event as base64
-    const eventJson = JSON.stringify(event);
-    return Buffer.from(eventJson).toString('base64');
+    signer = await getSigner({ interactive: false, urls: [url], preferConfigured: false });
+    return encodeNIP98Event(await createNIP98AuthEvent(signer, url, method, body));
   } catch (err) {
     return null;
+  } finally {
+    if (signer) {
+      await signer.close();
+    }
   }
 }
 
@@ -141,7 +114,7 @@ function createNIP98Auth(url, method, body = null) {
 async function fetchErrorMessage(server, path, method = 'POST') {
   try {
     const url = `${server}/api/git/${path}/git-receive-pack`;
-    const authEvent = createNIP98Auth(url, method);
+    const authEvent = await createNIP98Token(url, method);
     
     if (!authEvent) {
       return null;
@@ -288,25 +261,37 @@ INITIAL SETUP
    Or add to your shell profile (~/.bashrc, ~/.zshrc, etc.) for persistence:
    echo 'export NOSTRGIT_SECRET_KEY="nsec1..."' >> ~/.bashrc
 
+   Or store it encrypted with a passphrase (NIP-49) instead of in the environment:
+   gitrep key import
+
+   Or keep it off this machine and sign through a NIP-46 bunker:
+   gitrep key bunker "bunker://..."
+
 3. Run the setup script:
    gitrep-setup
    
    This will configure:
    - Git credential helper (for automatic NIP-98 authentication)
-   - Commit signing hook (for automatic commit signatures)
+   - Commit signing hooks (for automatic commit signatures bound to the commit hashes)
    
    Options:
    --credential-only          Only set up credential helper
-   --hook-only                Only set up commit hook
+   --hook-only                Only set up commit hooks
    --domain <domain>          Configure for specific domain
    --global-hook              Install hook globally for all repos
+   --pre-push-hook            Also block pushes of commits without a valid signature
 
 4. (Optional) Configure server URL:
-   export GITREPUBLIC_SERVER="https://your-domain.com"
+   gitrep config set server https://your-domain.com
    
-   Or use --server flag with commands:
+   Or use an environment variable or the --server flag:
+   export GITREPUBLIC_SERVER="https://your-domain.com"
    gitrep --server https://your-domain.com repos list
 
+   Named profiles keep separate settings (e.g. work/personal):
+   gitrep config set server https://git.example.com --profile work
+   gitrep config profile use work
+
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 GIT COMMANDS
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -337,6 +322,7 @@ Repository Management:
   gitrep repos settings <npub> <repo> \\
     --visibility public \\
     --project-relay wss://relay.example.com
+  gitrep repos owner <repo>                   Current owner and ownership transfer history
   gitrep repos maintainers <npub> <repo>      Manage maintainers
   gitrep repos branches <npub> <repo>         List branches
   gitrep repos tags <npub> <repo>             List tags
@@ -350,17 +336,31 @@ File Operations:
 
 Publishing:
   gitrep publish repo-announcement <repo>     Publish repository announcement
-  gitrep publish pr <owner> <repo> <title>    Create pull request
-  gitrep publish issue <owner> <repo> <title> Create issue
-  gitrep publish patch <owner> <repo> <file> Publish patch
+  gitrep publish pr [<owner> <repo>] [<title>]  Create pull request (branches, tip and clone URL detected in a clone)
+  gitrep publish issue <owner> <repo> [<title>]  Create issue (written in $EDITOR without --content)
+  gitrep publish patch <owner> <repo> <file|rev-range>  Publish patch (series)
   gitrep publish --help                       Show all publish commands
+  gitrep patch apply <nevent|event-id>        Fetch a patch series and apply it with git am
+  gitrep pr checkout <nevent|event-id>        Fetch the latest tip of a pull request and check it out
+  gitrep issues list|show                     List issues of the current repository, or show one
+  gitrep prs list|show                        List pull requests, or show one
+  gitrep patch list|show                      List patch series, or show one
+  gitrep patch review <nevent|event-id>       Review a patch with comments on lines of its diff
+  gitrep comment <nevent|event-id> <text>     Comment on an issue, PR or patch (NIP-22)
+  gitrep thread <nevent|event-id>             Show the discussion of an issue, PR or patch
 
 Other:
   gitrep push-all [branch] [--force] [--tags]  Push to all remotes
   gitrep pull-all [branch] [--merge] [--rebase] Fetch and merge from all remotes
   gitrep search <query>                        Search repositories
   gitrep verify <event-file>                   Verify Nostr event signatures
-  gitrep config [server]                       Show configuration
+  gitrep verify commit [<rev>]                 Verify the Nostr signature of a commit
+  gitrep verify commits <rev-range>            Verify the signatures of a range of commits (exit code for CI)
+  gitrep tag -m <msg> <name> [<commit>]        Create an annotated tag signed with the Nostr key
+  gitrep verify tag <name>                     Verify the Nostr signature of a tag (verify tags for all tags)
+  gitrep config [list|get|set|unset|profile]   Show or change configuration
+  gitrep key [import|export|show-pubkey|bunker|unlock|lock]  Manage the signing key or NIP-46 bunker
+  gitrep identity [list|add|remove|use|which]  Use different keys per host, remote or repo owner
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 FEATURES
@@ -391,13 +391,20 @@ For GitRepublic repositories, the wrapper provides:
 ENVIRONMENT VARIABLES
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-Required:
-  NOSTRGIT_SECRET_KEY          Nostr private key (nsec or hex) for authentication
+Required (unless a keyfile was stored with "gitrep key import" or a bunker is configured):
+  NOSTRGIT_SECRET_KEY          Nostr private key (nsec, hex, or ncryptsec) for authentication
 
 Optional:
   GITREPUBLIC_SERVER            Default server URL (default: http://localhost:5173)
+  GITREPUBLIC_PROFILE           Active configuration profile
+  NOSTRGIT_KEY_PASSPHRASE       Passphrase for an ncryptsec key (otherwise prompted)
+  NOSTRGIT_BUNKER               NIP-46 remote signer (bunker://...) used instead of a local key
+  NOSTRGIT_IDENTITY             Named identity to sign with (see: gitrep identity --help)
   NOSTR_RELAYS                  Comma-separated relay URLs for publishing events
 
+Settings can also be stored in ~/.config/gitrepublic/config.json or in
+.gitrepublic.json in a repository (see: gitrep config --help).
+
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 HELP & DOCUMENTATION
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -423,14 +430,21 @@ async function main() {
   const command = args[0];
   const commandArgs = args.slice(1);
 
+  // Leading global API options (gitrep --server <url> repos list, gitrep --profile work publish ...)
+  let apiCommandIndex = 0;
+  while (['--server', '--profile', '--identity'].includes(args[apiCommandIndex]) && args[apiCommandIndex + 1] !== undefined) {
+    apiCommandIndex += 2;
+  }
+  const apiCommand = args[apiCommandIndex];
+
   // Check if this is an API command - if so, delegate to gitrepublic.js
   // Convert kebab-case to camelCase for comparison
-  const commandKey = command ? command.replace(/-([a-z])/g, (g) => g[1].toUpperCase()) : null;
-  if (command && (API_COMMANDS.includes(command) || API_COMMANDS.includes(commandKey))) {
+  const commandKey = apiCommand ? apiCommand.replace(/-([a-z])/g, (g) => g[1].toUpperCase()) : null;
+  if (apiCommand && (API_COMMANDS.includes(apiCommand) || API_COMMANDS.includes(commandKey))) {
     // This is an API command, delegate to gitrepublic.js
+    // Runs in the caller's working directory so repository config and nostr/ storage apply to the user's repo
     const apiProcess = spawn('node', [API_SCRIPT, ...args], {
-      stdio: 'inherit',
-      cwd: __dirname
+      stdio: 'inherit'
     });
     apiProcess.on('close', (code) => {
       process.exit(code || 0);
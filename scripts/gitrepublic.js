@@ -16,7 +16,7 @@
  *   gitrepublic-api repos list
  */
 
-import { DEFAULT_SERVER } from './config.js';
+import { getConfigValue, setConfigOverrides } from './config.js';
 import { sanitizeErrorMessage } from './utils/error-sanitizer.js';
 import * as commands from './commands/index.js';
 
@@ -37,49 +37,52 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Main execution
-const args = process.argv.slice(2);
+const rawArgs = process.argv.slice(2);
+
+// Global options that take a value (--server <url>, --profile <name>, --identity <name>) are
+// removed before the command is located so their values are not mistaken for it
+const GLOBAL_VALUE_OPTIONS = ['--server', '--profile', '--identity'];
+const globalOptions = {};
+const args = [];
+for (let i = 0; i < rawArgs.length; i++) {
+  if (GLOBAL_VALUE_OPTIONS.includes(rawArgs[i]) && rawArgs[i + 1] !== undefined) {
+    globalOptions[rawArgs[i].slice(2)] = rawArgs[++i];
+  } else {
+    args.push(rawArgs[i]);
+  }
+}
+
 const commandIndex = args.findIndex(arg => !arg.startsWith('--'));
 const command = commandIndex >= 0 ? args[commandIndex] : null;
 const commandArgs = commandIndex >= 0 ? args.slice(commandIndex + 1) : [];
 
+// Apply command-line overrides to the layered configuration
+const overrideValues = {};
+if (globalOptions.server) {
+  overrideValues.server = globalOptions.server;
+}
+if (globalOptions.identity) {
+  overrideValues.identity = globalOptions.identity;
+}
+setConfigOverrides({
+  profile: globalOptions.profile || null,
+  values: overrideValues
+});
+
 // Parse options
-const serverIndex = args.indexOf('--server');
-const server = serverIndex >= 0 && args[serverIndex + 1] ? args[serverIndex + 1] : DEFAULT_SERVER;
+let server;
+try {
+  server = getConfigValue('server');
+} catch (error) {
+  console.error('Error:', sanitizeErrorMessage(error instanceof Error ? error.message : String(error)));
+  process.exit(1);
+}
 const json = args.includes('--json');
 // Check if --help or -h is in command args (after command) - if so, it's command-specific help
 const commandHelpRequested = command && (commandArgs.includes('--help') || commandArgs.includes('-h'));
 // Only treat as general help if --help or -h is before the command or there's no command
 const help = !commandHelpRequested && (args.includes('--help') || args.includes('-h'));
 
-// Handle config command
-if (command === 'config') {
-  const subcommand = commandArgs[0];
-  if (subcommand === 'server' || !subcommand) {
-    if (json) {
-      console.log(JSON.stringify({ server, default: DEFAULT_SERVER, fromEnv: !!process.env.GITREPUBLIC_SERVER }, null, 2));
-    } else {
-      console.log('GitRepublic Server Configuration:');
-      console.log(`  Current: ${server}`);
-      console.log(`  Default: ${DEFAULT_SERVER}`);
-      if (process.env.GITREPUBLIC_SERVER) {
-        console.log(`  From environment: ${process.env.GITREPUBLIC_SERVER}`);
-      } else {
-        console.log('  From environment: (not set)');
-        console.log('  ⚠️  Note: Default is for development only (localhost:5173)');
-        console.log('  ⚠️  Set GITREPUBLIC_SERVER for production use');
-      }
-      console.log('');
-      console.log('To change the server:');
-      console.log('  gitrep --server <url> <command> (or gitrepublic)');
-      console.log('  export GITREPUBLIC_SERVER=<url>');
-    }
-    process.exit(0);
-  } else {
-    console.error('Invalid config command. Use: config [server]');
-    process.exit(1);
-  }
-}
-
 // Convert kebab-case to camelCase for command lookup (do this before help check)
 const commandKey = command ? command.replace(/-([a-z])/g, (g) => g[1].toUpperCase()) : null;
 const commandHandler = commandKey ? (commands[commandKey] || commands[command]) : null;
@@ -103,10 +106,14 @@ if (help || !command || !commandHandler) {
 Usage: gitrep <command> [options] (or gitrepublic)
 
 Commands:
-  config [server]               Show configuration (server URL)
+  config [server|list|get|set|unset|profile]  Show or change configuration (use: config --help)
+  key [import|export|encrypt|show-pubkey|bunker|unlock|lock|status]  Manage the signing key or bunker (use: key --help)
+  identity [list|add|remove|use|which]  Use different keys per host, remote or repo owner (use: identity --help)
   repos list                    List repositories
+  repos create <name> [--description <text>] [--push [branch]]  Create, announce and add the gitrepublic-web remote
   repos get <npub> <repo>       Get repository info with clone URL reachability (or use naddr: repos get <naddr>)
   repos settings <npub> <repo> [--description <text>] [--visibility <level>] [--project-relay <url>]  Get/update settings
+  repos owner <repo>            Show the current owner and ownership transfer history (or: <npub> <repo>, <naddr>)
   repos maintainers <npub> <repo> [add|remove <npub>]  Manage maintainers
   repos branches <npub> <repo>  List branches
   repos tags <npub> <repo>      List tags
@@ -117,20 +124,43 @@ Commands:
   file delete <npub> <repo> <path> [message] [branch]  Delete file
   search <query>                Search repositories
   publish <subcommand> [options]  Publish Nostr Git events (use: publish --help for details)
+  patch apply <event-id|nevent|naddr> [--latest] [--branch <name>]  Fetch a patch series and apply it on a new branch
+  patch list|show [--state <state>]  List the patch series of a repository, or show one (use: patch --help)
+  patch review <event-id|nevent> [--comment <path>:<line> <text>]  Comment on lines of a patch (else in $EDITOR)
+  pr checkout <event-id|nevent> [--branch <name>]  Fetch the latest tip of a pull request and check it out
+  prs list|show [--state <state>] [--label <label>]  List the pull requests of a repository, or show one (use: prs --help)
+  issues list|show [--state <state>] [--label <label>]  List the issues of a repository, or show one (use: issues --help)
+  comment <event-id|nevent> <text>  Comment on an issue, PR, patch or comment (kind 1111, NIP-22)
+  thread <event-id|nevent>      Show the discussion of an issue, PR or patch as a reply tree
   verify <event-file>|<event-json>  Verify a Nostr event signature and ID
-  push-all [branch] [--force] [--tags] [--dry-run]  Push to all configured remotes
+  verify commit [<rev>]         Verify the Nostr signature of a commit (default: HEAD)
+  verify commits <rev-range> [--allow-unsigned] [--offline] [--relay <url>] [--branch <name>]  Verify the signatures of a range of commits
+                                (and their signers against nostr/allowed-signers.json)
+  verify tag <name>             Verify the Nostr signature of an annotated tag
+  verify tags [<pattern>] [--allow-unsigned] [--offline] [--relay <url>]  Verify the signatures of all (matching) tags
+  tag [-m <msg> | -F <file>] <name> [<commit>]  Create an annotated tag signed with the Nostr key (use: tag --help)
+  push-all [branch] [--force] [--tags] [--dry-run] [--publish-state]  Push to all configured remotes
   pull-all [branch] [--merge] [--rebase]             Fetch from all remotes and optionally merge/rebase changes
 
 Options:
-  --server <url>                GitRepublic server URL (default: ${DEFAULT_SERVER})
+  --server <url>                GitRepublic server URL (current: ${server})
+  --profile <name>              Use a named configuration profile
+  --identity <name>             Sign with a named identity (see: identity --help)
   --json                        Output JSON format
   --help                        Show this help
 
 Environment variables:
-  NOSTRGIT_SECRET_KEY           Nostr private key (nsec or hex)
+  NOSTRGIT_SECRET_KEY           Nostr private key (nsec, hex, or NIP-49 ncryptsec)
+  NOSTRGIT_KEY_PASSPHRASE       Passphrase for an ncryptsec key (otherwise prompted)
+  NOSTRGIT_BUNKER               NIP-46 remote signer (bunker://...) used instead of a local key
+  NOSTRGIT_IDENTITY             Named identity to sign with
   GITREPUBLIC_SERVER            Default server URL
+  GITREPUBLIC_PROFILE           Active configuration profile
+  GITREPUBLIC_CONFIG            Path of the user config file (default: ~/.config/gitrepublic/config.json)
   NOSTR_RELAYS                  Comma-separated list of Nostr relays (default: wss://theforest.nostr1.com,wss://relay.damus.io,wss://nostr.land)
 
+Environment variables override config files (see: gitrep config --help).
+
 Documentation: https://github.com/silberengel/gitrepublic-cli
 GitCitadel: Visit us on GitHub: https://github.com/ShadowySupercode or on our homepage: https://gitcitadel.com
 
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * GitRepublic key agent
+ *
+ * Holds NIP-49 keys that were unlocked with their passphrase in memory, so the
+ * credential helper and commit hook don't prompt again on every git request.
+ * Started on demand by the CLI; not meant to be run by hand.
+ *
+ * Usage: key-agent.js --socket <path> --timeout <seconds>
+ *
+ * Protocol: one JSON request per line on the socket, one JSON response per line.
+ *   { "op": "get", "ncryptsec": "..." }            -> { "key": "<hex>" | null }
+ *   { "op": "add", "ncryptsec": "...", "key": "" } -> { "ok": true }
+ *   { "op": "status" }                              -> { "ok": true, "keys": n, "expiresAt": ts }
+ *   { "op": "lock" }                                -> { "ok": true } and exit
+ *
+ * Security:
+ * - The socket is created with mode 0600 inside a 0700 directory
+ * - Keys are never written to disk and are dropped after <timeout> seconds without use
+ */
+
+import net from 'net';
+import { existsSync, unlinkSync, chmodSync } from 'fs';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const socketPath = getArg('--socket', null);
+const timeoutSeconds = Number(getArg('--timeout', '1800'));
+
+if (!socketPath) {
+  console.error('Error: --socket is required');
+  process.exit(1);
+}
+
+const keys = new Map(); // ncryptsec -> hex private key
+let expiresAt = 0;
+let timer = null;
+
+function touch() {
+  clearTimeout(timer);
+  expiresAt = Date.now() + timeoutSeconds * 1000;
+  timer = setTimeout(shutdown, timeoutSeconds * 1000);
+}
+
+function shutdown() {
+  keys.clear();
+  server.close();
+  if (process.platform !== 'win32' && existsSync(socketPath)) {
+    try {
+      unlinkSync(socketPath);
+    } catch {
+      // Already gone
+    }
+  }
+  process.exit(0);
+}
+
+function handle(request) {
+  switch (request.op) {
+    case 'get': {
+      const key = keys.get(request.ncryptsec) || null;
+      if (key) {
+        touch();
+      }
+      return { key };
+    }
+    case 'add':
+      if (typeof request.ncryptsec !== 'string' || !/^[0-9a-f]{64}$/.test(request.key || '')) {
+        return { ok: false, error: 'Invalid key' };
+      }
+      keys.set(request.ncryptsec, request.key);
+      touch();
+      return { ok: true };
+    case 'status':
+      return { ok: true, keys: keys.size, expiresAt: keys.size > 0 ? expiresAt : null };
+    case 'lock':
+      setImmediate(shutdown);
+      return { ok: true };
+    default:
+      return { ok: false, error: 'Unknown operation' };
+  }
+}
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  socket.on('data', (data) => {
+    buffer += data.toString('utf-8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      let response;
+      try {
+        response = handle(JSON.parse(line));
+      } catch {
+        response = { ok: false, error: 'Invalid request' };
+      }
+      socket.write(JSON.stringify(response) + '\n');
+    }
+  });
+  socket.on('error', () => {
+    // Client went away
+  });
+});
+
+// Remove a stale socket left behind by an agent that did not shut down cleanly
+if (process.platform !== 'win32' && existsSync(socketPath)) {
+  unlinkSync(socketPath);
+}
+
+process.umask(0o077);
+server.listen(socketPath, () => {
+  if (process.platform !== 'win32') {
+    chmodSync(socketPath, 0o600);
+  }
+  touch();
+});
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,75 @@
+/**
+ * Fetch events from Nostr relays (and the local nostr/ event store)
+ */
+
+import { SimplePool } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { readStoredEvents } from '../utils/event-storage.js';
+
+/**
+ * Query relays for events matching a filter
+ * @param {Object} filter - Nostr filter
+ * @param {string[]} [relays] - Relays to query (default: configured relays)
+ * @returns {Promise<Object[]>} - Matching events, deduplicated, newest first
+ */
+export async function fetchEvents(filter, relays = null) {
+  const pool = new SimplePool();
+  const relayList = relays || getConfigValue('relays');
+
+  let events = [];
+  try {
+    events = await pool.querySync(relayList, filter, { maxWait: 10000 });
+  } catch (error) {
+    // Relays are best-effort: unreachable relays just return nothing
+  } finally {
+    try {
+      await pool.close(relayList);
+    } catch (closeError) {
+      // Ignore close errors
+    }
+  }
+
+  const seen = new Set();
+  return events
+    .filter(event => !seen.has(event.id) && seen.add(event.id))
+    .sort((a, b) => b.created_at - a.created_at);
+}
+
+/**
+ * Fetch the latest version of a parameterized replaceable event (e.g. a repository announcement)
+ * Events stored locally in nostr/ are considered too, so a just-published event is found
+ * even if relays are slow or unreachable.
+ * @param {number} kind - Event kind (30000-39999)
+ * @param {string} pubkey - Author pubkey (hex)
+ * @param {string} identifier - d-tag
+ * @param {string[]} [relays] - Relays to query (default: configured relays)
+ * @returns {Promise<Object|null>} - Newest event, or null if none was found
+ */
+export async function fetchLatestAddressableEvent(kind, pubkey, identifier, relays = null) {
+  const matches = event =>
+    event.kind === kind &&
+    event.pubkey === pubkey &&
+    event.tags.some(t => t[0] === 'd' && t[1] === identifier);
+
+  const fromRelays = await fetchEvents({ kinds: [kind], authors: [pubkey], '#d': [identifier] }, relays);
+  const candidates = [...fromRelays, ...readStoredEvents(kind)].filter(matches);
+  candidates.sort((a, b) => b.created_at - a.created_at);
+  return candidates[0] || null;
+}
+
+/**
+ * Fetch an event by ID from relays, or from the local nostr/ event store
+ * @param {string} id - Event ID (hex)
+ * @param {Object} [options]
+ * @param {number[]} [options.kinds] - Kinds to look for in the local store
+ * @param {string[]} [options.relays] - Relays to query (default: configured relays)
+ * @returns {Promise<Object|null>} - Event, or null if not found
+ */
+export async function fetchEventById(id, { kinds = [], relays = null } = {}) {
+  const stored = kinds.flatMap(kind => readStoredEvents(kind)).find(event => event.id === id);
+  if (stored) {
+    return stored;
+  }
+  const [event] = await fetchEvents({ ids: [id] }, relays);
+  return event || null;
+}
@@ -1,2 +1,3 @@
 export { publishToRelays } from './publisher.js';
-export { fetchRelayLists, enhanceRelayList } from './relay-fetcher.js';
\ No newline at end of file
+export { fetchRelayLists, enhanceRelayList } from './relay-fetcher.js';
+export { fetchEvents, fetchEventById, fetchLatestAddressableEvent } from './event-fetcher.js';
@@ -3,7 +3,7 @@
  */
 
 import { SimplePool } from 'nostr-tools';
-import { DEFAULT_NOSTR_RELAYS } from '../config.js';
+import { getConfigValue } from '../config.js';
 
 /**
  * Fetch kind 0 profile event and kind 10133 payment targets from relays
@@ -11,7 +11,7 @@ import { DEFAULT_NOSTR_RELAYS } from '../config.js';
 export async function fetchProfileFromRelays(pubkey, relays = null) {
   try {
     const pool = new SimplePool();
-    const relayList = relays || DEFAULT_NOSTR_RELAYS;
+    const relayList = relays || getConfigValue('relays');
     
     // Ensure pubkey is in hex format (getPublicKey returns hex string)
     const pubkeyHex = typeof pubkey === 'string' && pubkey.length === 64 
@@ -76,7 +76,7 @@ export async function fetchProfileFromRelays(pubkey, relays = null) {
     }
 
     // Initialize lightning addresses set for collecting from multiple sources
-    const lightningAddresses = new Set<string>();
+    const lightningAddresses = new Set();
     
     // Extract lightning addresses from NIP-01 (lud16 tag or JSON)
     if (profileEvent) {
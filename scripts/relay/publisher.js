@@ -1,5 +1,6 @@
 import { SimplePool } from 'nostr-tools';
 import { sanitizeErrorMessage } from '../utils/error-sanitizer.js';
+import { toSigner } from '../utils/signer.js';
 
 /**
  * Publish event to Nostr relays using SimplePool
@@ -9,14 +10,15 @@ import { sanitizeErrorMessage } from '../utils/error-sanitizer.js';
  * 
  * @param {Object} event - Nostr event to publish
  * @param {string[]} relays - Array of relay URLs
- * @param {Uint8Array} privateKeyBytes - Private key bytes (required for auth if needed)
+ * @param {Object|Uint8Array} signer - Signer (or private key bytes), used to answer NIP-42 auth challenges
  * @param {string} pubkey - Public key (optional, for logging)
  * @returns {Promise<{success: string[], failed: Array<{relay: string, error: string}>}>}
  */
-export async function publishToRelays(event, relays, privateKeyBytes, pubkey = null) {
-  if (!privateKeyBytes) {
+export async function publishToRelays(event, relays, signer, pubkey = null) {
+  if (!signer) {
     throw new Error('Private key is required for publishing events');
   }
+  const authSigner = toSigner(signer);
 
   if (!relays || relays.length === 0) {
     return { success: [], failed: [] };
@@ -29,7 +31,9 @@ export async function publishToRelays(event, relays, privateKeyBytes, pubkey = n
   try {
     // pool.publish returns an array of Promises, one for each relay
     // Each promise resolves to a string (reason) on success or rejects with an error on failure
-    const publishPromises = pool.publish(relays, event);
+    const publishPromises = pool.publish(relays, event, {
+      onauth: (authEvent) => authSigner.signEvent(authEvent)
+    });
     
     // Wait for all promises to settle (either resolve or reject)
     // Use allSettled to handle both successes and failures without throwing
@@ -12,12 +12,14 @@
  *   --hook-only          Only set up commit hook
  *   --domain <domain>    Configure credential helper for specific domain (default: all)
  *   --global-hook        Install hook globally for all repositories (default: current repo)
+ *   --pre-push-hook      Also install the pre-push hook blocking pushes of unsigned commits
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
 import { existsSync, mkdirSync, unlinkSync, symlinkSync } from 'fs';
 import { spawnSync } from 'child_process';
+import { getConfigValue } from './config.js';
 
 // Get the directory where this script is located
 const __filename = fileURLToPath(import.meta.url);
@@ -26,6 +28,16 @@ const scriptsDir = __dirname;
 
 const credentialScript = join(scriptsDir, 'git-credential-nostr.js');
 const commitHookScript = join(scriptsDir, 'git-commit-msg-hook.js');
+const postCommitHookScript = join(scriptsDir, 'git-post-commit-hook.js');
+const prePushHookScript = join(scriptsDir, 'git-pre-push-hook.js');
+
+// Hooks installed by setupCommitHook: the commit-msg hook signs the message, the
+// post-commit/post-rewrite hook binds the signature to the created commit
+const HOOKS = {
+  'commit-msg': commitHookScript,
+  'post-commit': postCommitHookScript,
+  'post-rewrite': postCommitHookScript
+};
 
 // Show help
 function showHelp() {
@@ -39,21 +51,24 @@ Usage:
 
 Options:
   --credential-only          Only set up credential helper
-  --hook-only                Only set up commit hook
+  --hook-only                Only set up commit hooks
   --domain <domain>          Configure credential helper for specific domain
   --global-hook              Install hook globally for all repositories
+  --pre-push-hook            Also install the pre-push hook, which blocks pushes of commits
+                             without a valid Nostr signature (skip with: git push --no-verify)
   --help, -h                 Show this help message
 
 Examples:
   gitrep-setup                          # Setup both credential helper and hook
   gitrep-setup --domain your-domain.com # Configure for specific domain
   gitrep-setup --global-hook            # Install hook globally
+  gitrep-setup --hook-only --pre-push-hook  # Commit hooks plus signature checks on push
   gitrep-setup --credential-only        # Only setup credential helper
 
 The setup script will:
   - Automatically find the scripts (works with npm install or git clone)
   - Configure git credential helper
-  - Install commit signing hook (current repo or globally)
+  - Install commit signing hooks (commit-msg, post-commit, post-rewrite; current repo or globally)
   - Check if NOSTRGIT_SECRET_KEY is set
 
 For multiple servers, run setup multiple times:
@@ -74,6 +89,7 @@ const showHelpFlag = args.includes('--help') || args.includes('-h');
 const credentialOnly = args.includes('--credential-only');
 const hookOnly = args.includes('--hook-only');
 const globalHook = args.includes('--global-hook');
+const prePushHook = args.includes('--pre-push-hook');
 const domainIndex = args.indexOf('--domain');
 const domain = domainIndex >= 0 && args[domainIndex + 1] ? args[domainIndex + 1] : null;
 
@@ -93,12 +109,24 @@ if (!existsSync(commitHookScript)) {
   process.exit(1);
 }
 
-// Check if NOSTRGIT_SECRET_KEY is set
-const secretKey = process.env.NOSTRGIT_SECRET_KEY;
+if (!existsSync(postCommitHookScript)) {
+  console.error('Error: git-post-commit-hook.js not found at', postCommitHookScript);
+  process.exit(1);
+}
+
+if (prePushHook && !existsSync(prePushHookScript)) {
+  console.error('Error: git-pre-push-hook.js not found at', prePushHookScript);
+  process.exit(1);
+}
+
+// Check if NOSTRGIT_SECRET_KEY is set (or an encrypted keyfile exists)
+const keyfile = getConfigValue('keyfile');
+const secretKey = process.env.NOSTRGIT_SECRET_KEY || (keyfile && existsSync(keyfile) ? keyfile : null);
 if (!secretKey) {
-  console.warn('⚠️  Warning: NOSTRGIT_SECRET_KEY environment variable is not set.');
+  console.warn('⚠️  Warning: NOSTRGIT_SECRET_KEY environment variable is not set and no keyfile was found.');
   console.warn('   Set it with: export NOSTRGIT_SECRET_KEY="nsec1..."');
-  console.warn('   Or add to ~/.bashrc or ~/.zshrc for persistence\n');
+  console.warn('   Or add to ~/.bashrc or ~/.zshrc for persistence');
+  console.warn('   Or store it encrypted with a passphrase: gitrep key import\n');
 }
 
 // Setup credential helper
@@ -134,6 +162,20 @@ function setupCredentialHelper() {
   }
 }
 
+// Link the commit hooks (and the pre-push hook if requested) into a hooks directory, replacing existing ones
+// Security: Use fs operations instead of execSync
+function linkCommitHooks(hooksDir) {
+  const hooks = prePushHook ? { ...HOOKS, 'pre-push': prePushHookScript } : HOOKS;
+  for (const [name, script] of Object.entries(hooks)) {
+    const hookPath = join(hooksDir, name);
+    if (existsSync(hookPath)) {
+      console.log(`   Removing existing ${name} hook...`);
+      unlinkSync(hookPath);
+    }
+    symlinkSync(script, hookPath);
+  }
+}
+
 // Setup commit hook
 function setupCommitHook() {
   console.log('✍️  Setting up commit signing hook...');
@@ -149,21 +191,14 @@ function setupCommitHook() {
         mkdirSync(hooksDir, { recursive: true });
       }
       
-      // Create symlink
-      const hookPath = join(hooksDir, 'commit-msg');
-      if (existsSync(hookPath)) {
-        console.log('   Removing existing hook...');
-        unlinkSync(hookPath);
-      }
-      
-      // Security: Use fs.symlinkSync instead of execSync
-      symlinkSync(commitHookScript, hookPath);
+      // Create symlinks
+      linkCommitHooks(hooksDir);
       
       // Configure git to use global hooks
       // Note: Using ~/.git-hooks is safe as it's a literal string, not user input
       spawnSync('git', ['config', '--global', 'core.hooksPath', '~/.git-hooks'], { stdio: 'inherit' });
       
-      console.log('✅ Commit hook installed globally for all repositories!\n');
+      console.log('✅ Commit hooks installed globally for all repositories!\n');
     } else {
       // Install for current repository
       const gitDir = findGitDir();
@@ -172,8 +207,6 @@ function setupCommitHook() {
         process.exit(1);
       }
       
-      const hookPath = join(gitDir, 'hooks', 'commit-msg');
-      
       // Create hooks directory if it doesn't exist
       // Security: Use fs.mkdirSync instead of execSync
       const hooksDir = join(gitDir, 'hooks');
@@ -181,16 +214,10 @@ function setupCommitHook() {
         mkdirSync(hooksDir, { recursive: true });
       }
       
-      // Create symlink
-      // Security: Use fs operations instead of execSync
-      if (existsSync(hookPath)) {
-        console.log('   Removing existing hook...');
-        unlinkSync(hookPath);
-      }
-      
-      symlinkSync(commitHookScript, hookPath);
+      // Create symlinks
+      linkCommitHooks(hooksDir);
       
-      console.log('✅ Commit hook installed for current repository!\n');
+      console.log('✅ Commit hooks installed for current repository!\n');
     }
   } catch (error) {
     console.error('❌ Failed to setup commit hook:', error.message);
@@ -226,6 +253,10 @@ console.log('🚀 GitRepublic CLI Setup\n');
 console.log('Scripts location:', scriptsDir);
 console.log('Credential helper:', credentialScript);
 console.log('Commit hook:', commitHookScript);
+console.log('Post-commit hook:', postCommitHookScript);
+if (prePushHook) {
+  console.log('Pre-push hook:', prePushHookScript);
+}
 console.log('');
 
 if (!credentialOnly && !hookOnly) {
@@ -242,7 +273,7 @@ console.log('✨ Setup complete!');
 console.log('');
 console.log('Next steps:');
 if (!secretKey) {
-  console.log('1. Set NOSTRGIT_SECRET_KEY: export NOSTRGIT_SECRET_KEY="nsec1..."');
+  console.log('1. Set NOSTRGIT_SECRET_KEY: export NOSTRGIT_SECRET_KEY="nsec1..." (or: gitrep key import)');
 }
 console.log('2. Test credential helper: gitrep clone <gitrepublic-repo-url> gitrepublic-web');
 console.log('3. Test commit signing: gitrep commit -m "Test commit"');
@@ -10,13 +10,16 @@ import { existsSync, unlinkSync, rmdirSync, readFileSync, writeFileSync } from '
 import { join } from 'path';
 import { homedir } from 'os';
 
+// Hooks installed by gitrep-setup
+const COMMIT_HOOKS = ['commit-msg', 'post-commit', 'post-rewrite', 'pre-push'];
+
 function showHelp() {
   console.log(`
 GitRepublic CLI Uninstall
 
 This script removes:
   - Git credential helper configuration
-  - Commit signing hook (local and global)
+  - Commit signing hooks (commit-msg, post-commit, post-rewrite, pre-push; local and global)
   - Environment variable references (from shell config files)
 
 Usage:
@@ -125,30 +128,34 @@ function main() {
     // No credential helpers configured
   }
 
-  // Remove commit hook (global)
-  console.log('\nRemoving global commit hook...');
+  // Remove commit hooks (global)
+  console.log('\nRemoving global commit hooks...');
   try {
     // Security: Use spawnSync with argument arrays
     const result = spawnSync('git', ['config', '--global', '--get', 'core.hooksPath'], { encoding: 'utf-8' });
     const hooksPath = result.status === 0 ? result.stdout.trim() : null;
     if (hooksPath) {
-      const hookFile = join(hooksPath, 'commit-msg');
-      if (existsSync(hookFile)) {
-        console.log(`  - ${hookFile}`);
-        if (!dryRun) {
-          try {
-            unlinkSync(hookFile);
-            // Try to remove directory if empty
+      for (const hook of COMMIT_HOOKS) {
+        const hookFile = join(hooksPath, hook);
+        if (existsSync(hookFile)) {
+          console.log(`  - ${hookFile}`);
+          if (!dryRun) {
             try {
-              rmdirSync(hooksPath);
-            } catch {
-              // Directory not empty, that's fine
+              unlinkSync(hookFile);
+            } catch (err) {
+              console.error(`    Warning: Could not remove ${hookFile}: ${err.message}`);
             }
-          } catch (err) {
-            console.error(`    Warning: Could not remove ${hookFile}: ${err.message}`);
           }
+          removed++;
+        }
+      }
+      // Try to remove directory if empty
+      if (!dryRun) {
+        try {
+          rmdirSync(hooksPath);
+        } catch {
+          // Directory not empty, that's fine
         }
-        removed++;
       }
     }
     
@@ -166,13 +173,16 @@ function main() {
     // No global hook configured
   }
 
-  // Remove commit hook from current directory
-  console.log('\nChecking current directory for commit hook...');
-  const localHook = '.git/hooks/commit-msg';
-  if (existsSync(localHook)) {
+  // Remove commit hooks from current directory
+  console.log('\nChecking current directory for commit hooks...');
+  for (const hook of COMMIT_HOOKS) {
+    const localHook = join('.git', 'hooks', hook);
+    if (!existsSync(localHook)) {
+      continue;
+    }
     try {
       const hookContent = readFileSync(localHook, 'utf-8');
-      if (hookContent.includes('gitrepublic') || hookContent.includes('git-commit-msg-hook')) {
+      if (hookContent.includes('gitrepublic') || hookContent.includes('git-commit-msg-hook') || hookContent.includes('git-post-commit-hook') || hookContent.includes('git-pre-push-hook')) {
         console.log(`  - ${localHook}`);
         if (!dryRun) {
           unlinkSync(localHook);
@@ -0,0 +1,124 @@
+import net from 'net';
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { userInfo } from 'os';
+import { getUserConfigDir, getConfigValue } from '../config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const AGENT_SCRIPT = join(__dirname, '..', 'key-agent.js');
+
+/**
+ * Get the key agent socket path ($GITREPUBLIC_AGENT_SOCK or agent.sock in the user config dir)
+ */
+export function getAgentSocketPath() {
+  if (process.env.GITREPUBLIC_AGENT_SOCK) {
+    return process.env.GITREPUBLIC_AGENT_SOCK;
+  }
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\gitrepublic-agent-${userInfo().username}`;
+  }
+  return join(getUserConfigDir(), 'agent.sock');
+}
+
+/**
+ * Send one request to the key agent
+ * @param {Object} request - Request object ({ op, ... })
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object|null>} - Response, or null if no agent is running
+ */
+export function agentRequest(request, timeout = 2000) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection(getAgentSocketPath());
+    let buffer = '';
+    const done = (result) => {
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(result);
+    };
+    const timer = setTimeout(() => done(null), timeout);
+    socket.on('connect', () => socket.write(JSON.stringify(request) + '\n'));
+    socket.on('data', (data) => {
+      buffer += data.toString('utf-8');
+      const newline = buffer.indexOf('\n');
+      if (newline >= 0) {
+        try {
+          done(JSON.parse(buffer.slice(0, newline)));
+        } catch {
+          done(null);
+        }
+      }
+    });
+    socket.on('error', () => done(null));
+    socket.on('close', () => done(null));
+  });
+}
+
+/**
+ * Start the key agent in the background if it is not already running
+ * @returns {Promise<boolean>} - True if an agent is reachable afterwards
+ */
+export async function startAgent() {
+  if (await agentRequest({ op: 'status' })) {
+    return true;
+  }
+
+  const socketPath = getAgentSocketPath();
+  if (process.platform !== 'win32') {
+    mkdirSync(dirname(socketPath), { recursive: true, mode: 0o700 });
+  }
+
+  // Security: Using spawn with argument array (not shell) prevents command injection
+  const child = spawn(process.execPath, [
+    AGENT_SCRIPT,
+    '--socket', socketPath,
+    '--timeout', String(getConfigValue('agent-timeout'))
+  ], {
+    detached: true,
+    stdio: 'ignore'
+  });
+  child.unref();
+
+  // Wait for the socket to come up
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    if ((process.platform === 'win32' || existsSync(socketPath)) && await agentRequest({ op: 'status' })) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Look up an unlocked key in the agent
+ * @param {string} ncryptsec - Encrypted key the secret was unlocked from
+ * @returns {Promise<string|null>} - Hex private key, or null if not cached
+ */
+export async function getKeyFromAgent(ncryptsec) {
+  const response = await agentRequest({ op: 'get', ncryptsec });
+  return response && response.key ? response.key : null;
+}
+
+/**
+ * Cache an unlocked key in the agent, starting the agent if needed
+ * @param {string} ncryptsec - Encrypted key the secret was unlocked from
+ * @param {string} hexKey - Decrypted private key (hex)
+ * @returns {Promise<boolean>} - True if the key was cached
+ */
+export async function addKeyToAgent(ncryptsec, hexKey) {
+  if (!await startAgent()) {
+    return false;
+  }
+  const response = await agentRequest({ op: 'add', ncryptsec, key: hexKey });
+  return !!(response && response.ok);
+}
+
+/**
+ * Forget all keys and stop the agent
+ * @returns {Promise<boolean>} - True if an agent was running
+ */
+export async function lockAgent() {
+  const response = await agentRequest({ op: 'lock' });
+  return !!(response && response.ok);
+}
@@ -0,0 +1,274 @@
+import { readFileSync, existsSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { isAbsolute } from 'path';
+import { nip19 } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { normalizePubkey } from './keys.js';
+
+/**
+ * Allowed signers policy (like git's gpg.ssh.allowedSignersFile)
+ *
+ * A JSON file in the repository (default: nostr/allowed-signers.json, see the
+ * "allowed-signers" config key) listing the keys allowed to sign commits:
+ *   {
+ *     "signers": [
+ *       { "pubkey": "npub1...", "name": "Alice" },
+ *       {
+ *         "pubkey": "npub1...",
+ *         "name": "Docs bot",
+ *         "branches": ["main", "release/*"],
+ *         "paths": ["docs/**", "*.md"],
+ *         "valid-after": "2026-01-01",
+ *         "valid-before": "2027-01-01"
+ *       }
+ *     ]
+ *   }
+ * Without branches or paths an entry applies to every branch and path. A key may have
+ * several entries; a commit is allowed if one of them allows it.
+ *
+ * The file is read as committed in a trusted revision (git show <rev>:<path>), never from
+ * the working tree: otherwise a commit being checked could add its own key to it.
+ * An absolute path (user config only) names a file outside the repository, read as is.
+ */
+
+/**
+ * Convert a branch or path pattern to a regular expression
+ * ("**" matches across "/", "*" and "?" only within a path segment; a trailing "/" matches everything below)
+ */
+function globToRegExp(pattern) {
+  const source = (pattern.endsWith('/') ? `${pattern}**` : pattern)
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**' || part === '**/') return part === '**/' ? '(?:.*/)?' : '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function parseList(value, field, index) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+    throw new Error(`signers[${index}].${field} must be a list of patterns`);
+  }
+  return value;
+}
+
+function parseDate(value, field, index) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`signers[${index}].${field} is not a date: ${value} (use YYYY-MM-DD)`);
+  }
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Get the configured policy file
+ * @returns {{path: string, inRepository: boolean}|null} - path is relative to the repository root
+ *   when inRepository; null if no policy file is configured
+ */
+export function getAllowedSignersPath() {
+  const configured = getConfigValue('allowed-signers');
+  if (!configured) {
+    return null;
+  }
+  return isAbsolute(configured)
+    ? { path: configured, inRepository: false }
+    : { path: configured.replace(/\\/g, '/').replace(/^(\.\/)+/, ''), inRepository: true };
+}
+
+/**
+ * Read the policy file as committed in a revision
+ * Security: Using spawnSync with argument array (not shell) prevents command injection
+ * @returns {string|null} - File content, or null if the revision has no such file
+ */
+function readCommittedFile(rev, path) {
+  if (!rev || rev.startsWith('-')) {
+    return null;
+  }
+  const result = spawnSync('git', ['show', `${rev}:${path}`], { encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 });
+  return result.status === 0 ? result.stdout : null;
+}
+
+/**
+ * Get the blob ID of the policy file in a revision (to tell whether a commit changes it, merges included)
+ * Security: Using spawnSync with argument array (not shell) prevents command injection
+ * @returns {string|null} - null if the revision has no such file
+ */
+function getCommittedFileId(rev, path) {
+  const result = spawnSync('git', ['rev-parse', '--verify', '--quiet', `${rev}:${path}`], { encoding: 'utf-8' });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Load the allowed signers policy of the repository as of a revision
+ * @param {Object} [options]
+ * @param {string} [options.rev] - Trusted revision to read the policy file from (default: HEAD)
+ * @returns {{file: string, rev: string|null, signers: Array<{pubkey: string, name: string|null, branches: string[]|null,
+ *   paths: string[]|null, validAfter: number|null, validBefore: number|null}>}|null} - null if there is no policy file
+ *   (rev is null for a file outside the repository)
+ * @throws {Error} - If the file is not a valid policy
+ */
+export function loadAllowedSigners({ rev = 'HEAD' } = {}) {
+  const location = getAllowedSignersPath();
+  if (!location) {
+    return null;
+  }
+  let text;
+  if (location.inRepository) {
+    text = readCommittedFile(rev, location.path);
+  } else {
+    text = existsSync(location.path) ? readFileSync(location.path, 'utf-8') : null;
+  }
+  if (text === null) {
+    return null;
+  }
+  const file = location.inRepository ? `${location.path} at ${rev.length === 40 ? rev.slice(0, 7) : rev}` : location.path;
+
+  try {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.signers)) {
+      throw new Error('"signers" must be a list');
+    }
+    const signers = data.signers.map((entry, index) => {
+      let pubkey;
+      try {
+        pubkey = normalizePubkey(entry && entry.pubkey);
+      } catch (err) {
+        throw new Error(`signers[${index}].pubkey: ${err.message}`);
+      }
+      return {
+        pubkey,
+        name: typeof entry.name === 'string' ? entry.name : null,
+        branches: parseList(entry.branches, 'branches', index),
+        paths: parseList(entry.paths, 'paths', index),
+        validAfter: parseDate(entry['valid-after'], 'valid-after', index),
+        validBefore: parseDate(entry['valid-before'], 'valid-before', index)
+      };
+    });
+    return { file, rev: location.inRepository ? rev : null, signers };
+  } catch (err) {
+    throw new Error(`Invalid allowed signers file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Get the policy each commit of a list is checked against
+ *
+ * The commits outside the list (the lower bound of a range, what the remote already has)
+ * are trusted: a commit is checked against the policy of its first parent. A commit that
+ * changes the policy file only changes it for the commits after it if its signer was
+ * allowed by the previous policy; otherwise they keep the previous one. A root commit
+ * has no policy to be checked against.
+ * @param {Array<{sha: string, parents: string[]}>} commits - Commits to check
+ * @param {function(Object, Object|null): boolean} isAllowed - Whether a commit is allowed by a policy
+ *   (called parents first, so it can check the commits in history order)
+ * @returns {Map<string, Object|null>} - Policy (result of loadAllowedSigners) per commit hash
+ * @throws {Error} - If a policy file is invalid
+ */
+export function resolveCommitPolicies(commits, isAllowed) {
+  const location = getAllowedSignersPath();
+  const policies = new Map();
+  if (!location || !location.inRepository) {
+    const policy = loadAllowedSigners();
+    for (const commit of commits) {
+      isAllowed(commit, policy);
+      policies.set(commit.sha, policy);
+    }
+    return policies;
+  }
+
+  const bySha = new Map(commits.map(commit => [commit.sha, commit]));
+  const trusted = new Map();
+  const after = new Map();
+  const policyAfter = sha => {
+    if (after.has(sha)) return after.get(sha);
+    if (!trusted.has(sha)) trusted.set(sha, loadAllowedSigners({ rev: sha }));
+    return trusted.get(sha);
+  };
+
+  // Parents first, without recursion (ranges can be long)
+  for (const start of commits) {
+    const stack = [start];
+    while (stack.length > 0) {
+      const commit = stack[stack.length - 1];
+      if (policies.has(commit.sha)) {
+        stack.pop();
+        continue;
+      }
+      const parent = bySha.get(commit.parents[0]);
+      if (parent && !policies.has(parent.sha)) {
+        stack.push(parent);
+        continue;
+      }
+      stack.pop();
+      const policy = commit.parents.length > 0 ? policyAfter(commit.parents[0]) : null;
+      policies.set(commit.sha, policy);
+      const allowed = isAllowed(commit, policy);
+      const changed = getCommittedFileId(commit.sha, location.path) !==
+        (commit.parents.length > 0 ? getCommittedFileId(commit.parents[0], location.path) : null);
+      after.set(commit.sha, changed && allowed ? loadAllowedSigners({ rev: commit.sha }) : policy);
+    }
+  }
+  return policies;
+}
+
+/**
+ * Check whether the policy allows a key to sign a commit
+ * @param {Object} policy - Result of loadAllowedSigners
+ * @param {Object} commit
+ * @param {string} commit.pubkey - Signer pubkey (hex)
+ * @param {number} commit.time - Signing time (Unix seconds)
+ * @param {string|null} [commit.branch] - Branch the commit is on (short or full ref name), if known
+ * @param {function(): string[]} [commit.getPaths] - Returns the paths the commit changes (only called for path-scoped entries)
+ * @returns {{allowed: boolean, reason: string|null, name: string|null}} - reason tells why no entry allows it
+ */
+export function checkAllowedSigner(policy, { pubkey, time, branch = null, getPaths = () => [] }) {
+  const entries = policy.signers.filter(entry => entry.pubkey === pubkey);
+  const signer = nip19.npubEncode(pubkey);
+  if (entries.length === 0) {
+    return { allowed: false, reason: `${signer} is not an allowed signer`, name: null };
+  }
+
+  const shortBranch = branch ? branch.replace(/^refs\/heads\//, '') : null;
+  let paths = null;
+  let reason = null;
+  for (const entry of entries) {
+    const who = entry.name || signer;
+    if (entry.validAfter !== null && time < entry.validAfter) {
+      reason = reason || `${who} may only sign from ${new Date(entry.validAfter * 1000).toISOString().slice(0, 10)}`;
+      continue;
+    }
+    if (entry.validBefore !== null && time >= entry.validBefore) {
+      reason = reason || `${who} may only sign until ${new Date(entry.validBefore * 1000).toISOString().slice(0, 10)}`;
+      continue;
+    }
+    if (entry.branches) {
+      if (!shortBranch) {
+        reason = reason || `${who} may only sign on ${entry.branches.join(', ')} (branch unknown)`;
+        continue;
+      }
+      if (!entry.branches.some(pattern => globToRegExp(pattern.replace(/^refs\/heads\//, '')).test(shortBranch))) {
+        reason = reason || `${who} may not sign on branch ${shortBranch}`;
+        continue;
+      }
+    }
+    if (entry.paths) {
+      paths = paths || getPaths();
+      const outside = paths.find(path => !entry.paths.some(pattern => globToRegExp(pattern).test(path)));
+      if (outside) {
+        reason = reason || `${who} may not change ${outside}`;
+        continue;
+      }
+    }
+    return { allowed: true, reason: null, name: entry.name };
+  }
+  return { allowed: false, reason, name: null };
+}
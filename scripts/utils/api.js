@@ -2,10 +2,12 @@ import { createNIP98Auth } from './auth.js';
 
 /**
  * Make authenticated API request
+ * @param {Object} [options] - fetch options, plus signer: the signer for the NIP-98 auth
+ *   (default: the configured signer, opened and closed for this request)
  */
-export async function apiRequest(server, endpoint, method = 'GET', body = null, options = {}) {
+export async function apiRequest(server, endpoint, method = 'GET', body = null, { signer = null, ...options } = {}) {
   const url = `${server.replace(/\/$/, '')}/api${endpoint}`;
-  const authHeader = createNIP98Auth(url, method, body);
+  const authHeader = await createNIP98Auth(url, method, body, signer);
 
   const headers = {
     'Authorization': authHeader,
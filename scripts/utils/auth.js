@@ -1,44 +1,94 @@
 import { createHash } from 'crypto';
-import { finalizeEvent, getPublicKey } from 'nostr-tools';
 import { KIND_NIP98_AUTH } from '../config.js';
-import { getPrivateKeyBytes } from './keys.js';
+import { getSigner } from './signer.js';
 
 /**
- * Create NIP-98 authentication header
+ * NIP-98 HTTP authentication
+ *
+ * Shared by the API client, the credential helper and the git wrapper, so URL
+ * normalization and payload hashing always match what the server verifies.
  */
-export function createNIP98Auth(url, method, body = null) {
-  const secretKey = process.env.NOSTRGIT_SECRET_KEY || process.env.NOSTR_PRIVATE_KEY || process.env.NSEC;
-  if (!secretKey) {
-    throw new Error('NOSTRGIT_SECRET_KEY environment variable is not set');
-  }
 
-  const privateKeyBytes = getPrivateKeyBytes(secretKey);
-  const pubkey = getPublicKey(privateKeyBytes);
+/**
+ * Normalize a URL for the NIP-98 'u' tag
+ * This must match the normalization used by the server in nip98-auth.ts
+ * @param {string} url - Request URL
+ * @returns {string} - URL without a trailing slash on the path
+ */
+export function normalizeNIP98Url(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.pathname = parsed.pathname.replace(/\/$/, '');
+    return parsed.toString();
+  } catch {
+    return url.replace(/\/$/, '');
+  }
+}
 
-  // Normalize URL (remove trailing slash)
-  const normalizedUrl = url.replace(/\/$/, '');
+/**
+ * Hash a request body for the NIP-98 'payload' tag
+ * @param {string|Buffer|Object|null} body - Request body (objects are JSON-encoded)
+ * @returns {string|null} - SHA-256 hex digest, or null without a body
+ */
+export function hashNIP98Payload(body) {
+  if (body === null || body === undefined || body === '') {
+    return null;
+  }
+  const data = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  return createHash('sha256').update(data).digest('hex');
+}
 
+/**
+ * Create and sign a NIP-98 authentication event
+ * @param {Object} signer - Signer (local key or NIP-46 bunker)
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string|Buffer|Object|null} body - Request body to bind with a 'payload' tag
+ * @returns {Promise<Object>} - Signed event
+ */
+export async function createNIP98AuthEvent(signer, url, method, body = null) {
   const tags = [
-    ['u', normalizedUrl],
+    ['u', normalizeNIP98Url(url)],
     ['method', method.toUpperCase()]
   ];
 
-  if (body) {
-    const bodyHash = createHash('sha256').update(typeof body === 'string' ? body : JSON.stringify(body)).digest('hex');
-    tags.push(['payload', bodyHash]);
+  const payloadHash = hashNIP98Payload(body);
+  if (payloadHash) {
+    tags.push(['payload', payloadHash]);
   }
 
-  const eventTemplate = {
+  return signer.signEvent({
     kind: KIND_NIP98_AUTH,
-    pubkey,
     created_at: Math.floor(Date.now() / 1000),
     content: '',
     tags
-  };
+  });
+}
+
+/**
+ * Base64-encode a signed NIP-98 event (the token used in Authorization headers and git credentials)
+ * @param {Object} event - Signed event
+ * @returns {string}
+ */
+export function encodeNIP98Event(event) {
+  return Buffer.from(JSON.stringify(event), 'utf-8').toString('base64');
+}
 
-  const signedEvent = finalizeEvent(eventTemplate, privateKeyBytes);
-  const eventJson = JSON.stringify(signedEvent);
-  const base64Event = Buffer.from(eventJson, 'utf-8').toString('base64');
+/**
+ * Create NIP-98 authentication header
+ * Signs with the given signer, or the configured one (local key, encrypted keyfile, or NIP-46 bunker).
+ */
+export async function createNIP98Auth(url, method, body = null, signer = null) {
+  const activeSigner = signer || await getSigner();
+
+  let signedEvent;
+  try {
+    signedEvent = await createNIP98AuthEvent(activeSigner, url, method, body);
+  } finally {
+    if (!signer) {
+      await activeSigner.close();
+    }
+  }
 
-  return `Nostr ${base64Event}`;
+  return `Nostr ${encodeNIP98Event(signedEvent)}`;
 }
@@ -0,0 +1,158 @@
+/**
+ * Commit signature events (kind 1640)
+ *
+ * A commit is signed in two steps, because its hash does not exist yet when it is signed:
+ *   - the commit-msg hook signs the message and appends the trailer
+ *     "Nostr-Signature: <event-id> <pubkey> <sig>" (plus "Nostr-Event: <base64>" if enabled)
+ *   - the post-commit/post-rewrite hook signs an attestation binding that signature event
+ *     to the created commit: ["e", <signature-event-id>], ["commit", <sha>], ["tree", <sha>]
+ *     and one ["parent", <sha>] per parent
+ * Annotated tags are signed in one step by gitrep tag, since their target exists already: the
+ * event names the tag (["tag", <name>]), its target (["object", <sha>], ["type", <type>]) and
+ * its message, and the tag message gets the same trailers.
+ * All of them are stored in nostr/commit-signatures.jsonl.
+ */
+
+export const KIND_COMMIT_SIGNATURE = 1640;
+
+const SIGNATURE_TRAILER = /^Nostr-Signature:\s+([0-9a-f]{64})\s+([0-9a-f]{64})\s+([0-9a-f]{128})\s*$/;
+const EVENT_TRAILER = /^Nostr-Event:\s+(\S+)\s*$/;
+
+/**
+ * Extract the Nostr trailers of a commit or tag message
+ * @param {string} commitMessage - Full commit or tag message
+ * @returns {{signature: {eventId: string, pubkey: string, sig: string}|null, event: Object|null, message: string}}
+ *   event is the decoded Nostr-Event trailer; message is the commit message without the trailers,
+ *   as it was signed
+ */
+export function parseSignatureTrailers(commitMessage) {
+  let signature = null;
+  let event = null;
+  const lines = [];
+  for (const line of commitMessage.split('\n')) {
+    const signatureMatch = line.match(SIGNATURE_TRAILER);
+    const eventMatch = line.match(EVENT_TRAILER);
+    if (signatureMatch) {
+      signature = signature || { eventId: signatureMatch[1], pubkey: signatureMatch[2], sig: signatureMatch[3] };
+    } else if (eventMatch) {
+      try {
+        event = event || JSON.parse(Buffer.from(eventMatch[1], 'base64').toString('utf-8'));
+      } catch {
+        // Not a usable embedded event
+      }
+    } else {
+      lines.push(line);
+    }
+  }
+  return { signature, event, message: lines.join('\n').trim() };
+}
+
+/**
+ * Whether a kind 1640 event is a commit attestation rather than a message signature
+ */
+export function isCommitAttestation(event) {
+  return event.kind === KIND_COMMIT_SIGNATURE && event.tags.some(t => t[0] === 'commit');
+}
+
+/**
+ * Read the tag a tag signature event is about
+ * @param {Object} event - Kind 1640 event
+ * @returns {{name: string, object: string|null, type: string|null}|null} - null if the event does not sign a tag
+ */
+export function getSignedTag(event) {
+  const value = name => event.tags.find(t => t[0] === name)?.[1] || null;
+  if (event.kind !== KIND_COMMIT_SIGNATURE || !value('tag')) {
+    return null;
+  }
+  return { name: value('tag'), object: value('object'), type: value('type') };
+}
+
+/**
+ * Read the commit an attestation is about
+ * @param {Object} event - Commit attestation
+ * @returns {{signatureId: string|null, commit: string|null, tree: string|null, parents: string[]}}
+ */
+export function getAttestedCommit(event) {
+  const value = name => event.tags.find(t => t[0] === name)?.[1] || null;
+  return {
+    signatureId: value('e'),
+    commit: value('commit'),
+    tree: value('tree'),
+    parents: event.tags.filter(t => t[0] === 'parent').map(t => t[1])
+  };
+}
+
+/**
+ * Build an unsigned commit attestation (kind 1640) binding a commit signature event to a commit
+ * @param {Object} options
+ * @param {string} options.signatureId - ID of the commit signature event (from the Nostr-Signature trailer)
+ * @param {{sha: string, tree: string, parents: string[]}} options.commit - The commit
+ * @returns {Object} - Event template ready to be signed
+ */
+export function buildCommitAttestationEvent({ signatureId, commit }) {
+  if (!/^[0-9a-f]{64}$/.test(signatureId || '')) {
+    throw new Error('signature event ID (64 hex characters) is required');
+  }
+  if (!commit || !commit.sha || !commit.tree) {
+    throw new Error('commit (sha, tree) is required');
+  }
+  return {
+    kind: KIND_COMMIT_SIGNATURE,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['e', signatureId],
+      ['commit', commit.sha],
+      ['tree', commit.tree],
+      ...(commit.parents || []).map(parent => ['parent', parent])
+    ],
+    content: `Signed commit ${commit.sha}`
+  };
+}
+
+/**
+ * Build an unsigned tag signature event (kind 1640) over a tag name, its target and its message
+ * @param {Object} options
+ * @param {string} options.name - Tag name (without refs/tags/)
+ * @param {string} options.object - ID of the tagged object
+ * @param {string} options.type - Type of the tagged object (usually commit)
+ * @param {string} options.message - Tag message, as it will be stored before the trailers
+ * @param {{name: string, email: string}|null} [options.tagger] - Tagger, from git's committer identity
+ * @returns {Object} - Event template ready to be signed
+ */
+export function buildTagSignatureEvent({ name, object, type, message, tagger = null }) {
+  if (!name) {
+    throw new Error('tag name is required');
+  }
+  if (!/^[0-9a-f]{40,64}$/.test(object || '') || !type) {
+    throw new Error('tagged object (sha, type) is required');
+  }
+  return {
+    kind: KIND_COMMIT_SIGNATURE,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ...(tagger ? [['author', tagger.name, tagger.email]] : []),
+      ['tag', name],
+      ['object', object],
+      ['type', type],
+      ['message', message]
+    ],
+    content: `Signed tag ${name}: ${message}`
+  };
+}
+
+/**
+ * Whether a commit message is the message a signature event signed
+ * The commit-msg hook may sign the message before git strips its "#" comment lines
+ * and repeated blank lines, so both the signed text and its cleaned-up form match.
+ * @param {Object} signatureEvent - Commit signature event (with a "message" tag)
+ * @param {string} message - Commit message without its Nostr trailers
+ */
+export function isSignedMessage(signatureEvent, message) {
+  const signed = signatureEvent.tags.find(t => t[0] === 'message')?.[1];
+  if (typeof signed !== 'string') {
+    return false;
+  }
+  const cleaned = signed.split('\n').filter(line => !line.startsWith('#')).join('\n')
+    .replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+  return signed.trim() === message || cleaned === message;
+}
@@ -0,0 +1,83 @@
+/**
+ * Locate the lines of a patch (git format-patch output) in the files it changes
+ *
+ * Every line of the patch gets an anchor:
+ *   - null for the commit message and anything outside a file diff
+ *   - { file, line: null } for the diff header lines of a file (diff --git, index, ---, +++)
+ *   - { file, line, side } for hunk lines: added and context lines are numbered in the new
+ *     file (side "new"), removed lines in the old file (side "old"); a hunk header points at
+ *     the first new line of the hunk and is marked with hunk: true
+ *
+ * @param {string} content - Patch content
+ * @returns {Array<{file: string, line: number|null, side?: string, hunk?: boolean}|null>} - One anchor per line of content.split('\n')
+ */
+export function getDiffLineAnchors(content) {
+  const anchors = [];
+  let file = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const line of content.split('\n')) {
+    const inHunk = oldRemaining > 0 || newRemaining > 0;
+    if (inHunk && (line.startsWith(' ') || line === '')) {
+      anchors.push({ file, line: newLine, side: 'new' });
+      oldLine++;
+      newLine++;
+      oldRemaining--;
+      newRemaining--;
+    } else if (inHunk && line.startsWith('+')) {
+      anchors.push({ file, line: newLine, side: 'new' });
+      newLine++;
+      newRemaining--;
+    } else if (inHunk && line.startsWith('-')) {
+      anchors.push({ file, line: oldLine, side: 'old' });
+      oldLine++;
+      oldRemaining--;
+    } else if (line.startsWith('\\')) {
+      // "\ No newline at end of file" belongs to the previous line
+      anchors.push(anchors[anchors.length - 1] || null);
+    } else if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      file = match ? match[2] : null;
+      oldRemaining = newRemaining = 0;
+      anchors.push(file ? { file, line: null } : null);
+    } else if (file && line.startsWith('@@')) {
+      const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (match) {
+        oldLine = parseInt(match[1], 10);
+        oldRemaining = match[2] === undefined ? 1 : parseInt(match[2], 10);
+        newLine = parseInt(match[3], 10);
+        newRemaining = match[4] === undefined ? 1 : parseInt(match[4], 10);
+      }
+      anchors.push({ file, line: newLine, side: 'new', hunk: true });
+    } else if (file && line.startsWith('+++ ')) {
+      // Deleted files keep the old path
+      if (line.startsWith('+++ b/')) {
+        file = line.slice(6);
+      }
+      anchors.push({ file, line: null });
+    } else if (file && /^(index |--- |new file mode |deleted file mode |old mode |new mode |similarity index |rename |copy |Binary files )/.test(line)) {
+      anchors.push({ file, line: null });
+    } else {
+      // Commit message, diffstat, or the "-- " signature after the last hunk
+      anchors.push(null);
+    }
+  }
+  return anchors;
+}
+
+/**
+ * Find the line of a patch a file/line anchor points at
+ * @param {Array} anchors - Result of getDiffLineAnchors
+ * @param {string} file - Path in the new tree
+ * @param {number} line - Line number
+ * @param {string} [side] - "new" (default) or "old"
+ * @returns {number} - Index into the patch lines, or -1
+ */
+export function findAnchoredLine(anchors, file, line, side = 'new') {
+  return anchors.findIndex(anchor =>
+    anchor && !anchor.hunk && anchor.file === file && anchor.line === line && anchor.side === side
+  );
+}
@@ -0,0 +1,138 @@
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Get the editor git would use (GIT_EDITOR, core.editor, VISUAL, EDITOR, then vi)
+ * @returns {string} - Editor command, possibly with arguments
+ */
+export function getEditor() {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['var', 'GIT_EDITOR'], { encoding: 'utf-8' });
+  return (result.status === 0 && result.stdout.trim()) || process.env.VISUAL || process.env.EDITOR || 'vi';
+}
+
+/**
+ * Let the user edit a text in their editor, like git commit does
+ * @param {string} text - Initial content of the file
+ * @param {string} [fileName] - Name of the temporary file (its extension selects the editor's syntax mode)
+ * @returns {string} - Edited content
+ * @throws {Error} - If the editor cannot be started or exits with an error
+ */
+export function editText(text, fileName = 'GITREPUBLIC_EDITMSG') {
+  const dir = mkdtempSync(join(tmpdir(), 'gitrepublic-edit-'));
+  const file = join(dir, fileName);
+  try {
+    writeFileSync(file, text, { mode: 0o600 });
+    const editor = getEditor();
+    // The editor setting may carry arguments ("code --wait"), so it runs through sh like git does.
+    // Security: the file path is passed as a positional parameter, never interpolated into the command
+    const result = spawnSync('sh', ['-c', `${editor} "$@"`, editor, file], { stdio: 'inherit' });
+    if (result.error || result.status !== 0) {
+      throw new Error(`Editor "${editor}" failed${result.status !== null ? ` (exit code ${result.status})` : ''}`);
+    }
+    return readFileSync(file, 'utf-8');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Remove the "#" comment lines of an edited file
+ * @param {string} text - Edited content
+ * @returns {string}
+ */
+export function stripCommentLines(text) {
+  return text.split('\n').filter(line => !line.startsWith('#')).join('\n');
+}
+
+/**
+ * Line below which an edited file is cut off, like git commit --cleanup=scissors
+ * (Markdown headings start with "#" too, so the instructions can't be plain comment lines)
+ */
+const SCISSORS = '# ------------------------ >8 ------------------------';
+
+/**
+ * Build the file for composing a title, header fields and a body in the editor
+ * @param {Object} options
+ * @param {string} [options.title] - First line
+ * @param {Object<string, string>} [options.fields] - Front-matter fields between "---" lines, with their initial values
+ * @param {string} [options.body] - Text below the header
+ * @param {string[]} [options.help] - Instructions, shown below the scissors line
+ * @returns {string}
+ */
+export function buildComposeText({ title = '', fields = {}, body = '', help = [] }) {
+  const header = Object.entries(fields).map(([name, value]) => `${name}: ${value}`);
+  return [
+    title,
+    ...(header.length > 0 ? ['---', ...header, '---'] : []),
+    '',
+    body,
+    '',
+    SCISSORS,
+    '# Do not modify or remove the line above; everything below it is ignored.',
+    ...help.map(line => `# ${line}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parse a file written with buildComposeText
+ * @param {string} text - Edited content
+ * @returns {{title: string, fields: Object<string, string>, body: string}}
+ */
+export function parseComposeText(text) {
+  const scissors = text.split('\n').indexOf(SCISSORS);
+  const lines = (scissors === -1 ? text.split('\n') : text.split('\n').slice(0, scissors));
+  const title = (lines.shift() || '').trim();
+  const fields = {};
+  if (lines[0]?.trim() === '---') {
+    const end = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+    if (end !== -1) {
+      for (const line of lines.slice(1, end)) {
+        const match = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (match) {
+          fields[match[1].toLowerCase()] = match[2];
+        }
+      }
+      lines.splice(0, end + 1);
+    }
+  }
+  return { title, fields, body: lines.join('\n').trim() };
+}
+
+/**
+ * Let the user compose a title, header fields and a body in their editor
+ * @param {Object} options - See buildComposeText
+ * @param {string} [fileName] - Name of the temporary file
+ * @returns {{title: string, fields: Object<string, string>, body: string}|null} - null if the title was left empty
+ * @throws {Error} - If the editor cannot be started or exits with an error
+ */
+export function composeInEditor(options, fileName = 'GITREPUBLIC_EDITMSG.md') {
+  const composed = parseComposeText(editText(buildComposeText(options), fileName));
+  return composed.title ? composed : null;
+}
+
+/**
+ * Read text from a file, or from stdin for "-"
+ * @param {string} path - File path or "-"
+ * @returns {string}
+ * @throws {Error} - If the file cannot be read
+ */
+export function readTextInput(path) {
+  try {
+    return readFileSync(path === '-' ? 0 : path, 'utf-8');
+  } catch (err) {
+    throw new Error(`Cannot read ${path === '-' ? 'stdin' : path}: ${err.message}`);
+  }
+}
+
+/**
+ * Split a comma-separated header field into its values
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+export function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
@@ -15,5 +15,6 @@ export function sanitizeErrorMessage(message) {
     .replace(/secret.*key[=:]\s*[^\s]+/gi, '[secret-key]')
     .replace(/NOSTRGIT_SECRET_KEY[=:]\s*[^\s]+/gi, 'NOSTRGIT_SECRET_KEY=[redacted]')
     .replace(/NOSTR_PRIVATE_KEY[=:]\s*[^\s]+/gi, 'NOSTR_PRIVATE_KEY=[redacted]')
-    .replace(/NSEC[=:]\s*[^\s]+/gi, 'NSEC=[redacted]');
+    .replace(/NSEC[=:]\s*[^\s]+/gi, 'NSEC=[redacted]')
+    .replace(/NOSTRGIT_KEY_PASSPHRASE[=:]\s*[^\s]+/gi, 'NOSTRGIT_KEY_PASSPHRASE=[redacted]');
 }
@@ -1,5 +1,54 @@
-import { writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { findRepoRoot } from './git.js';
+
+/**
+ * Get the JSONL file name (in nostr/) for an event kind
+ */
+export function getEventStorageFile(kind) {
+  switch (kind) {
+    case 30617: return 'repo-announcements.jsonl'; // REPO_ANNOUNCEMENT
+    case 1641: return 'ownership-transfers.jsonl'; // OWNERSHIP_TRANSFER
+    case 1617: return 'patches.jsonl'; // PATCH
+    case 1618: return 'pull-requests.jsonl'; // PULL_REQUEST
+    case 1619: return 'pull-request-updates.jsonl'; // PULL_REQUEST_UPDATE
+    case 1621: return 'issues.jsonl'; // ISSUE
+    case 1111: return 'comments.jsonl'; // COMMENT (NIP-22)
+    case 1630: // STATUS_OPEN
+    case 1631: // STATUS_APPLIED
+    case 1632: // STATUS_CLOSED
+    case 1633: return 'status-events.jsonl'; // STATUS_DRAFT
+    case 30618: return 'repo-states.jsonl'; // REPO_STATE
+    case 1640: return 'commit-signatures.jsonl'; // COMMIT_SIGNATURE (commit and tag signatures, attestations)
+    default: return `events-kind-${kind}.jsonl`; // Unknown event types go to a generic file
+  }
+}
+
+/**
+ * Read the events of a kind stored in the repository's nostr/ directory
+ * @param {number} kind - Event kind
+ * @returns {Object[]} - Stored events (empty outside a git repository); unparseable lines are skipped
+ */
+export function readStoredEvents(kind) {
+  const repoRoot = findRepoRoot();
+  const file = repoRoot ? join(repoRoot, 'nostr', getEventStorageFile(kind)) : null;
+  if (!file || !existsSync(file)) {
+    return [];
+  }
+  const events = [];
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event.kind === kind) {
+        events.push(event);
+      }
+    } catch {
+      // Skip corrupted lines
+    }
+  }
+  return events;
+}
 
 /**
  * Store event in appropriate JSONL file based on event kind
@@ -8,19 +57,7 @@ import { join, dirname } from 'path';
 export function storeEventInJsonl(event) {
   try {
     // Find repository root (look for .git directory)
-    let repoRoot = null;
-    let currentDir = process.cwd();
-    
-    for (let i = 0; i < 10; i++) {
-      const potentialGitDir = join(currentDir, '.git');
-      if (existsSync(potentialGitDir)) {
-        repoRoot = currentDir;
-        break;
-      }
-      const parentDir = dirname(currentDir);
-      if (parentDir === currentDir) break;
-      currentDir = parentDir;
-    }
+    const repoRoot = findRepoRoot();
     
     if (!repoRoot) {
       // Not in a git repo, skip storing
@@ -34,40 +71,7 @@ export function storeEventInJsonl(event) {
       mkdirSync(nostrDir, { recursive: true });
     }
     
-    // Determine JSONL file name based on event kind
-    let jsonlFile;
-    switch (event.kind) {
-      case 30617: // REPO_ANNOUNCEMENT
-        jsonlFile = join(nostrDir, 'repo-announcements.jsonl');
-        break;
-      case 1641: // OWNERSHIP_TRANSFER
-        jsonlFile = join(nostrDir, 'ownership-transfers.jsonl');
-        break;
-      case 1617: // PATCH
-        jsonlFile = join(nostrDir, 'patches.jsonl');
-        break;
-      case 1618: // PULL_REQUEST
-        jsonlFile = join(nostrDir, 'pull-requests.jsonl');
-        break;
-      case 1619: // PULL_REQUEST_UPDATE
-        jsonlFile = join(nostrDir, 'pull-request-updates.jsonl');
-        break;
-      case 1621: // ISSUE
-        jsonlFile = join(nostrDir, 'issues.jsonl');
-        break;
-      case 1630: // STATUS_OPEN
-      case 1631: // STATUS_APPLIED
-      case 1632: // STATUS_CLOSED
-      case 1633: // STATUS_DRAFT
-        jsonlFile = join(nostrDir, 'status-events.jsonl');
-        break;
-      case 30618: // REPO_STATE
-        jsonlFile = join(nostrDir, 'repo-states.jsonl');
-        break;
-      default:
-        // Store unknown event types in a generic file
-        jsonlFile = join(nostrDir, `events-kind-${event.kind}.jsonl`);
-    }
+    const jsonlFile = join(nostrDir, getEventStorageFile(event.kind));
     
     // Append event to JSONL file
     const eventLine = JSON.stringify(event) + '\n';
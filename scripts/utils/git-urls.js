@@ -0,0 +1,138 @@
+/**
+ * Check if a URL is an SSH URL (git@host:path or ssh://)
+ */
+export function isSshUrl(url) {
+  return url.startsWith('git@') || url.startsWith('ssh://') || /^[a-zA-Z0-9_]+@/.test(url);
+}
+
+/**
+ * Convert SSH URL to HTTPS URL for reachability testing
+ * Examples:
+ *   git@github.com:user/repo.git -> https://github.com/user/repo.git
+ *   git@git.imwald.eu:2222/user/repo.git -> https://git.imwald.eu/user/repo.git
+ *   ssh://git@host:port/path -> https://host/path
+ */
+export function sshToHttps(url) {
+  // Handle ssh:// URLs
+  if (url.startsWith('ssh://')) {
+    const match = url.match(/^ssh:\/\/(?:[^@]+@)?([^:\/]+)(?::(\d+))?(?:\/(.+))?$/);
+    if (match) {
+      const [, host, port, path] = match;
+      const cleanPath = path || '';
+      // Remove port from HTTPS URL (ports are usually SSH-specific)
+      return `https://${host}${cleanPath.startsWith('/') ? cleanPath : '/' + cleanPath}`;
+    }
+  }
+  
+  // Handle git@host:path format
+  if (url.startsWith('git@') || /^[a-zA-Z0-9_]+@/.test(url)) {
+    const match = url.match(/^(?:[^@]+@)?([^:]+):(.+)$/);
+    if (match) {
+      const [, host, path] = match;
+      // Remove port if present (e.g., git.imwald.eu:2222 -> git.imwald.eu)
+      const hostWithoutPort = host.split(':')[0];
+      const cleanPath = path.startsWith('/') ? path : '/' + path;
+      return `https://${hostWithoutPort}${cleanPath}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Keep remote URLs others can clone from (http(s) and git://), without embedded credentials
+ * @param {string} url - Remote URL
+ * @returns {string|null}
+ */
+export function toPublicCloneUrl(url) {
+  if (!/^(https?|git):\/\//.test(url || '')) {
+    return null;
+  }
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check if a git URL is reachable
+ * Tests the info/refs endpoint to see if the server responds
+ * Converts SSH URLs to HTTPS for testing
+ * @param {string} url - Clone URL
+ * @param {number} [timeout] - Timeout in milliseconds
+ * @returns {Promise<{reachable: boolean, error: string|undefined}>}
+ */
+export async function checkUrlReachability(url, timeout = 5000) {
+  let testUrl = url;
+  
+  // Convert SSH URLs to HTTPS for testing
+  if (isSshUrl(url)) {
+    const httpsUrl = sshToHttps(url);
+    if (httpsUrl) {
+      testUrl = httpsUrl;
+    } else {
+      // If we can't convert, assume reachable (will fail on actual fetch if not)
+      return { reachable: true, error: undefined };
+    }
+  }
+  
+  try {
+    // Parse URL and construct test endpoint
+    let finalTestUrl = testUrl;
+    
+    // Handle git:// URLs
+    if (finalTestUrl.startsWith('git://')) {
+      finalTestUrl = finalTestUrl.replace('git://', 'http://');
+    }
+    
+    // Ensure URL ends with .git for the test
+    if (!finalTestUrl.endsWith('.git')) {
+      finalTestUrl = finalTestUrl.replace(/\/$/, '') + '.git';
+    }
+    
+    const urlObj = new URL(finalTestUrl);
+    
+    // Only test HTTP/HTTPS URLs
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      // For other protocols, assume reachable
+      return { reachable: true, error: undefined };
+    }
+    
+    const testEndpoint = `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}/info/refs?service=git-upload-pack`;
+    
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+      const response = await fetch(testEndpoint, {
+        method: 'GET',
+        signal: controller.signal,
+        redirect: 'manual',
+        headers: {
+          'User-Agent': 'GitRepublic-CLI/1.0'
+        }
+      });
+      
+      clearTimeout(timeoutId);
+      // Any HTTP status < 600 means server is reachable
+      return { reachable: response.status < 600, error: response.status >= 600 ? `HTTP ${response.status}` : undefined };
+    } catch (fetchError) {
+      clearTimeout(timeoutId);
+      if (fetchError instanceof Error && fetchError.name === 'AbortError') {
+        return { reachable: false, error: 'Timeout' };
+      }
+      return { reachable: false, error: fetchError instanceof Error ? fetchError.message : 'Network error' };
+    }
+  } catch (urlError) {
+    // If URL parsing fails, it might be a malformed URL
+    // For SSH URLs that we couldn't convert, assume reachable (will fail on actual fetch if not)
+    if (isSshUrl(url)) {
+      return { reachable: true, error: undefined };
+    }
+    return { reachable: false, error: urlError instanceof Error ? urlError.message : 'Invalid URL' };
+  }
+}
@@ -0,0 +1,480 @@
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync, readdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+
+/**
+ * Find the repository root (directory containing .git) by walking up from startDir
+ * @param {string} [startDir] - Directory to start from (default: cwd)
+ * @returns {string|null} - Repository root, or null when not inside a git repository
+ */
+export function findRepoRoot(startDir = process.cwd()) {
+  let currentDir = startDir;
+  
+  for (let i = 0; i < 10; i++) {
+    if (existsSync(join(currentDir, '.git'))) {
+      return currentDir;
+    }
+    const parentDir = dirname(currentDir);
+    if (parentDir === currentDir) break;
+    currentDir = parentDir;
+  }
+  
+  return null;
+}
+
+/**
+ * Get the fetch/push URLs of all remotes of the repository in cwd
+ * @returns {string[]} - Remote URLs (empty outside a git repository)
+ */
+export function getRemoteUrls() {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['remote', '-v'], { encoding: 'utf-8' });
+  if (result.status !== 0 || !result.stdout) {
+    return [];
+  }
+  const urls = result.stdout
+    .split('\n')
+    .map(line => line.split(/\s+/)[1])
+    .filter(Boolean);
+  return [...new Set(urls)];
+}
+
+/**
+ * Get the earliest unique commit (root commit) of a revision, used as the NIP-34 "euc"
+ * @param {string} [rev] - Revision (default: HEAD)
+ * @returns {string|null} - Commit ID, or null if the revision has no commits
+ */
+export function getEarliestCommit(rev = 'HEAD') {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['rev-list', '--max-parents=0', rev, '--'], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    return null;
+  }
+  // Repositories with merged histories have several roots: rev-list lists the oldest last
+  const roots = result.stdout.trim().split('\n').filter(Boolean);
+  return roots.length > 0 ? roots[roots.length - 1] : null;
+}
+
+/**
+ * Read the repository description from .git/description (ignoring git's placeholder text)
+ * @returns {string} - Description, or '' if not set
+ */
+export function getGitDescription() {
+  const result = spawnSync('git', ['rev-parse', '--git-dir'], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    return '';
+  }
+  const file = join(result.stdout.trim(), 'description');
+  if (!existsSync(file)) {
+    return '';
+  }
+  const description = readFileSync(file, 'utf-8').trim();
+  return description.startsWith('Unnamed repository;') ? '' : description;
+}
+
+function refPatternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Check whether a ref matches a pattern: full ref names (refs/heads/release-*),
+ * or short branch/tag names (main, v1.*), with * as wildcard
+ */
+function refMatches(ref, pattern) {
+  const regex = refPatternToRegExp(pattern);
+  if (pattern.startsWith('refs/')) {
+    return regex.test(ref);
+  }
+  return regex.test(ref.replace(/^refs\/(heads|tags)\//, ''));
+}
+
+/**
+ * Whether a ref passes the include and exclude patterns of a snapshot
+ */
+function refSelected(ref, include, exclude) {
+  return (include.length === 0 || include.some(pattern => refMatches(ref, pattern))) &&
+    !exclude.some(pattern => refMatches(ref, pattern));
+}
+
+/**
+ * Snapshot the branches and tags of the repository in cwd (for NIP-34 repository state)
+ * @param {Object} [options]
+ * @param {string[]} [options.include] - Only refs matching one of these patterns (default: all)
+ * @param {string[]} [options.exclude] - Skip refs matching one of these patterns
+ * @returns {{refs: Array<{ref: string, commit: string}>, head: string|null}} - Annotated tags
+ *   resolve to the commit they point to; head is the checked-out branch (null when detached)
+ * @throws {Error} - If git for-each-ref fails (e.g. not in a git repository)
+ */
+export function getRefSnapshot({ include = [], exclude = [] } = {}) {
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', [
+    'for-each-ref',
+    '--format=%(refname)%00%(objectname)%00%(*objectname)',
+    'refs/heads',
+    'refs/tags'
+  ], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    throw new Error(`git for-each-ref failed: ${(result.stderr || '').trim()}`);
+  }
+
+  const refs = [];
+  for (const line of result.stdout.split('\n')) {
+    if (!line) continue;
+    const [ref, object, peeled] = line.split('\0');
+    if (refSelected(ref, include, exclude)) {
+      refs.push({ ref, commit: peeled || object });
+    }
+  }
+
+  const head = spawnSync('git', ['symbolic-ref', '--quiet', 'HEAD'], { encoding: 'utf-8' });
+  const headRef = head.status === 0 ? head.stdout.trim() : null;
+  return {
+    refs,
+    head: headRef && headRef.startsWith('refs/heads/') ? headRef.slice('refs/heads/'.length) : null
+  };
+}
+
+/**
+ * Snapshot the branches and tags of a remote repository, as getRefSnapshot does for the local one
+ * (what the remote has, e.g. after a push, rather than what the local refs are)
+ * @param {string} remote - Remote name or URL
+ * @param {Object} [options]
+ * @param {string[]} [options.include] - Only refs matching one of these patterns (default: all)
+ * @param {string[]} [options.exclude] - Skip refs matching one of these patterns
+ * @returns {{refs: Array<{ref: string, commit: string}>, head: string|null}} - Annotated tags
+ *   resolve to the commit they point to; head is the branch the remote HEAD points to
+ * @throws {Error} - If git ls-remote fails
+ */
+export function getRemoteRefSnapshot(remote, { include = [], exclude = [] } = {}) {
+  if (!remote || remote.startsWith('-')) {
+    throw new Error(`Invalid remote: ${remote}`);
+  }
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['ls-remote', '--symref', remote], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    throw new Error(`git ls-remote ${remote} failed: ${(result.stderr || '').trim()}`);
+  }
+
+  const objects = new Map();
+  const peeled = new Map();
+  let head = null;
+  for (const line of result.stdout.split('\n')) {
+    const [object, ref] = line.split('\t');
+    if (!ref) continue;
+    if (object.startsWith('ref: ')) {
+      if (ref === 'HEAD' && object.startsWith('ref: refs/heads/')) {
+        head = object.slice('ref: refs/heads/'.length);
+      }
+    } else if (ref.startsWith('refs/tags/') && ref.endsWith('^{}')) {
+      peeled.set(ref.slice(0, -'^{}'.length), object);
+    } else if (ref.startsWith('refs/heads/') || ref.startsWith('refs/tags/')) {
+      objects.set(ref, object);
+    }
+  }
+
+  const refs = [];
+  for (const [ref, object] of objects) {
+    if (refSelected(ref, include, exclude)) {
+      refs.push({ ref, commit: peeled.get(ref) || object });
+    }
+  }
+  return { refs, head };
+}
+
+/**
+ * Get the subject of a format-patch message, without the [PATCH ...] prefix
+ * @param {string} content - Patch or cover letter text
+ * @returns {string}
+ */
+export function getPatchSubject(content) {
+  const match = content.match(/^Subject: (.*(?:\n[ \t].*)*)/m);
+  return match ? match[1].replace(/\n[ \t]+/g, ' ').replace(/^\[[^\]]*\]\s*/, '').trim() : '';
+}
+
+/**
+ * Run git format-patch on a revision range
+ * @param {string} range - Revision range (e.g. main..feature, HEAD~3, -2)
+ * @param {Object} [options]
+ * @param {boolean} [options.coverLetter] - Also generate a cover letter
+ * @param {number} [options.reroll] - Reroll count (v2, v3, ...) for the subject prefix
+ * @returns {{cover: string|null, patches: Array<{commit: string, parent: string|null, subject: string, content: string}>}}
+ * @throws {Error} - If format-patch fails or the range is empty
+ */
+export function formatPatchSeries(range, { coverLetter = false, reroll = null } = {}) {
+  // Only "-<n>" may look like an option; anything else starting with "-" could inject git options
+  if (range.startsWith('-') && !/^-\d+$/.test(range)) {
+    throw new Error(`Invalid revision range: ${range}`);
+  }
+
+  const outDir = mkdtempSync(join(tmpdir(), 'gitrepublic-patch-'));
+  try {
+    const args = ['format-patch', '--output-directory', outDir];
+    if (coverLetter) args.push('--cover-letter');
+    if (reroll) args.push(`--reroll-count=${reroll}`);
+    args.push(range);
+    if (!range.startsWith('-')) args.push('--');
+
+    // Security: Using spawnSync with argument array (not shell) prevents command injection
+    const result = spawnSync('git', args, { encoding: 'utf-8' });
+    if (result.status !== 0) {
+      throw new Error(`git format-patch failed: ${(result.stderr || '').trim()}`);
+    }
+
+    const files = readdirSync(outDir).filter(f => f.endsWith('.patch')).sort();
+    const contents = files.map(f => readFileSync(join(outDir, f), 'utf-8'));
+    const cover = coverLetter && contents.length > 0 ? contents.shift() : null;
+    if (contents.length === 0) {
+      throw new Error(`No commits in ${range}`);
+    }
+
+    const patches = contents.map(content => {
+      const commit = content.match(/^From ([0-9a-f]{40,64}) /)[1];
+      const parent = spawnSync('git', ['rev-parse', '--verify', '--quiet', `${commit}^`], { encoding: 'utf-8' });
+      return {
+        commit,
+        parent: parent.status === 0 ? parent.stdout.trim() : null,
+        subject: getPatchSubject(content),
+        content
+      };
+    });
+    return { cover, patches };
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run git and return its trimmed output
+ * Security: Using spawnSync with argument array (not shell) prevents command injection
+ * @returns {string|null} - Output, or null if git fails or prints nothing
+ */
+function gitOutput(args) {
+  const result = spawnSync('git', args, { encoding: 'utf-8' });
+  return result.status === 0 && result.stdout.trim() ? result.stdout.trim() : null;
+}
+
+/**
+ * Get the branch HEAD points to
+ * @returns {string|null} - Branch name, or null on a detached HEAD or outside a repository
+ */
+export function getCurrentBranch() {
+  return gitOutput(['symbolic-ref', '--quiet', '--short', 'HEAD']);
+}
+
+/**
+ * Resolve a revision to a commit ID
+ * @param {string} rev - Revision (use full ref names, a leading "-" is rejected)
+ * @returns {string|null} - Commit ID, or null if it does not exist
+ */
+export function resolveCommit(rev) {
+  if (!rev || rev.startsWith('-')) {
+    return null;
+  }
+  return gitOutput(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]);
+}
+
+/**
+ * Get the best common ancestor of two commits
+ * @returns {string|null} - Commit ID, or null if they have no common history
+ */
+export function getMergeBase(a, b) {
+  if ([a, b].some(rev => !rev || rev.startsWith('-'))) {
+    return null;
+  }
+  return gitOutput(['merge-base', a, b]);
+}
+
+/**
+ * Get the remote branch a local branch tracks (branch.<name>.remote and branch.<name>.merge)
+ * @param {string} branch - Local branch name
+ * @returns {{remote: string, branch: string}|null} - null without an upstream or when it is a local branch
+ */
+export function getBranchUpstream(branch) {
+  const remote = gitOutput(['config', '--get', `branch.${branch}.remote`]);
+  const merge = gitOutput(['config', '--get', `branch.${branch}.merge`]);
+  if (!remote || remote === '.' || !merge || !merge.startsWith('refs/heads/')) {
+    return null;
+  }
+  return { remote, branch: merge.slice('refs/heads/'.length) };
+}
+
+/**
+ * Get the remote a branch is pushed to, like git push without arguments
+ * (branch.<name>.pushRemote, remote.pushDefault, branch.<name>.remote, then origin or the only remote)
+ * @param {string} branch - Local branch name
+ * @returns {string|null} - Remote name
+ */
+export function getPushRemote(branch) {
+  const configured = gitOutput(['config', '--get', `branch.${branch}.pushRemote`]) ||
+    gitOutput(['config', '--get', 'remote.pushDefault']) ||
+    gitOutput(['config', '--get', `branch.${branch}.remote`]);
+  if (configured && configured !== '.') {
+    return configured;
+  }
+  const remotes = (gitOutput(['remote']) || '').split('\n').filter(Boolean);
+  return remotes.includes('origin') ? 'origin' : remotes.length === 1 ? remotes[0] : null;
+}
+
+/**
+ * Get the default branch of a remote (refs/remotes/<remote>/HEAD, set by git clone or git remote set-head)
+ * @param {string} remote - Remote name
+ * @returns {string|null} - Branch name
+ */
+export function getRemoteDefaultBranch(remote) {
+  const ref = gitOutput(['symbolic-ref', '--quiet', `refs/remotes/${remote}/HEAD`]);
+  const prefix = `refs/remotes/${remote}/`;
+  return ref && ref.startsWith(prefix) ? ref.slice(prefix.length) : null;
+}
+
+/**
+ * Get the hash, tree, parents and message of a commit
+ * @param {string} rev - Revision (a leading "-" is rejected)
+ * @returns {{sha: string, tree: string, parents: string[], message: string}|null} - null if it is not a commit
+ */
+export function getCommitInfo(rev) {
+  const sha = resolveCommit(rev);
+  if (!sha) {
+    return null;
+  }
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['show', '-s', '--format=%T%n%P%n%B', sha], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    return null;
+  }
+  const [tree, parents, ...message] = result.stdout.split('\n');
+  return { sha, tree, parents: parents.split(' ').filter(Boolean), message: message.join('\n').trim() };
+}
+
+/**
+ * Run git log and parse the commits it lists (newest first)
+ * -z separates the commits with NUL characters, which commit messages cannot contain
+ * Security: Using spawnSync with argument array (not shell) prevents command injection
+ * @returns {Array<{sha: string, tree: string, parents: string[], message: string}>|null} - null if git fails
+ */
+function readCommits(revArgs) {
+  const result = spawnSync('git', ['log', '-z', '--format=%H%n%T%n%P%n%B', ...revArgs, '--'], {
+    encoding: 'utf-8',
+    maxBuffer: 256 * 1024 * 1024
+  });
+  if (result.status !== 0) {
+    return null;
+  }
+  return result.stdout.split('\0').filter(Boolean).map(record => {
+    const [sha, tree, parents, ...message] = record.split('\n');
+    return { sha, tree, parents: parents.split(' ').filter(Boolean), message: message.join('\n').trim() };
+  });
+}
+
+/**
+ * List the commits of a revision range, like git log (newest first)
+ * @param {string} range - Revision range ("main..HEAD", "v1.0...v2.0", or a revision for its whole history;
+ *   a leading "-" is rejected)
+ * @returns {Array<{sha: string, tree: string, parents: string[], message: string}>|null} - null if the range is invalid
+ */
+export function listCommits(range) {
+  if (!range || range.startsWith('-')) {
+    return null;
+  }
+  return readCommits([range]);
+}
+
+/**
+ * List the commits of a revision that no remote-tracking branch of a remote contains,
+ * i.e. the commits a push of it to that remote would send
+ * @param {string} rev - Revision (full ref name or commit ID; a leading "-" is rejected)
+ * @param {string|null} [remote] - Remote name (null: the commits of no remote)
+ * @returns {Array<{sha: string, tree: string, parents: string[], message: string}>|null} - null if the revision is not a commit
+ */
+export function listUnpushedCommits(rev, remote = null) {
+  if (!resolveCommit(rev) || (remote && remote.startsWith('-'))) {
+    return null;
+  }
+  return readCommits([rev, '--not', remote ? `--remotes=${remote}` : '--remotes']);
+}
+
+/**
+ * Get the paths a commit changes (compared to its first parent; none for merge commits)
+ * @param {string} sha - Commit ID
+ * @returns {string[]}
+ */
+export function getChangedPaths(sha) {
+  if (!sha || sha.startsWith('-')) {
+    return [];
+  }
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['diff-tree', '--no-commit-id', '--name-only', '-r', '--root', '-z', sha], {
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+  return result.status === 0 ? result.stdout.split('\0').filter(Boolean) : [];
+}
+
+/**
+ * Resolve a revision to the object it names, without peeling tags
+ * @param {string} rev - Revision (a leading "-" is rejected)
+ * @returns {{sha: string, type: string}|null} - Object ID and type (commit, tag, tree or blob), or null if it does not exist
+ */
+export function resolveObject(rev) {
+  if (!rev || rev.startsWith('-')) {
+    return null;
+  }
+  const sha = gitOutput(['rev-parse', '--verify', '--quiet', `${rev}^{object}`]);
+  const type = sha ? gitOutput(['cat-file', '-t', sha]) : null;
+  return type ? { sha, type } : null;
+}
+
+/**
+ * Signature blocks git appends to the message of tags signed with GPG, SSH or X.509 (git tag -s)
+ */
+const TAG_SIGNATURE_BLOCK = /^-----BEGIN (?:PGP SIGNATURE|SSH SIGNATURE|SIGNED MESSAGE)-----$/m;
+
+/**
+ * Read a tag
+ * @param {string} name - Tag name (without refs/tags/; a leading "-" is rejected)
+ * @returns {{name: string, sha: string, object: string, type: string, message: string|null, lightweight: boolean}|null}
+ *   sha is the tag object (the target itself for a lightweight tag), object and type its target; message is
+ *   null for a lightweight tag and excludes a GPG/SSH signature block; null if there is no such tag
+ */
+export function getTagInfo(name) {
+  const target = name && !name.startsWith('-') ? resolveObject(`refs/tags/${name}`) : null;
+  if (!target) {
+    return null;
+  }
+  if (target.type !== 'tag') {
+    return { name, sha: target.sha, object: target.sha, type: target.type, message: null, lightweight: true };
+  }
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['cat-file', 'tag', target.sha], { encoding: 'utf-8' });
+  if (result.status !== 0) {
+    return null;
+  }
+  const separator = result.stdout.indexOf('\n\n');
+  const header = (separator === -1 ? result.stdout : result.stdout.slice(0, separator)).split('\n');
+  const body = separator === -1 ? '' : result.stdout.slice(separator + 2);
+  const field = key => header.find(line => line.startsWith(`${key} `))?.slice(key.length + 1) || null;
+  const signatureStart = body.search(TAG_SIGNATURE_BLOCK);
+  return {
+    name,
+    sha: target.sha,
+    object: field('object'),
+    type: field('type'),
+    message: (signatureStart === -1 ? body : body.slice(0, signatureStart)).trim(),
+    lightweight: false
+  };
+}
+
+/**
+ * List tag names
+ * @param {string|null} [pattern] - Only tags matching this pattern (like git tag --list <pattern>)
+ * @returns {string[]|null} - Tag names in git's order, or null if git fails
+ */
+export function listTags(pattern = null) {
+  if (pattern && pattern.startsWith('-')) {
+    return null;
+  }
+  // Security: Using spawnSync with argument array (not shell) prevents command injection
+  const result = spawnSync('git', ['tag', '--list', ...(pattern ? [pattern] : [])], { encoding: 'utf-8' });
+  return result.status === 0 ? result.stdout.split('\n').filter(Boolean) : null;
+}
@@ -0,0 +1,163 @@
+import { join } from 'path';
+import { homedir } from 'os';
+import { getConfigValue, getIdentities, getUserConfigDir } from '../config.js';
+import { normalizePubkey, readKeyfile, unlockSecretKey } from './keys.js';
+
+/**
+ * Named identities
+ *
+ * Identities live under "identities" in the user config file. Each names one key
+ * source and the remotes it is used for:
+ *
+ *   "identities": {
+ *     "work": {
+ *       "keyfile": "~/.config/gitrepublic/keys/work.ncryptsec",  // or "key-env": "VAR", or "bunker": "bunker://..."
+ *       "npubs": ["npub1company..."],                              // repo owners (path segment /api/git/<npub>/)
+ *       "urls": ["https://git.company.com/api/git/*"],             // remote URL patterns (* wildcard)
+ *       "hosts": ["git.company.com", "*.company.com"]
+ *     }
+ *   }
+ */
+
+const NPUB_SEGMENT = /(?:^|[/:])(npub1[02-9ac-hj-np-z]{58})(?=[/.]|$)/;
+
+/**
+ * Extract the repository owner npub from a remote URL path (e.g. /api/git/npub1.../repo.git)
+ * @param {string} url - Remote URL
+ * @returns {string|null} - npub, or null if the URL has no npub segment
+ */
+export function extractOwnerNpub(url) {
+  const match = (url || '').match(NPUB_SEGMENT);
+  return match ? match[1] : null;
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    // scp-like SSH syntax: user@host:path
+    const match = (url || '').match(/^(?:[^@/]+@)?([^:/]+):/);
+    return match ? match[1].toLowerCase() : null;
+  }
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function hostMatches(host, pattern) {
+  const p = pattern.toLowerCase();
+  if (p.startsWith('*.')) {
+    return host === p.slice(2) || host.endsWith(p.slice(1));
+  }
+  return host === p;
+}
+
+function toHex(pubkey) {
+  try {
+    return normalizePubkey(pubkey);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the identity for a remote URL: owner npub first, then URL patterns, then hosts
+ * @param {string} url - Remote URL
+ * @param {Object<string, Object>} identities - Identity definitions keyed by name
+ * @returns {{name: string, identity: Object, reason: string}|null}
+ */
+export function matchIdentity(url, identities = getIdentities()) {
+  const entries = Object.entries(identities);
+
+  const owner = extractOwnerNpub(url);
+  if (owner) {
+    const ownerHex = toHex(owner);
+    for (const [name, identity] of entries) {
+      if ((identity.npubs || []).some(npub => toHex(npub) === ownerHex)) {
+        return { name, identity, reason: `owner ${owner.slice(0, 16)}... of ${url}` };
+      }
+    }
+  }
+
+  for (const [name, identity] of entries) {
+    if ((identity.urls || []).some(pattern => globToRegExp(pattern).test(url))) {
+      return { name, identity, reason: `URL pattern matching ${url}` };
+    }
+  }
+
+  const host = getHost(url);
+  if (host) {
+    for (const [name, identity] of entries) {
+      if ((identity.hosts || []).some(pattern => hostMatches(host, pattern))) {
+        return { name, identity, reason: `host ${host}` };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Select the identity to sign with
+ * @param {Object} options
+ * @param {string[]} options.urls - Remote URLs to match against identity rules
+ * @param {boolean} options.preferConfigured - Let the "identity" setting win over URL matches
+ *   (commit hook, publish commands); the credential helper matches the request URL first
+ * @returns {{name: string, identity: Object, reason: string}|null} - null: use the default key
+ * @throws {Error} - If the "identity" setting names an unknown identity
+ */
+export function selectIdentity({ urls = [], preferConfigured = true } = {}) {
+  const identities = getIdentities();
+  const configuredName = getConfigValue('identity');
+  let configured = null;
+  if (configuredName) {
+    if (!identities[configuredName]) {
+      throw new Error(`Unknown identity: ${configuredName} (see: gitrep identity list)`);
+    }
+    configured = { name: configuredName, identity: identities[configuredName], reason: 'identity setting' };
+  }
+
+  if (preferConfigured && configured) {
+    return configured;
+  }
+  for (const url of urls) {
+    const match = matchIdentity(url, identities);
+    if (match) {
+      return match;
+    }
+  }
+  return configured;
+}
+
+/**
+ * Get the keyfile of an identity (default: keys/<name>.ncryptsec in the user config dir)
+ */
+export function getIdentityKeyfile(name, identity = {}) {
+  if (!identity.keyfile) {
+    return join(getUserConfigDir(), 'keys', `${name}.ncryptsec`);
+  }
+  return identity.keyfile.startsWith('~/') ? join(homedir(), identity.keyfile.slice(2)) : identity.keyfile;
+}
+
+/**
+ * Resolve the private key of a local-key identity ("key-env" or keyfile)
+ * @returns {Promise<string>} - Private key (nsec or hex)
+ */
+export async function resolveIdentitySecretKey(name, identity, { interactive = true } = {}) {
+  if (identity['key-env']) {
+    const value = process.env[identity['key-env']];
+    if (!value) {
+      throw new Error(`Identity "${name}": environment variable ${identity['key-env']} is not set`);
+    }
+    return value.startsWith('ncryptsec1') ? unlockSecretKey(value, { interactive }) : value;
+  }
+
+  const keyfile = getIdentityKeyfile(name, identity);
+  const ncryptsec = readKeyfile(keyfile);
+  if (!ncryptsec) {
+    throw new Error(`Identity "${name}": no keyfile at ${keyfile} (run: gitrep key import --identity ${name})`);
+  }
+  return unlockSecretKey(ncryptsec, { interactive });
+}
@@ -1,16 +1,23 @@
+import { existsSync, readFileSync } from 'fs';
 import { decode } from 'nostr-tools/nip19';
+import * as nip49 from 'nostr-tools/nip49';
 import { getPublicKey } from 'nostr-tools';
+import { getConfigValue } from '../config.js';
+import { getKeyFromAgent, addKeyToAgent } from './agent.js';
+import { promptSecret } from './prompt.js';
 
 /**
  * Get private key bytes from nsec or hex string
+ * This is the single key parser used by the CLI, credential helper, commit hook and wrapper.
  * NEVER logs or exposes the private key
- * @param {string} key - nsec string or hex private key
+ * @param {string} key - nsec string or hex private key (any case, surrounding whitespace ignored)
  * @returns {Uint8Array} - Private key bytes
  */
 export function getPrivateKeyBytes(key) {
   if (!key || typeof key !== 'string') {
     throw new Error('Invalid key: key must be a string');
   }
+  key = key.trim();
   
   try {
     if (key.startsWith('nsec')) {
@@ -59,3 +66,124 @@ export function getPrivateKeyFromEnv() {
   }
   return secretKey;
 }
+
+/**
+ * Normalize a public key given as npub or hex to lowercase hex
+ * @param {string} key - npub or hex public key
+ * @returns {string} - Public key (hex)
+ * @throws {Error} - If the key is neither a valid npub nor 64-char hex
+ */
+export function normalizePubkey(key) {
+  if (!key || typeof key !== 'string') {
+    throw new Error('Invalid pubkey: pubkey must be a string');
+  }
+  if (key.startsWith('npub')) {
+    const decoded = decode(key);
+    if (decoded.type !== 'npub') {
+      throw new Error('Invalid npub format');
+    }
+    return decoded.data;
+  }
+  if (/^[0-9a-fA-F]{64}$/.test(key)) {
+    return key.toLowerCase();
+  }
+  throw new Error('Invalid pubkey format. Use npub or hex.');
+}
+
+/**
+ * Encrypt a private key with a passphrase (NIP-49)
+ * @param {string} secretKey - nsec or hex private key
+ * @param {string} passphrase - Passphrase
+ * @param {number} logn - scrypt work factor (log2 of N)
+ * @returns {string} - ncryptsec string
+ */
+export function encryptSecretKey(secretKey, passphrase, logn = 16) {
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  return nip49.encrypt(getPrivateKeyBytes(secretKey), passphrase.normalize('NFKC'), logn);
+}
+
+/**
+ * Decrypt a NIP-49 ncryptsec with a passphrase
+ * @param {string} ncryptsec - Encrypted key
+ * @param {string} passphrase - Passphrase
+ * @returns {string} - Private key (hex)
+ * @throws {Error} - If the passphrase is wrong or the ncryptsec is malformed
+ */
+export function decryptSecretKey(ncryptsec, passphrase) {
+  try {
+    return Buffer.from(nip49.decrypt(ncryptsec.trim(), passphrase.normalize('NFKC'))).toString('hex');
+  } catch {
+    throw new Error('Could not decrypt key: wrong passphrase or invalid ncryptsec');
+  }
+}
+
+/**
+ * Read the ncryptsec from a keyfile
+ * @param {string} [path] - Keyfile path (default: the configured keyfile)
+ * @returns {string|null} - ncryptsec, or null if there is no keyfile
+ */
+export function readKeyfile(path = getConfigValue('keyfile')) {
+  if (!path || !existsSync(path)) {
+    return null;
+  }
+  const content = readFileSync(path, 'utf-8').trim();
+  if (!content.startsWith('ncryptsec1')) {
+    throw new Error(`Keyfile ${path} does not contain an ncryptsec key`);
+  }
+  return content;
+}
+
+/**
+ * Unlock an ncryptsec: use the key agent cache, then NOSTRGIT_KEY_PASSPHRASE,
+ * then prompt on the terminal. Freshly unlocked keys are handed to the agent.
+ * @param {string} ncryptsec - Encrypted key
+ * @param {Object} options
+ * @param {boolean} options.interactive - Allow prompting on the terminal
+ * @returns {Promise<string>} - Private key (hex)
+ */
+export async function unlockSecretKey(ncryptsec, { interactive = true } = {}) {
+  const useAgent = getConfigValue('agent') && getConfigValue('agent-timeout') > 0;
+  if (useAgent) {
+    const cached = await getKeyFromAgent(ncryptsec);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  let passphrase = process.env.NOSTRGIT_KEY_PASSPHRASE;
+  if (!passphrase) {
+    if (!interactive) {
+      throw new Error('Signing key is locked (run "gitrep key unlock" or set NOSTRGIT_KEY_PASSPHRASE)');
+    }
+    passphrase = await promptSecret('Passphrase for Nostr signing key: ');
+  }
+
+  const hexKey = decryptSecretKey(ncryptsec, passphrase);
+  if (useAgent) {
+    await addKeyToAgent(ncryptsec, hexKey);
+  }
+  return hexKey;
+}
+
+/**
+ * Resolve the signing key from NOSTRGIT_SECRET_KEY (nsec, hex or ncryptsec) or the keyfile
+ * @param {Object} options
+ * @param {boolean} options.interactive - Allow prompting for a passphrase
+ * @returns {Promise<string>} - Private key (nsec or hex)
+ * @throws {Error} - If no key is configured or it cannot be unlocked
+ */
+export async function resolveSecretKey({ interactive = true } = {}) {
+  const envKey = process.env.NOSTRGIT_SECRET_KEY || process.env.NOSTR_PRIVATE_KEY || process.env.NSEC;
+  if (envKey) {
+    return envKey.startsWith('ncryptsec1') ? unlockSecretKey(envKey, { interactive }) : envKey;
+  }
+
+  const ncryptsec = readKeyfile();
+  if (ncryptsec) {
+    return unlockSecretKey(ncryptsec, { interactive });
+  }
+
+  throw new Error('NOSTRGIT_SECRET_KEY environment variable is not set and no keyfile found (see "gitrep key import")');
+}
@@ -0,0 +1,75 @@
+import { decode } from 'nostr-tools/nip19';
+import { normalizePubkey } from './keys.js';
+
+/**
+ * Parse a reference to an event: hex event ID, note1... or nevent1...
+ * @param {string} input - Event reference
+ * @returns {{id: string, relays: string[], author: string|null, kind: number|null}}
+ * @throws {Error} - If the input is not an event reference
+ */
+export function parseEventReference(input) {
+  const value = (input || '').trim().replace(/^nostr:/, '');
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return { id: value.toLowerCase(), relays: [], author: null, kind: null };
+  }
+  if (value.startsWith('note1') || value.startsWith('nevent1')) {
+    const decoded = decode(value);
+    if (decoded.type === 'note') {
+      return { id: decoded.data, relays: [], author: null, kind: null };
+    }
+    if (decoded.type === 'nevent') {
+      return {
+        id: decoded.data.id,
+        relays: decoded.data.relays || [],
+        author: decoded.data.author || null,
+        kind: decoded.data.kind ?? null
+      };
+    }
+  }
+  throw new Error(`Invalid event reference: ${input} (expected an event ID, note or nevent)`);
+}
+
+/**
+ * Parse a repository address: naddr1..., 30617:<pubkey>:<repo>, or an owner (npub or hex) plus a repo name
+ * @param {string} input - naddr, address, or owner
+ * @param {string} [repoName] - Repository name when input is an owner
+ * @returns {{pubkey: string, identifier: string, relays: string[]}}
+ * @throws {Error} - If the input is not a repository address
+ */
+export function parseRepoAddress(input, repoName = null) {
+  const value = (input || '').trim().replace(/^nostr:/, '');
+  if (value.startsWith('naddr1')) {
+    const decoded = decode(value);
+    if (decoded.type !== 'naddr' || decoded.data.kind !== 30617) {
+      throw new Error('Invalid naddr: not a repository announcement (kind 30617)');
+    }
+    return { pubkey: decoded.data.pubkey, identifier: decoded.data.identifier, relays: decoded.data.relays || [] };
+  }
+  const match = value.match(/^30617:([0-9a-f]{64}):(.+)$/i);
+  if (match) {
+    return { pubkey: match[1].toLowerCase(), identifier: match[2], relays: [] };
+  }
+  if (repoName) {
+    return { pubkey: normalizePubkey(value), identifier: repoName, relays: [] };
+  }
+  throw new Error(`Invalid repository address: ${input} (expected naddr, 30617:<pubkey>:<repo>, or <owner-npub> <repo>)`);
+}
+
+/**
+ * Find the repository address in GitRepublic clone URLs (<server>/api/git/<npub>/<repo>.git or <server>/repos/<npub>/<repo>)
+ * @param {string[]} urls - Remote URLs
+ * @returns {{pubkey: string, identifier: string, relays: string[]}|null} - Address of the first GitRepublic URL
+ */
+export function getRepoAddressFromUrls(urls) {
+  for (const url of urls) {
+    const match = url.match(/\/(?:api\/git|repos)\/(npub1[02-9ac-hj-np-z]+)\/([^/?#]+?)(?:\.git)?\/?$/);
+    if (match) {
+      try {
+        return { pubkey: normalizePubkey(match[1]), identifier: match[2], relays: [] };
+      } catch {
+        // Not a valid npub: try the next URL
+      }
+    }
+  }
+  return null;
+}
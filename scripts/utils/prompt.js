@@ -0,0 +1,93 @@
+import { openSync, closeSync, writeSync } from 'fs';
+import tty from 'tty';
+
+/**
+ * Prompt for a secret (passphrase) on the controlling terminal without echoing it
+ *
+ * Reads from /dev/tty rather than stdin so it also works from the credential
+ * helper and git hooks, whose stdin is connected to git.
+ *
+ * @param {string} message - Prompt text
+ * @returns {Promise<string>} - The entered secret
+ * @throws {Error} - If there is no terminal or the prompt is cancelled
+ */
+export function promptSecret(message) {
+  return new Promise((resolve, reject) => {
+    let inFd;
+    let outFd;
+    try {
+      inFd = openSync('/dev/tty', 'r');
+      outFd = openSync('/dev/tty', 'w');
+    } catch {
+      if (inFd !== undefined) closeSync(inFd);
+      reject(new Error('No terminal available to prompt for passphrase (set NOSTRGIT_KEY_PASSPHRASE or run "gitrep key unlock")'));
+      return;
+    }
+
+    const input = new tty.ReadStream(inFd);
+    input.setRawMode(true);
+    writeSync(outFd, message);
+
+    let value = '';
+    const finish = (error) => {
+      input.removeListener('data', onData);
+      input.setRawMode(false);
+      input.destroy();
+      writeSync(outFd, '\n');
+      closeSync(outFd);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk.toString('utf-8')) {
+        if (ch === '\r' || ch === '\n') {
+          finish();
+          return;
+        }
+        if (ch === '\u0003' || ch === '\u0004') {
+          // Ctrl-C / Ctrl-D
+          finish(new Error('Passphrase prompt cancelled'));
+          return;
+        }
+        if (ch === '\u007f' || ch === '\b') {
+          value = value.slice(0, -1);
+        } else {
+          value += ch;
+        }
+      }
+    };
+    input.on('data', onData);
+  });
+}
+
+/**
+ * Ask a yes/no question on the controlling terminal
+ * @param {string} message - Question (" [y/N] " is appended)
+ * @returns {Promise<boolean>} - true only for an answer starting with "y"
+ * @throws {Error} - If there is no terminal
+ */
+export function promptConfirm(message) {
+  return new Promise((resolve, reject) => {
+    let inFd;
+    let outFd;
+    try {
+      inFd = openSync('/dev/tty', 'r');
+      outFd = openSync('/dev/tty', 'w');
+    } catch {
+      if (inFd !== undefined) closeSync(inFd);
+      reject(new Error('No terminal available to ask for confirmation (use --yes)'));
+      return;
+    }
+
+    const input = new tty.ReadStream(inFd);
+    writeSync(outFd, `${message} [y/N] `);
+    input.once('data', (chunk) => {
+      input.destroy();
+      closeSync(outFd);
+      resolve(/^y/i.test(chunk.toString('utf-8').trim()));
+    });
+  });
+}
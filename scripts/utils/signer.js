@@ -0,0 +1,176 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { finalizeEvent, getPublicKey, generateSecretKey, SimplePool } from 'nostr-tools';
+import { BunkerSigner, parseBunkerInput } from 'nostr-tools/nip46';
+import { getConfigValue, getUserConfigDir } from '../config.js';
+import { getPrivateKeyBytes, resolveSecretKey } from './keys.js';
+import { selectIdentity, resolveIdentitySecretKey } from './identities.js';
+
+/**
+ * Signer interface shared by the local-key and NIP-46 bunker implementations.
+ * Everything that signs events (NIP-98 auth, commit hook, publish commands)
+ * goes through a signer, so the two are interchangeable.
+ *
+ * @typedef {Object} Signer
+ * @property {string} type - 'local' or 'bunker'
+ * @property {() => Promise<string>} getPublicKey - Public key (hex)
+ * @property {(template: Object) => Promise<Object>} signEvent - Sign an unsigned event template
+ * @property {() => Promise<void>} close - Release connections (no-op for local keys)
+ */
+
+/**
+ * Create a signer backed by a local private key
+ * @param {string|Uint8Array} secretKey - nsec, hex, or private key bytes
+ * @returns {Signer}
+ */
+export function createLocalSigner(secretKey) {
+  const privateKeyBytes = secretKey instanceof Uint8Array ? secretKey : getPrivateKeyBytes(secretKey);
+  const pubkey = getPublicKey(privateKeyBytes);
+  return {
+    type: 'local',
+    getPublicKey: async () => pubkey,
+    signEvent: async (template) => finalizeEvent(template, privateKeyBytes),
+    close: async () => {}
+  };
+}
+
+/**
+ * Get the path of the persistent NIP-46 client key
+ */
+export function getBunkerClientPath() {
+  return join(getUserConfigDir(), 'bunker-client.json');
+}
+
+/**
+ * Load (or create) the client key used to talk to bunkers. Keeping it stable
+ * means a bunker only has to authorize this machine once.
+ */
+function loadBunkerClient() {
+  const path = getBunkerClientPath();
+  if (existsSync(path)) {
+    const data = JSON.parse(readFileSync(path, 'utf-8'));
+    return { path, secretKey: getPrivateKeyBytes(data.secretKey), connected: data.connected || [] };
+  }
+  return { path, secretKey: generateSecretKey(), connected: [] };
+}
+
+function saveBunkerClient(client) {
+  mkdirSync(dirname(client.path), { recursive: true, mode: 0o700 });
+  writeFileSync(client.path, JSON.stringify({
+    secretKey: Buffer.from(client.secretKey).toString('hex'),
+    connected: client.connected
+  }, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Bunker did not respond to ${what} within ${ms / 1000}s`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a signer that delegates to a NIP-46 remote signer (bunker)
+ * @param {string} uri - bunker:// URI or NIP-05 identifier
+ * @param {Object} options
+ * @param {number} options.timeout - Per-request timeout in milliseconds
+ * @param {Object} options.pool - Relay pool to use (e.g. for a local test relay)
+ * @returns {Promise<Signer>}
+ */
+export async function createBunkerSigner(uri, { timeout = 60000, pool } = {}) {
+  const pointer = await parseBunkerInput(uri);
+  if (!pointer) {
+    throw new Error('Invalid bunker URI (expected bunker://<pubkey>?relay=...)');
+  }
+  if (pointer.relays.length === 0) {
+    throw new Error('Bunker URI has no relay');
+  }
+
+  const client = loadBunkerClient();
+  const ownPool = !pool;
+  const relayPool = pool || new SimplePool();
+  const bunker = BunkerSigner.fromBunker(client.secretKey, pointer, {
+    pool: relayPool,
+    onauth: (url) => {
+      console.error(`🔑 Bunker requests authorization, open: ${url}`);
+    }
+  });
+
+  const close = async () => {
+    await bunker.close();
+    if (ownPool) {
+      relayPool.destroy();
+    }
+  };
+
+  // Only the first session needs "connect" (the URI secret is typically single-use)
+  if (!client.connected.includes(pointer.pubkey)) {
+    try {
+      await withTimeout(bunker.connect(), timeout, 'connect');
+    } catch (error) {
+      await close();
+      throw error;
+    }
+    client.connected.push(pointer.pubkey);
+    saveBunkerClient(client);
+  }
+
+  let pubkey = null;
+  return {
+    type: 'bunker',
+    getPublicKey: async () => {
+      if (!pubkey) {
+        pubkey = await withTimeout(bunker.getPublicKey(), timeout, 'get_public_key');
+      }
+      return pubkey;
+    },
+    signEvent: (template) => withTimeout(bunker.signEvent(template), timeout, 'sign_event'),
+    close
+  };
+}
+
+/**
+ * Get the configured signer: a named identity selected by the "identity" setting or
+ * by matching remote URLs, else the bunker if "bunker" is set, else the local key
+ * (NOSTRGIT_SECRET_KEY or the encrypted keyfile)
+ * @param {Object} options
+ * @param {boolean} options.interactive - Allow prompting for a keyfile passphrase
+ * @param {string[]} options.urls - Remote URLs to select an identity for
+ * @param {boolean} options.preferConfigured - Let the "identity" setting win over URL matches
+ * @returns {Promise<Signer>} - Signer; .identity holds the selected identity name (or null)
+ */
+export async function getSigner({ interactive = true, urls = [], preferConfigured = true } = {}) {
+  const timeout = getConfigValue('bunker-timeout') * 1000;
+  const selected = selectIdentity({ urls, preferConfigured });
+
+  let signer;
+  if (selected && selected.identity.bunker) {
+    signer = await createBunkerSigner(selected.identity.bunker, { timeout });
+  } else if (selected) {
+    signer = createLocalSigner(await resolveIdentitySecretKey(selected.name, selected.identity, { interactive }));
+  } else if (getConfigValue('bunker')) {
+    signer = await createBunkerSigner(getConfigValue('bunker'), { timeout });
+  } else {
+    signer = createLocalSigner(await resolveSecretKey({ interactive }));
+  }
+  signer.identity = selected ? selected.name : null;
+  return signer;
+}
+
+/**
+ * Accept either a signer or raw private key bytes (library callers)
+ * @param {Signer|Uint8Array} signerOrKey
+ * @returns {Signer}
+ */
+export function toSigner(signerOrKey) {
+  if (signerOrKey instanceof Uint8Array) {
+    return createLocalSigner(signerOrKey);
+  }
+  if (!signerOrKey || typeof signerOrKey.signEvent !== 'function') {
+    throw new Error('A signer or private key is required');
+  }
+  return signerOrKey;
+}
@@ -1,10 +1,10 @@
 /**
  * Add client tag to event tags unless --no-client-tag is specified
  * @param {Array} tags - Array of tag arrays
- * @param {Array} args - Command arguments array
+ * @param {Array|boolean} args - Command arguments array, or a boolean (true = add tag) for programmatic callers
  */
 export function addClientTag(tags, args) {
-  const noClientTag = args && args.includes('--no-client-tag');
+  const noClientTag = typeof args === 'boolean' ? !args : args && args.includes('--no-client-tag');
   if (!noClientTag) {
     tags.push(['client', 'gitrepublic-cli']);
   }
@@ -0,0 +1,116 @@
+/**
+ * Allowed signers policy read from the committed history
+ *
+ * A throwaway repository where every commit carries a Nostr-Signature trailer
+ * (its signature event stored in nostr/commit-signatures.jsonl, like the
+ * commit-msg hook does). A commit must be allowed by the policy committed in its
+ * parent, so it cannot allow itself by adding its key to the policy file.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, appendFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateSecretKey, getPublicKey, finalizeEvent, nip19 } from 'nostr-tools';
+
+const tmp = mkdtempSync(join(tmpdir(), 'gitrepublic-signers-test-'));
+const repo = join(tmp, 'repo');
+// Keep the user config and git identity out of the test
+process.env.XDG_CONFIG_HOME = join(tmp, 'config');
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: join(tmp, 'gitconfig')
+});
+const { verifyCommitList } = await import('../scripts/commands/verify.js');
+const { listCommits } = await import('../scripts/utils/git.js');
+
+const alice = generateSecretKey();
+const bob = generateSecretKey();
+
+function git(...args) {
+  const result = spawnSync('git', args, { cwd: repo, encoding: 'utf-8' });
+  assert.equal(result.status, 0, result.stderr);
+  return result.stdout.trim();
+}
+
+function writePolicy(...keys) {
+  const signers = keys.map(key => ({ pubkey: nip19.npubEncode(getPublicKey(key)) }));
+  writeFileSync(join(repo, 'nostr', 'allowed-signers.json'), JSON.stringify({ signers }, null, 2));
+  git('add', 'nostr/allowed-signers.json');
+}
+
+/**
+ * Commit the staged changes with a Nostr signature by key
+ * @returns {string} - Commit hash
+ */
+function signedCommit(key, message, file = null) {
+  if (file) {
+    writeFileSync(join(repo, file), `${message}\n`);
+    git('add', file);
+  }
+  const event = finalizeEvent({
+    kind: 1640,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['author', 'Test', 'test@example.com'], ['message', message]],
+    content: `Signed commit: ${message}`
+  }, key);
+  appendFileSync(join(repo, 'nostr', 'commit-signatures.jsonl'), `${JSON.stringify(event)}\n`);
+  git('commit', '-q', '--no-verify', '-m', `${message}\n\nNostr-Signature: ${event.id} ${event.pubkey} ${event.sig}`);
+  return git('rev-parse', 'HEAD');
+}
+
+async function verifyRange(range) {
+  const { results, policy } = await verifyCommitList(listCommits(range), { relays: [] });
+  return { statuses: results.map(({ result }) => result.status).reverse(), policy };
+}
+
+let base;
+
+before(() => {
+  mkdirSync(join(repo, 'nostr'), { recursive: true });
+  git('init', '-q', '-b', 'main');
+  writePolicy(alice);
+  base = signedCommit(alice, 'Add the allowed signers policy');
+  process.chdir(repo);
+});
+
+after(() => {
+  process.chdir(tmpdir());
+  rmSync(tmp, { recursive: true, force: true });
+});
+
+test('a commit adding its own key to the policy is rejected', async () => {
+  git('checkout', '-q', '-b', 'takeover', base);
+  writePolicy(alice, bob);
+  signedCommit(bob, 'Allow myself');
+  signedCommit(bob, 'Change something', 'b.txt');
+
+  const { statuses, policy } = await verifyRange(`${base}..HEAD`);
+  assert.deepEqual(statuses, ['untrusted', 'untrusted']);
+  assert.match(policy, /^nostr\/allowed-signers\.json/);
+});
+
+test('the working tree policy is not read', async () => {
+  git('checkout', '-q', '-b', 'local-edit', base);
+  signedCommit(bob, 'Unreviewed change', 'c.txt');
+  writePolicy(alice, bob);
+
+  const { statuses } = await verifyRange(`${base}..HEAD`);
+  assert.deepEqual(statuses, ['untrusted']);
+  git('reset', '-q', '--hard');
+});
+
+test('a key added by an allowed signer is allowed in the following commits', async () => {
+  git('checkout', '-q', '-b', 'onboarding', base);
+  writePolicy(alice, bob);
+  signedCommit(alice, 'Allow Bob');
+  signedCommit(bob, 'First change by Bob', 'd.txt');
+
+  const { statuses } = await verifyRange(`${base}..HEAD`);
+  assert.deepEqual(statuses, ['signed', 'signed']);
+});
@@ -0,0 +1,164 @@
+/**
+ * NIP-46 bunker signer against a stand-in bunker
+ *
+ * The relay is an in-memory pool (the subscribe/publish subset of SimplePool that
+ * BunkerSigner uses), and the stand-in bunker answers connect, get_public_key and
+ * sign_event requests with a test key, like "nak bunker" would over a local relay.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateSecretKey, getPublicKey, finalizeEvent, verifyEvent, matchFilter } from 'nostr-tools';
+import { getConversationKey, encrypt, decrypt } from 'nostr-tools/nip44';
+
+const KIND_NOSTR_CONNECT = 24133;
+const RELAY = 'ws://127.0.0.1:10547';
+
+// The bunker client key is stored in the user config directory: keep it out of the real one
+const configHome = mkdtempSync(join(tmpdir(), 'gitrepublic-bunker-test-'));
+process.env.XDG_CONFIG_HOME = configHome;
+const { createBunkerSigner, getBunkerClientPath } = await import('../scripts/utils/signer.js');
+
+/**
+ * In-memory relay pool: every published event is delivered to the matching subscriptions
+ */
+function createLocalPool() {
+  const subscriptions = new Set();
+  return {
+    subscribe(relays, filter, { onevent }) {
+      const subscription = { filter, onevent };
+      subscriptions.add(subscription);
+      return { close: () => subscriptions.delete(subscription) };
+    },
+    publish(relays, event) {
+      for (const { filter, onevent } of [...subscriptions]) {
+        if (matchFilter(filter, event)) {
+          setImmediate(() => onevent(event));
+        }
+      }
+      return [Promise.resolve('ok')];
+    },
+    destroy() {
+      subscriptions.clear();
+    }
+  };
+}
+
+/**
+ * Stand-in bunker signing with userKey; it never answers the requests listed in ignore
+ */
+function startBunker(pool, { userKey, secret, ignore = [] }) {
+  const bunkerKey = generateSecretKey();
+  const bunkerPubkey = getPublicKey(bunkerKey);
+  const requests = [];
+  const subscription = pool.subscribe([RELAY], { kinds: [KIND_NOSTR_CONNECT], '#p': [bunkerPubkey] }, {
+    onevent: (event) => {
+      const conversationKey = getConversationKey(bunkerKey, event.pubkey);
+      const { id, method, params } = JSON.parse(decrypt(event.content, conversationKey));
+      requests.push(method);
+      if (ignore.includes(method)) return;
+      let response;
+      if (method === 'connect') {
+        response = params[1] === secret ? { id, result: 'ack' } : { id, error: 'invalid secret' };
+      } else if (method === 'get_public_key') {
+        response = { id, result: getPublicKey(userKey) };
+      } else if (method === 'sign_event') {
+        response = { id, result: JSON.stringify(finalizeEvent(JSON.parse(params[0]), userKey)) };
+      } else {
+        response = { id, error: `unsupported method ${method}` };
+      }
+      pool.publish([RELAY], finalizeEvent({
+        kind: KIND_NOSTR_CONNECT,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [['p', event.pubkey]],
+        content: encrypt(JSON.stringify(response), conversationKey)
+      }, bunkerKey));
+    }
+  });
+  return {
+    uri: `bunker://${bunkerPubkey}?relay=${encodeURIComponent(RELAY)}&secret=${secret}`,
+    pubkey: bunkerPubkey,
+    requests,
+    stop: () => subscription.close()
+  };
+}
+
+let pool;
+
+before(() => {
+  pool = createLocalPool();
+});
+
+after(() => {
+  pool.destroy();
+  rmSync(configHome, { recursive: true, force: true });
+});
+
+test('connects, gets the public key and signs through the bunker', async () => {
+  const userKey = generateSecretKey();
+  const bunker = startBunker(pool, { userKey, secret: 'test-secret' });
+  const signer = await createBunkerSigner(bunker.uri, { timeout: 5000, pool });
+  try {
+    assert.equal(signer.type, 'bunker');
+    assert.equal(await signer.getPublicKey(), getPublicKey(userKey));
+
+    const event = await signer.signEvent({ kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'hello' });
+    assert.equal(event.pubkey, getPublicKey(userKey));
+    assert.ok(verifyEvent(event));
+    assert.deepEqual(bunker.requests, ['connect', 'get_public_key', 'sign_event']);
+
+    // The bunker is remembered, so the next session skips connect
+    const client = JSON.parse(readFileSync(getBunkerClientPath(), 'utf-8'));
+    assert.ok(client.connected.includes(bunker.pubkey));
+  } finally {
+    await signer.close();
+  }
+
+  const again = await createBunkerSigner(bunker.uri, { timeout: 5000, pool });
+  try {
+    assert.equal(await again.getPublicKey(), getPublicKey(userKey));
+    assert.deepEqual(bunker.requests.slice(3), ['get_public_key']);
+  } finally {
+    await again.close();
+    bunker.stop();
+  }
+});
+
+test('rejects a connect with the wrong secret', async () => {
+  const bunker = startBunker(pool, { userKey: generateSecretKey(), secret: 'right' });
+  try {
+    await assert.rejects(createBunkerSigner(bunker.uri.replace('secret=right', 'secret=wrong'), { timeout: 5000, pool }), /invalid secret/);
+  } finally {
+    bunker.stop();
+  }
+});
+
+test('times out when the bunker does not answer', async () => {
+  const bunker = startBunker(pool, { userKey: generateSecretKey(), secret: 'quiet', ignore: ['connect'] });
+  try {
+    await assert.rejects(createBunkerSigner(bunker.uri, { timeout: 200, pool }), /did not respond to connect within 0.2s/);
+    assert.deepEqual(bunker.requests, ['connect']);
+  } finally {
+    bunker.stop();
+  }
+});
+
+test('times out when the bunker does not sign', async () => {
+  const bunker = startBunker(pool, { userKey: generateSecretKey(), secret: 'slow', ignore: ['sign_event'] });
+  const signer = await createBunkerSigner(bunker.uri, { timeout: 200, pool });
+  try {
+    await assert.rejects(signer.signEvent({ kind: 1, created_at: 0, tags: [], content: '' }), /did not respond to sign_event within 0.2s/);
+  } finally {
+    await signer.close();
+    bunker.stop();
+  }
+});
+
+test('rejects bunker URIs without a relay', async () => {
+  await assert.rejects(createBunkerSigner(`bunker://${getPublicKey(generateSecretKey())}`, { pool }), /no relay/);
+});
@@ -0,0 +1,79 @@
+/**
+ * Ownership transfer chains (kind 1641) followed from the original owner
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools';
+
+// Keep the user config out of the test
+const configHome = mkdtempSync(join(tmpdir(), 'gitrepublic-ownership-test-'));
+process.env.XDG_CONFIG_HOME = configHome;
+const { validateOwnershipChain } = await import('../scripts/commands/publish/ownership-transfer.js');
+rmSync(configHome, { recursive: true, force: true });
+
+const [a, b, c, d] = [0, 1, 2, 3].map(() => generateSecretKey());
+const [A, B, C, D] = [a, b, c, d].map(key => getPublicKey(key));
+const REPO = 'repo';
+
+/**
+ * Transfer of the repository (addressed by A) signed by key at created_at
+ */
+function transfer(key, to, createdAt) {
+  return finalizeEvent({
+    kind: 1641,
+    created_at: createdAt,
+    tags: [['a', `30617:${A}:${REPO}`], ['d', REPO], ['p', to]],
+    content: ''
+  }, key);
+}
+
+const path = ({ hops }) => hops.map(h => [h.from, h.to]);
+
+test('follows the repository back to a former owner and on', () => {
+  const chain = validateOwnershipChain(A, REPO, [transfer(a, B, 10), transfer(b, A, 20), transfer(a, C, 30)]);
+  assert.equal(chain.owner, C);
+  assert.equal(chain.broken, false);
+  assert.deepEqual(path(chain), [[A, B], [B, A], [A, C]]);
+  assert.deepEqual(chain.problems, []);
+});
+
+test('a second transfer to someone else while the new owner holds the repository is a fork', () => {
+  const chain = validateOwnershipChain(A, REPO, [transfer(a, B, 10), transfer(a, C, 20)]);
+  assert.equal(chain.owner, B);
+  assert.equal(chain.broken, true);
+  assert.equal(chain.problems.length, 1);
+  assert.equal(chain.problems[0].fatal, true);
+  assert.match(chain.problems[0].reason, /^fork: /);
+});
+
+test('a transfer to someone else before the repository came back is a fork', () => {
+  const chain = validateOwnershipChain(A, REPO, [transfer(a, B, 10), transfer(a, D, 15), transfer(b, A, 20), transfer(a, C, 30)]);
+  assert.equal(chain.owner, C);
+  assert.equal(chain.broken, true);
+  assert.deepEqual(chain.problems.map(p => [p.event.pubkey, p.fatal]), [[A, true]]);
+});
+
+test('two transfers to different owners at the same time are a fork', () => {
+  const chain = validateOwnershipChain(A, REPO, [transfer(a, B, 10), transfer(a, C, 10)]);
+  assert.equal(chain.broken, true);
+});
+
+test('a former owner repeating the transfer or confirming themselves does not fork', () => {
+  const chain = validateOwnershipChain(A, REPO, [transfer(a, B, 10), transfer(a, B, 20), transfer(a, A, 25)]);
+  assert.equal(chain.owner, B);
+  assert.equal(chain.broken, false);
+  assert.deepEqual(chain.problems.map(p => p.fatal), [false, false]);
+});
+
+test('transfers by keys that never owned the repository are ignored', () => {
+  const chain = validateOwnershipChain(A, REPO, [transfer(c, D, 5), transfer(a, B, 10)]);
+  assert.equal(chain.owner, B);
+  assert.equal(chain.broken, false);
+  assert.match(chain.problems[0].reason, /never owned the repository/);
+});
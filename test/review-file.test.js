@@ -0,0 +1,90 @@
+/**
+ * Patch review files: quoted lines anchored to the diff (gitrep patch review)
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getDiffLineAnchors, findAnchoredLine } from '../scripts/utils/diff.js';
+
+// Keep the user config out of the test
+const configHome = mkdtempSync(join(tmpdir(), 'gitrepublic-review-test-'));
+process.env.XDG_CONFIG_HOME = configHome;
+const { buildReviewFile, parseReviewFile } = await import('../scripts/commands/patch.js');
+rmSync(configHome, { recursive: true, force: true });
+
+// The second line of f.txt is empty: its context line in the diff is a single space
+const patch = {
+  id: 'f'.repeat(64),
+  content: [
+    'From 1234567890123456789012345678901234567890 Mon Sep 17 00:00:00 2001',
+    'From: Test <test@example.com>',
+    'Subject: [PATCH] Replace c',
+    '',
+    '---',
+    ' f.txt | 2 +-',
+    ' 1 file changed, 1 insertion(+), 1 deletion(-)',
+    '',
+    'diff --git a/f.txt b/f.txt',
+    'index 1111111..2222222 100644',
+    '--- a/f.txt',
+    '+++ b/f.txt',
+    '@@ -1,5 +1,5 @@',
+    ' a',
+    ' ',
+    ' b',
+    '-c',
+    '+X',
+    ' d',
+    '-- ',
+    '2.40.0',
+    ''
+  ].join('\n')
+};
+
+/**
+ * Write comments below quoted lines of the review file, as a reviewer would
+ */
+function review(text, comments) {
+  return text.split('\n').flatMap(line => (comments[line] !== undefined ? [line, comments[line]] : [line])).join('\n');
+}
+
+test('numbers the lines of the diff', () => {
+  const anchors = getDiffLineAnchors(patch.content);
+  const lines = patch.content.split('\n');
+  assert.deepEqual(anchors[lines.indexOf(' ')], { file: 'f.txt', line: 2, side: 'new' });
+  assert.deepEqual(anchors[lines.indexOf('+X')], { file: 'f.txt', line: 4, side: 'new' });
+  assert.deepEqual(anchors[lines.indexOf('-c')], { file: 'f.txt', line: 4, side: 'old' });
+  assert.equal(anchors[lines.indexOf('-- ')], null);
+  assert.equal(findAnchoredLine(anchors, 'f.txt', 5), lines.indexOf(' d'));
+});
+
+test('anchors comments below quoted lines', () => {
+  const text = review(buildReviewFile(patch), { '> +X': 'Why X here?', '> Subject: [PATCH] Replace c': 'Looks good' });
+  assert.deepEqual(parseReviewFile(text, patch), {
+    general: 'Looks good',
+    comments: [{ file: 'f.txt', line: 4, side: 'new', text: 'Why X here?' }]
+  });
+});
+
+test('a blank context line whose trailing whitespace the editor trimmed keeps the anchors', () => {
+  const trimmed = buildReviewFile(patch).replace(/[ \t]+$/gm, '');
+  assert.ok(trimmed.split('\n').includes('>'));
+  const text = review(trimmed, { '> +X': 'Why X here?' });
+  assert.deepEqual(parseReviewFile(text, patch), {
+    general: '',
+    comments: [{ file: 'f.txt', line: 4, side: 'new', text: 'Why X here?' }]
+  });
+});
+
+test('an empty quote does not skip ahead over non-empty lines', () => {
+  const text = ['>  a', 'On a', '> +X', '>', 'On X'].join('\n');
+  assert.deepEqual(parseReviewFile(text, patch).comments, [
+    { file: 'f.txt', line: 1, side: 'new', text: 'On a' },
+    { file: 'f.txt', line: 4, side: 'new', text: 'On X' }
+  ]);
+});